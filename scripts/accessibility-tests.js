@@ -12,6 +12,7 @@ class AccessibilityTester {
     this.browser = null;
     this.page = null;
     this.results = [];
+    this.keyboardChecks = [];
   }
 
   /**
@@ -133,6 +134,127 @@ class AccessibilityTester {
     }
   }
 
+  /**
+   * Details of the focused element and the Gantt grid's live region
+   * @returns {Promise<object>} Focused cell position, tag and label, and the last announcement
+   */
+  async getGridState() {
+    return this.page.evaluate(() => {
+      const active = document.activeElement;
+      const liveRegion = document.getElementById('gantt-grid-status');
+      return {
+        tagName: active ? active.tagName : null,
+        row: active ? active.getAttribute('data-grid-row') : null,
+        column: active ? active.getAttribute('data-grid-column') : null,
+        label: active ? active.getAttribute('aria-label') : null,
+        announcement: liveRegion ? liveRegion.textContent : null
+      };
+    });
+  }
+
+  /**
+   * Verify the Gantt chart can be used from the keyboard: grid semantics, a
+   * single tab stop, arrow-key navigation, Space to toggle completion, Enter
+   * to rename and Alt+Arrow row reordering with live-region announcements.
+   * Every change made is undone again before the check ends.
+   * @param {string} url - URL of the Gantt chart
+   * @returns {Promise<Array<object>>} One entry per check, with `passed` and `details`
+   */
+  async testGanttKeyboard(url) {
+    const checks = [];
+    const check = (name, passed, details = '') => {
+      checks.push({ name, passed: Boolean(passed), details });
+      console.log(`  ${passed ? 'PASS' : 'FAIL'} ${name}${details ? ` (${details})` : ''}`);
+    };
+
+    try {
+      console.log(`Testing Gantt keyboard access for: ${url}`);
+      await this.page.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
+      await this.waitForAppReady();
+
+      const grid = await this.page.$('[role="grid"]');
+      check('Chart is exposed as an ARIA grid', grid);
+      if (!grid) {
+        this.keyboardChecks.push(...checks);
+        return checks;
+      }
+
+      const gridInfo = await this.page.evaluate(() => {
+        const gridElement = document.querySelector('[role="grid"]');
+        return {
+          label: gridElement.getAttribute('aria-label'),
+          describedBy: gridElement.getAttribute('aria-describedby'),
+          tabStops: gridElement.querySelectorAll('[role="gridcell"][tabindex="0"]').length,
+          unlabelledCells: Array.from(gridElement.querySelectorAll('[data-grid-column]'))
+            .filter(cell => !cell.getAttribute('aria-label')).length,
+          hasLiveRegion: document.getElementById('gantt-grid-status')?.getAttribute('aria-live') === 'polite'
+        };
+      });
+      check('Grid has an accessible name and instructions', gridInfo.label && gridInfo.describedBy, gridInfo.label || 'no aria-label');
+      check('Grid has exactly one tab stop', gridInfo.tabStops === 1, `${gridInfo.tabStops} cells with tabindex="0"`);
+      check('Every day cell has a label', gridInfo.unlabelledCells === 0, `${gridInfo.unlabelledCells} unlabelled`);
+      check('Grid has a live region for announcements', gridInfo.hasLiveRegion);
+
+      await this.page.focus('[role="grid"] [role="gridcell"][tabindex="0"]');
+      const start = await this.getGridState();
+
+      await this.page.keyboard.press('ArrowRight');
+      const right = await this.getGridState();
+      check('ArrowRight moves to the next day', right.row === start.row && Number(right.column) === Number(start.column) + 1,
+        `column ${start.column} -> ${right.column}`);
+
+      await this.page.keyboard.press('ArrowDown');
+      const down = await this.getGridState();
+      check('ArrowDown moves to the next activity', down.row !== start.row && down.column === right.column,
+        `row ${right.row} -> ${down.row}`);
+
+      await this.page.keyboard.press('Home');
+      const home = await this.getGridState();
+      check('Home moves to the first day of the row', home.row === down.row && home.column === start.column,
+        `column ${home.column}`);
+
+      // Find a scheduled day along the row to toggle
+      let cell = home;
+      for (let i = 0; i < 60 && /not scheduled|non-working/.test(cell.label || ''); i++) {
+        await this.page.keyboard.press('ArrowRight');
+        cell = await this.getGridState();
+      }
+      await this.page.keyboard.press('Space');
+      const toggled = await this.getGridState();
+      check('Space toggles completion and announces it', toggled.label !== cell.label && /marked/.test(toggled.announcement || ''),
+        toggled.announcement || 'no announcement');
+      await this.page.keyboard.press('Space');
+      const restored = await this.getGridState();
+      check('Space again restores the day', restored.label === cell.label, restored.label || '');
+
+      await this.page.keyboard.press('Enter');
+      const editing = await this.getGridState();
+      check('Enter starts renaming the activity', editing.tagName === 'INPUT', `focus on ${editing.tagName}`);
+      await this.page.keyboard.press('Escape');
+      const afterEdit = await this.getGridState();
+      check('Escape returns focus to the cell', afterEdit.row === cell.row && afterEdit.column === cell.column,
+        `focus on row ${afterEdit.row}, column ${afterEdit.column}`);
+
+      await this.page.keyboard.down('Alt');
+      await this.page.keyboard.press('ArrowUp');
+      await this.page.keyboard.up('Alt');
+      const moved = await this.getGridState();
+      check('Alt+ArrowUp reorders the row and announces it', /^Moved|already the first/.test(moved.announcement || '') && moved.row === cell.row,
+        moved.announcement || 'no announcement');
+      if (/^Moved/.test(moved.announcement || '')) {
+        await this.page.keyboard.down('Alt');
+        await this.page.keyboard.press('ArrowDown');
+        await this.page.keyboard.up('Alt');
+      }
+    } catch (error) {
+      console.error(`Gantt keyboard test failed for ${url}:`, error);
+      check('Keyboard test ran to completion', false, error.message);
+    }
+
+    this.keyboardChecks.push(...checks);
+    return checks;
+  }
+
   /**
    * Test multiple URLs
    * @param {Array<string>} urls - URLs to test
@@ -157,15 +279,18 @@ class AccessibilityTester {
    * @param {Array<object>} results - Accessibility results
    * @returns {object} Formatted report
    */
-  generateReport(results = this.results) {
+  generateReport(results = this.results, keyboardChecks = this.keyboardChecks) {
     const report = {
       summary: {
         totalPages: results.length,
         totalViolations: 0,
         totalIncomplete: 0,
         totalPasses: 0,
+        keyboardChecks: keyboardChecks.length,
+        keyboardFailures: keyboardChecks.filter(check => !check.passed).length,
         timestamp: new Date().toISOString()
       },
+      keyboardChecks,
       pages: [],
       violationsByImpact: {
         critical: [],
@@ -320,7 +445,7 @@ class AccessibilityTester {
    * @returns {string} HTML content
    */
   generateHtmlReport(report) {
-    const { summary, pages, violationsByImpact, recommendedFixes } = report;
+    const { summary, pages, violationsByImpact, recommendedFixes, keyboardChecks = [] } = report;
     
     return `
 <!DOCTYPE html>
@@ -386,6 +511,26 @@ class AccessibilityTester {
         </div>
     `).join('')}
 
+    <h2>Keyboard Checks (${summary.keyboardChecks - summary.keyboardFailures}/${summary.keyboardChecks} passed)</h2>
+    <table>
+        <thead>
+            <tr>
+                <th>Check</th>
+                <th>Result</th>
+                <th>Details</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${keyboardChecks.map(check => `
+                <tr>
+                    <td>${check.name}</td>
+                    <td>${check.passed ? 'Pass' : 'Fail'}</td>
+                    <td>${check.details}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+
     <h2>Page Results</h2>
     <table>
         <thead>
@@ -460,6 +605,9 @@ async function runAccessibilityTests() {
     // Run tests
     const results = await tester.testMultipleUrls(urls);
     
+    // Keyboard access to the Gantt chart (the chart is the home route)
+    await tester.testGanttKeyboard(urls[0]);
+    
     // Generate and save reports
     const report = tester.generateReport(results);
     
@@ -474,10 +622,11 @@ async function runAccessibilityTests() {
     console.log(`Pages tested: ${report.summary.totalPages}`);
     console.log(`Total violations: ${report.summary.totalViolations}`);
     console.log(`Compliance score: ${report.summary.complianceScore}%`);
+    console.log(`Keyboard checks failed: ${report.summary.keyboardFailures} of ${report.summary.keyboardChecks}`);
     console.log(`Reports saved: accessibility-report.json, accessibility-report.html`);
     
     // Exit with appropriate code
-    process.exit(report.summary.totalViolations > 0 ? 1 : 0);
+    process.exit(report.summary.totalViolations > 0 || report.summary.keyboardFailures > 0 ? 1 : 0);
     
   } catch (error) {
     console.error('Accessibility testing failed:', error);
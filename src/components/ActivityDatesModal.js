@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+
+const ActivityDatesModal = ({ isOpen, activity, projectSettings, onSave, onClose }) => {
+  const [formData, setFormData] = useState({ startDate: '', endDate: '', pinned: false });
+  const [error, setError] = useState('');
+
+  // Reset the form each time the modal opens
+  useEffect(() => {
+    if (isOpen && activity) {
+      setFormData({
+        startDate: activity.startDate || '',
+        endDate: activity.endDate || '',
+        pinned: Boolean(activity.pinned)
+      });
+      setError('');
+    }
+  }, [isOpen, activity]);
+
+  if (!isOpen || !activity) return null;
+
+  const handleChange = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+    setError('');
+  };
+
+  const handleSave = () => {
+    if (!formData.startDate || !formData.endDate) {
+      setError('Start and end dates are required');
+      return;
+    }
+    if (formData.endDate < formData.startDate) {
+      setError('The end date must be on or after the start date');
+      return;
+    }
+    onSave(formData);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="activity-dates-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full mx-4">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="activity-dates-title" className="text-xl font-bold text-blue-800">Activity Dates</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close activity dates"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <p className="text-sm font-medium text-gray-800">{activity.name}</p>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="activity-start-date" className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+              <input
+                id="activity-start-date"
+                type="date"
+                value={formData.startDate}
+                min={projectSettings.startDate}
+                max={projectSettings.endDate}
+                onChange={(e) => handleChange('startDate', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="activity-end-date" className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+              <input
+                id="activity-end-date"
+                type="date"
+                value={formData.endDate}
+                min={formData.startDate || projectSettings.startDate}
+                max={projectSettings.endDate}
+                onChange={(e) => handleChange('endDate', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.pinned}
+              onChange={(e) => handleChange('pinned', e.target.checked)}
+              className="mr-2"
+            />
+            Pin these dates (auto-scheduling will not move this activity)
+          </label>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700" role="alert">
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 bg-gray-200 rounded hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Save Dates
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityDatesModal;
@@ -88,6 +88,18 @@ const AuditLog = () => {
         return '🗑️';
       case 'GANTT_EDIT':
         return '📊';
+      case 'MILESTONE_SUBMITTED':
+        return '📤';
+      case 'MILESTONE_WITHDRAWN':
+        return '↩️';
+      case 'MILESTONE_APPROVED':
+        return '✅';
+      case 'MILESTONE_CHANGES_REQUESTED':
+        return '✏️';
+      case 'MILESTONE_REOPENED':
+        return '🔓';
+      case 'MILESTONE_APPROVAL_REVERTED':
+        return '↩️';
       case 'AUDIT_LOG_CLEARED':
         return '🧹';
       default:
@@ -111,6 +123,15 @@ const AuditLog = () => {
         return 'bg-orange-100 text-orange-800';
       case 'GANTT_EDIT':
         return 'bg-indigo-100 text-indigo-800';
+      case 'MILESTONE_SUBMITTED':
+      case 'MILESTONE_WITHDRAWN':
+        return 'bg-blue-100 text-blue-800';
+      case 'MILESTONE_APPROVED':
+        return 'bg-green-100 text-green-800';
+      case 'MILESTONE_CHANGES_REQUESTED':
+      case 'MILESTONE_REOPENED':
+      case 'MILESTONE_APPROVAL_REVERTED':
+        return 'bg-orange-100 text-orange-800';
       case 'AUDIT_LOG_CLEARED':
         return 'bg-yellow-100 text-yellow-800';
       default:
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import exportService from '../services/exportService';
+import {
+  createBaseline,
+  validateBaselineName,
+  getBaseline,
+  calculateVariance
+} from '../utils/baselines';
+
+const STATUS_STYLES = {
+  late: 'bg-red-100 text-red-700',
+  early: 'bg-green-100 text-green-700',
+  'on-track': 'bg-gray-100 text-gray-700',
+  added: 'bg-blue-100 text-blue-700',
+  removed: 'bg-yellow-100 text-yellow-800'
+};
+
+const formatVariance = (days) => {
+  if (days === null) return '–';
+  if (days === 0) return '0d';
+  return `${days > 0 ? '+' : ''}${days}d`;
+};
+
+const BaselinePanel = ({ isOpen, tasks, baselineState, onChange, onClose }) => {
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+  const [exportError, setExportError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setNewName('');
+      setError('');
+      setExportError('');
+    }
+  }, [isOpen]);
+
+  const activeBaseline = getBaseline(baselineState, baselineState.activeBaselineId);
+  const variance = useMemo(() => (
+    activeBaseline ? calculateVariance(tasks, activeBaseline) : null
+  ), [tasks, activeBaseline]);
+
+  if (!isOpen) return null;
+
+  const handleCreate = () => {
+    const validationError = validateBaselineName(newName, baselineState.baselines);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const baseline = createBaseline(tasks, newName);
+    onChange({
+      baselines: [...baselineState.baselines, baseline],
+      activeBaselineId: baseline.id
+    });
+    setNewName('');
+  };
+
+  const handleDelete = (baselineId) => {
+    const baseline = getBaseline(baselineState, baselineId);
+    if (!window.confirm(`Delete baseline "${baseline.name}"? This cannot be undone.`)) return;
+
+    onChange({
+      baselines: baselineState.baselines.filter(b => b.id !== baselineId),
+      activeBaselineId: baselineState.activeBaselineId === baselineId ? null : baselineState.activeBaselineId
+    });
+  };
+
+  const handleExport = async (format) => {
+    setExportError('');
+    try {
+      await exportService.exportVarianceReport({ format, baselineId: activeBaseline.id });
+    } catch (exportFailure) {
+      setExportError(exportFailure.message);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="baseline-panel-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="baseline-panel-title" className="text-xl font-bold text-blue-800">Baselines</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close baselines"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        {/* Save a new baseline */}
+        <div className="mb-6">
+          <label htmlFor="baseline-name" className="block text-sm font-medium text-gray-700 mb-2">Save current plan as baseline</label>
+          <div className="flex gap-2">
+            <input
+              id="baseline-name"
+              type="text"
+              value={newName}
+              onChange={(e) => { setNewName(e.target.value); setError(''); }}
+              onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+              placeholder="e.g. Proposal approved"
+              maxLength={60}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              onClick={handleCreate}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              Save Baseline
+            </button>
+          </div>
+          {error && <p className="text-sm text-red-600 mt-1" role="alert">{error}</p>}
+        </div>
+
+        {/* Saved baselines */}
+        <div className="mb-6">
+          <h3 className="font-semibold text-gray-800 mb-2">Saved baselines</h3>
+          {baselineState.baselines.length === 0 ? (
+            <p className="text-sm text-gray-500">No baselines yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+              <li className="flex items-center p-2 text-sm">
+                <label className="flex items-center flex-1">
+                  <input
+                    type="radio"
+                    name="active-baseline"
+                    checked={!baselineState.activeBaselineId}
+                    onChange={() => onChange({ ...baselineState, activeBaselineId: null })}
+                    className="mr-2"
+                  />
+                  Don&apos;t compare
+                </label>
+              </li>
+              {baselineState.baselines.map(baseline => (
+                <li key={baseline.id} className="flex items-center p-2 text-sm">
+                  <label className="flex items-center flex-1">
+                    <input
+                      type="radio"
+                      name="active-baseline"
+                      checked={baselineState.activeBaselineId === baseline.id}
+                      onChange={() => onChange({ ...baselineState, activeBaselineId: baseline.id })}
+                      className="mr-2"
+                    />
+                    <span className="font-medium">{baseline.name}</span>
+                    <span className="text-xs text-gray-500 ml-2">{new Date(baseline.createdAt).toLocaleString()}</span>
+                  </label>
+                  <button
+                    onClick={() => handleDelete(baseline.id)}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Variance report */}
+        {variance && (
+          <div>
+            <div className="flex flex-wrap justify-between items-center mb-2 gap-2">
+              <h3 className="font-semibold text-gray-800">Variance against &ldquo;{activeBaseline.name}&rdquo;</h3>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleExport('json')}
+                  className="px-3 py-1 text-sm bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+                >
+                  Export JSON
+                </button>
+                <button
+                  onClick={() => handleExport('csv')}
+                  className="px-3 py-1 text-sm bg-teal-100 text-teal-800 rounded hover:bg-teal-200"
+                >
+                  Export CSV
+                </button>
+              </div>
+            </div>
+            {exportError && <p className="text-sm text-red-600 mb-2" role="alert">{exportError}</p>}
+
+            <div className="flex flex-wrap gap-2 mb-3 text-xs">
+              <span className={`px-2 py-1 rounded ${STATUS_STYLES.late}`}>{variance.summary.late} late</span>
+              <span className={`px-2 py-1 rounded ${STATUS_STYLES.early}`}>{variance.summary.early} early</span>
+              <span className={`px-2 py-1 rounded ${STATUS_STYLES['on-track']}`}>{variance.summary.onTrack} on track</span>
+              {variance.summary.added > 0 && (
+                <span className={`px-2 py-1 rounded ${STATUS_STYLES.added}`}>{variance.summary.added} added</span>
+              )}
+              {variance.summary.removed > 0 && (
+                <span className={`px-2 py-1 rounded ${STATUS_STYLES.removed}`}>{variance.summary.removed} removed</span>
+              )}
+            </div>
+
+            {variance.summary.slippedGateways.length > 0 && (
+              <div className="p-3 mb-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                <span className="font-semibold">Slipped gateways:</span> {variance.summary.slippedGateways.join(', ')}
+              </div>
+            )}
+
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="bg-gray-100 text-left">
+                  <th className="border border-gray-200 p-2">Activity</th>
+                  <th className="border border-gray-200 p-2">Baseline</th>
+                  <th className="border border-gray-200 p-2">Current</th>
+                  <th className="border border-gray-200 p-2 text-right">Start</th>
+                  <th className="border border-gray-200 p-2 text-right">Finish</th>
+                  <th className="border border-gray-200 p-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {variance.rows.map(row => (
+                  <tr key={row.activityId}>
+                    <td className="border border-gray-200 p-2">
+                      <div className="font-medium">{row.isGateway && '◆ '}{row.name}</div>
+                      <div className="text-xs text-gray-500">{row.taskName}</div>
+                    </td>
+                    <td className="border border-gray-200 p-2 text-xs">{row.baselineStart ? `${row.baselineStart} – ${row.baselineEnd}` : '–'}</td>
+                    <td className="border border-gray-200 p-2 text-xs">{row.currentStart ? `${row.currentStart} – ${row.currentEnd}` : '–'}</td>
+                    <td className="border border-gray-200 p-2 text-right">{formatVariance(row.startVariance)}</td>
+                    <td className="border border-gray-200 p-2 text-right font-medium">{formatVariance(row.finishVariance)}</td>
+                    <td className="border border-gray-200 p-2">
+                      <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[row.status]}`}>{row.status}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BaselinePanel;
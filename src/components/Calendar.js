@@ -4,22 +4,25 @@ import dayGridPlugin from '@fullcalendar/daygrid';
 import timeGridPlugin from '@fullcalendar/timegrid';
 import interactionPlugin from '@fullcalendar/interaction';
 import PropTypes from 'prop-types';
+import { loadProjectSettings, parseISODate, toISODate, addDays, formatProjectPeriod } from '../utils/projectTimeline';
+import { isNonWorkingDate } from '../utils/workingCalendar';
 import './Calendar.css';
 
 const Calendar = ({ 
   onDateSelect, 
   selectedDate, 
   daysWithEntries = [],
+  projectSettings = loadProjectSettings(),
   locale = 'en',
   className = ''
 }) => {
   const [currentView, setCurrentView] = useState('dayGridMonth');
   const [currentDate, setCurrentDate] = useState(new Date());
 
-  // Date range constraints: June 1 - September 1
+  // Date range constraints: the configured project period
   const validRange = {
-    start: new Date(new Date().getFullYear(), 5, 1), // June 1st (month is 0-indexed)
-    end: new Date(new Date().getFullYear(), 8, 2)    // September 2nd (end is exclusive)
+    start: parseISODate(projectSettings.startDate),
+    end: addDays(parseISODate(projectSettings.endDate), 1) // end is exclusive
   };
 
   // Handle date clicks
@@ -69,7 +72,7 @@ const Calendar = ({
 
   // Add selected date as an event if it exists
   if (selectedDate) {
-    const selectedDateString = selectedDate.toISOString().split('T')[0];
+    const selectedDateString = toISODate(selectedDate);
     const isAlreadyMarked = daysWithEntries.includes(selectedDateString);
     
     if (!isAlreadyMarked) {
@@ -139,7 +142,7 @@ const Calendar = ({
             Calendar View
           </h2>
           <span className="text-sm text-gray-500">
-            (June - September {new Date().getFullYear()})
+            ({formatProjectPeriod(projectSettings, { month: 'long', year: 'numeric' })})
           </span>
         </div>
         
@@ -228,7 +231,7 @@ const Calendar = ({
           displayEventTime={false}
           allDayDefault={true}
           weekNumberCalculation="ISO"
-          firstDay={1} // Start week on Monday
+          firstDay={projectSettings.weekStartsOn}
           
           // Accessibility
           eventDidMount={(info) => {
@@ -244,17 +247,22 @@ const Calendar = ({
           
           // Custom styling
           dayClassNames={(dayInfo) => {
-            const dateString = dayInfo.date.toISOString().split('T')[0];
+            const dateString = toISODate(dayInfo.date);
             const classes = [];
             
             if (daysWithEntries.includes(dateString)) {
               classes.push('fc-day-with-entries');
             }
             
-            if (selectedDate && dateString === selectedDate.toISOString().split('T')[0]) {
+            if (selectedDate && dateString === toISODate(selectedDate)) {
               classes.push('fc-day-selected');
             }
             
+            // Weekends, holidays and leave from the project's working calendar
+            if (isNonWorkingDate(projectSettings, toISODate(dayInfo.date))) {
+              classes.push('fc-day-non-working');
+            }
+            
             return classes;
           }}
         />
@@ -267,6 +275,14 @@ Calendar.propTypes = {
   onDateSelect: PropTypes.func,
   selectedDate: PropTypes.instanceOf(Date),
   daysWithEntries: PropTypes.arrayOf(PropTypes.string),
+  projectSettings: PropTypes.shape({
+    startDate: PropTypes.string,
+    endDate: PropTypes.string,
+    weekStartsOn: PropTypes.number,
+    locale: PropTypes.string,
+    weekendDays: PropTypes.arrayOf(PropTypes.number),
+    nonWorkingPeriods: PropTypes.arrayOf(PropTypes.object)
+  }),
   locale: PropTypes.string,
   className: PropTypes.string
 };
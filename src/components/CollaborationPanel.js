@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import { getInitials } from '../utils/collaboration';
+
+/**
+ * Avatar circle for a session participant
+ */
+export const PresenceAvatar = ({ participant, size = 'sm' }) => (
+  <span
+    className={`inline-flex items-center justify-center rounded-full text-white font-semibold ring-2 ring-white ${
+      size === 'sm' ? 'w-7 h-7 text-xs' : 'w-9 h-9 text-sm'
+    }`}
+    style={{ backgroundColor: participant.color }}
+    title={participant.name}
+    aria-hidden="true"
+  >
+    {getInitials(participant.name)}
+  </span>
+);
+
+/**
+ * Collaborative session controls: start sharing the plan (and hand out its
+ * session code), see who is in the session, end or leave it, and set the
+ * name others see. Joining happens from the Projects dialog, which opens the
+ * shared plan in a new project.
+ */
+const CollaborationPanel = ({
+  isOpen,
+  isSignedIn,
+  session,
+  participants,
+  displayName,
+  onNameChange,
+  onStart,
+  onEnd,
+  onLeave,
+  onClose
+}) => {
+  const [name, setName] = useState(displayName);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setName(displayName);
+      setError('');
+      setCopied(false);
+    }
+  }, [isOpen, displayName]);
+
+  if (!isOpen) return null;
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (actionError) {
+      console.error('Collaboration error:', actionError);
+      setError(actionError.message || 'Something went wrong. Please try again.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(session.planId);
+      setCopied(true);
+    } catch (copyError) {
+      setError('Could not copy the code. Select it and copy it instead.');
+    }
+  };
+
+  const handleEnd = () => {
+    if (!window.confirm('End the session? Collaborators keep their copy of the plan but no longer see your changes.')) return;
+    run(onEnd);
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm('Leave the session? This project keeps the plan as it is now, as your own copy.')) return;
+    run(onLeave);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="collaboration-panel-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="collaboration-panel-title" className="text-xl font-bold text-blue-800">Collaborate</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close collaboration"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        {!isSignedIn ? (
+          <p className="text-sm text-gray-600">Sign in to edit this plan together with others.</p>
+        ) : (
+          <>
+            {/* Name shown to others */}
+            <div className="mb-6">
+              <label htmlFor="collaboration-name" className="block text-sm font-medium text-gray-700 mb-1">Your name</label>
+              <div className="flex gap-2">
+                <input
+                  id="collaboration-name"
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && onNameChange(name)}
+                  maxLength={40}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={() => onNameChange(name)}
+                  disabled={name.trim() === displayName}
+                  className="px-4 py-2 bg-gray-100 text-gray-800 rounded hover:bg-gray-200 disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+
+            {session ? (
+              <div>
+                <label htmlFor="collaboration-code" className="block text-sm font-medium text-gray-700 mb-1">Session code</label>
+                <div className="flex gap-2 mb-4">
+                  <input
+                    id="collaboration-code"
+                    type="text"
+                    value={session.planId}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-gray-50 font-mono text-xs"
+                  />
+                  <button
+                    onClick={handleCopy}
+                    className="px-4 py-2 bg-gray-100 text-gray-800 rounded hover:bg-gray-200"
+                  >
+                    {copied ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+
+                <h3 className="font-semibold text-gray-800 mb-2">In this session</h3>
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded mb-4">
+                  <li className="flex items-center gap-2 p-2 text-sm">
+                    <span className="font-medium">{displayName}</span>
+                    <span className="text-xs text-gray-500">(you)</span>
+                  </li>
+                  {participants.map(participant => (
+                    <li key={participant.userId} className="flex items-center gap-2 p-2 text-sm">
+                      <PresenceAvatar participant={participant} />
+                      <span>{participant.name}</span>
+                      {participant.editing && <span className="text-xs text-gray-500">editing a row</span>}
+                    </li>
+                  ))}
+                </ul>
+
+                {session.isOwner ? (
+                  <button
+                    onClick={handleEnd}
+                    disabled={isBusy}
+                    className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                  >
+                    End Session
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleLeave}
+                    disabled={isBusy}
+                    className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Leave Session
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div>
+                <p className="text-sm text-gray-600 mb-3">
+                  Start a session to edit this plan live with your supervisor or co-authors. Give them the session code;
+                  they join from Projects &rarr; &quot;Join a shared plan&quot;.
+                </p>
+                <button
+                  onClick={() => run(onStart)}
+                  disabled={isBusy}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Start Session
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600 mt-3" role="alert">{error}</p>}
+
+        <p className="text-xs text-gray-500 mt-4">
+          Everyone&apos;s changes appear within a second or two. Changes to different fields are combined; if two people
+          change the same field at once, you choose which version to keep. A row someone is renaming is locked for the others.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CollaborationPanel;
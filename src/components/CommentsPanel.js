@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { ROLE_DISPLAY_NAMES } from '../constants/roles';
+import { MAX_COMMENT_LENGTH, splitMentions, toMentionName, getCommentActions } from '../utils/planComments';
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// The `@partial` being typed at the end of the text, if any
+const getMentionQuery = (text) => {
+  const match = text.match(/(^|\s)@([\p{L}\d._-]*)$/u);
+  return match ? match[2] : null;
+};
+
+const CommentText = ({ comment }) => {
+  if (comment.deleted) return <p className="text-sm italic text-gray-400">Comment deleted</p>;
+  return (
+    <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+      {splitMentions(comment.text).map((part, index) => (
+        part.mention
+          ? <span key={index} className="text-blue-700 font-medium bg-blue-50 rounded px-0.5">{part.text}</span>
+          : <React.Fragment key={index}>{part.text}</React.Fragment>
+      ))}
+    </p>
+  );
+};
+
+/**
+ * Text box for a comment or reply, suggesting names after `@`
+ */
+const CommentComposer = ({ initialText = '', placeholder, submitLabel, mentionNames, onSubmit, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [error, setError] = useState('');
+
+  const query = getMentionQuery(text);
+  const suggestions = query === null ? [] : mentionNames
+    .filter(name => toMentionName(name).toLowerCase().startsWith(query.toLowerCase()))
+    .slice(0, 5);
+
+  const insertMention = (name) => {
+    setText(text.slice(0, text.length - query.length) + `${toMentionName(name)} `);
+  };
+
+  const handleSubmit = () => {
+    try {
+      onSubmit(text);
+      setText('');
+      setError('');
+    } catch (submitError) {
+      setError(submitError.message);
+    }
+  };
+
+  return (
+    <div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit();
+          if (e.key === 'Escape' && onCancel) onCancel();
+        }}
+        placeholder={placeholder}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={2}
+        aria-label={placeholder}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {suggestions.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-1" aria-label="Mention suggestions">
+          {suggestions.map(name => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => insertMention(name)}
+              className="px-2 py-0.5 text-xs bg-blue-50 text-blue-700 rounded hover:bg-blue-100"
+            >
+              @{toMentionName(name)}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-xs text-red-600 mb-1">{error}</p>}
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button onClick={onCancel} className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200">
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSubmit}
+          disabled={!text.trim()}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Comment threads on one activity or gateway. What each button offers
+ * follows the current role's comment permissions; the actions themselves
+ * are checked again by usePlanComments.
+ */
+const CommentsPanel = ({
+  isOpen,
+  target,
+  threads,
+  userId,
+  permissions,
+  mentionNames,
+  onAdd,
+  onEdit,
+  onDelete,
+  onResolve,
+  onClose
+}) => {
+  const [showResolved, setShowResolved] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setReplyingTo(null);
+      setEditingId(null);
+      setError('');
+    }
+  }, [isOpen, target]);
+
+  if (!isOpen || !target) return null;
+
+  const run = (action) => {
+    try {
+      action();
+      setError('');
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  const handleDelete = (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+    run(() => onDelete(commentId));
+  };
+
+  const resolvedCount = threads.filter(thread => thread.resolved).length;
+  const visibleThreads = showResolved ? threads : threads.filter(thread => !thread.resolved);
+
+  const renderComment = (comment) => {
+    const actions = getCommentActions(comment, userId, permissions);
+
+    return (
+      <div>
+        <div className="flex items-baseline gap-2 text-xs text-gray-500 mb-0.5">
+          <span className="font-semibold text-gray-800">{comment.authorName}</span>
+          {comment.authorRole && <span>{ROLE_DISPLAY_NAMES[comment.authorRole] || comment.authorRole}</span>}
+          <span>{formatTime(comment.createdAt)}</span>
+          {comment.editedAt && !comment.deleted && <span>(edited)</span>}
+        </div>
+
+        {editingId === comment.id ? (
+          <CommentComposer
+            initialText={comment.text}
+            placeholder="Edit comment"
+            submitLabel="Save"
+            mentionNames={mentionNames}
+            onSubmit={(text) => {
+              onEdit(comment.id, text);
+              setEditingId(null);
+            }}
+            onCancel={() => setEditingId(null)}
+          />
+        ) : (
+          <CommentText comment={comment} />
+        )}
+
+        {editingId !== comment.id && (
+          <div className="flex gap-3 text-xs mt-1">
+            {actions.canReply && (
+              <button onClick={() => setReplyingTo(comment.id)} className="text-blue-600 hover:text-blue-800">Reply</button>
+            )}
+            {actions.canEdit && (
+              <button onClick={() => setEditingId(comment.id)} className="text-blue-600 hover:text-blue-800">Edit</button>
+            )}
+            {actions.canDelete && (
+              <button onClick={() => handleDelete(comment.id)} className="text-red-600 hover:text-red-800">Delete</button>
+            )}
+            {actions.canResolve && (
+              <button
+                onClick={() => run(() => onResolve(comment.id, !comment.resolved))}
+                className="text-green-700 hover:text-green-900"
+              >
+                {comment.resolved ? 'Reopen' : 'Resolve'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="comments-panel-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 id="comments-panel-title" className="text-xl font-bold text-blue-800">Comments</h2>
+            <p className="text-sm text-gray-600">
+              {target.isGateway ? 'Gateway' : 'Activity'} {target.id}: {target.name}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close comments"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        {resolvedCount > 0 && (
+          <label className="flex items-center text-xs text-gray-600 mb-2">
+            <input
+              type="checkbox"
+              checked={showResolved}
+              onChange={(e) => setShowResolved(e.target.checked)}
+              className="mr-2"
+            />
+            Show resolved ({resolvedCount})
+          </label>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+        {visibleThreads.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">
+            {threads.length === 0 ? 'No comments yet.' : 'All threads are resolved.'}
+          </p>
+        ) : (
+          <ul className="space-y-3 mb-4">
+            {visibleThreads.map(thread => (
+              <li
+                key={thread.id}
+                className={`border rounded p-3 ${thread.resolved ? 'border-green-200 bg-green-50' : 'border-gray-200'}`}
+              >
+                {thread.resolved && (
+                  <p className="text-xs text-green-700 mb-1">Resolved{thread.resolvedBy ? ` by ${thread.resolvedBy}` : ''}</p>
+                )}
+                {renderComment(thread)}
+
+                {thread.replies.length > 0 && (
+                  <ul className="mt-2 pl-4 border-l-2 border-gray-200 space-y-2">
+                    {thread.replies.map(reply => (
+                      <li key={reply.id}>{renderComment(reply)}</li>
+                    ))}
+                  </ul>
+                )}
+
+                {replyingTo === thread.id && (
+                  <div className="mt-2 pl-4">
+                    <CommentComposer
+                      placeholder="Write a reply"
+                      submitLabel="Reply"
+                      mentionNames={mentionNames}
+                      onSubmit={(text) => {
+                        onAdd(text, thread.id);
+                        setReplyingTo(null);
+                      }}
+                      onCancel={() => setReplyingTo(null)}
+                    />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {permissions.canAdd ? (
+          <CommentComposer
+            placeholder="Add a comment, use @Name to mention someone"
+            submitLabel="Comment"
+            mentionNames={mentionNames}
+            onSubmit={(text) => onAdd(text, null)}
+          />
+        ) : (
+          <p className="text-sm text-gray-500">Your role can read comments but not add them.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommentsPanel;
@@ -1,8 +1,25 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useNotes } from '../contexts/NotesContext';
 import { useAuth } from '../contexts/AuthContext';
 import Calendar from './Calendar';
+import TimeTracker from './TimeTracker';
 import fileStorageService from '../services/FileStorageService';
+import exportService from '../services/exportService';
+import { loadProjectSettings, parseISODate, toISODate, formatProjectPeriod } from '../utils/projectTimeline';
+import { getActiveProjectId } from '../utils/projects';
+import { calculateActivityProgress } from '../utils/activityDates';
+import { loadDailyTasks, saveDailyTasks } from '../utils/dailyTasks';
+import {
+  loadTimeEntries,
+  saveTimeEntries,
+  loadTimer,
+  saveTimer,
+  startTimer,
+  stopTimer,
+  getEntriesForDate,
+  getPlanEffort,
+  formatHours
+} from '../utils/timeTracking';
 import { 
   FaStickyNote, 
   FaFile, 
@@ -13,7 +30,8 @@ import {
   FaFolder,
   FaClock,
   FaPlus,
-  FaEdit
+  FaEdit,
+  FaStopwatch
 } from 'react-icons/fa';
 
 const DailyProgress = () => {
@@ -35,6 +53,17 @@ const DailyProgress = () => {
   const [filesLoading, setFilesLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('tasks'); // 'tasks', 'notes', 'files', 'all'
   
+  // Project period shared with the Gantt chart; daily task lists are stored per project
+  const [projectId] = useState(() => getActiveProjectId());
+  const [projectSettings] = useState(() => loadProjectSettings(projectId));
+
+  // Time logged against the Gantt chart's activities, and the timer that may still be running from the chart
+  const [planTasks] = useState(() => exportService.getGanttData());
+  const [completedDays] = useState(() => exportService.getCompletedDays());
+  const planActivities = useMemo(() => planTasks.flatMap(task => task.activities), [planTasks]);
+  const [timeEntries, setTimeEntries] = useState(() => loadTimeEntries(projectId));
+  const [timer, setTimer] = useState(() => loadTimer(projectId));
+  
   // File storage service instance (imported as singleton)
 
   // Helper function to check if two dates are on the same day
@@ -42,11 +71,6 @@ const DailyProgress = () => {
     return date1.toDateString() === date2.toDateString();
   };
 
-  // Helper function to format date for comparison
-  const formatDateForComparison = (date) => {
-    return date.toISOString().split('T')[0];
-  };
-
   // Load notes for selected date
   const loadNotesForDate = useMemo(() => {
     if (!notes || !user) return [];
@@ -70,10 +94,10 @@ const DailyProgress = () => {
     setFilesLoading(true);
     try {
       const allFiles = await fileStorageService.listFiles();
-      const dateString = formatDateForComparison(date);
+      const dateString = toISODate(date);
       
       const filteredFiles = allFiles.filter(file => {
-        const fileDate = formatDateForComparison(new Date(file.uploadDate));
+        const fileDate = toISODate(new Date(file.uploadDate));
         return fileDate === dateString;
       });
       
@@ -97,50 +121,32 @@ const DailyProgress = () => {
   }, [selectedDate, user]);
 
   // Get all days with entries from localStorage - FIXED VERSION
-  const getDaysWithEntries = () => {
+  const getDaysWithEntries = useCallback(() => {
     const daysWithData = [];
     
-    // Check the June 1 - September 1 range for the current year
-    const currentYear = new Date().getFullYear();
-    const startDate = new Date(currentYear, 5, 1); // June 1
-    const endDate = new Date(currentYear, 8, 1);   // September 1
+    // Check the configured project period
+    const { startDate: projectStart, endDate: projectEnd } = loadProjectSettings(projectId);
+    const startDate = parseISODate(projectStart);
+    const endDate = parseISODate(projectEnd);
     
     const currentDate = new Date(startDate);
     while (currentDate <= endDate) {
-      const dateString = currentDate.toISOString().split('T')[0];
-      const tasksKey = `daily-tasks-${dateString}`;
-      const savedTasks = localStorage.getItem(tasksKey);
-      
-      if (savedTasks) {
-        try {
-          const tasks = JSON.parse(savedTasks);
-          if (tasks && Array.isArray(tasks) && tasks.length > 0) {
-            daysWithData.push(dateString);
-          }
-        } catch (err) {
-          // Ignore parsing errors for individual days
-          console.warn(`Error parsing tasks for ${dateString}:`, err);
-        }
+      const dateString = toISODate(currentDate);
+      if (loadDailyTasks(dateString, projectId).length > 0) {
+        daysWithData.push(dateString);
       }
       
       currentDate.setDate(currentDate.getDate() + 1);
     }
     
     return daysWithData;
-  };
+  }, [projectId]);
 
   // Load tasks for a specific date - IMPROVED VERSION
-  const loadTasksForDate = (date) => {
+  const loadTasksForDate = useCallback((date) => {
     setLoading(true);
     try {
-      const dateString = date.toISOString().split('T')[0];
-      const savedTasks = localStorage.getItem(`daily-tasks-${dateString}`);
-      if (savedTasks) {
-        const parsedTasks = JSON.parse(savedTasks);
-        setTasks(Array.isArray(parsedTasks) ? parsedTasks : []);
-      } else {
-        setTasks([]);
-      }
+      setTasks(loadDailyTasks(toISODate(date), projectId));
       setError('');
     } catch (err) {
       setError('Failed to load daily tasks');
@@ -149,25 +155,24 @@ const DailyProgress = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [projectId]);
 
   // Load tasks from localStorage on component mount and when date changes - FIXED
   useEffect(() => {
     loadTasksForDate(selectedDate);
-  }, [selectedDate]);
+  }, [selectedDate, loadTasksForDate]);
 
   // Update days with entries when tasks change - FIXED VERSION
   useEffect(() => {
     const updatedDays = getDaysWithEntries();
     setDaysWithEntries(updatedDays);
-  }, [tasks]); // Removed selectedDate dependency to avoid infinite loops
+  }, [tasks, getDaysWithEntries]); // Removed selectedDate dependency to avoid infinite loops
 
   // Save tasks to localStorage whenever tasks change - IMPROVED VERSION
   useEffect(() => {
     if (tasks.length > 0) {
-      const dateString = selectedDate.toISOString().split('T')[0];
       try {
-        localStorage.setItem(`daily-tasks-${dateString}`, JSON.stringify(tasks));
+        saveDailyTasks(toISODate(selectedDate), tasks, projectId);
         // Update days with entries after saving
         const updatedDays = getDaysWithEntries();
         setDaysWithEntries(updatedDays);
@@ -176,7 +181,7 @@ const DailyProgress = () => {
         console.error('Error saving tasks:', err);
       }
     }
-  }, [tasks, selectedDate]);
+  }, [tasks, selectedDate, projectId, getDaysWithEntries]);
 
   // Handle calendar date selection - FIXED VERSION
   const handleDateSelect = (date) => {
@@ -220,6 +225,24 @@ const DailyProgress = () => {
     setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
   };
 
+  const updateTimeEntries = (nextEntries) => {
+    setTimeEntries(nextEntries);
+    saveTimeEntries(nextEntries, projectId);
+  };
+
+  const handleStartTimer = (activity) => {
+    const started = startTimer(activity);
+    setTimer(started);
+    saveTimer(started, projectId);
+  };
+
+  const handleStopTimer = () => {
+    const running = loadTimer(projectId);
+    setTimer(null);
+    saveTimer(null, projectId);
+    if (running) updateTimeEntries([...timeEntries, stopTimer(running)]);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       addTask();
@@ -277,8 +300,15 @@ const DailyProgress = () => {
     });
   };
 
+  const dayTimeEntries = getEntriesForDate(timeEntries, toISODate(selectedDate));
+  const planEffort = useMemo(
+    () => getPlanEffort(planTasks, timeEntries, activity => calculateActivityProgress(activity, completedDays, projectSettings)),
+    [planTasks, timeEntries, completedDays, projectSettings]
+  );
+
   // Get summary data for the selected date
   const summaryData = {
+    loggedHours: dayTimeEntries.reduce((sum, entry) => sum + entry.minutes, 0) / 60,
     totalTasks: tasks.length,
     completedTasks: completedTasks.length,
     pendingTasks: pendingTasks.length,
@@ -319,7 +349,8 @@ const DailyProgress = () => {
           onDateSelect={handleDateSelect}
           selectedDate={selectedDate}
           daysWithEntries={daysWithEntries}
-          locale="en"
+          projectSettings={projectSettings}
+          locale={projectSettings.locale}
           className="w-full"
         />
       </div>
@@ -362,7 +393,8 @@ const DailyProgress = () => {
             { key: 'all', label: 'All Items', icon: FaEye, count: summaryData.totalItems },
             { key: 'tasks', label: 'Tasks', icon: FaTasks, count: summaryData.totalTasks },
             { key: 'notes', label: 'Notes', icon: FaStickyNote, count: summaryData.totalNotes },
-            { key: 'files', label: 'Files', icon: FaFile, count: summaryData.totalFiles }
+            { key: 'files', label: 'Files', icon: FaFile, count: summaryData.totalFiles },
+            { key: 'time', label: 'Time', icon: FaStopwatch, count: dayTimeEntries.length }
           ].map(tab => (
             <button
               key={tab.key}
@@ -421,7 +453,7 @@ const DailyProgress = () => {
       </div>
 
       {/* Progress Summary Cards */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <div className="flex items-center">
             <FaTasks className="text-blue-600 mr-3" />
@@ -458,6 +490,20 @@ const DailyProgress = () => {
             </div>
           </div>
         </div>
+        <div className="bg-indigo-50 p-4 rounded-lg border border-indigo-200">
+          <div className="flex items-center">
+            <FaStopwatch className="text-indigo-600 mr-3" />
+            <div>
+              <h3 className="font-semibold text-indigo-800">Time Logged</h3>
+              <p className="text-2xl font-bold text-indigo-600">{formatHours(summaryData.loggedHours)}</p>
+              {planEffort.estimatedActivities > 0 && (
+                <p className="text-xs text-indigo-700">
+                  Plan: {formatHours(planEffort.actualHours)} of {formatHours(planEffort.estimatedHours)}, ETC {formatHours(planEffort.etcHours)}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
       </div>
 
       {/* Content Areas */}
@@ -544,6 +590,26 @@ const DailyProgress = () => {
           </div>
         )}
 
+        {/* Time Section */}
+        {(activeTab === 'all' || activeTab === 'time') && (
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+              <FaStopwatch className="mr-2 text-indigo-600" />
+              Time for {selectedDate.toLocaleDateString()}
+            </h3>
+            <TimeTracker
+              activities={planActivities}
+              entries={dayTimeEntries}
+              timer={timer}
+              date={toISODate(selectedDate)}
+              onStartTimer={handleStartTimer}
+              onStopTimer={handleStopTimer}
+              onAddEntry={(entry) => updateTimeEntries([...timeEntries, entry])}
+              onRemoveEntry={(entryId) => updateTimeEntries(timeEntries.filter(entry => entry.id !== entryId))}
+            />
+          </div>
+        )}
+
         {/* Notes Section */}
         {(activeTab === 'all' || activeTab === 'notes') && (
           <div className="bg-white rounded-lg border border-gray-200 p-6">
@@ -661,7 +727,7 @@ const DailyProgress = () => {
         <h3 className="font-semibold text-gray-800 mb-2">📊 Period Overview</h3>
         <p className="text-gray-600 text-sm">
           You have entries on <strong>{daysWithEntries.length}</strong> days 
-          in the June-September period. Keep up the great work tracking your progress!
+          in the project period ({formatProjectPeriod(projectSettings)}). Keep up the great work tracking your progress!
         </p>
       </div>
     </div>
@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import {
+  MAX_DELIVERABLE_LENGTH,
+  LINK_TYPES,
+  getDeliverables,
+  getDeliverableCompletion,
+  isDeliverableOverdue,
+  addDeliverable,
+  updateDeliverable,
+  setDeliverableDone,
+  removeDeliverable,
+  linkDeliverable,
+  unlinkDeliverable
+} from '../utils/deliverables';
+
+const LinkChip = ({ link, onRemove }) => (
+  <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-gray-100 text-xs text-gray-700 mr-1 mt-1">
+    {link.type === LINK_TYPES.FILE ? '📎' : '📝'}
+    {link.type === LINK_TYPES.FILE && link.downloadURL ? (
+      <a href={link.downloadURL} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{link.name}</a>
+    ) : link.type === LINK_TYPES.NOTE ? (
+      <a href="#/text-notes" className="text-blue-600 hover:underline">{link.title}</a>
+    ) : (
+      link.name
+    )}
+    {onRemove && (
+      <button onClick={onRemove} className="text-gray-400 hover:text-red-600" aria-label={`Remove link ${link.name || link.title}`}>×</button>
+    )}
+  </span>
+);
+
+/**
+ * Deliverables of a gateway as a checklist. Each change is handed to
+ * `onChange(label, change)` as a function of the gateway, so it applies on
+ * top of the latest plan.
+ */
+const DeliverablesChecklist = ({ gateway, readOnly, notes = [], onChange, onUploadFile }) => {
+  const [newText, setNewText] = useState('');
+  const [newDueDate, setNewDueDate] = useState('');
+  const [editing, setEditing] = useState(null); // { id, text, dueDate }
+  const [linkingId, setLinkingId] = useState(null);
+  const [linkChoice, setLinkChoice] = useState('');
+  const [error, setError] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+
+  const items = getDeliverables(gateway);
+  const completion = getDeliverableCompletion(gateway);
+  const files = gateway.files || [];
+
+  const run = (label, change) => {
+    try {
+      // Surface validation errors before the change is queued
+      change(gateway);
+      onChange(label, change);
+      setError('');
+      return true;
+    } catch (changeError) {
+      setError(changeError.message);
+      return false;
+    }
+  };
+
+  const handleAdd = () => {
+    if (run(`Added deliverable "${newText.trim()}"`, activity => addDeliverable(activity, { text: newText, dueDate: newDueDate || null }))) {
+      setNewText('');
+      setNewDueDate('');
+    }
+  };
+
+  const handleSaveEdit = () => {
+    const { id, text, dueDate } = editing;
+    if (run(`Edited deliverable "${text.trim()}"`, activity => updateDeliverable(activity, id, { text, dueDate: dueDate || null }))) {
+      setEditing(null);
+    }
+  };
+
+  const handleLink = (item) => {
+    const [type, key] = linkChoice.split(':');
+    const link = type === LINK_TYPES.FILE
+      ? { type, ...files[Number(key)] }
+      : { type, ...notes.find(note => note.id === key) };
+    if (run(`Linked "${link.name || link.title}" to "${item.text}"`, activity => linkDeliverable(activity, item.id, link))) {
+      setLinkingId(null);
+      setLinkChoice('');
+    }
+  };
+
+  const handleUpload = async (e, item) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsUploading(true);
+    setError('');
+    try {
+      const stored = await onUploadFile(file);
+      run(`Linked "${stored.name}" to "${item.text}"`, activity => linkDeliverable(activity, item.id, { type: LINK_TYPES.FILE, ...stored }));
+      setLinkingId(null);
+    } catch (uploadError) {
+      console.error('Deliverable upload error:', uploadError);
+      setError(uploadError.message || 'Upload failed. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-baseline mb-1">
+        <h3 className="font-semibold text-gray-800">Deliverables</h3>
+        {completion.total > 0 && (
+          <span className="text-xs text-gray-600">
+            {completion.done} of {completion.total} done ({completion.percent}%)
+            {completion.overdue > 0 && <span className="text-red-600"> · {completion.overdue} overdue</span>}
+          </span>
+        )}
+      </div>
+      {completion.total > 0 && (
+        <div className="h-1.5 bg-gray-200 rounded mb-2" aria-hidden="true">
+          <div className="h-1.5 bg-green-500 rounded" style={{ width: `${completion.percent}%` }}></div>
+        </div>
+      )}
+
+      {items.length === 0 && <p className="text-sm text-gray-500 mb-2">No deliverables yet.</p>}
+      <ul className="divide-y divide-gray-100 mb-2">
+        {items.map(item => (
+          <li key={item.id} className="py-1.5 text-sm">
+            {editing?.id === item.id ? (
+              <div className="flex flex-wrap gap-2">
+                <input
+                  type="text"
+                  value={editing.text}
+                  onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                  maxLength={MAX_DELIVERABLE_LENGTH}
+                  aria-label="Deliverable name"
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded"
+                />
+                <input
+                  type="date"
+                  value={editing.dueDate || ''}
+                  onChange={(e) => setEditing({ ...editing, dueDate: e.target.value })}
+                  aria-label="Due date"
+                  className="px-2 py-1 border border-gray-300 rounded"
+                />
+                <button onClick={handleSaveEdit} className="px-2 py-1 bg-blue-600 text-white rounded text-xs">Save</button>
+                <button onClick={() => setEditing(null)} className="px-2 py-1 bg-gray-100 rounded text-xs">Cancel</button>
+              </div>
+            ) : (
+              <>
+                <div className="flex items-start gap-2">
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    disabled={readOnly}
+                    onChange={(e) => run(
+                      `${e.target.checked ? 'Ticked' : 'Unticked'} deliverable "${item.text}"`,
+                      activity => setDeliverableDone(activity, item.id, e.target.checked)
+                    )}
+                    aria-label={item.text}
+                    className="mt-1"
+                  />
+                  <span className={`flex-1 ${item.done ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                    {item.text}
+                    {item.dueDate && (
+                      <span className={`ml-2 text-xs ${isDeliverableOverdue(item) ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                        due {item.dueDate}
+                      </span>
+                    )}
+                  </span>
+                  {!readOnly && (
+                    <span className="flex gap-2 text-xs">
+                      <button onClick={() => setLinkingId(linkingId === item.id ? null : item.id)} className="text-blue-600 hover:text-blue-800">Link</button>
+                      <button onClick={() => setEditing({ id: item.id, text: item.text, dueDate: item.dueDate })} className="text-blue-600 hover:text-blue-800">Edit</button>
+                      <button
+                        onClick={() => run(`Removed deliverable "${item.text}"`, activity => removeDeliverable(activity, item.id))}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </span>
+                  )}
+                </div>
+                {item.links.length > 0 && (
+                  <div className="pl-6">
+                    {item.links.map((link, index) => (
+                      <LinkChip
+                        key={index}
+                        link={link}
+                        onRemove={readOnly ? null : () => run(`Unlinked "${link.name || link.title}"`, activity => unlinkDeliverable(activity, item.id, index))}
+                      />
+                    ))}
+                  </div>
+                )}
+                {linkingId === item.id && (
+                  <div className="pl-6 mt-1 flex flex-wrap items-center gap-2">
+                    <select
+                      value={linkChoice}
+                      onChange={(e) => setLinkChoice(e.target.value)}
+                      aria-label="File or note to link"
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    >
+                      <option value="">Choose a file or note…</option>
+                      {files.length > 0 && (
+                        <optgroup label="Files on this gateway">
+                          {files.map((file, index) => <option key={index} value={`${LINK_TYPES.FILE}:${index}`}>{file.name}</option>)}
+                        </optgroup>
+                      )}
+                      {notes.length > 0 && (
+                        <optgroup label="Notes">
+                          {notes.map(note => <option key={note.id} value={`${LINK_TYPES.NOTE}:${note.id}`}>{note.title || 'Untitled Note'}</option>)}
+                        </optgroup>
+                      )}
+                    </select>
+                    <button
+                      onClick={() => handleLink(item)}
+                      disabled={!linkChoice}
+                      className="px-2 py-1 bg-blue-600 text-white rounded text-xs disabled:opacity-50"
+                    >
+                      Link
+                    </button>
+                    {onUploadFile && (
+                      <label className="px-2 py-1 bg-gray-100 text-gray-800 rounded text-xs hover:bg-gray-200 cursor-pointer">
+                        {isUploading ? 'Uploading...' : 'Upload a file'}
+                        <input type="file" className="hidden" onChange={(e) => handleUpload(e, item)} disabled={isUploading} />
+                      </label>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {!readOnly && (
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="text"
+            value={newText}
+            onChange={(e) => setNewText(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && newText.trim() && handleAdd()}
+            placeholder="New deliverable"
+            maxLength={MAX_DELIVERABLE_LENGTH}
+            aria-label="New deliverable"
+            className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+          <input
+            type="date"
+            value={newDueDate}
+            onChange={(e) => setNewDueDate(e.target.value)}
+            aria-label="New deliverable due date"
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+          <button
+            onClick={handleAdd}
+            disabled={!newText.trim()}
+            className="px-3 py-1 bg-gray-100 text-gray-800 rounded text-sm hover:bg-gray-200 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliverablesChecklist;
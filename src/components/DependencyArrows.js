@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useLayoutEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { DEPENDENCY_TYPES, formatDependency } from '../utils/activityDependencies';
+
+// Horizontal distance a connector travels out of / into a bar before turning
+const GAP = 8;
+
+const getAnchorPoint = (container, activityId, side) => {
+  const element = container.querySelector(`[data-dependency-anchor~="${activityId}:${side}"]`);
+  if (!element) return null;
+
+  const containerRect = container.getBoundingClientRect();
+  const rect = element.getBoundingClientRect();
+  return {
+    x: (side === 'start' ? rect.left : rect.right) - containerRect.left + container.scrollLeft,
+    y: rect.top + rect.height / 2 - containerRect.top + container.scrollTop
+  };
+};
+
+// Orthogonal route from one bar edge to another, entering the target from the correct side
+const buildPath = (from, to, fromSide, toSide) => {
+  const exitX = from.x + (fromSide === 'end' ? GAP : -GAP);
+  const entryX = to.x + (toSide === 'start' ? -GAP : GAP);
+  const isDirect = toSide === 'start' ? exitX <= entryX : exitX >= entryX;
+
+  if (isDirect) {
+    return `M ${from.x} ${from.y} H ${exitX} V ${to.y} H ${to.x}`;
+  }
+
+  const midY = (from.y + to.y) / 2;
+  return `M ${from.x} ${from.y} H ${exitX} V ${midY} H ${entryX} V ${to.y} H ${to.x}`;
+};
+
+/**
+ * SVG overlay that draws dependency connectors between Gantt bars.
+ * Bars are located through `data-dependency-anchor` attributes listing
+ * "<activityId>:start" and/or "<activityId>:end" on the first and last
+ * segments of each bar inside `containerRef`.
+ */
+const DependencyArrows = ({ containerRef, links, layoutKey, draft, onLinkClick }) => {
+  const [paths, setPaths] = useState([]);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [draftPath, setDraftPath] = useState(null);
+
+  const measure = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const measured = links.map(link => {
+      const definition = DEPENDENCY_TYPES[link.type] || DEPENDENCY_TYPES.FS;
+      const from = getAnchorPoint(container, link.predecessorId, definition.from);
+      const to = getAnchorPoint(container, link.successorId, definition.to);
+      if (!from || !to) return null;
+      return { ...link, d: buildPath(from, to, definition.from, definition.to) };
+    }).filter(Boolean);
+
+    setPaths(measured);
+    setSize({ width: container.scrollWidth, height: container.scrollHeight });
+  }, [containerRef, links]);
+
+  useLayoutEffect(() => {
+    measure();
+  }, [measure, layoutKey]);
+
+  useEffect(() => {
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [measure]);
+
+  // Follow the pointer while a new link is being dragged out of a bar
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!draft || !container) {
+      setDraftPath(null);
+      return undefined;
+    }
+
+    const from = getAnchorPoint(container, draft.activityId, draft.side);
+    if (!from) return undefined;
+
+    const handleMouseMove = (e) => {
+      const containerRect = container.getBoundingClientRect();
+      const x = e.clientX - containerRect.left + container.scrollLeft;
+      const y = e.clientY - containerRect.top + container.scrollTop;
+      setDraftPath(`M ${from.x} ${from.y} L ${x} ${y}`);
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    return () => window.removeEventListener('mousemove', handleMouseMove);
+  }, [containerRef, draft]);
+
+  if (paths.length === 0 && !draftPath) return null;
+
+  return (
+    <svg
+      className="absolute top-0 left-0 pointer-events-none z-20"
+      width={size.width}
+      height={size.height}
+      aria-hidden="true"
+    >
+      <defs>
+        <marker id="dependency-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 8 4 L 0 8 z" fill="#475569" />
+        </marker>
+        <marker id="dependency-arrow-red" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 8 4 L 0 8 z" fill="#dc2626" />
+        </marker>
+      </defs>
+      {paths.map(path => (
+        <g key={path.id}>
+          {/* Wide transparent stroke makes the thin connector easy to click */}
+          <path
+            d={path.d}
+            fill="none"
+            stroke="transparent"
+            strokeWidth="8"
+            className="pointer-events-auto cursor-pointer"
+            onClick={() => onLinkClick && onLinkClick(path)}
+          >
+            <title>
+              {`${path.predecessorName || path.predecessorId} → ${path.successorName || path.successorId} (${formatDependency(path)})${path.isViolated ? ' — not satisfied by the current dates' : ''}`}
+            </title>
+          </path>
+          <path
+            d={path.d}
+            fill="none"
+            stroke={path.isViolated || path.isCritical ? '#dc2626' : '#475569'}
+            strokeWidth={path.isCritical ? '2.5' : '1.5'}
+            strokeDasharray={path.isViolated ? '4 2' : undefined}
+            markerEnd={`url(#${path.isViolated || path.isCritical ? 'dependency-arrow-red' : 'dependency-arrow'})`}
+          />
+        </g>
+      ))}
+      {draftPath && (
+        <path d={draftPath} fill="none" stroke="#2563eb" strokeWidth="1.5" strokeDasharray="4 3" markerEnd="url(#dependency-arrow)" />
+      )}
+    </svg>
+  );
+};
+
+DependencyArrows.propTypes = {
+  containerRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  links: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    predecessorId: PropTypes.string.isRequired,
+    successorId: PropTypes.string.isRequired,
+    type: PropTypes.string,
+    lag: PropTypes.number,
+    isViolated: PropTypes.bool,
+    isCritical: PropTypes.bool
+  })).isRequired,
+  layoutKey: PropTypes.any,
+  draft: PropTypes.shape({
+    activityId: PropTypes.string,
+    side: PropTypes.oneOf(['start', 'end'])
+  }),
+  onLinkClick: PropTypes.func
+};
+
+export default DependencyArrows;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { DEPENDENCY_TYPES } from '../utils/activityDependencies';
+
+const DependencyModal = ({ isOpen, dependency, isExisting, errors = [], onSave, onRemove, onClose }) => {
+  const [type, setType] = useState('FS');
+  const [lag, setLag] = useState('0');
+
+  // Reset the form each time the modal opens
+  useEffect(() => {
+    if (isOpen && dependency) {
+      setType(dependency.type);
+      setLag(String(dependency.lag || 0));
+    }
+  }, [isOpen, dependency]);
+
+  if (!isOpen || !dependency) return null;
+
+  const handleSave = () => {
+    onSave({ type, lag: Number(lag) });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="dependency-modal-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full mx-4">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="dependency-modal-title" className="text-xl font-bold text-blue-800">
+            {isExisting ? 'Edit Dependency' : 'Add Dependency'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close dependency dialog"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="p-3 bg-gray-50 border border-gray-200 rounded text-sm">
+            <p><span className="font-medium">Predecessor:</span> {dependency.predecessorName}</p>
+            <p><span className="font-medium">Successor:</span> {dependency.successorName}</p>
+          </div>
+
+          <div>
+            <label htmlFor="dependency-type" className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+            <select
+              id="dependency-type"
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(DEPENDENCY_TYPES).map(([value, definition]) => (
+                <option key={value} value={value}>{value} – {definition.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="dependency-lag" className="block text-sm font-medium text-gray-700 mb-2">Lag (days)</label>
+            <input
+              id="dependency-lag"
+              type="number"
+              step="1"
+              value={lag}
+              onChange={(e) => setLag(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Use a negative number for lead time.</p>
+          </div>
+
+          {errors.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded" role="alert">
+              <ul className="list-disc pl-5 space-y-1">
+                {errors.map((error, index) => (
+                  <li key={index} className="text-sm text-red-700">{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-between mt-6">
+          <div>
+            {isExisting && (
+              <button
+                onClick={onRemove}
+                className="px-4 py-2 text-white bg-red-600 rounded hover:bg-red-700"
+              >
+                Remove Link
+              </button>
+            )}
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-600 bg-gray-200 rounded hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              {isExisting ? 'Save Dependency' : 'Add Dependency'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DependencyModal;
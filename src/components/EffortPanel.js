@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { TimeEntryForm, TimerButton } from './TimeTracker';
+import { ENTRY_SOURCES, validateEstimate, getEffortSummary, formatHours } from '../utils/timeTracking';
+
+/**
+ * Effort of one activity: its estimate, the time logged against it and what
+ * is left to do. Time can be logged here by hand or with the timer.
+ */
+const EffortPanel = ({
+  isOpen,
+  activity,
+  progress,
+  entries,
+  timer,
+  readOnly,
+  onEstimateChange,
+  onAddEntry,
+  onRemoveEntry,
+  onStartTimer,
+  onStopTimer,
+  onClose
+}) => {
+  const [estimate, setEstimate] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen && activity) {
+      setEstimate(typeof activity.estimatedHours === 'number' ? String(activity.estimatedHours) : '');
+      setError('');
+    }
+  }, [isOpen, activity]);
+
+  if (!isOpen || !activity) return null;
+
+  const activityEntries = entries.filter(entry => entry.activityId === activity.id);
+  const effort = getEffortSummary(activity, entries, progress);
+
+  const handleSaveEstimate = () => {
+    const validationError = validateEstimate(estimate);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onEstimateChange(estimate === '' ? null : Number(estimate));
+    setError('');
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="effort-panel-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 id="effort-panel-title" className="text-xl font-bold text-blue-800">Effort</h2>
+            <p className="text-sm text-gray-600">{activity.id}: {activity.name}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close effort"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <dl className="grid grid-cols-3 gap-2 mb-4 text-center">
+          <div className="bg-gray-50 rounded p-2">
+            <dt className="text-xs text-gray-500">Estimated</dt>
+            <dd className="text-lg font-semibold">{effort.estimatedHours !== null ? formatHours(effort.estimatedHours) : '–'}</dd>
+          </div>
+          <div className={`rounded p-2 ${effort.overrunHours > 0 ? 'bg-red-50' : 'bg-gray-50'}`}>
+            <dt className="text-xs text-gray-500">Actual</dt>
+            <dd className={`text-lg font-semibold ${effort.overrunHours > 0 ? 'text-red-700' : ''}`}>{formatHours(effort.actualHours)}</dd>
+          </div>
+          <div className="bg-gray-50 rounded p-2">
+            <dt className="text-xs text-gray-500">To complete</dt>
+            <dd className="text-lg font-semibold">{effort.etcHours !== null ? formatHours(effort.etcHours) : '–'}</dd>
+          </div>
+        </dl>
+        {effort.overrunHours > 0 && (
+          <p className="text-sm text-red-600 mb-4">{formatHours(effort.overrunHours)} over the estimate.</p>
+        )}
+
+        {!readOnly && (
+          <div className="mb-4">
+            <label htmlFor="effort-estimate" className="block text-sm font-medium text-gray-700 mb-1">Estimated hours</label>
+            <div className="flex gap-2">
+              <input
+                id="effort-estimate"
+                type="number"
+                min={0}
+                step={0.5}
+                value={estimate}
+                onChange={(e) => setEstimate(e.target.value)}
+                placeholder="No estimate"
+                className="w-32 px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+              <button onClick={handleSaveEstimate} className="px-3 py-1 bg-gray-100 text-gray-800 rounded text-sm hover:bg-gray-200">
+                Save Estimate
+              </button>
+            </div>
+            {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+          </div>
+        )}
+
+        <h3 className="font-semibold text-gray-800 mb-2">Log time</h3>
+        <div className="mb-2">
+          <TimerButton timer={timer} activity={activity} onStart={() => onStartTimer(activity)} onStop={onStopTimer} />
+          {timer && timer.activityId !== activity.id && (
+            <span className="ml-2 text-xs text-gray-500">The timer is running for {timer.activityName}</span>
+          )}
+        </div>
+        <div className="mb-4">
+          <TimeEntryForm activityId={activity.id} onSubmit={onAddEntry} />
+        </div>
+
+        <h3 className="font-semibold text-gray-800 mb-1">Time entries</h3>
+        {activityEntries.length === 0 ? (
+          <p className="text-sm text-gray-500">No time logged yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+            {[...activityEntries].sort((a, b) => b.date.localeCompare(a.date)).map(entry => (
+              <li key={entry.id} className="flex items-center justify-between p-2 text-sm">
+                <span>
+                  <span className="font-medium">{formatHours(entry.minutes / 60)}</span>
+                  <span className="text-gray-500"> on {entry.date}{entry.source === ENTRY_SOURCES.TIMER ? ' (timer)' : ''}</span>
+                  {entry.note && <span className="block text-xs text-gray-600">{entry.note}</span>}
+                </span>
+                <button
+                  onClick={() => onRemoveEntry(entry.id)}
+                  className="text-xs text-red-600 hover:text-red-800"
+                  aria-label={`Remove ${formatHours(entry.minutes / 60)} on ${entry.date}`}
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EffortPanel;
@@ -1,7 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import exportService from '../services/exportService';
+import fileStorageService from '../services/FileStorageService';
+import { useNotes } from '../contexts/NotesContext';
+import { PDF_PAGE_SIZES, DEFAULT_PDF_PAGE_SIZE, DEFAULT_PDF_ZOOM_LEVEL } from '../utils/pdfLayout';
+import { ZOOM_LEVELS } from '../utils/timelineZoom';
+import { IMPORT_MODES, PLAN_EXPORT_VERSION } from '../utils/planImport';
 
-const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
+const ExportPanel = ({ isOpen, onClose, ganttData = [], onImport, isActivityLocked, canApprove = false }) => {
+  const { notes } = useNotes();
   const [activeTab, setActiveTab] = useState('formats');
   const [exportOptions, setExportOptions] = useState({
     includeCompleted: true,
@@ -11,6 +17,8 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
     includeFiles: false,
     includeNotes: false,
     customTitle: '',
+    pageSize: DEFAULT_PDF_PAGE_SIZE,
+    zoomLevel: DEFAULT_PDF_ZOOM_LEVEL,
     watermark: {
       enabled: false,
       text: '',
@@ -22,19 +30,24 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
   const [isExporting, setIsExporting] = useState(false);
   const [exportResults, setExportResults] = useState([]);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
 
-  // Available tasks for filtering
+  // Available tasks for filtering, from the active project
   const [availableTasks, setAvailableTasks] = useState([]);
+  const [project, setProject] = useState(null);
 
   useEffect(() => {
     if (isOpen) {
       const data = exportService.getGanttData();
       setAvailableTasks(data);
+      setProject(exportService.getActiveProject());
       
       // Reset state when opening
       setExportResults([]);
       setExportProgress({});
       setIsExporting(false);
+      setImportReport(null);
     }
   }, [isOpen]);
 
@@ -114,8 +127,11 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
         case 'json':
           result = await exportService.exportToJSON(options);
           break;
+        case 'csv':
+          result = await exportService.exportToCSV(options);
+          break;
         case 'zip':
-          result = await exportService.exportToZIP(options);
+          result = await exportService.exportToZIP(options, { notes, fileStorage: fileStorageService });
           break;
         default:
           throw new Error(`Unknown export type: ${exportType}`);
@@ -150,25 +166,72 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
     }
   };
 
+  // Check an edited workbook; the plan only changes once the report is applied
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    try {
+      setImportReport(await exportService.importFromExcel(file, { isLocked: isActivityLocked }));
+    } catch (error) {
+      console.error('Excel import failed:', error);
+      setImportReport({ fileName: file.name, tasks: null, errors: [{ row: null, message: error.message }], warnings: [], summary: null });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Check a JSON export against the current plan; it is merged or replaces the plan once applied
+  const handleImportPlanFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    try {
+      setImportReport(await exportService.importFromJSON(file, { tasks: ganttData, isLocked: isActivityLocked, canApprove }));
+    } catch (error) {
+      console.error('JSON import failed:', error);
+      setImportReport({ fileName: file.name, plans: null, errors: [{ row: null, message: error.message }], warnings: [], preview: null });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const applyImport = (mode) => {
+    const plan = importReport?.plans ? importReport.plans[mode] : importReport && { tasks: importReport.tasks };
+    if (!plan?.tasks || !onImport) return;
+    onImport(plan, importReport.fileName);
+    setAvailableTasks(plan.tasks);
+    setImportReport(null);
+    onClose();
+  };
+
+  const isImportApplicable = Boolean(importReport && (importReport.tasks || importReport.plans));
+
+  const formatIssue = (issue) => (issue.row ? `Row ${issue.row}: ${issue.message}` : issue.message);
+
   const exportFormats = [
     {
       id: 'pdf',
       name: 'PDF',
-      description: 'Portable document with timeline table',
+      description: 'Printable timeline on A4 or A3 landscape sheets',
       icon: '📄',
       color: 'bg-red-500'
     },
     {
       id: 'excel',
       name: 'Excel',
-      description: 'Spreadsheet with timeline and summary',
+      description: 'Workbook with the Gantt grid, activities, gateways and completed days',
       icon: '📊',
       color: 'bg-green-500'
     },
     {
       id: 'powerpoint',
       name: 'PowerPoint',
-      description: 'Presentation slides with overview',
+      description: 'Progress deck: overview, a slide per task, gateways and this fortnight',
       icon: '📽️',
       color: 'bg-orange-500'
     },
@@ -179,10 +242,17 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
       icon: '📋',
       color: 'bg-blue-500'
     },
+    {
+      id: 'csv',
+      name: 'CSV',
+      description: 'Activity table with float and baseline variance',
+      icon: '🧾',
+      color: 'bg-teal-500'
+    },
     {
       id: 'zip',
       name: 'ZIP Archive',
-      description: 'Complete export package',
+      description: 'Plan, notes, PDF annotations and attached files with a checksum manifest',
       icon: '📦',
       color: 'bg-purple-500'
     }
@@ -195,7 +265,10 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
       <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-hidden">
         {/* Header */}
         <div className="bg-gray-50 px-6 py-4 border-b border-gray-200 flex items-center justify-between">
-          <h2 className="text-xl font-bold text-gray-900">Export GANTT Chart</h2>
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Export GANTT Chart</h2>
+            {project && <p className="text-sm text-gray-600">Project: {project.name}</p>}
+          </div>
           <button
             onClick={onClose}
             className="text-gray-400 hover:text-gray-600 transition-colors"
@@ -239,6 +312,18 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
           >
             Results ({exportResults.length})
           </button>
+          {onImport && (
+            <button
+              onClick={() => setActiveTab('import')}
+              className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === 'import'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              Import
+            </button>
+          )}
         </div>
 
         {/* Content */}
@@ -368,6 +453,40 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
                 />
               </div>
 
+              {/* PDF Layout */}
+              <div className="bg-gray-50 rounded-lg p-4">
+                <h3 className="font-semibold text-gray-900 mb-3">PDF Layout</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <label className="block">
+                    <span className="block text-sm text-gray-700 mb-1">Page size</span>
+                    <select
+                      value={exportOptions.pageSize}
+                      onChange={(e) => handleExportOptionChange('pageSize', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {Object.entries(PDF_PAGE_SIZES).map(([value, size]) => (
+                        <option key={value} value={value}>{size.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <span className="block text-sm text-gray-700 mb-1">Timeline columns</span>
+                    <select
+                      value={exportOptions.zoomLevel}
+                      onChange={(e) => handleExportOptionChange('zoomLevel', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {Object.entries(ZOOM_LEVELS).map(([value, level]) => (
+                        <option key={value} value={value}>{level.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Charts that do not fit on one sheet continue on further sheets, with activity names repeated on each.
+                </p>
+              </div>
+
               {/* Advanced Options */}
               <div className="bg-gray-50 rounded-lg p-4">
                 <button
@@ -446,6 +565,9 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
                         />
                         <span className="text-sm">Include Notes</span>
                       </label>
+                      <p className="col-span-2 text-xs text-gray-500">
+                        Files and notes (with PDF annotations) are added to the ZIP archive
+                      </p>
                     </div>
                   </div>
                 )}
@@ -497,6 +619,11 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
                               Error: {result.error}
                             </p>
                           )}
+                          {result.success && result.missing && result.missing.length > 0 && (
+                            <p className="text-xs text-amber-600">
+                              {result.missing.length} attached file{result.missing.length === 1 ? '' : 's'} could not be fetched (see manifest.json)
+                            </p>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -505,6 +632,135 @@ const ExportPanel = ({ isOpen, onClose, ganttData = [] }) => {
               )}
             </div>
           )}
+
+          {/* Import Tab */}
+          {activeTab === 'import' && onImport && (
+            <div className="space-y-4">
+              <p className="text-gray-600">
+                Import a workbook exported from this chart after editing its Activities sheet. Rename tasks and
+                activities, change owners, dates, gateways and estimates, add rows with an empty Activity ID or
+                delete rows to remove activities. The Progress and Files columns are not imported.
+              </p>
+              <p className="text-gray-600">
+                Or restore a JSON export (also found as plan/plan.json in a ZIP archive) with its completed days.
+                Files from older versions are migrated; merging replaces the tasks in the file and keeps the others.
+              </p>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Excel workbook</span>
+                <input
+                  type="file"
+                  accept=".xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                  onChange={handleImportFile}
+                  disabled={isImporting}
+                  className="block w-full text-sm text-gray-700"
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Plan JSON file</span>
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleImportPlanFile}
+                  disabled={isImporting}
+                  className="block w-full text-sm text-gray-700"
+                />
+              </label>
+              {isImporting && <p className="text-sm text-gray-500" role="status">Checking file...</p>}
+
+              {importReport && (
+                <div
+                  className={`border rounded-lg p-4 ${isImportApplicable ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}
+                  role="region"
+                  aria-label="Import validation report"
+                >
+                  <p className="font-medium text-gray-900">{importReport.fileName}</p>
+                  {importReport.summary && (
+                    <p className="text-sm text-gray-700 mt-1">
+                      {importReport.summary.activities} activities in {importReport.summary.tasks} tasks:{' '}
+                      {importReport.summary.added} added, {importReport.summary.updated} changed, {importReport.summary.removed} removed
+                    </p>
+                  )}
+                  {importReport.migratedFrom && importReport.migratedFrom.length > 0 && (
+                    <p className="text-sm text-gray-700 mt-1">
+                      Exported with schema {importReport.version}, migrated to {PLAN_EXPORT_VERSION}
+                    </p>
+                  )}
+                  {importReport.preview && (
+                    <div className="text-sm text-gray-700 mt-1">
+                      <p>
+                        {importReport.preview.added.length} tasks added, {importReport.preview.changed.length} changed,{' '}
+                        {importReport.preview.unchanged} unchanged, {importReport.preview.removed.length} only in this plan
+                        (kept by merging, removed by replacing)
+                      </p>
+                      <ul className="list-disc list-inside max-h-40 overflow-y-auto">
+                        {importReport.preview.added.map(task => <li key={`added-${task.id}`}>Added: {task.name}</li>)}
+                        {importReport.preview.changed.map(task => <li key={`changed-${task.id}`}>Changed: {task.name}</li>)}
+                        {importReport.preview.removed.map(task => <li key={`removed-${task.id}`}>Not in file: {task.name}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                  {importReport.errors.length > 0 && (
+                    <div className="mt-3">
+                      <p className="text-sm font-medium text-red-700">
+                        {importReport.errors.length} error{importReport.errors.length === 1 ? '' : 's'} – fix the file and import it again
+                      </p>
+                      <ul className="list-disc list-inside text-sm text-red-700 max-h-40 overflow-y-auto">
+                        {importReport.errors.map((error, index) => <li key={index}>{formatIssue(error)}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                  {importReport.warnings.length > 0 && (
+                    <div className="mt-3">
+                      <p className="text-sm font-medium text-yellow-800">
+                        {importReport.warnings.length} warning{importReport.warnings.length === 1 ? '' : 's'}
+                      </p>
+                      <ul className="list-disc list-inside text-sm text-yellow-800 max-h-40 overflow-y-auto">
+                        {importReport.warnings.map((warning, index) => <li key={index}>{formatIssue(warning)}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                  {importReport.plans && Object.values(IMPORT_MODES).map(mode => importReport.plans[mode].errors.length > 0 && (
+                    <div key={mode} className="mt-3">
+                      <p className="text-sm font-medium text-red-700">
+                        {mode === IMPORT_MODES.MERGE ? 'Merging' : 'Replacing'} is not possible
+                      </p>
+                      <ul className="list-disc list-inside text-sm text-red-700 max-h-40 overflow-y-auto">
+                        {importReport.plans[mode].errors.map((error, index) => <li key={index}>{formatIssue(error)}</li>)}
+                      </ul>
+                    </div>
+                  ))}
+                  {importReport.tasks && (
+                    <button
+                      onClick={() => applyImport()}
+                      className="mt-4 py-2 px-4 rounded-md text-sm font-medium bg-blue-500 text-white hover:bg-blue-600 transition-colors"
+                    >
+                      Replace plan with workbook
+                    </button>
+                  )}
+                  {importReport.plans && (
+                    <div className="mt-4 flex space-x-3">
+                      {importReport.plans[IMPORT_MODES.MERGE].tasks && (
+                        <button
+                          onClick={() => applyImport(IMPORT_MODES.MERGE)}
+                          className="py-2 px-4 rounded-md text-sm font-medium bg-blue-500 text-white hover:bg-blue-600 transition-colors"
+                        >
+                          Merge into plan
+                        </button>
+                      )}
+                      {importReport.plans[IMPORT_MODES.REPLACE].tasks && (
+                        <button
+                          onClick={() => applyImport(IMPORT_MODES.REPLACE)}
+                          className="py-2 px-4 rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 transition-colors"
+                        >
+                          Replace plan with file
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Footer */}
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { ROLE_DISPLAY_NAMES } from '../constants/roles';
+import DeliverablesChecklist from './DeliverablesChecklist';
+import {
+  APPROVAL_ACTIONS,
+  APPROVAL_STATUS,
+  APPROVAL_STATUS_LABELS,
+  getApprovalStatus,
+  getApprovalHistory,
+  getAvailableActions,
+  isApprovalLocked
+} from '../utils/gatewayApproval';
+
+export const APPROVAL_STATUS_STYLES = {
+  [APPROVAL_STATUS.DRAFT]: 'bg-gray-100 text-gray-700',
+  [APPROVAL_STATUS.SUBMITTED]: 'bg-blue-100 text-blue-800',
+  [APPROVAL_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [APPROVAL_STATUS.CHANGES_REQUESTED]: 'bg-orange-100 text-orange-800'
+};
+
+const fileKey = (file) => `${file.name}|${file.uploadDate || ''}`;
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Approval workflow for one gateway: its deliverables checklist, the files
+ * attached as evidence, the steps the current user may take and the record
+ * of every step taken so far.
+ */
+const GatewayApprovalPanel = ({
+  isOpen,
+  gateway,
+  permissions,
+  notes,
+  onAction,
+  onChecklistChange,
+  onUploadFile,
+  onClose
+}) => {
+  const [note, setNote] = useState('');
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNote('');
+      setSelectedFiles([]);
+      setError('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen || !gateway) return null;
+
+  const status = getApprovalStatus(gateway);
+  const history = getApprovalHistory(gateway);
+  const actions = getAvailableActions(gateway, permissions);
+  const files = gateway.files || [];
+  const canAttach = actions.includes('submit');
+
+  const toggleFile = (file) => {
+    const key = fileKey(file);
+    setSelectedFiles(previous => (previous.includes(key) ? previous.filter(k => k !== key) : [...previous, key]));
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsBusy(true);
+    setError('');
+    try {
+      const stored = await onUploadFile(file);
+      setSelectedFiles(previous => [...previous, fileKey(stored)]);
+    } catch (uploadError) {
+      console.error('Deliverable upload error:', uploadError);
+      setError(uploadError.message || 'Upload failed. Please try again.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAction = (actionKey) => {
+    try {
+      onAction(actionKey, {
+        note,
+        files: actionKey === 'submit' ? files.filter(file => selectedFiles.includes(fileKey(file))) : []
+      });
+      setNote('');
+      setSelectedFiles([]);
+      setError('');
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="gateway-approval-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 id="gateway-approval-title" className="text-xl font-bold text-amber-600">
+              {gateway.gatewayInfo?.name || gateway.name}
+            </h2>
+            <p className="text-sm text-gray-600">Gateway {gateway.id}: {gateway.name}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close approval"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <p className="mb-4">
+          <span className={`px-2 py-1 rounded text-sm font-medium ${APPROVAL_STATUS_STYLES[status]}`}>
+            {APPROVAL_STATUS_LABELS[status]}
+          </span>
+          {status === APPROVAL_STATUS.APPROVED && !permissions.canApprove && (
+            <span className="ml-2 text-xs text-gray-500">Locked: only a supervisor can change this gateway</span>
+          )}
+        </p>
+
+        <DeliverablesChecklist
+          gateway={gateway}
+          readOnly={!permissions.canSubmit || isApprovalLocked(gateway, permissions.canApprove)}
+          notes={notes}
+          onChange={onChecklistChange}
+          onUploadFile={onUploadFile}
+        />
+
+        {canAttach && (
+          <div className="mb-4">
+            <h3 className="font-semibold text-gray-800 mb-1">Attach deliverable files</h3>
+            {files.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-2">No files on this gateway yet.</p>
+            ) : (
+              <ul className="mb-2">
+                {files.map(file => (
+                  <li key={fileKey(file)}>
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selectedFiles.includes(fileKey(file))}
+                        onChange={() => toggleFile(file)}
+                        className="mr-2"
+                      />
+                      {file.name}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {onUploadFile && (
+              <label className="inline-block px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 cursor-pointer">
+                {isBusy ? 'Uploading...' : 'Upload a file'}
+                <input type="file" className="hidden" onChange={handleUpload} disabled={isBusy} />
+              </label>
+            )}
+          </div>
+        )}
+
+        {actions.length > 0 && (
+          <div className="mb-4">
+            <label htmlFor="gateway-approval-note" className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+            <textarea
+              id="gateway-approval-note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={2}
+              maxLength={1000}
+              placeholder={permissions.canApprove ? 'Feedback for the candidate' : 'Message for your supervisor'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+            <div className="flex flex-wrap gap-2 mt-2">
+              {actions.map(actionKey => (
+                <button
+                  key={actionKey}
+                  onClick={() => handleAction(actionKey)}
+                  disabled={isBusy}
+                  className={`px-4 py-2 rounded text-white disabled:opacity-50 ${
+                    actionKey === 'approve' ? 'bg-green-600 hover:bg-green-700'
+                      : actionKey === 'requestChanges' || actionKey === 'reopen' ? 'bg-orange-600 hover:bg-orange-700'
+                        : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {APPROVAL_ACTIONS[actionKey].label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <h3 className="font-semibold text-gray-800 mb-1">History</h3>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">Not submitted yet.</p>
+        ) : (
+          <ol className="divide-y divide-gray-200 border border-gray-200 rounded">
+            {[...history].reverse().map((entry, index) => (
+              <li key={index} className="p-2 text-sm">
+                <div>
+                  <span className="font-medium">{APPROVAL_ACTIONS[entry.action]?.label || entry.action}</span>
+                  {' by '}{entry.byName}
+                  {entry.byRole && <span className="text-gray-500"> ({ROLE_DISPLAY_NAMES[entry.byRole] || entry.byRole})</span>}
+                </div>
+                <div className="text-xs text-gray-500">{formatTime(entry.at)}</div>
+                {entry.note && <p className="text-gray-700 whitespace-pre-wrap">{entry.note}</p>}
+                {entry.files.length > 0 && (
+                  <ul className="text-xs mt-1">
+                    {entry.files.map((file, fileIndex) => (
+                      <li key={fileIndex}>
+                        📎 {file.downloadURL
+                          ? <a href={file.downloadURL} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{file.name}</a>
+                          : file.name}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GatewayApprovalPanel;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { MAX_HISTORY_ENTRIES } from '../utils/editHistory';
+
+/**
+ * Lists the edit history newest first. The highlighted entry is what is on
+ * screen; entries above it were undone and can be redone. Clicking any
+ * entry restores the plan as it was after that change.
+ */
+const HistoryPanel = ({ isOpen, history, canUndo, canRedo, onUndo, onRedo, onJump, onClear, onClose }) => {
+  if (!isOpen) return null;
+
+  const entries = history ? history.entries.map((entry, index) => ({ ...entry, index })).reverse() : [];
+
+  const handleClear = () => {
+    if (!window.confirm('Clear the edit history? The current plan is kept, but earlier versions can no longer be restored.')) return;
+    onClear();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="history-panel-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="history-panel-title" className="text-xl font-bold text-blue-800">Edit History</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close history"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button
+            onClick={onUndo}
+            disabled={!canUndo}
+            className="px-3 py-1 text-sm bg-blue-100 text-blue-800 rounded hover:bg-blue-200 disabled:opacity-50"
+            title="Undo (Ctrl+Z)"
+          >
+            Undo
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!canRedo}
+            className="px-3 py-1 text-sm bg-blue-100 text-blue-800 rounded hover:bg-blue-200 disabled:opacity-50"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            Redo
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={entries.length === 0}
+            className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50 ml-auto"
+          >
+            Clear History
+          </button>
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No changes yet. Edits you make to the chart appear here.</p>
+        ) : (
+          <ol className="divide-y divide-gray-200 border border-gray-200 rounded">
+            {entries.map(entry => {
+              const isCurrent = entry.index === history.index;
+              const isUndone = entry.index > history.index;
+              return (
+                <li key={entry.id}>
+                  <button
+                    onClick={() => onJump(entry.id)}
+                    disabled={isCurrent}
+                    className={`w-full text-left p-2 text-sm flex justify-between items-center gap-2 ${
+                      isCurrent ? 'bg-blue-50 font-medium text-blue-800' : 'hover:bg-gray-50'
+                    } ${isUndone ? 'text-gray-400' : ''}`}
+                    aria-current={isCurrent ? 'step' : undefined}
+                  >
+                    <span className={isUndone ? 'line-through' : ''}>{entry.label}</span>
+                    <span className="text-xs text-gray-500 flex-shrink-0">
+                      {isCurrent ? 'Current' : new Date(entry.timestamp).toLocaleTimeString()}
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+
+        <p className="text-xs text-gray-500 mt-3">
+          Up to {MAX_HISTORY_ENTRIES} changes are kept in this browser and survive a reload.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
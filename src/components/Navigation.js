@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { NavLink } from 'react-router-dom';
 import UserProfile from './UserProfile';
+import ProjectSwitcher from './ProjectSwitcher';
 
 const Navigation = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -112,8 +113,10 @@ const Navigation = () => {
             ))}
           </div>
 
-          {/* Right side - Mobile Menu Button only */}
+          {/* Right side - Project switcher and mobile menu button */}
           <div className="flex items-center space-x-2">
+            <ProjectSwitcher />
+
             {/* Mobile menu button */}
             <button
               onClick={toggleMobileMenu}
@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import { validateProjectSettings, formatProjectPeriod } from '../utils/projectTimeline';
+import {
+  NON_WORKING_TYPES,
+  NON_WORKING_TYPE_LABELS,
+  validateWorkingCalendar,
+  addNonWorkingPeriod,
+  removeNonWorkingPeriod
+} from '../utils/workingCalendar';
+
+const WEEK_START_OPTIONS = [
+  { value: 0, label: 'Sunday' },
+  { value: 1, label: 'Monday' },
+  { value: 2, label: 'Tuesday' },
+  { value: 3, label: 'Wednesday' },
+  { value: 4, label: 'Thursday' },
+  { value: 5, label: 'Friday' },
+  { value: 6, label: 'Saturday' }
+];
+
+const LOCALE_OPTIONS = [
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'fr-FR', label: 'Français' },
+  { value: 'es-ES', label: 'Español' },
+  { value: 'it-IT', label: 'Italiano' },
+  { value: 'ru-RU', label: 'Русский' }
+];
+
+const EMPTY_PERIOD = { name: '', type: NON_WORKING_TYPES.HOLIDAY, startDate: '', endDate: '' };
+
+const ProjectSettingsModal = ({ isOpen, settings, onSave, onClose }) => {
+  const [formData, setFormData] = useState(settings);
+  const [errors, setErrors] = useState([]);
+  const [newPeriod, setNewPeriod] = useState(EMPTY_PERIOD);
+  const [periodError, setPeriodError] = useState('');
+
+  // Reset the form each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(settings);
+      setErrors([]);
+      setNewPeriod(EMPTY_PERIOD);
+      setPeriodError('');
+    }
+  }, [isOpen, settings]);
+
+  if (!isOpen) return null;
+
+  const handleChange = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+    setErrors([]);
+  };
+
+  const toggleWeekendDay = (day) => {
+    const weekendDays = formData.weekendDays || [];
+    handleChange('weekendDays', weekendDays.includes(day)
+      ? weekendDays.filter(d => d !== day)
+      : [...weekendDays, day].sort());
+  };
+
+  const handleAddPeriod = () => {
+    try {
+      setFormData(prev => addNonWorkingPeriod(prev, newPeriod));
+      setNewPeriod(EMPTY_PERIOD);
+      setPeriodError('');
+    } catch (error) {
+      setPeriodError(error.message);
+    }
+  };
+
+  const handleSave = () => {
+    const validation = validateProjectSettings(formData);
+    const calendarError = validateWorkingCalendar(formData);
+    if (!validation.isValid || calendarError) {
+      setErrors([...validation.errors, calendarError].filter(Boolean));
+      return;
+    }
+    onSave(formData);
+  };
+
+  const preview = validateProjectSettings(formData).isValid
+    ? formatProjectPeriod(formData)
+    : null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="project-settings-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="project-settings-title" className="text-xl font-bold text-blue-800">Project Settings</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close project settings"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="project-start-date" className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+              <input
+                id="project-start-date"
+                type="date"
+                value={formData.startDate}
+                onChange={(e) => handleChange('startDate', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="project-end-date" className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+              <input
+                id="project-end-date"
+                type="date"
+                value={formData.endDate}
+                onChange={(e) => handleChange('endDate', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="project-week-start" className="block text-sm font-medium text-gray-700 mb-2">Week Starts On</label>
+            <select
+              id="project-week-start"
+              value={formData.weekStartsOn}
+              onChange={(e) => handleChange('weekStartsOn', parseInt(e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {WEEK_START_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="project-locale" className="block text-sm font-medium text-gray-700 mb-2">Locale</label>
+            <select
+              id="project-locale"
+              value={formData.locale}
+              onChange={(e) => handleChange('locale', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {LOCALE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-2">Weekends</legend>
+            <div className="flex flex-wrap gap-3">
+              {WEEK_START_OPTIONS.map(option => (
+                <label key={option.value} className="flex items-center gap-1 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={(formData.weekendDays || []).includes(option.value)}
+                    onChange={() => toggleWeekendDay(option.value)}
+                  />
+                  {option.label.slice(0, 3)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-2">Holidays, leave and conferences</legend>
+            {(formData.nonWorkingPeriods || []).length === 0 ? (
+              <p className="text-sm text-gray-500 mb-2">No non-working periods.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded mb-2">
+                {formData.nonWorkingPeriods.map(period => (
+                  <li key={period.id} className="flex items-center justify-between p-2 text-sm">
+                    <span>
+                      <span className="font-medium">{period.name}</span>
+                      <span className="text-gray-500">
+                        {' '}({NON_WORKING_TYPE_LABELS[period.type]}) {period.startDate}
+                        {period.endDate !== period.startDate && ` – ${period.endDate}`}
+                      </span>
+                    </span>
+                    <button
+                      onClick={() => setFormData(prev => removeNonWorkingPeriod(prev, period.id))}
+                      className="text-xs text-red-600 hover:text-red-800"
+                      aria-label={`Remove ${period.name}`}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={newPeriod.name}
+                onChange={(e) => setNewPeriod(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Christmas, Annual leave"
+                aria-label="Period name"
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+              <select
+                value={newPeriod.type}
+                onChange={(e) => setNewPeriod(prev => ({ ...prev, type: e.target.value }))}
+                aria-label="Period type"
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+              >
+                {Object.entries(NON_WORKING_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={newPeriod.startDate}
+                onChange={(e) => setNewPeriod(prev => ({
+                  ...prev,
+                  startDate: e.target.value,
+                  endDate: prev.endDate || e.target.value
+                }))}
+                aria-label="Period start date"
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+              <input
+                type="date"
+                value={newPeriod.endDate}
+                onChange={(e) => setNewPeriod(prev => ({ ...prev, endDate: e.target.value }))}
+                aria-label="Period end date"
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+            </div>
+            <button
+              onClick={handleAddPeriod}
+              className="mt-2 px-3 py-1 bg-gray-100 text-gray-800 rounded text-sm hover:bg-gray-200"
+            >
+              Add Period
+            </button>
+            {periodError && <p className="text-sm text-red-600 mt-1">{periodError}</p>}
+          </fieldset>
+
+          {preview && (
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded text-sm text-blue-700">
+              Timeline: {preview}
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded" role="alert">
+              <ul className="list-disc pl-5 space-y-1">
+                {errors.map((error, index) => (
+                  <li key={index} className="text-sm text-red-700">{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Existing activities and completed days keep their calendar dates when the timeline changes.
+            Non-working days are shaded on the chart and skipped by progress and scheduling.
+          </p>
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 bg-gray-200 rounded hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Save Settings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectSettingsModal;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { useProjects } from '../contexts/ProjectContext';
+
+/**
+ * Navigation button showing the active project, and the dialog for
+ * switching, creating, duplicating, renaming and deleting projects.
+ * Each project has its own plan, progress, daily tasks, notes and files.
+ */
+const ProjectSwitcher = () => {
+  const {
+    projects,
+    activeProjectId,
+    activeProject,
+    createProject,
+    duplicateProject,
+    joinSharedPlan,
+    renameProject,
+    deleteProject,
+    switchProject
+  } = useProjects();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [sessionCode, setSessionCode] = useState('');
+  const [renaming, setRenaming] = useState(null); // { projectId, name }
+  const [error, setError] = useState('');
+  const [joining, setJoining] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNewName('');
+      setSessionCode('');
+      setRenaming(null);
+      setError('');
+    }
+  }, [isOpen]);
+
+  // Context actions throw with a message that is shown as-is
+  const run = (action) => {
+    try {
+      action();
+      setError('');
+      return true;
+    } catch (actionError) {
+      setError(actionError.message);
+      return false;
+    }
+  };
+
+  const handleCreate = () => {
+    if (run(() => createProject(newName))) setIsOpen(false);
+  };
+
+  // Joining reads the shared plan first, so it finishes later
+  const handleJoin = async () => {
+    setJoining(true);
+    try {
+      await joinSharedPlan(sessionCode);
+      setError('');
+      setIsOpen(false);
+    } catch (joinError) {
+      setError(joinError.message);
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const handleSwitch = (projectId) => {
+    switchProject(projectId);
+    setIsOpen(false);
+  };
+
+  const handleDuplicate = (projectId) => {
+    if (run(() => duplicateProject(projectId))) setIsOpen(false);
+  };
+
+  const handleRename = () => {
+    if (run(() => renameProject(renaming.projectId, renaming.name))) setRenaming(null);
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete project "${project.name}"? Its plan, progress and daily tasks are removed from this browser, and its notes are deleted. This cannot be undone.`)) return;
+    try {
+      await deleteProject(project.id);
+      setError('');
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className="inline-flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors max-w-[10rem] sm:max-w-[14rem] min-h-[44px] touch-manipulation"
+        title="Switch or manage projects"
+        aria-haspopup="dialog"
+      >
+        <span role="img" aria-hidden="true">🗂️</span>
+        <span className="truncate">{activeProject ? activeProject.name : 'Projects'}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="project-switcher-title"
+        >
+          <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h2 id="project-switcher-title" className="text-xl font-bold text-blue-800">Projects</h2>
+              <button
+                onClick={() => setIsOpen(false)}
+                className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+                aria-label="Close projects"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+                </svg>
+              </button>
+            </div>
+
+            {/* Existing projects */}
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded mb-6">
+              {projects.map(project => {
+                const isActive = project.id === activeProjectId;
+                const isRenaming = renaming && renaming.projectId === project.id;
+                return (
+                  <li key={project.id} className={`flex flex-wrap items-center gap-2 p-2 text-sm ${isActive ? 'bg-blue-50' : ''}`}>
+                    {isRenaming ? (
+                      <input
+                        type="text"
+                        value={renaming.name}
+                        onChange={(e) => { setRenaming({ ...renaming, name: e.target.value }); setError(''); }}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleRename();
+                          if (e.key === 'Escape') setRenaming(null);
+                        }}
+                        maxLength={60}
+                        aria-label={`New name for ${project.name}`}
+                        className="flex-1 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        autoFocus
+                      />
+                    ) : (
+                      <button
+                        onClick={() => handleSwitch(project.id)}
+                        disabled={isActive}
+                        className={`flex-1 text-left truncate ${isActive ? 'font-medium text-blue-800' : 'hover:text-blue-700'}`}
+                        aria-current={isActive ? 'true' : undefined}
+                        title={isActive ? 'Current project' : `Switch to ${project.name}`}
+                      >
+                        {project.name}
+                        {isActive && <span className="text-xs text-blue-600 ml-2">Current</span>}
+                      </button>
+                    )}
+                    <div className="flex gap-2 text-xs">
+                      {isRenaming ? (
+                        <>
+                          <button onClick={handleRename} className="text-blue-600 hover:text-blue-800">Save</button>
+                          <button onClick={() => setRenaming(null)} className="text-gray-600 hover:text-gray-800">Cancel</button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => { setRenaming({ projectId: project.id, name: project.name }); setError(''); }}
+                            className="text-gray-600 hover:text-gray-800"
+                          >
+                            Rename
+                          </button>
+                          <button
+                            onClick={() => handleDuplicate(project.id)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Duplicate
+                          </button>
+                          <button
+                            onClick={() => handleDelete(project)}
+                            disabled={projects.length <= 1}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            {/* New project */}
+            <div>
+              <label htmlFor="new-project-name" className="block text-sm font-medium text-gray-700 mb-2">New project</label>
+              <div className="flex gap-2">
+                <input
+                  id="new-project-name"
+                  type="text"
+                  value={newName}
+                  onChange={(e) => { setNewName(e.target.value); setError(''); }}
+                  onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+                  placeholder="e.g. Journal paper"
+                  maxLength={60}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={handleCreate}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                >
+                  Create
+                </button>
+              </div>
+            </div>
+
+            {/* Join someone else's collaborative session */}
+            <div className="mt-4">
+              <label htmlFor="join-session-code" className="block text-sm font-medium text-gray-700 mb-2">Join a shared plan</label>
+              <div className="flex gap-2">
+                <input
+                  id="join-session-code"
+                  type="text"
+                  value={sessionCode}
+                  onChange={(e) => { setSessionCode(e.target.value); setError(''); }}
+                  onKeyDown={(e) => e.key === 'Enter' && !joining && handleJoin()}
+                  placeholder="Session code"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={handleJoin}
+                  disabled={joining}
+                  className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50"
+                >
+                  {joining ? 'Joining…' : 'Join'}
+                </button>
+              </div>
+            </div>
+            {error && <p className="text-sm text-red-600 mt-2" role="alert">{error}</p>}
+
+            <p className="text-xs text-gray-500 mt-4">
+              Each project keeps its own plan, progress, baselines, edit history, daily tasks and notes.
+              New projects start empty and run for three months from today; choose a plan template on the Gantt Chart
+              or change the period in Project Settings. A shared plan opens in a new project that stays in sync with
+              everyone in the session.
+            </p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ProjectSwitcher;
@@ -0,0 +1,108 @@
+import React from 'react';
+
+const formatRange = ({ startDate, endDate }) => `${startDate} – ${endDate}`;
+
+/**
+ * Shows what auto-scheduling is about to move before anything is saved.
+ * `preview.edit` is the change the user made (absent when the whole plan is
+ * being rescheduled), `preview.changes` the cascaded moves and
+ * `preview.conflicts` the pinned or approved activities that no longer fit
+ * their links.
+ */
+const ReschedulePreviewModal = ({ preview, onApply, onApplyEditOnly, onCancel }) => {
+  if (!preview) return null;
+
+  const { edit, changes, conflicts } = preview;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="reschedule-preview-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <h2 id="reschedule-preview-title" className="text-xl font-bold text-blue-800 mb-4">Review Schedule Changes</h2>
+
+        <div className="space-y-4">
+          {edit && (
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded text-sm text-blue-800">
+              <span className="font-medium">{edit.name}</span>: {formatRange(edit.from)} → {formatRange(edit.to)}
+            </div>
+          )}
+
+          {changes.length > 0 ? (
+            <div>
+              <p className="text-sm text-gray-700 mb-2">
+                {changes.length} dependent {changes.length === 1 ? 'activity moves' : 'activities move'} to keep their links:
+              </p>
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-gray-100 text-left">
+                    <th className="border border-gray-200 p-2">Activity</th>
+                    <th className="border border-gray-200 p-2">Current</th>
+                    <th className="border border-gray-200 p-2">New</th>
+                    <th className="border border-gray-200 p-2 text-right">Shift</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changes.map(change => (
+                    <tr key={change.activityId}>
+                      <td className="border border-gray-200 p-2">
+                        <div className="font-medium">{change.name}</div>
+                        <div className="text-xs text-gray-500">{change.taskName}</div>
+                      </td>
+                      <td className="border border-gray-200 p-2 text-gray-500 line-through">{formatRange(change.from)}</td>
+                      <td className="border border-gray-200 p-2 text-green-700">{formatRange(change.to)}</td>
+                      <td className="border border-gray-200 p-2 text-right">+{change.days}d</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-700">No other activities need to move.</p>
+          )}
+
+          {conflicts.length > 0 && (
+            <div className="p-3 bg-orange-50 border border-orange-200 rounded">
+              <h4 className="font-semibold text-orange-800 mb-2">📌 Pinned and approved activities left in place</h4>
+              <ul className="list-disc pl-5 space-y-1">
+                {conflicts.map((conflict, index) => (
+                  <li key={index} className="text-sm text-orange-700">
+                    {conflict.name} no longer satisfies its link from {conflict.predecessorName}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-600 bg-gray-200 rounded hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          {edit && changes.length > 0 && (
+            <button
+              onClick={onApplyEditOnly}
+              className="px-4 py-2 text-blue-700 bg-blue-100 rounded hover:bg-blue-200"
+            >
+              Apply Without Cascading
+            </button>
+          )}
+          <button
+            onClick={onApply}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Apply Changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReschedulePreviewModal;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_CAPACITY, MAX_CAPACITY, OWNER_COLORS, validateOwner, getNextOwnerColor } from '../utils/owners';
+
+const OwnerBadge = ({ owner }) => (
+  <span
+    className="inline-flex items-center justify-center min-w-[1.75rem] h-6 px-1 rounded-full text-white text-xs font-semibold"
+    style={{ backgroundColor: owner.color }}
+  >
+    {owner.id}
+  </span>
+);
+
+const emptyForm = (owners) => ({ id: '', name: '', color: getNextOwnerColor(owners), capacity: DEFAULT_CAPACITY });
+
+/**
+ * Owner form, used both to add an owner and to edit one
+ */
+const OwnerForm = ({ initial, owners, originalId, submitLabel, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initial);
+  const [error, setError] = useState('');
+
+  const handleSubmit = () => {
+    const owner = { id: form.id.trim().toUpperCase(), name: form.name.trim(), color: form.color, capacity: Number(form.capacity) };
+    const validationError = validateOwner(owner, owners, originalId);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onSubmit(owner);
+    setError('');
+  };
+
+  return (
+    <div className="p-2 bg-gray-50 rounded">
+      <div className="flex flex-wrap gap-2 items-end">
+        <label className="text-xs text-gray-600">
+          Code
+          <input
+            type="text"
+            value={form.id}
+            onChange={(e) => setForm({ ...form, id: e.target.value.toUpperCase() })}
+            maxLength={6}
+            className="block w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+        </label>
+        <label className="text-xs text-gray-600 flex-1 min-w-[8rem]">
+          Name
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            maxLength={60}
+            className="block w-full px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Days/week
+          <input
+            type="number"
+            min={0}
+            max={MAX_CAPACITY}
+            step={0.5}
+            value={form.capacity}
+            onChange={(e) => setForm({ ...form, capacity: e.target.value })}
+            className="block w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-1 mt-2" role="radiogroup" aria-label="Owner colour">
+        {OWNER_COLORS.map(color => (
+          <button
+            key={color}
+            type="button"
+            role="radio"
+            aria-checked={form.color === color}
+            aria-label={`Colour ${color}`}
+            onClick={() => setForm({ ...form, color })}
+            className={`w-6 h-6 rounded-full ${form.color === color ? 'ring-2 ring-offset-1 ring-gray-800' : ''}`}
+            style={{ backgroundColor: color }}
+          />
+        ))}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+      <div className="flex justify-end gap-2 mt-2">
+        {onCancel && (
+          <button onClick={onCancel} className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200">Cancel</button>
+        )}
+        <button onClick={handleSubmit} className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">{submitLabel}</button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Workload of each owner per week, with over-allocated weeks in red, and
+ * the list of owners with their colours and weekly capacity. An owner who
+ * still has activities can only be removed by handing them to someone else.
+ */
+const ResourcesPanel = ({
+  isOpen,
+  owners,
+  workload,
+  weeks,
+  usedOwnerIds,
+  ownerFilter,
+  onSaveOwner,
+  onRemoveOwner,
+  onFilterChange,
+  onClose
+}) => {
+  const [tab, setTab] = useState('workload');
+  const [editingId, setEditingId] = useState(null);
+  const [removing, setRemoving] = useState(null); // { id, replacementId }
+
+  useEffect(() => {
+    if (isOpen) {
+      setEditingId(null);
+      setRemoving(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleRemove = (owner) => {
+    if (usedOwnerIds.has(owner.id)) {
+      const replacement = owners.find(other => other.id !== owner.id);
+      setRemoving({ id: owner.id, replacementId: replacement ? replacement.id : '' });
+      return;
+    }
+    if (window.confirm(`Remove ${owner.name}?`)) onRemoveOwner(owner.id, null);
+  };
+
+  const overAllocated = workload.filter(row => row.overAllocatedWeeks > 0);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="resources-panel-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="resources-panel-title" className="text-xl font-bold text-blue-800">Resources</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close resources"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex gap-2 mb-4 border-b border-gray-200" role="tablist">
+          {[['workload', 'Workload'], ['owners', 'Owners']].map(([key, label]) => (
+            <button
+              key={key}
+              role="tab"
+              aria-selected={tab === key}
+              onClick={() => setTab(key)}
+              className={`px-3 py-2 text-sm -mb-px border-b-2 ${tab === key ? 'border-blue-600 text-blue-700 font-medium' : 'border-transparent text-gray-600 hover:text-gray-800'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'workload' ? (
+          <div>
+            <p className="text-sm text-gray-600 mb-2">
+              Activity-days per week: two activities on the same day count twice. Red weeks are above the owner&apos;s capacity.
+              {overAllocated.length > 0
+                ? ` Over-allocated: ${overAllocated.map(row => `${row.owner.name} (${row.overAllocatedWeeks} week${row.overAllocatedWeeks === 1 ? '' : 's'})`).join(', ')}.`
+                : ' Nobody is over-allocated.'}
+            </p>
+            <div className="overflow-x-auto">
+              <table className="text-xs border-collapse">
+                <thead>
+                  <tr>
+                    <th className="border border-gray-300 bg-gray-100 p-1 text-left sticky left-0">Owner</th>
+                    <th className="border border-gray-300 bg-gray-100 p-1">Capacity</th>
+                    {weeks.map(week => (
+                      <th key={week.startDate} className="border border-gray-300 bg-gray-100 p-1 whitespace-nowrap font-normal">{week.name}</th>
+                    ))}
+                    <th className="border border-gray-300 bg-gray-100 p-1">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {workload.map(row => (
+                    <tr key={row.owner.id}>
+                      <td className="border border-gray-300 p-1 bg-white sticky left-0">
+                        <button
+                          onClick={() => onFilterChange([row.owner.id])}
+                          className="flex items-center gap-1 text-left hover:underline"
+                          title={`Show only ${row.owner.name}'s activities`}
+                        >
+                          <OwnerBadge owner={row.owner} />
+                          <span className="whitespace-nowrap">{row.owner.name}</span>
+                        </button>
+                      </td>
+                      <td className="border border-gray-300 p-1 text-center">{row.owner.capacity}</td>
+                      {row.weeks.map((week, index) => (
+                        <td
+                          key={weeks[index].startDate}
+                          className={`border border-gray-300 p-1 text-center ${
+                            week.overAllocated ? 'bg-red-100 text-red-800 font-semibold' : week.days > 0 ? 'bg-green-50' : ''
+                          }`}
+                          title={week.activities.map(activity => `${activity.name}: ${activity.days}d`).join('\n') || 'Nothing planned'}
+                          data-over-allocated={week.overAllocated || undefined}
+                        >
+                          {week.days || ''}
+                        </td>
+                      ))}
+                      <td className="border border-gray-300 p-1 text-center font-medium">{row.totalDays}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {ownerFilter.length > 0 && (
+              <button onClick={() => onFilterChange([])} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+                Show all owners on the chart
+              </button>
+            )}
+          </div>
+        ) : (
+          <div>
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded mb-4">
+              {owners.map(owner => (
+                <li key={owner.id} className="p-2 text-sm">
+                  {editingId === owner.id ? (
+                    <OwnerForm
+                      initial={owner}
+                      owners={owners}
+                      originalId={owner.id}
+                      submitLabel="Save"
+                      onSubmit={(updated) => {
+                        onSaveOwner(updated, owner.id);
+                        setEditingId(null);
+                      }}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : removing?.id === owner.id ? (
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span>Give {owner.name}&apos;s activities to</span>
+                      <select
+                        value={removing.replacementId}
+                        onChange={(e) => setRemoving({ ...removing, replacementId: e.target.value })}
+                        aria-label="New owner"
+                        className="px-2 py-1 border border-gray-300 rounded"
+                      >
+                        {owners.filter(other => other.id !== owner.id).map(other => (
+                          <option key={other.id} value={other.id}>{other.id} ({other.name})</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => {
+                          onRemoveOwner(owner.id, removing.replacementId);
+                          setRemoving(null);
+                        }}
+                        disabled={!removing.replacementId}
+                        className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                      >
+                        Reassign and Remove
+                      </button>
+                      <button onClick={() => setRemoving(null)} className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200">Cancel</button>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <OwnerBadge owner={owner} />
+                      <span className="flex-1">{owner.name}</span>
+                      <span className="text-xs text-gray-500">{owner.capacity} days/week</span>
+                      <button onClick={() => setEditingId(owner.id)} className="text-xs text-blue-600 hover:text-blue-800">Edit</button>
+                      <button
+                        onClick={() => handleRemove(owner)}
+                        disabled={owners.length === 1}
+                        className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <h3 className="font-semibold text-gray-800 mb-2">Add an owner</h3>
+            <OwnerForm
+              key={owners.length}
+              initial={emptyForm(owners)}
+              owners={owners}
+              submitLabel="Add Owner"
+              onSubmit={(owner) => onSaveOwner(owner, null)}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResourcesPanel;
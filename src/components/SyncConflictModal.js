@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+
+const formatValue = (value) => {
+  if (value === undefined) return '(none)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const describeSide = (conflict, value) => {
+  if (value === null) return 'Deleted';
+  if (conflict.fields) {
+    return conflict.fields.map(field => `${field}: ${formatValue(value[field])}`).join(' · ');
+  }
+
+  const parts = [value.name];
+  if (value.startDate && value.endDate) parts.push(`${value.startDate} – ${value.endDate}`);
+  if (value.owner) parts.push(value.owner);
+  return parts.join(' · ');
+};
+
+/**
+ * Shown when this device and another device (or a collaborator) changed the
+ * same fields before syncing. The user keeps one version of each; the chart
+ * shows the version from this device until then.
+ */
+const SyncConflictModal = ({ conflicts, onResolve }) => {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices({});
+  }, [conflicts]);
+
+  if (conflicts.length === 0) return null;
+
+  const choose = (key, side) => setChoices(previous => ({ ...previous, [key]: side }));
+  const chooseAll = (side) => setChoices(conflicts.reduce((all, conflict) => ({ ...all, [conflict.key]: side }), {}));
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="sync-conflict-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <h2 id="sync-conflict-title" className="text-xl font-bold text-blue-800 mb-2">Plan Changed on Another Device</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          These changes were made both here and on another device or by a collaborator. Choose which version to keep.
+          All other changes have been combined.
+        </p>
+
+        <div className="flex gap-2 text-xs mb-2">
+          <button onClick={() => chooseAll('local')} className="text-blue-600 hover:text-blue-800">Keep all from this device</button>
+          <button onClick={() => chooseAll('remote')} className="text-blue-600 hover:text-blue-800">Keep all from other device</button>
+        </div>
+
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded mb-4">
+          {conflicts.map(conflict => {
+            const choice = choices[conflict.key] || 'local';
+            return (
+              <li key={conflict.key} className="p-2 text-sm">
+                <div className="font-medium mb-1">
+                  {conflict.type === 'task' ? 'Task' : `Activity ${conflict.id}`}: {conflict.name}
+                </div>
+                {['local', 'remote'].map(side => (
+                  <label key={side} className="flex items-start text-gray-700">
+                    <input
+                      type="radio"
+                      name={`sync-conflict-${conflict.key}`}
+                      checked={choice === side}
+                      onChange={() => choose(conflict.key, side)}
+                      className="mr-2 mt-1"
+                    />
+                    <span>
+                      <span className="font-medium">{side === 'local' ? 'This device' : 'Other device'}:</span>{' '}
+                      {describeSide(conflict, conflict[side])}
+                    </span>
+                  </label>
+                ))}
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="flex justify-end">
+          <button
+            onClick={() => onResolve(choices)}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Keep Selected Versions
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncConflictModal;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import {
+  loadTemplates,
+  saveTemplates,
+  getAllTemplates,
+  getTemplate,
+  getTemplateDuration,
+  validateTemplateName,
+  createTemplateFromPlan,
+  DEFAULT_TEMPLATE_ID
+} from '../utils/planTemplates';
+import { parseISODate } from '../utils/projectTimeline';
+
+const formatDuration = (days) => {
+  if (days >= 120) return `${Math.round(days / 30.44)} months`;
+  if (days >= 14) return `${Math.round(days / 7)} weeks`;
+  return `${days} days`;
+};
+
+const countActivities = (template) => template.tasks.reduce((sum, task) => sum + task.activities.length, 0);
+
+/**
+ * Templates library: lay a built-in or saved template out from a start date
+ * (replacing the current plan) and save the current plan as a new template.
+ */
+const TemplatesPanel = ({ isOpen, tasks, projectSettings, onApply, onClose }) => {
+  const [savedTemplates, setSavedTemplates] = useState(() => loadTemplates());
+  const [selectedId, setSelectedId] = useState(DEFAULT_TEMPLATE_ID);
+  const [startDate, setStartDate] = useState(projectSettings.startDate);
+  const [applyError, setApplyError] = useState('');
+  const [newName, setNewName] = useState('');
+  const [newDescription, setNewDescription] = useState('');
+  const [saveError, setSaveError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setSavedTemplates(loadTemplates());
+      setStartDate(projectSettings.startDate);
+      setApplyError('');
+      setNewName('');
+      setNewDescription('');
+      setSaveError('');
+    }
+  }, [isOpen, projectSettings.startDate]);
+
+  if (!isOpen) return null;
+
+  const templates = getAllTemplates(savedTemplates);
+  const selected = getTemplate(templates, selectedId);
+  const hasPlan = tasks.some(task => task.activities.length > 0);
+
+  const handleApply = () => {
+    if (!selected) {
+      setApplyError('Choose a template');
+      return;
+    }
+    if (!parseISODate(startDate)) {
+      setApplyError('Start date must be a valid date');
+      return;
+    }
+    if (hasPlan && !window.confirm(`Replace the current plan with "${selected.name}"? Progress marks are cleared. You can undo this from History.`)) return;
+    onApply(selected, startDate);
+  };
+
+  const handleSave = () => {
+    const validationError = validateTemplateName(newName, templates);
+    if (validationError) {
+      setSaveError(validationError);
+      return;
+    }
+    if (!hasPlan) {
+      setSaveError('The current plan has no activities to save');
+      return;
+    }
+
+    const template = createTemplateFromPlan(tasks, newName, {
+      description: newDescription,
+      startDate: projectSettings.startDate
+    });
+    const nextTemplates = [...savedTemplates, template];
+    try {
+      saveTemplates(nextTemplates);
+    } catch (error) {
+      setSaveError('Could not save the template. Browser storage may be full.');
+      return;
+    }
+    setSavedTemplates(nextTemplates);
+    setSelectedId(template.id);
+    setNewName('');
+    setNewDescription('');
+  };
+
+  const handleDelete = (template) => {
+    if (!window.confirm(`Delete template "${template.name}"? Plans already created from it are not affected.`)) return;
+
+    const nextTemplates = savedTemplates.filter(t => t.id !== template.id);
+    saveTemplates(nextTemplates);
+    setSavedTemplates(nextTemplates);
+    if (selectedId === template.id) setSelectedId(DEFAULT_TEMPLATE_ID);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="templates-panel-title"
+    >
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="templates-panel-title" className="text-xl font-bold text-blue-800">Plan Templates</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 rounded-full p-2 hover:bg-gray-300"
+            aria-label="Close templates"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        {/* Choose a template */}
+        <div className="mb-6">
+          <h3 className="font-semibold text-gray-800 mb-2">Start from a template</h3>
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded mb-3">
+            {templates.map(template => (
+              <li key={template.id} className="flex items-start p-2 text-sm">
+                <label className="flex items-start flex-1">
+                  <input
+                    type="radio"
+                    name="plan-template"
+                    checked={selectedId === template.id}
+                    onChange={() => { setSelectedId(template.id); setApplyError(''); }}
+                    className="mr-2 mt-1"
+                  />
+                  <span>
+                    <span className="font-medium">{template.name}</span>
+                    <span className="text-xs text-gray-500 ml-2">
+                      {template.builtIn ? 'Built-in' : 'Saved'} · {formatDuration(getTemplateDuration(template))} · {countActivities(template)} activities
+                    </span>
+                    {template.description && <span className="block text-xs text-gray-600">{template.description}</span>}
+                  </span>
+                </label>
+                {!template.builtIn && (
+                  <button
+                    onClick={() => handleDelete(template)}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap items-end gap-2">
+            <div>
+              <label htmlFor="template-start-date" className="block text-sm font-medium text-gray-700 mb-1">Start date</label>
+              <input
+                id="template-start-date"
+                type="date"
+                value={startDate}
+                onChange={(e) => { setStartDate(e.target.value); setApplyError(''); }}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <button
+              onClick={handleApply}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              Use Template
+            </button>
+          </div>
+          {applyError && <p className="text-sm text-red-600 mt-1" role="alert">{applyError}</p>}
+          <p className="text-xs text-gray-500 mt-2">
+            The template replaces the current plan and the project period is set to fit it.
+          </p>
+        </div>
+
+        {/* Save the current plan */}
+        <div>
+          <h3 className="font-semibold text-gray-800 mb-2">Save current plan as template</h3>
+          <div className="space-y-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => { setNewName(e.target.value); setSaveError(''); }}
+              onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+              placeholder="Template name, e.g. Lab-based MSc"
+              aria-label="Template name"
+              maxLength={60}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <textarea
+              value={newDescription}
+              onChange={(e) => setNewDescription(e.target.value)}
+              placeholder="Description (optional)"
+              aria-label="Template description"
+              rows={2}
+              maxLength={200}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700"
+            >
+              Save Template
+            </button>
+          </div>
+          {saveError && <p className="text-sm text-red-600 mt-1" role="alert">{saveError}</p>}
+          <p className="text-xs text-gray-500 mt-2">
+            Saved templates keep tasks, gateways, owners, colors, dependencies and durations, but not attached files or progress.
+            They are available in every project.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplatesPanel;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ENTRY_SOURCES,
+  MAX_ENTRY_NOTE_LENGTH,
+  createTimeEntry,
+  getTimerMinutes,
+  formatHours,
+  formatElapsed
+} from '../utils/timeTracking';
+import { toISODate } from '../utils/projectTimeline';
+
+/**
+ * Log time by hand: hours spent on a date, optionally with a note. Without
+ * `activityId` the form asks which activity the time was spent on.
+ */
+export const TimeEntryForm = ({ activities = [], activityId = null, defaultDate, onSubmit }) => {
+  const [selectedActivityId, setSelectedActivityId] = useState('');
+  const [date, setDate] = useState(defaultDate || toISODate(new Date()));
+  const [hours, setHours] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (defaultDate) setDate(defaultDate);
+  }, [defaultDate]);
+
+  const handleSubmit = () => {
+    const chosen = activityId ?? activities.find(activity => String(activity.id) === selectedActivityId)?.id;
+    try {
+      onSubmit(createTimeEntry({ activityId: chosen, date, minutes: Number(hours) * 60, note, source: ENTRY_SOURCES.MANUAL }));
+      setHours('');
+      setNote('');
+      setError('');
+    } catch (entryError) {
+      setError(entryError.message);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {activityId === null && (
+          <select
+            value={selectedActivityId}
+            onChange={(e) => setSelectedActivityId(e.target.value)}
+            aria-label="Activity"
+            className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded text-sm"
+          >
+            <option value="">Choose an activity…</option>
+            {activities.map(activity => (
+              <option key={activity.id} value={activity.id}>{activity.id} {activity.name}</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          aria-label="Date worked"
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <input
+          type="number"
+          min={0}
+          max={24}
+          step={0.25}
+          value={hours}
+          onChange={(e) => setHours(e.target.value)}
+          placeholder="Hours"
+          aria-label="Hours spent"
+          className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          maxLength={MAX_ENTRY_NOTE_LENGTH}
+          placeholder="What did you work on? (optional)"
+          aria-label="Time entry note"
+          className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <button
+          onClick={handleSubmit}
+          disabled={!hours}
+          className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Log Time
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+/**
+ * Start/stop button for the timer, with the time elapsed while it runs
+ */
+export const TimerButton = ({ timer, activity, onStart, onStop }) => {
+  const [, setTick] = useState(0);
+  const isRunning = Boolean(timer);
+
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const interval = setInterval(() => setTick(tick => tick + 1), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  if (isRunning && (!activity || timer.activityId === activity.id)) {
+    return (
+      <button onClick={onStop} className="px-3 py-1 bg-red-600 text-white rounded text-sm hover:bg-red-700">
+        ⏹ Stop {formatElapsed(getTimerMinutes(timer))}
+      </button>
+    );
+  }
+  return (
+    <button
+      onClick={onStart}
+      disabled={isRunning || !activity}
+      title={isRunning ? `The timer is running for ${timer.activityName}` : undefined}
+      className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700 disabled:opacity-50"
+    >
+      ▶ Start Timer
+    </button>
+  );
+};
+
+/**
+ * Time logged against activities of the plan, for the Daily Progress page:
+ * the timer, a form to log time by hand on the selected day and the entries
+ * of that day.
+ */
+const TimeTracker = ({ activities, entries, timer, date, onStartTimer, onStopTimer, onAddEntry, onRemoveEntry }) => {
+  const [timerActivityId, setTimerActivityId] = useState('');
+  const timerActivity = activities.find(activity => String(activity.id) === timerActivityId);
+  const activityName = (activityId) => activities.find(activity => activity.id === activityId)?.name || `Activity ${activityId}`;
+  const dayMinutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+
+  if (activities.length === 0) {
+    return <p className="text-gray-500 italic">Add activities to the Gantt chart to log time against them.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        {timer ? (
+          <span className="text-sm text-gray-700">Working on <strong>{timer.activityName}</strong></span>
+        ) : (
+          <select
+            value={timerActivityId}
+            onChange={(e) => setTimerActivityId(e.target.value)}
+            aria-label="Activity to time"
+            className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded text-sm"
+          >
+            <option value="">Choose an activity to time…</option>
+            {activities.map(activity => (
+              <option key={activity.id} value={activity.id}>{activity.id} {activity.name}</option>
+            ))}
+          </select>
+        )}
+        <TimerButton
+          timer={timer}
+          activity={timer ? null : timerActivity}
+          onStart={() => onStartTimer(timerActivity)}
+          onStop={onStopTimer}
+        />
+      </div>
+
+      <TimeEntryForm activities={activities} defaultDate={date} onSubmit={onAddEntry} />
+
+      {entries.length === 0 ? (
+        <p className="text-gray-500 italic">No time logged on this day</p>
+      ) : (
+        <div>
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+            {entries.map(entry => (
+              <li key={entry.id} className="flex items-center justify-between p-2 text-sm">
+                <span>
+                  <span className="font-medium">{formatHours(entry.minutes / 60)}</span>
+                  {' on '}{activityName(entry.activityId)}
+                  {entry.source === ENTRY_SOURCES.TIMER && <span className="ml-1 text-xs text-gray-500">(timer)</span>}
+                  {entry.note && <span className="block text-xs text-gray-600">{entry.note}</span>}
+                </span>
+                <button
+                  onClick={() => onRemoveEntry(entry.id)}
+                  className="text-red-500 hover:text-red-700 text-sm"
+                  aria-label="Remove time entry"
+                >
+                  🗑️
+                </button>
+              </li>
+            ))}
+          </ul>
+          <p className="text-sm text-gray-600 mt-1">Total: {formatHours(dayMinutes / 60)}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeTracker;
@@ -1,10 +1,127 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import FileTooltip from './FileTooltip';
 import FilePreviewModal from './FilePreviewModal';
 import FileSearch from './FileSearch';
 import ExportPanel from './ExportPanel';
+import ProjectSettingsModal from './ProjectSettingsModal';
+import DependencyModal from './DependencyModal';
+import DependencyArrows from './DependencyArrows';
+import ActivityDatesModal from './ActivityDatesModal';
+import ReschedulePreviewModal from './ReschedulePreviewModal';
+import BaselinePanel from './BaselinePanel';
+import HistoryPanel from './HistoryPanel';
+import TemplatesPanel from './TemplatesPanel';
+import SyncConflictModal from './SyncConflictModal';
+import CollaborationPanel, { PresenceAvatar } from './CollaborationPanel';
+import CommentsPanel from './CommentsPanel';
+import GatewayApprovalPanel, { APPROVAL_STATUS_STYLES } from './GatewayApprovalPanel';
+import ResourcesPanel from './ResourcesPanel';
+import EffortPanel from './EffortPanel';
+import useEditHistory from '../hooks/useEditHistory';
+import usePlanSync, { SYNC_DELAY, LIVE_SYNC_DELAY } from '../hooks/usePlanSync';
+import useCollaboration from '../hooks/useCollaboration';
+import usePlanComments from '../hooks/usePlanComments';
+import { useCommentPermissions, useGanttPermissions, useAssessmentPermissions } from '../hooks/usePermissions';
+import { useAuth } from '../contexts/AuthContext';
+import { useRole } from '../contexts/RoleContext';
+import { useNotes } from '../contexts/NotesContext';
+import roleService from '../services/roleService';
+import fileStorageService from '../services/FileStorageService';
+import {
+  buildTimelineWeeks,
+  loadProjectSettings,
+  saveProjectSettings,
+  validateProjectSettings,
+  formatProjectPeriod,
+  getTimelineAnchor,
+  parseISODate,
+  toISODate,
+  addDays,
+  daysBetween
+} from '../utils/projectTimeline';
+import {
+  WEEKDAYS_ONLY,
+  getCompletedDayKey,
+  isDateInActivity,
+  getWorkingDuration,
+  shiftActivityDates,
+  calculateActivityProgress as calculateDateRangeProgress,
+  findCoverageGaps,
+  migrateLegacyCompletedDays
+} from '../utils/activityDates';
+import { compressTasks, decompressTasks } from '../utils/taskStorage';
+import {
+  DEPENDENCY_TYPES,
+  findActivity,
+  getDependencyLinks,
+  getSuccessorLinks,
+  validateDependency,
+  addDependency,
+  removeDependency,
+  removeDependenciesOn,
+  isDependencySatisfied,
+  formatDependency
+} from '../utils/activityDependencies';
+import { calculateCriticalPath } from '../utils/criticalPath';
+import { rescheduleTasks } from '../utils/autoSchedule';
+import { loadBaselines, saveBaselines, getBaseline } from '../utils/baselines';
+import {
+  ZOOM_LEVELS,
+  loadZoomLevel,
+  saveZoomLevel,
+  buildTimelineColumns,
+  getColumnSegment,
+  getTodayMarker
+} from '../utils/timelineZoom';
+import { DEFAULT_PROJECT_ID, getActiveProjectId, getProjectStorageKey, loadProjects, getProject } from '../utils/projects';
+import {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  getTemplate,
+  instantiateTemplate
+} from '../utils/planTemplates';
+import { getRowLock } from '../utils/collaboration';
+import {
+  loadOwners,
+  saveOwners,
+  getOwner,
+  getUsedOwnerIds,
+  reassignOwner,
+  filterTasksByOwners,
+  calculateWorkload
+} from '../utils/owners';
+import {
+  loadTimeEntries,
+  saveTimeEntries,
+  loadTimer,
+  saveTimer,
+  startTimer,
+  stopTimer,
+  getEffortSummary,
+  getPlanEffort,
+  formatHours
+} from '../utils/timeTracking';
+import { getThreads } from '../utils/planComments';
+import {
+  APPROVAL_ACTIONS,
+  APPROVAL_STATUS,
+  APPROVAL_STATUS_LABELS,
+  getApprovalStatus,
+  applyApprovalAction,
+  isApprovalLocked,
+  getApprovalRecordChanges,
+  getLockedActivityChanges,
+  getApprovalAuditDetails
+} from '../utils/gatewayApproval';
+import { getDeliverables, getDeliverableCompletion, isDeliverableOverdue } from '../utils/deliverables';
+import { getNextGridPosition, getFocusableColumns, moveListItem, describeGridCell } from '../utils/gridNavigation';
 
 const ThesisGanttChart = () => {
+  // Project whose plan is on screen; the page is remounted when the user switches projects,
+  // so pending saves still go to the project they were made in (and are dropped if it was deleted)
+  const [projectId] = useState(() => getActiveProjectId());
+  const storageKey = useCallback((baseKey) => getProjectStorageKey(baseKey, projectId), [projectId]);
+
   // State for the tooltip/hover details and position
   const [hoveredGateway, setHoveredGateway] = useState(null);
   const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
@@ -12,6 +129,10 @@ const ThesisGanttChart = () => {
   // State for tracking completed days
   const [completedDays, setCompletedDays] = useState({});
   
+  // Project settings drive the timeline grid (start/end date, week start, locale)
+  const [projectSettings, setProjectSettings] = useState(() => loadProjectSettings(projectId));
+  const [showProjectSettings, setShowProjectSettings] = useState(false);
+  
   // File-related states
   const [fileTooltip, setFileTooltip] = useState({
     isVisible: false,
@@ -34,29 +155,10 @@ const ThesisGanttChart = () => {
   const saveTimeoutRef = useRef(null);
   const SAVE_DELAY = 2000; // 2 seconds delay for auto-save
   
-  // Data compression utilities
+  // Data compression utilities (the stored format is shared with exports, see taskStorage)
   const compressData = useCallback((data) => {
     try {
-      // Simple compression: remove unnecessary whitespace and use shorter keys
-      const compressed = {
-        v: 1, // version
-        d: Date.now(), // timestamp
-        t: data.map(task => ({
-          i: task.id,
-          n: task.name,
-          a: task.activities.map(activity => ({
-            i: activity.id,
-            n: activity.name,
-            w: activity.weeks,
-            d: activity.days,
-            o: activity.owner,
-            c: activity.color,
-            g: activity.isGateway,
-            gi: activity.gatewayInfo
-          }))
-        }))
-      };
-      return JSON.stringify(compressed);
+      return JSON.stringify(compressTasks(data));
     } catch (error) {
       return JSON.stringify(data); // Fallback to uncompressed
     }
@@ -64,28 +166,7 @@ const ThesisGanttChart = () => {
   
   const decompressData = useCallback((compressedString) => {
     try {
-      const data = JSON.parse(compressedString);
-      
-      // Check if data is compressed (has version field)
-      if (data.v === 1 && data.t) {
-        return data.t.map(task => ({
-          id: task.i,
-          name: task.n,
-          activities: task.a.map(activity => ({
-            id: activity.i,
-            name: activity.n,
-            weeks: activity.w,
-            days: activity.d,
-            owner: activity.o,
-            color: activity.c,
-            isGateway: activity.g,
-            gatewayInfo: activity.gi
-          }))
-        }));
-      }
-      
-      // If not compressed, return as is
-      return data;
+      return decompressTasks(JSON.parse(compressedString));
     } catch (error) {
       // If decompression fails, try parsing as regular JSON
       return JSON.parse(compressedString);
@@ -101,8 +182,8 @@ const ThesisGanttChart = () => {
     
     try {
       const compressed = compressData(taskData);
-      const storageKey = 'gantt-tasks';
-      const backupKey = 'gantt-tasks-backup';
+      const tasksKey = storageKey('gantt-tasks');
+      const backupKey = storageKey('gantt-tasks-backup');
       
       // Check storage limit
       const testKey = 'storage-test';
@@ -114,14 +195,14 @@ const ThesisGanttChart = () => {
       }
       
       // Create backup of current data before saving new
-      const currentData = localStorage.getItem(storageKey);
+      const currentData = localStorage.getItem(tasksKey);
       if (currentData) {
         localStorage.setItem(backupKey, currentData);
       }
       
       // Save new data
-      localStorage.setItem(storageKey, compressed);
-      localStorage.setItem('gantt-save-timestamp', Date.now().toString());
+      localStorage.setItem(tasksKey, compressed);
+      localStorage.setItem(storageKey('gantt-save-timestamp'), Date.now().toString());
       
       setSaveStatus('saved');
       setLastSaveTime(new Date());
@@ -130,12 +211,12 @@ const ThesisGanttChart = () => {
       setSaveStatus('error');
       setSaveError(error.message);
       // In case of error, restore from backup if available
-      const backup = localStorage.getItem('gantt-tasks-backup');
+      const backup = localStorage.getItem(storageKey('gantt-tasks-backup'));
       if (backup) {
-        localStorage.setItem('gantt-tasks', backup);
+        localStorage.setItem(storageKey('gantt-tasks'), backup);
       }
     }
-  }, [autoSaveEnabled, compressData]);
+  }, [autoSaveEnabled, compressData, storageKey]);
   
   // Debounced save function
   const debouncedSave = useCallback((taskData) => {
@@ -146,9 +227,11 @@ const ThesisGanttChart = () => {
     setSaveStatus('unsaved');
     
     saveTimeoutRef.current = setTimeout(() => {
+      // Deleting the project removed its keys; writing them again would bring it back half-way
+      if (!getProject(loadProjects(), projectId)) return;
       saveState(taskData);
     }, SAVE_DELAY);
-  }, [saveState]);
+  }, [saveState, projectId]);
 
   // State for instruction modal
   const [showInstructions, setShowInstructions] = useState(false);
@@ -157,7 +240,7 @@ const ThesisGanttChart = () => {
   const [showExportPanel, setShowExportPanel] = useState(false);
   
   // State for row editing functionality
-  const [editingRow, setEditingRow] = useState(null); // { type: 'task'|'activity', id: number, originalName: string }
+  const [editingRow, setEditingRow] = useState(null); // { type: 'task'|'activity', id: number, originalName: string, since: number }
   const [editValue, setEditValue] = useState('');
   const [showEditFeedback, setShowEditFeedback] = useState({ show: false, message: '', type: '' });
   
@@ -167,8 +250,9 @@ const ThesisGanttChart = () => {
   const [addRowData, setAddRowData] = useState({
     name: '',
     parentTaskId: null,
-    weeks: [],
-    days: [],
+    startDate: '',
+    endDate: '',
+    weekdaysOnly: false,
     owner: 'ME',
     color: 'bg-blue-400',
     isGateway: false
@@ -179,439 +263,172 @@ const ThesisGanttChart = () => {
   // State for enhanced deletion functionality
   const [showDeleteConfirmation, setShowDeleteConfirmation] = useState(false);
   const [deleteConfirmationData, setDeleteConfirmationData] = useState(null);
-  const [deletedItemsHistory, setDeletedItemsHistory] = useState([]);
-  const [showUndoNotification, setShowUndoNotification] = useState(false);
+  const [undoNotification, setUndoNotification] = useState(null); // { title, message }
+  const [showHistoryPanel, setShowHistoryPanel] = useState(false);
+  const [showTemplatesPanel, setShowTemplatesPanel] = useState(false);
+  const [showCollaborationPanel, setShowCollaborationPanel] = useState(false);
+  const [commentsActivityId, setCommentsActivityId] = useState(null);
+  const [approvalActivityId, setApprovalActivityId] = useState(null);
+
+  // State for dependency links: the link being dragged out of a bar and the add/edit dialog
+  const [linkDraft, setLinkDraft] = useState(null); // { activityId, side: 'start'|'end' }
+  const [dependencyDialog, setDependencyDialog] = useState(null);
+  const [showCriticalPath, setShowCriticalPath] = useState(true);
+
+  // State for dragging a bar: { activityId, mode: 'move'|'resize-start'|'resize-end', originDate, original, preview, deltaDays }
+  const [barDrag, setBarDrag] = useState(null);
+
+  // State for auto-scheduling: the mode itself, the activity whose dates are being edited and the pending preview
+  const [autoSchedule, setAutoSchedule] = useState(() => localStorage.getItem(storageKey('gantt-auto-schedule')) === 'true');
+  const [editingDatesActivityId, setEditingDatesActivityId] = useState(null);
+  const [reschedulePreview, setReschedulePreview] = useState(null);
+
+  // Saved baselines; the active one is drawn as ghost bars under the current plan
+  const [baselineState, setBaselineState] = useState(() => loadBaselines(projectId));
+  const [showBaselinePanel, setShowBaselinePanel] = useState(false);
+  const activeBaseline = getBaseline(baselineState, baselineState.activeBaselineId);
+
+  // Owners activities are assigned to, and the owners the chart is filtered to (empty shows everyone)
+  const [owners, setOwners] = useState(() => loadOwners(projectId));
+  const [ownerFilter, setOwnerFilter] = useState([]);
+  const [showResourcesPanel, setShowResourcesPanel] = useState(false);
+
+  // Time logged against activities (estimates live on the activities) and the running timer
+  const [timeEntries, setTimeEntries] = useState(() => loadTimeEntries(projectId));
+  const [timer, setTimer] = useState(() => loadTimer(projectId));
+  const [effortActivityId, setEffortActivityId] = useState(null);
   
   // Refs for inputs
   const editInputRef = useRef(null);
   const addRowInputRef = useRef(null);
+  const ganttTableRef = useRef(null);
   
-  // Project timeframe: June 1 - September 1, 2024
-  // Calculate weeks in the project (June, July, August)
-  const weeks = [
-    { name: "JUN 1-7", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUN 8-14", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUN 15-21", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUN 22-28", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUN 29-JUL 5", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUL 6-12", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUL 13-19", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUL 20-26", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "JUL 27-AUG 2", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "AUG 3-9", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "AUG 10-16", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "AUG 17-23", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "AUG 24-30", days: ["S", "M", "T", "W", "T", "F", "S"] },
-    { name: "AUG 31-SEP 1", days: ["S", "M", "-", "-", "-", "-", "-"] },
-  ];
-
-  // Task structure with timing in weeks - moved to state for editing
-  const [tasks, setTasks] = useState([
-    {
-      id: 1,
-      name: "PLANNING",
-      activities: [
-        { 
-          id: 1.1, 
-          name: "Confirm topic & objectives", 
-          weeks: [0], 
-          days: [1, 2, 3], 
-          owner: "ME",
-          files: [
-            {
-              name: "thesis-proposal-draft.pdf",
-              type: "pdf",
-              size: 2048576,
-              uploadDate: "2024-06-01",
-              description: "Initial thesis proposal draft",
-              tags: ["proposal", "draft"],
-              url: "#"
-            },
-            {
-              name: "research-objectives.pdf",
-              type: "pdf", 
-              size: 512000,
-              uploadDate: "2024-06-02",
-              description: "Detailed research objectives document",
-              tags: ["objectives", "research"],
-              url: "#"
-            }
-          ],
-          color: "bg-blue-400",
-          isGateway: false
-        },
-        { 
-          id: 1.2, 
-          name: "Write research proposal", 
-          weeks: [0, 1], 
-          days: [4, 5, 6, 0, 1], 
-          owner: "ME",
-          files: [],
-          color: "bg-blue-400",
-          isGateway: true,
-          gatewayInfo: {
-            name: "Research Proposal Approved",
-            deliverables: ["Approved research topic", "Research objectives defined", "Initial literature survey", "Methodology outline"],
-            nextSteps: "Proceed to detailed research and prototype development"
-          }
-        }
-      ]
-    },
-    {
-      id: 2,
-      name: "PROTOTYPE DEVELOPMENT",
-      activities: [
-        { 
-          id: 2.1, 
-          name: "Requirements gathering", 
-          weeks: [0, 1], 
-          days: [1, 2, 3, 4, 5, 6, 0], 
-          owner: "ME",
-          files: [
-            {
-              name: "requirements-notes.m4a",
-              type: "m4a",
-              size: 5242880,
-              uploadDate: "2024-06-03",
-              description: "Voice notes from stakeholder interviews",
-              tags: ["requirements", "interviews", "audio"],
-              url: "#"
-            }
-          ],
-          color: "bg-purple-400",
-          isGateway: false
-        },
-        { 
-          id: 2.2, 
-          name: "Design phase", 
-          weeks: [1, 2], 
-          days: [1, 2, 3, 4, 5, 6, 0, 1, 2, 3], 
-          owner: "ME",
-          files: [],
-          color: "bg-purple-400", 
-          isGateway: false
-        },
-        { 
-          id: 2.3, 
-          name: "Test development (TDD)", 
-          weeks: [2, 3], 
-          days: [4, 5, 6, 0, 1, 2, 3], 
-          owner: "ME",
-          files: [],
-          color: "bg-purple-400", 
-          isGateway: false
-        },
-        { 
-          id: 2.4, 
-          name: "Implementation (Agile sprints)", 
-          weeks: [3, 4, 5, 6], 
-          days: [4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0, 1, 2, 3], 
-          owner: "ME",
-          files: [
-            {
-              name: "sprint-planning-notes.wav",
-              type: "wav",
-              size: 8388608,
-              uploadDate: "2024-07-01",
-              description: "Sprint planning meeting recording",
-              tags: ["sprint", "planning", "agile"],
-              url: "#"
-            },
-            {
-              name: "implementation-demo.mp3",
-              type: "mp3",
-              size: 6291456,
-              uploadDate: "2024-07-15",
-              description: "Demo recording of prototype implementation",
-              tags: ["demo", "prototype", "implementation"],
-              url: "#"
-            }
-          ],
-          color: "bg-purple-400", 
-          isGateway: false
-        },
-        { 
-          id: 2.5, 
-          name: "DevOps implementation", 
-          weeks: [6, 7, 8], 
-          days: [4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0], 
-          owner: "ME",
-          files: [],
-          color: "bg-indigo-400", 
-          isGateway: false
-        },
-        { 
-          id: 2.6, 
-          name: "Test and debug prototype", 
-          weeks: [8, 9, 10], 
-          days: [1, 2, 3, 4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0], 
-          owner: "ME",
-          files: [],
-          color: "bg-indigo-400", 
-          isGateway: true,
-          gatewayInfo: {
-            name: "Functional Prototype Complete",
-            deliverables: ["Working AI-powered CSV to CSA transition tool", "Test documentation", "Performance metrics", "Comparison with traditional methods"],
-            nextSteps: "Begin evaluation and data analysis phase"
-          }
-        }
-      ]
-    },
-    {
-      id: 3,
-      name: "RESEARCH & WRITING",
-      activities: [
-        { 
-          id: 3.1, 
-          name: "Background reading/literature review", 
-          weeks: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13], 
-          days: [1, 2, 3, 4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0], // Ongoing throughout project
-          owner: "ME",
-          files: [
-            {
-              name: "literature-review-sources.pdf",
-              type: "pdf",
-              size: 1048576,
-              uploadDate: "2024-06-05",
-              description: "Compiled literature review sources and summaries",
-              tags: ["literature", "sources", "research"],
-              url: "#"
-            },
-            {
-              name: "csv-csa-comparison.pdf",
-              type: "pdf",
-              size: 3145728,
-              uploadDate: "2024-06-10",
-              description: "Detailed comparison between CSV and CSA approaches",
-              tags: ["csv", "csa", "comparison"],
-              url: "#"
-            },
-            {
-              name: "ai-validation-research.pdf",
-              type: "pdf",
-              size: 2097152,
-              uploadDate: "2024-06-15",
-              description: "Research on AI applications in validation processes",
-              tags: ["ai", "validation", "research"],
-              url: "#"
-            }
-          ],
-          color: "bg-green-300", 
-          isGateway: false
-        },
-        { 
-          id: 3.2, 
-          name: "Write Chapter 1: Introduction", 
-          weeks: [1, 2], 
-          days: [0, 1, 2, 3, 4, 5, 6, 0], 
-          owner: "ME",
-          files: [],
-          color: "bg-pink-400", 
-          isGateway: false
-        },
-        { 
-          id: 3.3, 
-          name: "Write Chapter 2: Literature Review", 
-          weeks: [2, 3, 4], 
-          days: [1, 2, 3, 4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0], 
-          owner: "ME",
-          files: [],
-          color: "bg-pink-400", 
-          isGateway: false
-        },
-        { 
-          id: 3.4, 
-          name: "Write Chapter 3: Methodology", 
-          weeks: [4, 5], 
-          days: [1, 2, 3, 4, 5, 6, 0, 1, 2, 3], 
-          owner: "ME",
-          files: [],
-          color: "bg-pink-400", 
-          isGateway: false
-        },
-        { 
-          id: 3.5, 
-          name: "Conduct surveys (LinkedIn/email)", 
-          weeks: [5, 6, 7, 8], 
-          days: [4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0, 1, 2, 3], 
-          owner: "ME",
-          files: [],
-          color: "bg-green-400", 
-          isGateway: true,
-          gatewayInfo: {
-            name: "Survey Data Collection Complete",
-            deliverables: ["Expert feedback on CSV to CSA transition", "Industry professional perspectives", "Market validation of AI approach", "Data for quantitative analysis"],
-            nextSteps: "Analyze data and incorporate findings into thesis"
-          }
-        },
-        { 
-          id: 3.6, 
-          name: "Write Chapter 4: Findings & Analysis", 
-          weeks: [8, 9, 10], 
-          days: [4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0, 1, 2, 3, 4], 
-          owner: "ME",
-          files: [],
-          color: "bg-pink-400", 
-          isGateway: false
-        }
-      ]
-    },
-    {
-      id: 4,
-      name: "EVALUATION & FINALIZATION",
-      activities: [
-        { 
-          id: 4.1, 
-          name: "Mid-project supervisor review", 
-          weeks: [6], 
-          days: [3, 4, 5], 
-          owner: "SV",
-          files: [],
-          color: "bg-red-400", 
-          isGateway: true,
-          gatewayInfo: {
-            name: "Mid-Project Supervisor Review",
-            deliverables: ["Progress report", "Initial findings", "Prototype development status", "Timeline adherence assessment"],
-            nextSteps: "Address feedback and continue with implementation"
-          }
-        },
-        { 
-          id: 4.2, 
-          name: "SME evaluation of reports", 
-          weeks: [10, 11], 
-          days: [1, 2, 3, 4, 5, 6, 0], 
-          owner: "SME",
-          files: [],
-          color: "bg-purple-300", 
-          isGateway: true,
-          gatewayInfo: {
-            name: "Subject Matter Expert Evaluation",
-            deliverables: ["Expert validation of AI approach", "Industry relevance assessment", "Technical accuracy confirmation", "Implementation recommendations"],
-            nextSteps: "Incorporate expert feedback into final chapters"
-          }
-        },
-        { 
-          id: 4.3, 
-          name: "Write Chapter 5: Conclusions", 
-          weeks: [11, 12], 
-          days: [1, 2, 3, 4, 5, 6, 0], 
-          owner: "ME",
-          files: [],
-          color: "bg-pink-400", 
-          isGateway: false
-        },
-        { 
-          id: 4.4, 
-          name: "Compile references & appendices", 
-          weeks: [12], 
-          days: [1, 2, 3], 
-          owner: "ME",
-          files: [],
-          color: "bg-blue-300", 
-          isGateway: false
-        },
-        { 
-          id: 4.5, 
-          name: "Write abstract", 
-          weeks: [12], 
-          days: [4, 5], 
-          owner: "ME",
-          files: [],
-          color: "bg-blue-300", 
-          isGateway: false
-        },
-        { 
-          id: 4.6, 
-          name: "Final review and submission", 
-          weeks: [12, 13], 
-          days: [6, 0, 1], 
-          owner: "ME",
-          files: [],
-          color: "bg-blue-300", 
-          isGateway: true,
-          gatewayInfo: {
-            name: "Thesis Submission Complete",
-            deliverables: ["Complete thesis document", "Functional AI prototype", "All appendices and references", "Executive summary"],
-            nextSteps: "Prepare for viva and demonstration"
-          }
-        },
-        { 
-          id: 4.7, 
-          name: "Viva preparation", 
-          weeks: [13], 
-          days: [0, 1], 
-          owner: "ME",
-          color: "bg-blue-300", 
-          isGateway: false
-        }
-      ]
-    },
-    {
-      id: 5,
-      name: "PRIMARY DATA COLLECTION",
-      activities: [
-        { 
-          id: 5.1, 
-          name: "Create data collection plan for the prototype", 
-          weeks: [9], 
-          days: [1, 2, 3], 
-          owner: "ME",
-          color: "bg-orange-400",
-          isGateway: false
-        },
-        { 
-          id: 5.2, 
-          name: "Create data collection plan for interviews", 
-          weeks: [9], 
-          days: [4, 5, 6], 
-          owner: "ME",
-          color: "bg-orange-400",
-          isGateway: false
-        },
-        { 
-          id: 5.3, 
-          name: "Create questions for interviews", 
-          weeks: [9, 10], 
-          days: [0, 1, 2], 
-          owner: "ME",
-          color: "bg-orange-400",
-          isGateway: false
-        },
-        { 
-          id: 5.4, 
-          name: "Collect data from the prototype", 
-          weeks: [10, 11], 
-          days: [3, 4, 5, 6, 0, 1, 2], 
-          owner: "ME",
-          color: "bg-orange-500",
-          isGateway: false
-        },
-        { 
-          id: 5.5, 
-          name: "Collect data from the interviews", 
-          weeks: [11], 
-          days: [3, 4, 5, 6], 
-          owner: "ME",
-          color: "bg-orange-500",
-          isGateway: false
-        },
-        { 
-          id: 5.6, 
-          name: "Analyze primary data", 
-          weeks: [11, 12], 
-          days: [0, 1, 2, 3, 4], 
-          owner: "ME",
-          color: "bg-orange-600",
-          isGateway: true,
-          gatewayInfo: {
-            name: "Primary Data Analysis Complete",
-            deliverables: ["Prototype performance data", "Interview findings", "Data analysis results", "Key insights for thesis"],
-            nextSteps: "Incorporate findings into thesis conclusions"
-          }
-        }
-      ]
+  // Keyboard position in the chart grid (roving tabindex) and what the live region last announced
+  const [gridFocus, setGridFocus] = useState(null); // { activityId, columnIndex }
+  const [gridAnnouncement, setGridAnnouncement] = useState('');
+  const focusGridCellRef = useRef(false);
+  const editReturnFocusRef = useRef(null);
+  
+  // Timeline columns for the selected zoom level (days, weeks, months or quarters)
+  const [zoomLevel, setZoomLevel] = useState(() => loadZoomLevel());
+  const timeline = useMemo(() => buildTimelineColumns(projectSettings, zoomLevel), [projectSettings, zoomLevel]);
+  const todayMarker = getTodayMarker(timeline.columns);
+
+  // Task structure with ISO start/end dates - moved to state for editing.
+  // The first project starts from the MSc thesis template; new projects start empty
+  const [tasks, setTasks] = useState(() => (
+    projectId === DEFAULT_PROJECT_ID
+      ? instantiateTemplate(getTemplate(BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID), projectSettings.startDate).tasks
+      : []
+  ));
+
+  // Undo/redo history: every edit to tasks or completed days goes through editHistory.execute
+  const applyHistoryState = (state, { action, label }) => {
+    setTasks(state.tasks);
+    setCompletedDays(state.completedDays);
+    
+    if (action === 'undo') {
+      showEditFeedbackMessage(`Undone: ${label}`, 'success');
+    } else if (action === 'redo') {
+      showEditFeedbackMessage(`Redone: ${label}`, 'success');
+    } else if (action === 'jump') {
+      showEditFeedbackMessage(`Restored the plan after: ${label}`, 'success');
     }
-  ]);
+    if (action !== 'execute') {
+      setUndoNotification(null);
+    }
+  };
+  // Approval steps are only taken or reversed through the workflow: undo, redo and jumps that would
+  // change a gateway's approval (or touch a locked gateway) are refused unless the user can approve
+  // milestones, and a supervisor's reversal is written to the audit log
+  const canMoveInHistory = (current, target, { action, label }) => {
+    const approvalChanges = getApprovalRecordChanges(current.tasks, target.tasks);
+    const lockedChanges = getLockedActivityChanges(current.tasks, target.tasks, canApprove);
+    if (!canApprove && (approvalChanges.length > 0 || lockedChanges.length > 0)) {
+      const name = approvalChanges.length > 0 ? approvalChanges[0].name : lockedChanges[0];
+      showEditFeedbackMessage(`Cannot ${action === 'jump' ? 'restore that version' : action}: it would change the approval of "${name}"`, 'error');
+      return false;
+    }
+
+    approvalChanges.forEach(change => roleService.logAuditEvent('MILESTONE_APPROVAL_REVERTED', {
+      activityId: change.activityId,
+      gateway: change.name,
+      by: currentActor.name,
+      status: change.to || 'removed',
+      previousStatus: change.from || 'none',
+      via: `${action}: ${label}`
+    }));
+    return true;
+  };
+  const editHistory = useEditHistory({ tasks, completedDays }, applyHistoryState, projectId, canMoveInHistory);
+
+  // Cloud copy of the plan for the signed-in user, shared with their other devices and,
+  // in a collaborative session, with everyone in it
+  const { user } = useAuth();
+  const editingPresence = useMemo(() => (
+    editingRow ? { type: editingRow.type, id: editingRow.id, since: editingRow.since } : null
+  ), [editingRow]);
+  const collaboration = useCollaboration({ user, projectId, editing: editingPresence });
+
+  // Who is acting, as recorded on comments and gateway approvals
+  const { currentUserRole } = useRole();
+  const currentActor = {
+    id: user ? user.uid : 'local',
+    name: collaboration.displayName,
+    role: currentUserRole
+  };
+
+  // Comment threads on activities and gateways; what the user may do with them depends on their role
+  const commentPermissions = useCommentPermissions();
+  const planComments = usePlanComments({
+    planId: collaboration.planId,
+    projectId,
+    author: currentActor,
+    permissions: commentPermissions
+  });
+  const { markRead: markCommentsRead } = planComments;
+  const commentMentionNames = useMemo(() => {
+    const names = new Set(collaboration.participants.map(participant => participant.name));
+    planComments.comments.forEach(comment => names.add(comment.authorName));
+    names.delete(collaboration.displayName);
+    return Array.from(names).sort();
+  }, [collaboration.participants, collaboration.displayName, planComments.comments]);
+
+  // Comments arriving while their thread is open count as read
+  useEffect(() => {
+    if (commentsActivityId) markCommentsRead(commentsActivityId);
+  }, [commentsActivityId, planComments.comments, markCommentsRead]);
+
+  // Gateway sign-off: editors submit, supervisors approve; approved gateways are locked for everyone else
+  const ganttPermissions = useGanttPermissions();
+  const { canApprove } = useAssessmentPermissions();
+  const approvalPermissions = { canSubmit: ganttPermissions.canEdit, canApprove };
+  const { notes } = useNotes();
+
+  const planSync = usePlanSync({
+    planId: collaboration.planId,
+    userId: user ? user.uid : null,
+    projectId,
+    delay: collaboration.session ? LIVE_SYNC_DELAY : SYNC_DELAY,
+    tasks,
+    completedDays,
+    settings: projectSettings,
+    owners,
+    hasLocalPlan: () => Boolean(localStorage.getItem(storageKey('gantt-tasks'))),
+    applyPlan: (plan) => {
+      setTasks(plan.tasks);
+      setCompletedDays(plan.completedDays);
+      // Plans stored before settings and owners were synced keep the ones in this browser
+      if (plan.settings && validateProjectSettings(plan.settings).isValid) {
+        saveProjectSettings(plan.settings, projectId);
+        setProjectSettings(plan.settings);
+      }
+      if (plan.owners) {
+        saveOwners(plan.owners, projectId);
+        setOwners(plan.owners);
+      }
+    }
+  });
 
   // Manual save function
   const manualSave = useCallback(() => {
@@ -624,7 +441,7 @@ const ThesisGanttChart = () => {
   // Recovery mechanism
   const recoverUnsavedChanges = useCallback(() => {
     try {
-      const backup = localStorage.getItem('gantt-tasks-backup');
+      const backup = localStorage.getItem(storageKey('gantt-tasks-backup'));
       if (backup) {
         const recoveredTasks = decompressData(backup);
         setTasks(recoveredTasks);
@@ -634,25 +451,25 @@ const ThesisGanttChart = () => {
     } catch (error) {
       alert('Failed to recover backup data.');
     }
-  }, [decompressData]);
+  }, [decompressData, storageKey]);
   
   // Load tasks on component mount
   useEffect(() => {
-    const savedTasks = localStorage.getItem('gantt-tasks');
+    const savedTasks = localStorage.getItem(storageKey('gantt-tasks'));
     if (savedTasks) {
       try {
         const decompressed = decompressData(savedTasks);
         setTasks(decompressed);
         setSaveStatus('saved');
         
-        const saveTimestamp = localStorage.getItem('gantt-save-timestamp');
+        const saveTimestamp = localStorage.getItem(storageKey('gantt-save-timestamp'));
         if (saveTimestamp) {
           setLastSaveTime(new Date(parseInt(saveTimestamp)));
         }
       } catch (error) {
         setSaveError('Error loading saved tasks: ' + error.message);
         // Check if backup is available
-        const backup = localStorage.getItem('gantt-tasks-backup');
+        const backup = localStorage.getItem(storageKey('gantt-tasks-backup'));
         if (backup) {
           if (window.confirm('Failed to load main data. Would you like to recover from backup?')) {
             recoverUnsavedChanges();
@@ -660,7 +477,7 @@ const ThesisGanttChart = () => {
         }
       }
     }
-  }, [decompressData, recoverUnsavedChanges]);
+  }, [decompressData, recoverUnsavedChanges, storageKey]);
   
   // Auto-save tasks when they change
   useEffect(() => {
@@ -669,18 +486,26 @@ const ThesisGanttChart = () => {
     }
   }, [tasks, debouncedSave]);
 
-  // Owner information
-  const owners = {
-    "ME": "Daniil Vladimirov (Thesis Author)",
-    "SV": "Supervisor",
-    "SME": "Subject Matter Expert"
-  };
+  // Activity-days per owner per week, and the rows left after the owner filter
+  const workload = useMemo(
+    () => calculateWorkload(tasks, owners, buildTimelineWeeks(projectSettings), projectSettings),
+    [tasks, owners, projectSettings]
+  );
+  const visibleTasks = useMemo(() => filterTasksByOwners(tasks, ownerFilter), [tasks, ownerFilter]);
+
+  // Activity rows and the columns inside the project period that keyboard focus moves between
+  const gridRows = useMemo(() => visibleTasks.flatMap(task => task.activities.map(activity => ({ task, activity }))), [visibleTasks]);
+  const gridColumns = useMemo(() => getFocusableColumns(timeline.columns), [timeline.columns]);
 
   // Load completed days from localStorage on initial render
   useEffect(() => {
-    const savedCompletedDays = localStorage.getItem('thesisGanttCompletedDays');
+    const savedCompletedDays = localStorage.getItem(storageKey('thesisGanttCompletedDays'));
     if (savedCompletedDays) {
-      setCompletedDays(JSON.parse(savedCompletedDays));
+      // Older saves keyed days by week/day index on the current timeline
+      setCompletedDays(migrateLegacyCompletedDays(
+        JSON.parse(savedCompletedDays),
+        getTimelineAnchor(loadProjectSettings(projectId))
+      ));
     }
     
     // Check if this is the first visit
@@ -689,143 +514,119 @@ const ThesisGanttChart = () => {
       setShowInstructions(true);
       localStorage.setItem('thesisGanttVisited', 'true');
     }
-  }, []);
+  }, [storageKey, projectId]);
 
   // Save completed days to localStorage whenever it changes
   useEffect(() => {
-    localStorage.setItem('thesisGanttCompletedDays', JSON.stringify(completedDays));
-  }, [completedDays]);
+    localStorage.setItem(storageKey('thesisGanttCompletedDays'), JSON.stringify(completedDays));
+  }, [completedDays, storageKey]);
 
-  // Function to toggle completion status of a day
-  const toggleDayCompletion = (activityId, weekIndex, dayIndex) => {
-    const dayKey = `${activityId}-${weekIndex}-${dayIndex}`;
+  // Toggle completion of one day, or of every working day in a week/month/quarter column:
+  // a partly complete column is completed, a complete one is cleared
+  const toggleCompletion = (activityId, dates) => {
+    if (guardApprovalLock(activityId)) return false;
+    const dayKeys = dates.map(date => getCompletedDayKey(activityId, date));
+    const isComplete = dayKeys.every(dayKey => completedDays[dayKey]);
+    const activityName = findActivity(tasks, activityId)?.activity.name || activityId;
     
-    setCompletedDays(prevState => {
-      const newState = { ...prevState };
-      
-      // Toggle completed status
-      if (newState[dayKey]) {
-        delete newState[dayKey];
-      } else {
-        newState[dayKey] = true;
+    editHistory.execute(
+      `${isComplete ? 'Unmarked' : 'Marked'} ${dates.length === 1 ? dates[0] : `${dates.length} days`} of "${activityName}"`,
+      (state) => {
+        const newState = { ...state.completedDays };
+        
+        dayKeys.forEach(dayKey => {
+          if (isComplete) {
+            delete newState[dayKey];
+          } else {
+            newState[dayKey] = true;
+          }
+        });
+        
+        return { completedDays: newState };
       }
-      
-      return newState;
-    });
+    );
+    return true;
   };
 
-  // Calculate progress for an activity
+  // Calculate progress for an activity over its working days within the project period
   const calculateActivityProgress = (activity) => {
-    let totalDays = 0;
-    let completedDaysCount = 0;
-    
-    // First, identify all days that are part of this activity
-    const activityDays = [];
-    
-    // For each week in the activity's span
-    for (let w = 0; w < activity.weeks.length; w++) {
-      const weekIndex = activity.weeks[w];
-      
-      // Determine the start and end days for this week
-      let startDay, endDay;
-      
-      if (w === 0) {
-        // If this is the first week, start from the specified first day
-        startDay = activity.days[0];
-      } else {
-        // Otherwise start from the beginning of the week
-        startDay = 0;
-      }
-      
-      if (w === activity.weeks.length - 1) {
-        // If this is the last week, end at the specified last day
-        endDay = activity.days[activity.days.length - 1];
-      } else {
-        // Otherwise end at the end of the week
-        endDay = 6;
-      }
-      
-      // Add each day in this week to our activity days
-      for (let dayIndex = startDay; dayIndex <= endDay; dayIndex++) {
-        // Skip non-existent days in the last week
-        if (weekIndex === 13 && dayIndex > 1) continue;
-        
-        activityDays.push({
-          weekIndex,
-          dayIndex
-        });
-      }
-    }
-    
-    // Now count the total days and completed days
-    totalDays = activityDays.length;
-    
-    // Check each day to see if it's completed
-    activityDays.forEach(({ weekIndex, dayIndex }) => {
-      const dayKey = `${activity.id}-${weekIndex}-${dayIndex}`;
-      if (completedDays[dayKey]) {
-        completedDaysCount++;
-      }
-    });
-    
-    return totalDays > 0 ? (completedDaysCount / totalDays) * 100 : 0;
+    return calculateDateRangeProgress(activity, completedDays, projectSettings);
   };
 
-  // Helper function to determine if a day is part of an activity
-  const isDayInActivity = (activity, weekIndex, dayIndex) => {
-    if (!activity.weeks.includes(weekIndex)) return false;
-    
-    // First week of activity
-    if (weekIndex === activity.weeks[0]) {
-      return dayIndex >= activity.days[0];
-    }
-    // Last week of activity
-    else if (weekIndex === activity.weeks[activity.weeks.length - 1]) {
-      return dayIndex <= activity.days[activity.days.length - 1];
-    }
-    // Weeks in between
-    else {
-      return true;
-    }
+  const planEffort = getPlanEffort(tasks, timeEntries, calculateActivityProgress);
+
+  // Vertical line marking today inside the column that contains it
+  const renderTodayLine = (columnIndex) => {
+    if (!todayMarker || todayMarker.columnIndex !== columnIndex) return null;
+    return (
+      <div
+        className="absolute inset-y-0 w-0.5 -ml-px bg-red-500 pointer-events-none z-20"
+        style={{ left: `${todayMarker.offset * 100}%` }}
+      ></div>
+    );
   };
 
-  // Render a cell for a particular week and day
-  const renderCell = (weekIndex, dayIndex, activity) => {
-    // Skip non-existent days in the last week
-    if (weekIndex === 13 && dayIndex > 1) {
-      return <td key={`${weekIndex}-${dayIndex}-${activity.id}`} className="bg-white border border-gray-200 w-6 h-6"></td>;
+  // Render the cell where an activity meets a timeline column (a day, week, month or quarter)
+  const renderCell = (column, columnIndex, storedActivity) => {
+    // While a bar is being dragged it is drawn at its new dates
+    const isDragging = barDrag?.activityId === storedActivity.id;
+    const activity = isDragging ? { ...storedActivity, ...barDrag.preview } : storedActivity;
+    const cellKey = `${column.key}-${activity.id}`;
+    
+    // Skip days outside the project period
+    if (!column.inRange) {
+      return <td key={cellKey} className="bg-white border border-gray-200 h-6" aria-label={describeGridCell(activity, column, null)}></td>;
     }
     
-    // Check if this day is part of the activity
-    const isActiveDay = isDayInActivity(activity, weekIndex, dayIndex);
+    // Roving tabindex: one cell in the grid is reachable with Tab, the arrow keys move between the rest
+    const isGridFocus = gridRows[gridPosition.row]?.activity.id === activity.id && gridPosition.column === columnIndex;
+    
+    // The part of the bar inside this column, with its working days and how many are complete
+    const segment = getColumnSegment(activity, column, completedDays, projectSettings);
+    const isActiveDay = Boolean(segment) && segment.dates.length > 0;
+    
+    // Bar passes through but its working days or the project calendar exclude every day in the column
+    const isNonWorkingDay = Boolean(segment) && !isActiveDay;
     
     // Handle first or last day of an activity
-    const isFirstDay = weekIndex === activity.weeks[0] && dayIndex === activity.days[0];
-    const isLastDay = weekIndex === activity.weeks[activity.weeks.length-1] && dayIndex === activity.days[activity.days.length-1];
+    const isFirstDay = Boolean(segment) && segment.isStart;
+    const isLastDay = Boolean(segment) && segment.isEnd;
     
     // Check if this is a gateway (last cell of a gateway activity)
     const isGatewayCell = activity.isGateway && isLastDay;
+    const gatewayChecklist = isGatewayCell ? getDeliverableCompletion(activity) : null;
     
-    // Check if this day is completed
-    const dayKey = `${activity.id}-${weekIndex}-${dayIndex}`;
-    const isCompleted = completedDays[dayKey];
+    // Ghost bar for the same activity in the active baseline
+    const baselineActivity = activeBaseline?.activities[activity.id];
+    const baselineSegment = baselineActivity ? getColumnSegment(baselineActivity, column) : null;
+    
+    // Critical activities and gateways are outlined when the critical path is shown
+    const isCritical = isActiveDay && isCriticalActivity(activity.id);
+    
+    // A column is complete when all of its working days are; coarser columns can be partly complete
+    const completedCount = isActiveDay ? segment.completedCount : 0;
+    const isCompleted = isActiveDay && completedCount === segment.dates.length;
+    const completedFraction = isActiveDay ? completedCount / segment.dates.length : 0;
     
     // File-related checks for Task 13
     const activityHasFiles = hasFiles(activity);
     const fileCount = getFileCount(activity);
+    const commentSummary = planComments.summary[activity.id];
     const isDropTarget = dropTargetActivity === activity.id;
     
-    // Determine the cell color
-    let cellColor = 'bg-white';
+    // Determine the bar color
+    let barColor = 'bg-white';
     
     if (isActiveDay) {
       if (isCompleted) {
-        cellColor = 'bg-gray-400'; // Completed tasks are gray
+        barColor = 'bg-gray-400'; // Completed tasks are gray
       } else if (isGatewayCell) {
-        cellColor = 'bg-amber-500'; // Gateway color
+        barColor = 'bg-amber-500'; // Gateway color
       } else {
-        cellColor = activity.color; // Normal activity color
+        barColor = activity.color; // Normal activity color
       }
+    } else if (isNonWorkingDay) {
+      barColor = 'bg-gray-100'; // Non-working days inside the activity range
     }
     
     // Handler functions for mouse events
@@ -836,7 +637,7 @@ const ThesisGanttChart = () => {
         const bottomY = window.pageYOffset + rect.bottom;
         
         setTooltipPosition({ x: centerX, y: bottomY });
-        setHoveredGateway(activity.gatewayInfo);
+        setHoveredGateway(activity);
       } else if (isActiveDay && activityHasFiles) {
         // Show file tooltip on hover for activities with files
         handleFileTooltipShow(e, activity);
@@ -851,64 +652,250 @@ const ThesisGanttChart = () => {
       }
     };
     
-    // Click handler for toggling completion
+    // Click handler for toggling completion of every working day in the column
     const handleClick = () => {
       if (isActiveDay) {
-        toggleDayCompletion(activity.id, weekIndex, dayIndex);
+        toggleCompletion(activity.id, segment.dates);
+      }
+    };
+    
+    // Pressing on a bar starts moving it; the edge grips resize it. Moves snap to whole columns.
+    const handleMouseDown = (e) => {
+      if (segment) {
+        startBarDrag(e, activity, column.startDate, 'move');
       }
     };
     
+    const anchors = [isFirstDay && `${activity.id}:start`, isLastDay && `${activity.id}:end`].filter(Boolean).join(' ');
+    
     return (
       <td 
-        key={`${weekIndex}-${dayIndex}-${activity.id}`} 
-        className={`border border-gray-200 w-6 h-6 relative
-          ${cellColor} 
-          ${isFirstDay ? 'rounded-l' : ''} 
-          ${isLastDay ? 'rounded-r' : ''}
+        key={cellKey} 
+        role="gridcell"
+        tabIndex={isGridFocus ? 0 : -1}
+        aria-label={describeGridCell(activity, column, segment)}
+        data-grid-row={activity.id}
+        data-grid-column={columnIndex}
+        title={isActiveDay && zoomLevel !== 'day'
+          ? `${column.title}: ${completedCount} of ${segment.dates.length} days complete`
+          : column.nonWorking ? `${column.title}: ${column.nonWorking.name}` : column.title}
+        className={`border border-gray-200 h-6 p-0 relative focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-700
+          ${column.nonWorking ? 'bg-gray-100' : ''}
           ${isActiveDay ? 'cursor-pointer hover:opacity-80' : ''}
-          ${isDropTarget ? 'ring-2 ring-blue-400 ring-opacity-75' : ''}`
+          ${isDropTarget ? 'ring-2 ring-blue-400 ring-opacity-75' : ''}
+          ${linkDraft && isActiveDay && linkDraft.activityId !== activity.id ? 'ring-1 ring-blue-500' : ''}`
         }
-        onMouseEnter={handleMouseEnter}
+        onMouseEnter={(e) => {
+          if (barDrag) {
+            updateBarDrag(column.startDate);
+          } else {
+            handleMouseEnter(e);
+          }
+        }}
         onMouseLeave={handleMouseLeave}
+        onFocus={(e) => {
+          if (gridFocus?.activityId !== activity.id || gridFocus?.columnIndex !== columnIndex) {
+            setGridFocus({ activityId: activity.id, columnIndex });
+          }
+          handleMouseEnter(e);
+        }}
+        onBlur={handleMouseLeave}
+        onMouseDown={handleMouseDown}
+        onMouseUp={() => isActiveDay && completeLinkDraft(activity.id)}
         onClick={handleClick}
         onDragEnter={(e) => isActiveDay && handleFileDragEnter(e, activity.id)}
         onDragOver={(e) => isActiveDay && handleFileDragOver(e)}
         onDragLeave={(e) => isActiveDay && handleFileDragLeave(e)}
         onDrop={(e) => isActiveDay && handleFileDrop(e, activity.id)}
       >
-        {/* Completion checkmark */}
-        {isCompleted && (
-          <div className="absolute inset-0 flex items-center justify-center z-10">
-            <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="3" d="M5 13l4 4L19 7"></path>
-            </svg>
+        {segment && (
+          <div
+            className={`absolute inset-y-0 ${barColor}
+              ${isFirstDay ? 'rounded-l' : ''} 
+              ${isLastDay ? 'rounded-r' : ''}
+              ${isDragging ? 'opacity-70 ring-1 ring-inset ring-blue-600' : ''}
+              ${isCritical ? 'ring-2 ring-inset ring-red-600' : ''}`
+            }
+            style={{ left: `${segment.from * 100}%`, right: `${(1 - segment.to) * 100}%` }}
+            data-dependency-anchor={anchors || undefined}
+          >
+            {/* Completed share of a partly complete week, month or quarter */}
+            {!isCompleted && completedFraction > 0 && (
+              <div
+                className={`absolute inset-y-0 left-0 bg-gray-400 ${isFirstDay ? 'rounded-l' : ''}`}
+                style={{ width: `${completedFraction * 100}%` }}
+              ></div>
+            )}
+            
+            {/* Gateway diamond, filled green as its deliverables are ticked off */}
+            {isGatewayCell && gatewayChecklist.total > 0 && !isCompleted && (
+              <span
+                className="absolute top-1/2 left-1/2 w-3 h-3 border border-amber-800 z-10 pointer-events-none"
+                style={{
+                  transform: 'translate(-50%, -50%) rotate(45deg)',
+                  background: `linear-gradient(45deg, #16a34a ${gatewayChecklist.percent}%, #fef3c7 ${gatewayChecklist.percent}%)`
+                }}
+                title={`Deliverables: ${gatewayChecklist.done} of ${gatewayChecklist.total} done`}
+                data-deliverables={`${gatewayChecklist.done}/${gatewayChecklist.total}`}
+              ></span>
+            )}
+            
+            {/* Completion checkmark */}
+            {isCompleted && (
+              <div className="absolute inset-0 flex items-center justify-center z-10">
+                <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="3" d="M5 13l4 4L19 7"></path>
+                </svg>
+              </div>
+            )}
+            
+            {/* Resize grips on the first and last day of the bar */}
+            {isFirstDay && (
+              <span
+                className="absolute inset-y-0 left-0 w-1.5 cursor-ew-resize z-20"
+                onMouseDown={(e) => startBarDrag(e, activity, column.startDate, 'resize-start')}
+                onClick={(e) => e.stopPropagation()}
+                title="Drag to change the start date"
+              ></span>
+            )}
+            {isLastDay && (
+              <span
+                className="absolute inset-y-0 right-0 w-1.5 cursor-ew-resize z-20"
+                onMouseDown={(e) => startBarDrag(e, activity, column.startDate, 'resize-end')}
+                onClick={(e) => e.stopPropagation()}
+                title="Drag to change the end date"
+              ></span>
+            )}
+            
+            {/* Link handles: drag from either end of a bar onto another bar to add a dependency */}
+            {isFirstDay && (
+              <span
+                className="absolute top-1/2 -left-1 -translate-y-1/2 w-2 h-2 rounded-full bg-white border border-slate-600 cursor-crosshair z-30 opacity-0 group-hover/row:opacity-100"
+                onMouseDown={(e) => startLinkDraft(e, activity.id, 'start')}
+                onClick={(e) => e.stopPropagation()}
+                title="Drag onto another activity to link from this start"
+              ></span>
+            )}
+            {isLastDay && (
+              <span
+                className="absolute top-1/2 -right-1 -translate-y-1/2 w-2 h-2 rounded-full bg-white border border-slate-600 cursor-crosshair z-30 opacity-0 group-hover/row:opacity-100"
+                onMouseDown={(e) => startLinkDraft(e, activity.id, 'end')}
+                onClick={(e) => e.stopPropagation()}
+                title="Drag onto another activity to link from this finish"
+              ></span>
+            )}
+            
+            {/* File count indicator - Task 13 feature */}
+            {isActiveDay && activityHasFiles && isFirstDay && (
+              <div className="absolute -top-1 -right-1 z-20">
+                <div className="bg-red-500 text-white text-xs rounded-full w-4 h-4 flex items-center justify-center text-center leading-none font-bold">
+                  {fileCount > 9 ? '9+' : fileCount}
+                </div>
+              </div>
+            )}
+            
+            {/* Unread comments; orange when they mention you */}
+            {isActiveDay && isLastDay && commentSummary?.unread > 0 && (
+              <button
+                className={`absolute -bottom-1 -right-1 z-20 text-white text-xs rounded-full w-4 h-4 flex items-center justify-center leading-none font-bold ${
+                  commentSummary.mentioned ? 'bg-orange-500' : 'bg-blue-600'
+                }`}
+                onMouseDown={(e) => e.stopPropagation()}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setCommentsActivityId(activity.id);
+                }}
+                title={`${commentSummary.unread} unread comment${commentSummary.unread === 1 ? '' : 's'}${commentSummary.mentioned ? ' mentioning you' : ''}`}
+                aria-label={`Open comments on ${activity.name}`}
+              >
+                {commentSummary.unread > 9 ? '9+' : commentSummary.unread}
+              </button>
+            )}
+            
+            {/* File icon indicator for activities with files - Task 13 feature */}
+            {isActiveDay && activityHasFiles && !isCompleted && (
+              <div className="absolute bottom-0 left-0 z-10">
+                <svg className="w-2 h-2 text-white opacity-80" fill="currentColor" viewBox="0 0 20 20">
+                  <path d="M4 4v12h12V8l-4-4H4zm8 0v3h3l-3-3z"/>
+                </svg>
+              </div>
+            )}
           </div>
         )}
         
-        {/* File count indicator - Task 13 feature */}
-        {isActiveDay && activityHasFiles && isFirstDay && (
-          <div className="absolute -top-1 -right-1 z-20">
-            <div className="bg-red-500 text-white text-xs rounded-full w-4 h-4 flex items-center justify-center text-center leading-none font-bold">
-              {fileCount > 9 ? '9+' : fileCount}
-            </div>
-          </div>
+        {/* Baseline ghost bar: planned dates from the selected baseline */}
+        {baselineSegment && (
+          <div
+            className={`absolute bottom-0 h-1 pointer-events-none ${
+              baselineActivity.isGateway && baselineSegment.isEnd ? 'bg-amber-700' : 'bg-slate-500'
+            } opacity-70`}
+            style={{ left: `${baselineSegment.from * 100}%`, right: `${(1 - baselineSegment.to) * 100}%` }}
+          ></div>
         )}
         
-        {/* File icon indicator for activities with files - Task 13 feature */}
-        {isActiveDay && activityHasFiles && !isCompleted && (
-          <div className="absolute bottom-0 left-0 z-10">
-            <svg className="w-2 h-2 text-white opacity-80" fill="currentColor" viewBox="0 0 20 20">
-              <path d="M4 4v12h12V8l-4-4H4zm8 0v3h3l-3-3z"/>
-            </svg>
-          </div>
-        )}
+        {renderTodayLine(columnIndex)}
       </td>
     );
   };
 
-  // Row editing functions
+  const changeZoomLevel = (level) => {
+    setZoomLevel(level);
+    saveZoomLevel(level);
+  };
+
+  // Scroll the chart so today's column is in the middle
+  const jumpToToday = () => {
+    const container = ganttTableRef.current;
+    const todayHeader = container?.querySelector('[data-today-column]');
+    if (!todayHeader) return;
+    
+    const offset = todayHeader.getBoundingClientRect().left - container.getBoundingClientRect().left + container.scrollLeft;
+    container.scrollLeft = Math.max(0, offset - container.clientWidth / 2 + todayHeader.offsetWidth / 2);
+  };
+
+  // Apply new project settings; activities keep their calendar dates
+  const applyProjectSettings = (newSettings) => {
+    try {
+      saveProjectSettings(newSettings, projectId);
+    } catch (error) {
+      showEditFeedbackMessage(error.message, 'error');
+      return;
+    }
+    
+    setProjectSettings(newSettings);
+    setShowProjectSettings(false);
+    showEditFeedbackMessage('Project settings updated successfully!', 'success');
+  };
+
+  // Replace the plan with a template laid out from startDate and fit the project period to it
+  const applyTemplate = (template, startDate) => {
+    const { tasks: templateTasks, endDate } = instantiateTemplate(template, startDate);
+    const newSettings = { ...projectSettings, startDate, endDate };
+    try {
+      saveProjectSettings(newSettings, projectId);
+    } catch (error) {
+      showEditFeedbackMessage(error.message, 'error');
+      return;
+    }
+
+    setProjectSettings(newSettings);
+    editHistory.execute(`Applied template "${template.name}"`, () => ({
+      tasks: templateTasks,
+      completedDays: {}
+    }));
+    setShowTemplatesPanel(false);
+    showEditFeedbackMessage(`Plan created from "${template.name}"`, 'success');
+  };
+
+  // Row editing functions; a row someone else in the session is renaming is locked
   const startEditing = (type, id, currentName) => {
-    setEditingRow({ type, id, originalName: currentName });
+    if (type === 'activity' && guardApprovalLock(id)) return;
+    const lock = getRowLock(collaboration.participants, type, id);
+    if (lock) {
+      showEditFeedbackMessage(`${lock.name} is editing this row`, 'error');
+      return;
+    }
+    setEditingRow({ type, id, originalName: currentName, since: Date.now() });
     setEditValue(currentName);
     setShowEditFeedback({ show: false, message: '', type: '' });
   };
@@ -942,6 +929,17 @@ const ThesisGanttChart = () => {
       return;
     }
 
+    // Both started editing at once: whoever started first keeps the row
+    const lock = getRowLock(collaboration.participants, editingRow.type, editingRow.id);
+    if (lock && lock.editing.since < editingRow.since) {
+      setShowEditFeedback({
+        show: true,
+        message: `${lock.name} started editing this row first. Wait for them to finish.`,
+        type: 'error'
+      });
+      return;
+    }
+
     const trimmedValue = editValue.trim();
     
     if (trimmedValue === editingRow.originalName) {
@@ -951,8 +949,8 @@ const ThesisGanttChart = () => {
     }
 
     // Update the tasks state
-    setTasks(prevTasks => {
-      return prevTasks.map(task => {
+    editHistory.execute(`Renamed "${editingRow.originalName}" to "${trimmedValue}"`, ({ tasks: prevTasks }) => ({
+      tasks: prevTasks.map(task => {
         if (editingRow.type === 'task' && task.id === editingRow.id) {
           return { ...task, name: trimmedValue };
         } else if (editingRow.type === 'activity') {
@@ -967,8 +965,8 @@ const ThesisGanttChart = () => {
           };
         }
         return task;
-      });
-    });
+      })
+    }));
 
     // Show success feedback
     setShowEditFeedback({ 
@@ -1001,6 +999,25 @@ const ThesisGanttChart = () => {
     }
   }, [editingRow]);
 
+  // A rename started from the grid hands focus back to the cell it started from
+  useEffect(() => {
+    if (!editingRow && editReturnFocusRef.current) {
+      focusGridCellRef.current = true;
+      setGridFocus(editReturnFocusRef.current);
+      editReturnFocusRef.current = null;
+    }
+  }, [editingRow]);
+
+  // Move DOM focus along with keyboard navigation in the grid
+  useEffect(() => {
+    if (!focusGridCellRef.current || !gridFocus || !ganttTableRef.current) return;
+    focusGridCellRef.current = false;
+    const cell = ganttTableRef.current.querySelector(
+      `[data-grid-row="${gridFocus.activityId}"][data-grid-column="${gridFocus.columnIndex}"]`
+    );
+    if (cell) cell.focus();
+  }, [gridFocus]);
+
   // Load tasks from localStorage on mount
   // Note: Loading and saving are now handled by the enhanced auto-save system above
 
@@ -1035,32 +1052,33 @@ const ThesisGanttChart = () => {
       activities: []
     };
     
-    setTasks(prevTasks => {
-      const newTasks = [...prevTasks, newTask];
-      showEditFeedbackMessage(`Task "${newTask.name}" added successfully!`, 'success');
-      return newTasks;
-    });
+    editHistory.execute(`Added task "${newTask.name}"`, ({ tasks: prevTasks }) => ({
+      tasks: [...prevTasks, newTask]
+    }));
+    showEditFeedbackMessage(`Task "${newTask.name}" added successfully!`, 'success');
     
     return newId;
   };
   
   // Add new activity to existing task
   const addNewActivity = (activityData) => {
-    const { parentTaskId, name, weeks, days, owner, color, isGateway } = activityData;
+    const { parentTaskId, name, startDate, endDate, weekdaysOnly, owner, color, isGateway } = activityData;
     const newActivityId = generateUniqueActivityId(parentTaskId);
+    const defaultStart = parseISODate(projectSettings.startDate);
     
     const newActivity = {
       id: newActivityId,
       name: name || `New Activity ${newActivityId}`,
-      weeks: weeks || [0],
-      days: days || [1, 2, 3],
+      startDate: startDate || toISODate(defaultStart),
+      endDate: endDate || startDate || toISODate(addDays(defaultStart, 2)),
+      ...(weekdaysOnly ? { workingDays: WEEKDAYS_ONLY } : {}),
       owner: owner || 'ME',
       color: color || 'bg-blue-400',
       isGateway: isGateway || false
     };
     
-    setTasks(prevTasks => {
-      const newTasks = prevTasks.map(task => {
+    editHistory.execute(`Added activity "${newActivity.name}"`, ({ tasks: prevTasks }) => ({
+      tasks: prevTasks.map(task => {
         if (task.id === parentTaskId) {
           return {
             ...task,
@@ -1068,10 +1086,9 @@ const ThesisGanttChart = () => {
           };
         }
         return task;
-      });
-      showEditFeedbackMessage(`Activity "${newActivity.name}" added successfully!`, 'success');
-      return newTasks;
-    });
+      })
+    }));
+    showEditFeedbackMessage(`Activity "${newActivity.name}" added successfully!`, 'success');
     
     return newActivityId;
   };
@@ -1083,10 +1100,19 @@ const ThesisGanttChart = () => {
       return;
     }
     
+    if (addRowType === 'activity' && addRowData.startDate && addRowData.endDate && addRowData.endDate < addRowData.startDate) {
+      showEditFeedbackMessage('The end date must be on or after the start date.', 'error');
+      return;
+    }
+    
     if (addRowType === 'task') {
       addNewTask(addRowData);
     } else if (addRowType === 'activity' && addRowData.parentTaskId) {
-      addNewActivity(addRowData);
+      // The default owner may have been removed from this project
+      addNewActivity({
+        ...addRowData,
+        owner: getOwner(owners, addRowData.owner).unknown ? owners[0]?.id : addRowData.owner
+      });
     } else {
       showEditFeedbackMessage('Please select a parent task for the new activity.', 'error');
       return;
@@ -1096,8 +1122,9 @@ const ThesisGanttChart = () => {
     setAddRowData({
       name: '',
       parentTaskId: null,
-      weeks: [],
-      days: [],
+      startDate: '',
+      endDate: '',
+      weekdaysOnly: false,
       owner: 'ME',
       color: 'bg-blue-400',
       isGateway: false
@@ -1134,7 +1161,7 @@ const ThesisGanttChart = () => {
         const newTasks = [...tasks];
         const [removed] = newTasks.splice(draggedIndex, 1);
         newTasks.splice(targetIndex, 0, removed);
-        setTasks(newTasks);
+        editHistory.execute(`Moved task "${removed.name}"`, () => ({ tasks: newTasks }));
         showEditFeedbackMessage('Task repositioned successfully!', 'success');
       }
     }
@@ -1143,6 +1170,88 @@ const ThesisGanttChart = () => {
     setDragOverItem(null);
   };
   
+  // Keyboard reordering: Alt+Up/Down moves an activity within its task, Alt+Shift+Up/Down moves the whole task
+  const moveGridRow = (activityId, offset, moveTask) => {
+    const found = findActivity(tasks, activityId);
+    if (!found) return;
+    const { task, activity } = found;
+    const direction = offset < 0 ? 'first' : 'last';
+    
+    if (moveTask) {
+      const index = tasks.findIndex(t => t.id === task.id);
+      const newTasks = moveListItem(tasks, index, offset);
+      if (newTasks === tasks) {
+        setGridAnnouncement(`${task.name} is already the ${direction} task`);
+        return;
+      }
+      editHistory.execute(`Moved task "${task.name}"`, () => ({ tasks: newTasks }));
+      setGridAnnouncement(`Moved task ${task.name} to position ${index + offset + 1} of ${tasks.length}`);
+    } else {
+      const index = task.activities.findIndex(a => a.id === activityId);
+      const activities = moveListItem(task.activities, index, offset);
+      if (activities === task.activities) {
+        setGridAnnouncement(`${activity.name} is already the ${direction} activity in ${task.name}`);
+        return;
+      }
+      editHistory.execute(`Moved activity "${activity.name}"`, ({ tasks: prevTasks }) => ({
+        tasks: prevTasks.map(t => (t.id === task.id ? { ...t, activities } : t))
+      }));
+      setGridAnnouncement(`Moved ${activity.name} to position ${index + offset + 1} of ${activities.length} in ${task.name}`);
+    }
+    
+    // Moved rows are re-inserted, so focus follows the row
+    focusGridCellRef.current = true;
+    setGridFocus(prev => prev && { ...prev });
+  };
+  
+  // Arrow keys move between day cells, Space toggles completion and Enter renames the activity
+  const handleGridKeyDown = (e) => {
+    if (!e.target.hasAttribute || !e.target.hasAttribute('data-grid-column')) return;
+    const row = gridRows.findIndex(r => String(r.activity.id) === e.target.getAttribute('data-grid-row'));
+    if (row === -1) return;
+    const { activity } = gridRows[row];
+    const columnIndex = Number(e.target.getAttribute('data-grid-column'));
+    const column = timeline.columns[columnIndex];
+    
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      moveGridRow(activity.id, e.key === 'ArrowUp' ? -1 : 1, e.shiftKey);
+      return;
+    }
+    
+    const next = getNextGridPosition({ row, column: columnIndex }, e, { rowCount: gridRows.length, ...gridColumns });
+    if (next) {
+      e.preventDefault();
+      focusGridCellRef.current = true;
+      setGridFocus({ activityId: gridRows[next.row].activity.id, columnIndex: next.column });
+      return;
+    }
+    
+    if (e.key === ' ') {
+      e.preventDefault();
+      const segment = getColumnSegment(activity, column, completedDays, projectSettings);
+      if (!segment || segment.dates.length === 0) {
+        setGridAnnouncement(describeGridCell(activity, column, segment));
+        return;
+      }
+      const wasComplete = segment.completedCount === segment.dates.length;
+      if (toggleCompletion(activity.id, segment.dates)) {
+        setGridAnnouncement(`${activity.name}, ${column.title}: marked ${wasComplete ? 'not complete' : 'complete'}`);
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      editReturnFocusRef.current = { activityId: activity.id, columnIndex };
+      startEditing('activity', activity.id, activity.name);
+    }
+  };
+  
+  // Cell that takes Tab focus: the last one focused, or the first day of the first row
+  const gridPosition = (() => {
+    const row = gridFocus ? gridRows.findIndex(r => r.activity.id === gridFocus.activityId) : -1;
+    if (row === -1) return { row: 0, column: gridColumns.firstColumn };
+    return { row, column: Math.min(Math.max(gridFocus.columnIndex, gridColumns.firstColumn), gridColumns.lastColumn) };
+  })();
+  
   // Helper function to show feedback messages
   const showEditFeedbackMessage = (message, type) => {
     setShowEditFeedback({ show: true, message, type });
@@ -1151,50 +1260,275 @@ const ThesisGanttChart = () => {
     }, 3000);
   };
 
-  // Dependency validation functions
-  const findDependentActivities = (taskId, activityId = null) => {
-    const dependents = [];
+  // "X is editing this row" marker for rows locked by someone else in the session
+  const renderRowLock = (type, id) => {
+    const lock = getRowLock(collaboration.participants, type, id);
+    if (!lock) return null;
+    return (
+      <span
+        className="ml-1 inline-flex items-center px-1 rounded text-[10px] font-semibold align-middle text-white"
+        style={{ backgroundColor: lock.color }}
+      >
+        {lock.name} is editing this row
+      </span>
+    );
+  };
+
+  // Earliest/latest dates, float and the critical chain for the current plan
+  const schedule = useMemo(() => calculateCriticalPath(tasks, projectSettings), [tasks, projectSettings]);
+
+  const isCriticalActivity = (activityId) => {
+    return showCriticalPath && Boolean(schedule.activities[activityId]?.isCritical);
+  };
+
+  // Dependency links with display names and whether the current dates honour them
+  const dependencyLinks = useMemo(() => {
+    return getDependencyLinks(tasks).map(link => {
+      const predecessor = findActivity(tasks, link.predecessorId);
+      const successor = findActivity(tasks, link.successorId);
+      if (!predecessor || !successor) return null;
+      const successorSchedule = schedule.activities[link.successorId];
+      return {
+        ...link,
+        predecessorName: predecessor.activity.name,
+        successorName: successor.activity.name,
+        isViolated: !isDependencySatisfied(predecessor.activity, successor.activity, link, projectSettings),
+        // The link that drives a critical activity's start is part of the critical chain
+        isCritical: showCriticalPath &&
+          Boolean(successorSchedule?.isCritical) &&
+          Boolean(schedule.activities[link.predecessorId]?.isCritical) &&
+          successorSchedule.drivingPredecessorId === link.predecessorId
+      };
+    }).filter(Boolean);
+  }, [tasks, schedule, showCriticalPath, projectSettings]);
+
+  // Start dragging a new link out of the start or end of a bar
+  const startLinkDraft = (e, activityId, side) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setLinkDraft({ activityId, side });
+  };
+
+  // Dropping a link on another bar opens the dialog to confirm its type and lag
+  const completeLinkDraft = (targetActivityId) => {
+    if (!linkDraft || linkDraft.activityId === targetActivityId) return;
     
-    tasks.forEach(task => {
-      task.activities.forEach(activity => {
-        // Skip the activity being deleted
-        if (activityId && activity.id === activityId && task.id === taskId) return;
-        
-        // Check if this activity depends on the task/activity being deleted
-        if (activityId) {
-          // Check for activity-level dependencies (temporal relationships)
-          const deletingActivity = tasks.find(t => t.id === taskId)?.activities.find(a => a.id === activityId);
-          if (deletingActivity && hasTimeDependency(deletingActivity, activity)) {
-            dependents.push({ task: task.name, activity: activity.name, type: 'temporal' });
-          }
-        } else {
-          // Check for task-level dependencies
-          if (task.id !== taskId && hasTaskDependency(taskId, task)) {
-            dependents.push({ task: task.name, activity: activity.name, type: 'task' });
-          }
-        }
-      });
+    const predecessor = findActivity(tasks, linkDraft.activityId);
+    const successor = findActivity(tasks, targetActivityId);
+    const existing = dependencyLinks.find(link => 
+      link.predecessorId === linkDraft.activityId && link.successorId === targetActivityId
+    );
+    
+    setDependencyDialog({
+      predecessorId: linkDraft.activityId,
+      successorId: targetActivityId,
+      predecessorName: predecessor.activity.name,
+      successorName: successor.activity.name,
+      type: existing ? existing.type : (linkDraft.side === 'start' ? 'SS' : 'FS'),
+      lag: existing ? existing.lag : 0,
+      isExisting: Boolean(existing),
+      errors: []
+    });
+    setLinkDraft(null);
+  };
+
+  // Cancel a link drag released anywhere other than a bar
+  useEffect(() => {
+    if (!linkDraft) return undefined;
+    
+    const cancelDraft = () => setLinkDraft(null);
+    window.addEventListener('mouseup', cancelDraft);
+    return () => window.removeEventListener('mouseup', cancelDraft);
+  }, [linkDraft]);
+
+  const openDependencyEditor = (link) => {
+    setDependencyDialog({ ...link, isExisting: true, errors: [] });
+  };
+
+  const saveDependency = ({ type, lag }) => {
+    const dependency = {
+      predecessorId: dependencyDialog.predecessorId,
+      successorId: dependencyDialog.successorId,
+      type,
+      lag
+    };
+    
+    const validation = validateDependency(tasks, dependency);
+    if (!validation.isValid) {
+      setDependencyDialog(prev => ({ ...prev, type, lag, errors: validation.errors }));
+      return;
+    }
+    
+    editHistory.execute(
+      `${dependencyDialog.isExisting ? 'Updated' : 'Added'} ${type} link "${dependencyDialog.predecessorName}" → "${dependencyDialog.successorName}"`,
+      ({ tasks: prevTasks }) => ({ tasks: addDependency(prevTasks, dependency) })
+    );
+    setDependencyDialog(null);
+    showEditFeedbackMessage(
+      `${DEPENDENCY_TYPES[type].label} link ${dependencyDialog.isExisting ? 'updated' : 'added'} successfully!`,
+      'success'
+    );
+  };
+
+  const removeDependencyLink = () => {
+    const { predecessorId, successorId, predecessorName, successorName } = dependencyDialog;
+    editHistory.execute(
+      `Removed link "${predecessorName}" → "${successorName}"`,
+      ({ tasks: prevTasks }) => ({ tasks: removeDependency(prevTasks, predecessorId, successorId) })
+    );
+    setDependencyDialog(null);
+    showEditFeedbackMessage('Dependency removed successfully!', 'success');
+  };
+
+  const updateBaselines = (nextState) => {
+    try {
+      saveBaselines(nextState, projectId);
+    } catch (error) {
+      showEditFeedbackMessage('Could not save baselines: storage is full.', 'error');
+      return;
+    }
+    setBaselineState(nextState);
+  };
+
+  // Grab a bar (or one of its edges) to move or resize it
+  const startBarDrag = (e, activity, date, mode) => {
+    if (e.button !== 0 || isApprovalLocked(activity, canApprove)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const original = { startDate: activity.startDate, endDate: activity.endDate };
+    setBarDrag({ activityId: activity.id, mode, originDate: date, original, preview: original, deltaDays: 0 });
+  };
+
+  // Snap the dragged bar to the day under the pointer
+  const updateBarDrag = (date) => {
+    setBarDrag(prev => {
+      if (!prev) return prev;
+      
+      const deltaDays = daysBetween(parseISODate(prev.originDate), parseISODate(date));
+      if (deltaDays === prev.deltaDays) return prev;
+      
+      return { ...prev, deltaDays, preview: shiftActivityDates(prev.original, prev.mode, deltaDays) };
     });
+  };
+
+  // Dropping the bar commits the new dates; the auto-save effect persists them via debouncedSave
+  const finishBarDrag = () => {
+    if (!barDrag) return;
+    
+    const { activityId, original, preview } = barDrag;
+    setBarDrag(null);
+    if (preview.startDate !== original.startDate || preview.endDate !== original.endDate) {
+      requestActivityDateChange(activityId, preview);
+    }
+  };
+
+  // Cancel a bar drag released outside the chart
+  useEffect(() => {
+    if (!barDrag) return undefined;
+    
+    const cancelDrag = () => setBarDrag(null);
+    window.addEventListener('mouseup', cancelDrag);
+    return () => window.removeEventListener('mouseup', cancelDrag);
+  }, [barDrag]);
+
+  // Apply a date change as one undoable step
+  const applyScheduleChange = (newTasks, description) => {
+    editHistory.execute(`Rescheduled "${description}"`, () => ({ tasks: newTasks }));
+    showUndoNotificationWithTimeout('Schedule Updated', `\u201c${description}\u201d was rescheduled`);
+  };
+
+  // Approved gateways stay put in the cascade for anyone who cannot approve them
+  const rescheduleOptions = { isLocked: activity => isApprovalLocked(activity, canApprove) };
+
+  // Change an activity's dates; with auto-scheduling on, dependent activities follow after a preview
+  const requestActivityDateChange = (activityId, updates) => {
+    const found = findActivity(tasks, activityId);
+    if (!found) return;
     
-    return dependents;
+    const { activity } = found;
+    const editedTasks = tasks.map(task => ({
+      ...task,
+      activities: task.activities.map(a => (a.id === activityId ? { ...a, ...updates } : a))
+    }));
+    
+    const result = autoSchedule ? rescheduleTasks(editedTasks, projectSettings, rescheduleOptions) : { tasks: editedTasks, changes: [], conflicts: [] };
+    if (result.changes.length === 0 && result.conflicts.length === 0) {
+      applyScheduleChange(editedTasks, activity.name);
+      showEditFeedbackMessage('Activity dates updated successfully!', 'success');
+      return;
+    }
+    
+    setReschedulePreview({
+      edit: {
+        name: activity.name,
+        from: { startDate: activity.startDate, endDate: activity.endDate },
+        to: { startDate: updates.startDate || activity.startDate, endDate: updates.endDate || activity.endDate }
+      },
+      changes: result.changes,
+      conflicts: result.conflicts,
+      editedTasks,
+      rescheduledTasks: result.tasks
+    });
+  };
+
+  const saveActivityDates = (updates) => {
+    requestActivityDateChange(editingDatesActivityId, updates);
+    setEditingDatesActivityId(null);
+  };
+
+  const applyReschedulePreview = (includeCascade) => {
+    const { edit, changes, editedTasks, rescheduledTasks } = reschedulePreview;
+    const description = edit ? edit.name : 'Auto-schedule';
+    applyScheduleChange(includeCascade ? rescheduledTasks : editedTasks, description);
+    setReschedulePreview(null);
+    showEditFeedbackMessage(
+      includeCascade && changes.length > 0
+        ? `Schedule updated: ${changes.length} dependent ${changes.length === 1 ? 'activity' : 'activities'} moved`
+        : 'Activity dates updated successfully!',
+      'success'
+    );
   };
 
-  const hasTimeDependency = (sourceActivity, targetActivity) => {
-    // Check if target activity starts after source activity ends (temporal dependency)
-    const sourceEndWeek = Math.max(...sourceActivity.weeks);
-    const targetStartWeek = Math.min(...targetActivity.weeks);
-    return targetStartWeek > sourceEndWeek;
+  // Turning auto-scheduling on offers to fix any links the current plan already breaks
+  const toggleAutoSchedule = () => {
+    const enabled = !autoSchedule;
+    setAutoSchedule(enabled);
+    localStorage.setItem(storageKey('gantt-auto-schedule'), String(enabled));
+    
+    if (enabled) {
+      const result = rescheduleTasks(tasks, projectSettings, rescheduleOptions);
+      if (result.changes.length > 0 || result.conflicts.length > 0) {
+        setReschedulePreview({
+          edit: null,
+          changes: result.changes,
+          conflicts: result.conflicts,
+          editedTasks: tasks,
+          rescheduledTasks: result.tasks
+        });
+      }
+    }
   };
 
-  const hasTaskDependency = (sourceTaskId, targetTask) => {
-    // Check if target task has activities that temporally depend on source task activities
-    const sourceTask = tasks.find(t => t.id === sourceTaskId);
-    if (!sourceTask) return false;
+  // Dependency validation functions
+  const findDependentActivities = (taskId, activityId = null) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return [];
     
-    const sourceEndWeek = Math.max(...sourceTask.activities.flatMap(a => a.weeks));
-    const targetStartWeek = Math.min(...targetTask.activities.flatMap(a => a.weeks));
+    // Activities being deleted; links between them disappear with them
+    const deletingIds = activityId ? [activityId] : task.activities.map(a => a.id);
     
-    return targetStartWeek > sourceEndWeek;
+    return getSuccessorLinks(tasks, deletingIds)
+      .filter(link => !deletingIds.includes(link.successorId))
+      .map(link => {
+        const successor = findActivity(tasks, link.successorId);
+        const predecessor = findActivity(tasks, link.predecessorId);
+        return {
+          task: successor.task.name,
+          activity: successor.activity.name,
+          predecessor: predecessor.activity.name,
+          type: formatDependency(link)
+        };
+      });
   };
 
   const validateTimelineIntegrity = (taskId, activityId = null) => {
@@ -1205,25 +1539,16 @@ const ThesisGanttChart = () => {
       const task = tasks.find(t => t.id === taskId);
       const remainingActivities = task.activities.filter(a => a.id !== activityId);
       
-      if (remainingActivities.length > 0) {
-        const weeks = remainingActivities.flatMap(a => a.weeks).sort((a, b) => a - b);
-        for (let i = 1; i < weeks.length; i++) {
-          if (weeks[i] - weeks[i-1] > 1) {
-            issues.push(`Removing this activity may create timeline gaps in ${task.name}`);
-            break;
-          }
-        }
+      if (remainingActivities.length > 0 && findCoverageGaps(remainingActivities, 7).length > 0) {
+        issues.push(`Removing this activity may create timeline gaps in ${task.name}`);
       }
     } else {
       // Check if removing this task creates gaps in project timeline
       const remainingTasks = tasks.filter(t => t.id !== taskId);
-      const allWeeks = remainingTasks.flatMap(t => t.activities.flatMap(a => a.weeks)).sort((a, b) => a - b);
+      const allActivities = remainingTasks.flatMap(t => t.activities);
       
-      for (let i = 1; i < allWeeks.length; i++) {
-        if (allWeeks[i] - allWeeks[i-1] > 2) { // Allow some gaps between tasks
-          issues.push('Removing this task may create significant timeline gaps');
-          break;
-        }
+      if (findCoverageGaps(allActivities, 14).length > 0) { // Allow some gaps between tasks
+        issues.push('Removing this task may create significant timeline gaps');
       }
     }
     
@@ -1271,24 +1596,15 @@ const ThesisGanttChart = () => {
     const taskToDelete = tasks.find(t => t.id === taskId);
     if (!taskToDelete) return;
     
-    // Store for undo functionality
-    const undoData = {
-      type: 'task',
-      item: taskToDelete,
-      timestamp: Date.now(),
-      originalTasks: [...tasks]
-    };
-    
-    setTasks(prevTasks => {
-      const newTasks = prevTasks.filter(task => task.id !== taskId);
-      return newTasks;
-    });
-    
-    // Add to undo history
-    setDeletedItemsHistory(prev => [undoData, ...prev.slice(0, 4)]); // Keep last 5 deletions
+    editHistory.execute(`Deleted task "${taskToDelete.name}"`, ({ tasks: prevTasks }) => ({
+      tasks: removeDependenciesOn(
+        prevTasks.filter(task => task.id !== taskId),
+        taskToDelete.activities.map(a => a.id)
+      )
+    }));
     
     showEditFeedbackMessage('Task deleted successfully!', 'success');
-    showUndoNotificationWithTimeout();
+    showUndoNotificationWithTimeout('Item Deleted', `\u201c${taskToDelete.name}\u201d was deleted`);
     setShowDeleteConfirmation(false);
   };
 
@@ -1297,16 +1613,7 @@ const ThesisGanttChart = () => {
     const activityToDelete = task?.activities.find(a => a.id === activityId);
     if (!task || !activityToDelete) return;
     
-    // Store for undo functionality
-    const undoData = {
-      type: 'activity',
-      item: activityToDelete,
-      parentTaskId: taskId,
-      timestamp: Date.now(),
-      originalTasks: [...tasks]
-    };
-    
-    setTasks(prevTasks => {
+    editHistory.execute(`Deleted activity "${activityToDelete.name}"`, ({ tasks: prevTasks }) => {
       const newTasks = prevTasks.map(task => {
         if (task.id === taskId) {
           return {
@@ -1316,44 +1623,30 @@ const ThesisGanttChart = () => {
         }
         return task;
       });
-      return newTasks;
+      return { tasks: removeDependenciesOn(newTasks, [activityId]) };
     });
     
-    // Add to undo history
-    setDeletedItemsHistory(prev => [undoData, ...prev.slice(0, 4)]); // Keep last 5 deletions
-    
     showEditFeedbackMessage('Activity deleted successfully!', 'success');
-    showUndoNotificationWithTimeout();
+    showUndoNotificationWithTimeout('Item Deleted', `\u201c${activityToDelete.name}\u201d was deleted`);
     setShowDeleteConfirmation(false);
   };
 
-  const undoLastDeletion = () => {
-    if (deletedItemsHistory.length === 0) return;
-    
-    const lastDeletion = deletedItemsHistory[0];
-    setTasks(lastDeletion.originalTasks);
-    setDeletedItemsHistory(prev => prev.slice(1));
-    
-    showEditFeedbackMessage(
-      `${lastDeletion.type === 'task' ? 'Task' : 'Activity'} "${lastDeletion.item.name}" restored successfully!`, 
-      'success'
-    );
-    setShowUndoNotification(false);
-  };
-
-  const showUndoNotificationWithTimeout = () => {
-    setShowUndoNotification(true);
+  const showUndoNotificationWithTimeout = (title, message) => {
+    setUndoNotification({ title, message });
     setTimeout(() => {
-      setShowUndoNotification(false);
+      setUndoNotification(null);
     }, 10000); // Show undo option for 10 seconds
   };
   
   // Legacy delete functions - now redirect to enhanced versions
   const deleteTask = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (task && task.activities.some(activity => guardApprovalLock(activity.id))) return;
     initiateDeleteTask(taskId);
   };
   
   const deleteActivity = (taskId, activityId) => {
+    if (guardApprovalLock(activityId)) return;
     initiateDeleteActivity(taskId, activityId);
   };
   
@@ -1406,13 +1699,13 @@ const ThesisGanttChart = () => {
               <div className="p-3 bg-red-50 border border-red-200 rounded">
                 <h4 className="font-semibold text-red-800 mb-2">⚠️ Dependency Warning</h4>
                 <p className="text-sm text-red-700 mb-2">
-                  The following activities may be affected by this deletion:
+                  The following activities depend on this {type}. Their links will be removed:
                 </p>
                 <ul className="list-disc pl-5 space-y-1">
                   {dependents.map((dep, index) => (
                     <li key={index} className="text-sm text-red-600">
                       <span className="font-medium">{dep.task}</span> → {dep.activity}
-                      <span className="text-xs ml-1">({dep.type} dependency)</span>
+                      <span className="text-xs ml-1">({dep.type} after {dep.predecessor})</span>
                     </li>
                   ))}
                 </ul>
@@ -1541,17 +1834,57 @@ const ThesisGanttChart = () => {
                 </select>
               </div>
             )}
-            
+
+            {addRowType === 'activity' && (
+              <div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="add-row-start-date" className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+                    <input
+                      id="add-row-start-date"
+                      type="date"
+                      value={addRowData.startDate}
+                      min={projectSettings.startDate}
+                      max={projectSettings.endDate}
+                      onChange={(e) => setAddRowData({...addRowData, startDate: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="add-row-end-date" className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+                    <input
+                      id="add-row-end-date"
+                      type="date"
+                      value={addRowData.endDate}
+                      min={addRowData.startDate || projectSettings.startDate}
+                      max={projectSettings.endDate}
+                      onChange={(e) => setAddRowData({...addRowData, endDate: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+                <label className="flex items-center mt-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={addRowData.weekdaysOnly}
+                    onChange={(e) => setAddRowData({...addRowData, weekdaysOnly: e.target.checked})}
+                    className="mr-2"
+                  />
+                  Weekdays only (skip Saturdays and Sundays)
+                </label>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Owner</label>
               <select
-                value={addRowData.owner}
+                value={getOwner(owners, addRowData.owner).unknown ? owners[0]?.id : addRowData.owner}
                 onChange={(e) => setAddRowData({...addRowData, owner: e.target.value})}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
-                <option value="ME">ME (Daniil Vladimirov)</option>
-                <option value="SV">Supervisor</option>
-                <option value="SME">Subject Matter Expert</option>
+                {owners.map(owner => (
+                  <option key={owner.id} value={owner.id}>{owner.id} ({owner.name})</option>
+                ))}
               </select>
             </div>
             
@@ -1670,7 +2003,7 @@ const ThesisGanttChart = () => {
             
             <div>
               <h4 className="font-medium text-blue-600">6. Drag and Drop</h4>
-              <p>Drag task rows to reorder them. This helps organize your timeline and adjust priorities as your project evolves.</p>
+              <p>Drag task rows to reorder them. This helps organize your timeline and adjust priorities as your project evolves. From the keyboard, press Alt+&uarr; or Alt+&darr; on a day cell to move its activity, and add Shift to move the whole task.</p>
             </div>
             
             <div>
@@ -1680,7 +2013,7 @@ const ThesisGanttChart = () => {
             
             <div>
               <h4 className="font-medium text-blue-600">8. Thesis Timeline</h4>
-              <p>This GANTT chart covers the 3-month thesis timeframe from June 1 to September 1, 2024. All tasks include a 10% buffer time as requested.</p>
+              <p>This GANTT chart covers the thesis timeframe from {formatProjectPeriod(projectSettings)}. Use &quot;Settings&quot; to change the start date, end date, first day of the week and locale. All tasks include a 10% buffer time as requested.</p>
             </div>
           </div>
           
@@ -1768,48 +2101,36 @@ const ThesisGanttChart = () => {
     setShowFileSearch(false);
   };
 
-  const addFileToActivity = (activityId, file) => {
-    setTasks(prevTasks => {
-      const newTasks = prevTasks.map(task => ({
-        ...task,
-        activities: task.activities.map(activity => {
-          if (activity.id === activityId) {
-            return {
-              ...activity,
-              files: [...(activity.files || []), file]
-            };
-          }
-          return activity;
-        })
-      }));
-      
-      // Trigger auto-save
-      debouncedSave(newTasks);
-      return newTasks;
-    });
+  const addFileToActivity = (prevTasks, activityId, file) => {
+    return prevTasks.map(task => ({
+      ...task,
+      activities: task.activities.map(activity => {
+        if (activity.id === activityId) {
+          return {
+            ...activity,
+            files: [...(activity.files || []), file]
+          };
+        }
+        return activity;
+      })
+    }));
   };
 
-  const removeFileFromActivity = (activityId, fileIndex) => {
-    setTasks(prevTasks => {
-      const newTasks = prevTasks.map(task => ({
-        ...task,
-        activities: task.activities.map(activity => {
-          if (activity.id === activityId) {
-            const newFiles = [...(activity.files || [])];
-            newFiles.splice(fileIndex, 1);
-            return {
-              ...activity,
-              files: newFiles
-            };
-          }
-          return activity;
-        })
-      }));
-      
-      // Trigger auto-save
-      debouncedSave(newTasks);
-      return newTasks;
-    });
+  const removeFileFromActivity = (prevTasks, activityId, fileIndex) => {
+    return prevTasks.map(task => ({
+      ...task,
+      activities: task.activities.map(activity => {
+        if (activity.id === activityId) {
+          const newFiles = [...(activity.files || [])];
+          newFiles.splice(fileIndex, 1);
+          return {
+            ...activity,
+            files: newFiles
+          };
+        }
+        return activity;
+      })
+    }));
   };
 
   // Enhanced drag and drop handlers for files
@@ -1837,16 +2158,21 @@ const ThesisGanttChart = () => {
     e.preventDefault();
     setDropTargetActivity(null);
     
-    if (draggedFile && draggedFile.sourceActivityId !== targetActivityId) {
-      // Remove file from source activity
-      removeFileFromActivity(draggedFile.sourceActivityId, 
-        tasks.find(task => task.activities.find(act => act.id === draggedFile.sourceActivityId))
-          ?.activities.find(act => act.id === draggedFile.sourceActivityId)
-          ?.files.findIndex(f => f === draggedFile.file) || 0
-      );
+    if (draggedFile && draggedFile.sourceActivityId !== targetActivityId
+      && !guardApprovalLock(draggedFile.sourceActivityId) && !guardApprovalLock(targetActivityId)) {
+      const fileIndex = tasks.find(task => task.activities.find(act => act.id === draggedFile.sourceActivityId))
+        ?.activities.find(act => act.id === draggedFile.sourceActivityId)
+        ?.files.findIndex(f => f === draggedFile.file) || 0;
+      const targetName = findActivity(tasks, targetActivityId)?.activity.name || targetActivityId;
       
-      // Add file to target activity
-      addFileToActivity(targetActivityId, draggedFile.file);
+      // Move the file from the source activity to the target in one undoable step
+      editHistory.execute(`Moved file "${draggedFile.file.name}" to "${targetName}"`, ({ tasks: prevTasks }) => ({
+        tasks: addFileToActivity(
+          removeFileFromActivity(prevTasks, draggedFile.sourceActivityId, fileIndex),
+          targetActivityId,
+          draggedFile.file
+        )
+      }));
     }
     
     setDraggedFile(null);
@@ -1860,6 +2186,162 @@ const ThesisGanttChart = () => {
     return activity.files && activity.files.length > 0;
   };
 
+  // Tell the user when a change is blocked because the gateway is approved
+  const guardApprovalLock = (activityId) => {
+    if (!isApprovalLocked(findActivity(tasks, activityId)?.activity, canApprove)) return false;
+    showEditFeedbackMessage('This gateway is approved; only a supervisor can change it', 'error');
+    return true;
+  };
+
+  // Take an approval step on the open gateway and record it in the audit log; it is kept in the
+  // edit history, but only an approver can undo past it (see canMoveInHistory)
+  const handleApprovalAction = (actionKey, { note, files }) => {
+    const found = findActivity(tasks, approvalActivityId);
+    if (!found) return;
+
+    const updated = applyApprovalAction(found.activity, actionKey, {
+      actor: currentActor,
+      note,
+      files,
+      permissions: approvalPermissions
+    });
+    const entry = updated.approval.history[updated.approval.history.length - 1];
+
+    editHistory.execute(`${APPROVAL_ACTIONS[actionKey].label}: "${updated.name}"`, ({ tasks: prevTasks }) => ({
+      tasks: prevTasks.map(task => ({
+        ...task,
+        activities: task.activities.map(activity => (activity.id === updated.id ? updated : activity))
+      }))
+    }));
+    roleService.logAuditEvent(APPROVAL_ACTIONS[actionKey].auditAction, getApprovalAuditDetails(updated, entry));
+    showEditFeedbackMessage(`${updated.name}: ${APPROVAL_STATUS_LABELS[entry.to]}`, 'success');
+  };
+
+  // Change the open gateway's deliverables checklist as one undoable edit
+  const updateChecklist = (label, change) => {
+    const activityId = approvalActivityId;
+    if (guardApprovalLock(activityId)) return;
+    const name = findActivity(tasks, activityId)?.activity.name || activityId;
+
+    editHistory.execute(`${label} on "${name}"`, ({ tasks: prevTasks }) => ({
+      tasks: prevTasks.map(task => ({
+        ...task,
+        activities: task.activities.map(activity => (activity.id === activityId ? change(activity) : activity))
+      }))
+    }));
+  };
+
+  // Upload a deliverable and add it to the gateway's files
+  const uploadDeliverable = async (file) => {
+    const activityId = approvalActivityId;
+    const result = await fileStorageService.storeFile(file, { folderPath: '/Gateways', activityId: String(activityId) });
+    const stored = result.body.file;
+    const name = findActivity(tasks, activityId)?.activity.name || activityId;
+
+    editHistory.execute(`Attached "${stored.name}" to "${name}"`, ({ tasks: prevTasks }) => ({
+      tasks: addFileToActivity(prevTasks, activityId, stored)
+    }));
+    return stored;
+  };
+
+  // Add an owner (originalId null) or change one; a new code moves the owner's activities with it
+  const saveOwner = (owner, originalId) => {
+    const nextOwners = originalId
+      ? owners.map(existing => (existing.id === originalId ? owner : existing))
+      : [...owners, owner];
+    setOwners(nextOwners);
+    saveOwners(nextOwners, projectId);
+
+    if (originalId && originalId !== owner.id) {
+      editHistory.execute(`Renamed owner ${originalId} to ${owner.id}`, ({ tasks: prevTasks }) => ({
+        tasks: reassignOwner(prevTasks, originalId, owner.id)
+      }));
+      setOwnerFilter(previous => previous.map(id => (id === originalId ? owner.id : id)));
+    }
+    showEditFeedbackMessage(originalId ? `Owner ${owner.id} updated` : `Owner ${owner.id} added`, 'success');
+  };
+
+  // Remove an owner, handing their activities to `replacementId` first
+  const removeOwner = (ownerId, replacementId) => {
+    if (replacementId) {
+      editHistory.execute(`Reassigned ${ownerId}'s activities to ${replacementId}`, ({ tasks: prevTasks }) => ({
+        tasks: reassignOwner(prevTasks, ownerId, replacementId)
+      }));
+    }
+    const nextOwners = owners.filter(owner => owner.id !== ownerId);
+    setOwners(nextOwners);
+    saveOwners(nextOwners, projectId);
+    setOwnerFilter(previous => previous.filter(id => id !== ownerId));
+    showEditFeedbackMessage(`Owner ${ownerId} removed`, 'success');
+  };
+
+  const changeActivityOwner = (activityId, ownerId) => {
+    if (guardApprovalLock(activityId)) return;
+    const name = findActivity(tasks, activityId)?.activity.name || activityId;
+
+    editHistory.execute(`Assigned "${name}" to ${ownerId}`, ({ tasks: prevTasks }) => ({
+      tasks: prevTasks.map(task => ({
+        ...task,
+        activities: task.activities.map(activity => (activity.id === activityId ? { ...activity, owner: ownerId } : activity))
+      }))
+    }));
+  };
+
+  const setActivityEstimate = (activityId, estimatedHours) => {
+    if (guardApprovalLock(activityId)) return;
+    const name = findActivity(tasks, activityId)?.activity.name || activityId;
+
+    const label = estimatedHours === null ? `Removed the estimate of "${name}"` : `Estimated "${name}" at ${formatHours(estimatedHours)}`;
+    editHistory.execute(label, ({ tasks: prevTasks }) => ({
+      tasks: prevTasks.map(task => ({
+        ...task,
+        activities: task.activities.map(activity => (
+          activity.id === activityId ? { ...activity, estimatedHours: estimatedHours ?? undefined } : activity
+        ))
+      }))
+    }));
+  };
+
+  // Apply an imported workbook or JSON export as one undoable edit; workbooks carry no completed days
+  const applyPlanImport = ({ tasks: importedTasks, completedDays: importedDays }, fileName) => {
+    editHistory.execute(`Imported "${fileName}"`, () => (
+      importedDays === undefined ? { tasks: importedTasks } : { tasks: importedTasks, completedDays: importedDays }
+    ));
+    showEditFeedbackMessage(`Plan updated from "${fileName}"`, 'success');
+  };
+
+  const updateTimeEntries = (nextEntries) => {
+    setTimeEntries(nextEntries);
+    saveTimeEntries(nextEntries, projectId);
+  };
+
+  const addTimeEntry = (entry) => {
+    updateTimeEntries([...timeEntries, entry]);
+    showEditFeedbackMessage(`Logged ${formatHours(entry.minutes / 60)}`, 'success');
+  };
+
+  const startActivityTimer = (activity) => {
+    const started = startTimer(activity);
+    setTimer(started);
+    saveTimer(started, projectId);
+  };
+
+  const stopActivityTimer = () => {
+    // Another page may have stopped it in the meantime
+    const running = loadTimer(projectId);
+    setTimer(null);
+    saveTimer(null, projectId);
+    if (running) addTimeEntry(stopTimer(running));
+  };
+
+  const effortActivity = effortActivityId ? findActivity(tasks, effortActivityId)?.activity : null;
+
+  const toggleOwnerFilter = (ownerId) => {
+    setOwnerFilter(previous => (
+      previous.includes(ownerId) ? previous.filter(id => id !== ownerId) : [...previous, ownerId]
+    ));
+  };
+
   return (
     <div className="p-2 sm:p-4 lg:p-6 bg-white rounded-lg shadow-lg overflow-x-auto relative">
       {showInstructions && <InstructionsModal />}
@@ -1948,6 +2430,39 @@ const ThesisGanttChart = () => {
                 {lastSaveTime.toLocaleTimeString()}
               </span>
             )}
+
+            {/* Cloud Sync Status */}
+            {planSync.status !== 'local' && (
+              <button
+                onClick={planSync.syncNow}
+                disabled={planSync.status === 'syncing'}
+                className={`px-3 py-2 sm:px-2 sm:py-1 rounded text-sm sm:text-xs flex items-center justify-center touch-manipulation min-h-[44px] sm:min-h-[auto] ${
+                  planSync.status === 'synced' ? 'bg-blue-50 text-blue-800' :
+                  planSync.status === 'error' ? 'bg-red-100 text-red-800' :
+                  planSync.status === 'offline' ? 'bg-gray-100 text-gray-700' :
+                  'bg-yellow-100 text-yellow-800'
+                }`}
+                title={planSync.lastSyncedAt ? `Last synced: ${planSync.lastSyncedAt.toLocaleString()}` : 'Sync the plan with your other devices'}
+              >
+                <svg className="w-4 h-4 sm:w-3 sm:h-3 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 15a4 4 0 004 4h9a5 5 0 10-.1-9.999 5.002 5.002 0 10-9.78 2.096A4.001 4.001 0 003 15z"></path>
+                </svg>
+                {planSync.status === 'synced' && 'Synced'}
+                {planSync.status === 'syncing' && 'Syncing...'}
+                {planSync.status === 'pending' && 'Sync pending'}
+                {planSync.status === 'offline' && 'Offline'}
+                {planSync.status === 'error' && 'Sync failed'}
+              </button>
+            )}
+
+            {/* People in the collaborative session */}
+            {collaboration.participants.length > 0 && (
+              <div className="flex justify-center -space-x-2" aria-label={`Also here: ${collaboration.participants.map(p => p.name).join(', ')}`}>
+                {collaboration.participants.map(participant => (
+                  <PresenceAvatar key={participant.userId} participant={participant} />
+                ))}
+              </div>
+            )}
           </div>
           
           {/* Action Buttons - Mobile Grid */}
@@ -1970,6 +2485,78 @@ const ThesisGanttChart = () => {
               </svg>
               <span>Add Row</span>
             </button>
+            <button 
+              onClick={() => setShowProjectSettings(true)} 
+              className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]"
+              title="Configure project timeline"
+            >
+              <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+              </svg>
+              <span>Settings</span>
+            </button>
+            <button 
+              onClick={() => setShowCriticalPath(prev => !prev)} 
+              className={`${showCriticalPath ? 'bg-red-100 hover:bg-red-200 text-red-800' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'} px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]`}
+              title="Highlight the chain of activities that decides the finish date"
+              aria-pressed={showCriticalPath}
+            >
+              <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6"></path>
+              </svg>
+              <span>Critical Path</span>
+            </button>
+            <button 
+              onClick={toggleAutoSchedule} 
+              className={`${autoSchedule ? 'bg-teal-100 hover:bg-teal-200 text-teal-800' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'} px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]`}
+              title="Move dependent activities automatically when an activity slips"
+              aria-pressed={autoSchedule}
+            >
+              <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 5l7 7-7 7M5 5l7 7-7 7"></path>
+              </svg>
+              <span>Auto-Schedule {autoSchedule ? 'On' : 'Off'}</span>
+            </button>
+            <button 
+              onClick={() => setShowBaselinePanel(true)} 
+              className={`${activeBaseline ? 'bg-slate-200 hover:bg-slate-300' : 'bg-gray-100 hover:bg-gray-200'} text-gray-800 px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]`}
+              title="Save baselines and compare planned vs actual dates"
+            >
+              <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h10M4 18h16"></path>
+              </svg>
+              <span>Baselines{activeBaseline ? `: ${activeBaseline.name}` : ''}</span>
+            </button>
+            <button 
+              onClick={() => setShowHistoryPanel(true)} 
+              className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]"
+              title="Undo (Ctrl+Z), redo (Ctrl+Shift+Z) or go back to an earlier version"
+            >
+              <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+              </svg>
+              <span>History</span>
+            </button>
+            <button 
+              onClick={() => setShowTemplatesPanel(true)} 
+              className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]"
+              title="Start from a thesis plan template or save this plan as one"
+            >
+              <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 5a1 1 0 011-1h14a1 1 0 011 1v2a1 1 0 01-1 1H5a1 1 0 01-1-1V5zM4 13a1 1 0 011-1h6a1 1 0 011 1v6a1 1 0 01-1 1H5a1 1 0 01-1-1v-6zM16 13a1 1 0 011-1h2a1 1 0 011 1v6a1 1 0 01-1 1h-2a1 1 0 01-1-1v-6z"></path>
+              </svg>
+              <span>Templates</span>
+            </button>
+            <button 
+              onClick={() => setShowCollaborationPanel(true)} 
+              className={`${collaboration.session ? 'bg-teal-100 hover:bg-teal-200 text-teal-800' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'} px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]`}
+              title="Edit this plan live with others"
+            >
+              <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"></path>
+              </svg>
+              <span>{collaboration.session ? 'In Session' : 'Collaborate'}</span>
+            </button>
             <button 
               onClick={() => setShowInstructions(true)} 
               className="bg-blue-100 hover:bg-blue-200 text-blue-800 px-3 py-2 sm:py-1 rounded flex items-center justify-center sm:justify-start touch-manipulation min-h-[44px] sm:min-h-[auto]"
@@ -1986,8 +2573,8 @@ const ThesisGanttChart = () => {
       {/* Project Info - Mobile Optimized */}
       <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center mb-4 gap-2 lg:gap-0">
         <h2 className="text-base sm:text-lg font-semibold">
-          <span className="hidden sm:inline">Project Timeline: June 1 - September 1, 2024</span>
-          <span className="sm:hidden">Timeline: Jun-Sep 2024</span>
+          <span className="hidden sm:inline">Project Timeline: {formatProjectPeriod(projectSettings)}</span>
+          <span className="sm:hidden">Timeline: {formatProjectPeriod(projectSettings, { month: 'short', year: 'numeric' })}</span>
         </h2>
         <div className="text-sm text-gray-600">
           <span className="font-medium">Daniil Vladimirov</span>
@@ -1996,6 +2583,17 @@ const ThesisGanttChart = () => {
         </div>
       </div>
       
+      {/* Critical Path Summary */}
+      {showCriticalPath && schedule.criticalPath.length > 0 && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+          <span className="font-semibold">Critical path</span> (finishes {schedule.projectFinish}):{' '}
+          {schedule.criticalPath.map(id => findActivity(tasks, id)?.activity.name).join(' → ')}
+          {schedule.hasCycle && (
+            <span className="block text-xs mt-1">Some dependencies form a loop and were ignored.</span>
+          )}
+        </div>
+      )}
+      
       {/* Research Objectives - Mobile First Grid */}
       <div className="mb-6">
         <h3 className="text-base sm:text-md font-semibold mb-3">Research Objectives:</h3>
@@ -2055,6 +2653,26 @@ const ThesisGanttChart = () => {
             <div className="w-4 h-4 mr-2 bg-gray-400 flex-shrink-0"></div>
             <span>Completed</span>
           </div>
+          <div className="flex items-center p-2 sm:p-0 bg-gray-50 sm:bg-transparent rounded sm:rounded-none">
+            <div className="w-4 h-4 mr-2 bg-white ring-2 ring-inset ring-red-600 flex-shrink-0"></div>
+            <span>Critical Path</span>
+          </div>
+          {todayMarker && (
+            <div className="flex items-center p-2 sm:p-0 bg-gray-50 sm:bg-transparent rounded sm:rounded-none">
+              <div className="w-4 h-4 mr-2 bg-white border border-gray-300 relative flex-shrink-0">
+                <div className="absolute inset-y-0 left-1/2 w-0.5 bg-red-500"></div>
+              </div>
+              <span>Today</span>
+            </div>
+          )}
+          {activeBaseline && (
+            <div className="flex items-center p-2 sm:p-0 bg-gray-50 sm:bg-transparent rounded sm:rounded-none">
+              <div className="w-4 h-4 mr-2 bg-white border border-gray-300 relative flex-shrink-0">
+                <div className="absolute left-0 right-0 bottom-0 h-1 bg-slate-500 opacity-70"></div>
+              </div>
+              <span>Baseline ({activeBaseline.name})</span>
+            </div>
+          )}
         </div>
       </div>
       
@@ -2065,7 +2683,7 @@ const ThesisGanttChart = () => {
           <button
             onClick={() => {
               if (window.confirm("Are you sure you want to reset all progress? This cannot be undone.")) {
-                localStorage.removeItem('thesisGanttCompletedDays');
+                localStorage.removeItem(storageKey('thesisGanttCompletedDays'));
                 localStorage.removeItem('thesisGanttVisited');
                 alert("Progress has been reset. The page will now reload.");
                 window.location.reload();
@@ -2077,15 +2695,50 @@ const ThesisGanttChart = () => {
           </button>
         </div>
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:flex lg:flex-wrap gap-2 sm:gap-3 text-sm">
-          {Object.entries(owners).map(([key, value]) => (
-            <div key={key} className="flex items-center">
-              <div className="w-6 h-6 rounded-full bg-red-100 flex items-center justify-center mr-1">
-                {key}
+          {workload.map(({ owner, overAllocatedWeeks }) => (
+            <button
+              key={owner.id}
+              onClick={() => toggleOwnerFilter(owner.id)}
+              aria-pressed={ownerFilter.includes(owner.id)}
+              title={`${ownerFilter.includes(owner.id) ? 'Stop showing only' : 'Show only'} ${owner.name}'s activities${
+                overAllocatedWeeks > 0 ? ` (over capacity in ${overAllocatedWeeks} week${overAllocatedWeeks === 1 ? '' : 's'})` : ''
+              }`}
+              className={`flex items-center rounded-full pr-2 text-left touch-manipulation ${
+                ownerFilter.includes(owner.id) ? 'bg-gray-200 ring-2 ring-gray-500' : 'hover:bg-gray-100'
+              }`}
+            >
+              <div
+                className="min-w-[1.5rem] h-6 px-1 rounded-full flex items-center justify-center mr-1 text-white text-xs font-semibold"
+                style={{ backgroundColor: owner.color }}
+              >
+                {owner.id}
               </div>
-              <span>{value}</span>
-            </div>
+              <span>{owner.name}</span>
+              {overAllocatedWeeks > 0 && <span className="ml-1 text-red-600" aria-label="over capacity">⚠</span>}
+            </button>
           ))}
+          <button
+            onClick={() => setShowResourcesPanel(true)}
+            className="text-blue-600 hover:text-blue-800 border border-blue-300 rounded px-2 py-1 hover:bg-blue-50 touch-manipulation"
+          >
+            Workload &amp; owners
+          </button>
         </div>
+        {(planEffort.estimatedActivities > 0 || planEffort.actualHours > 0) && (
+          <p className="mt-2 text-xs text-gray-600">
+            Effort: {formatHours(planEffort.estimatedHours)} estimated, {formatHours(planEffort.actualHours)} logged,{' '}
+            {formatHours(planEffort.etcHours)} to complete
+            {planEffort.overrunActivities > 0 && (
+              <span className="text-red-600"> · {planEffort.overrunActivities} over estimate</span>
+            )}
+          </p>
+        )}
+        {ownerFilter.length > 0 && (
+          <p className="mt-2 text-xs text-gray-600">
+            Showing only activities of {ownerFilter.join(', ')}.{' '}
+            <button onClick={() => setOwnerFilter([])} className="text-blue-600 hover:text-blue-800">Show all</button>
+          </p>
+        )}
       </div>
       
       <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded flex items-center justify-between">
@@ -2109,15 +2762,31 @@ const ThesisGanttChart = () => {
             pointerEvents: 'none'
           }}
         >
-          <h4 className="font-bold text-lg text-amber-600">{hoveredGateway.name}</h4>
-          <h5 className="font-semibold mt-2">Deliverables:</h5>
-          <ul className="list-disc pl-5 mt-1">
-            {hoveredGateway.deliverables.map((item, index) => (
-              <li key={index}>{item}</li>
+          <h4 className="font-bold text-lg text-amber-600">{hoveredGateway.gatewayInfo?.name || hoveredGateway.name}</h4>
+          <h5 className="font-semibold mt-2">
+            Deliverables
+            {getDeliverableCompletion(hoveredGateway).total > 0 && (
+              <span className="font-normal text-gray-600">
+                {' '}({getDeliverableCompletion(hoveredGateway).done} of {getDeliverableCompletion(hoveredGateway).total} done, {getDeliverableCompletion(hoveredGateway).percent}%)
+              </span>
+            )}:
+          </h5>
+          <ul className="mt-1">
+            {getDeliverables(hoveredGateway).map(item => (
+              <li key={item.id} className={item.done ? 'text-gray-500 line-through' : ''}>
+                {item.done ? '☑' : '☐'} {item.text}
+                {item.dueDate && !item.done && (
+                  <span className={`ml-1 text-xs ${isDeliverableOverdue(item) ? 'text-red-600' : 'text-gray-500'}`}>due {item.dueDate}</span>
+                )}
+              </li>
             ))}
           </ul>
-          <h5 className="font-semibold mt-2">Next Steps:</h5>
-          <p>{hoveredGateway.nextSteps}</p>
+          {hoveredGateway.gatewayInfo?.nextSteps && (
+            <>
+              <h5 className="font-semibold mt-2">Next Steps:</h5>
+              <p>{hoveredGateway.gatewayInfo.nextSteps}</p>
+            </>
+          )}
         </div>
       )}
       
@@ -2161,6 +2830,7 @@ const ThesisGanttChart = () => {
       {/* Edit Feedback Notification */}
       {showEditFeedback.show && (
         <div 
+          role={showEditFeedback.type === 'error' ? 'alert' : 'status'}
           className={`fixed top-4 right-4 p-3 rounded-md shadow-lg z-50 max-w-sm ${
             showEditFeedback.type === 'success' 
               ? 'bg-green-100 border border-green-300 text-green-800' 
@@ -2183,7 +2853,7 @@ const ThesisGanttChart = () => {
       )}
 
       {/* Undo Deletion Notification */}
-      {showUndoNotification && deletedItemsHistory.length > 0 && (
+      {undoNotification && editHistory.canUndo && (
         <div className="fixed top-4 left-4 p-4 bg-blue-100 border border-blue-300 text-blue-800 rounded-md shadow-lg z-50 max-w-sm">
           <div className="flex items-center justify-between">
             <div>
@@ -2191,21 +2861,19 @@ const ThesisGanttChart = () => {
                 <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 15l-3-3m0 0l3-3m-3 3h8M3 12a9 9 0 1118 0 9 9 0 01-18 0z"></path>
                 </svg>
-                <span className="font-medium">Item Deleted</span>
+                <span className="font-medium">{undoNotification.title}</span>
               </div>
-              <p className="text-sm mt-1">
-                &ldquo;{deletedItemsHistory[0]?.item.name}&rdquo; was deleted
-              </p>
+              <p className="text-sm mt-1">{undoNotification.message}</p>
             </div>
             <div className="flex flex-col gap-1 ml-4">
               <button
-                onClick={undoLastDeletion}
+                onClick={editHistory.undo}
                 className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm font-medium"
               >
                 Undo
               </button>
               <button
-                onClick={() => setShowUndoNotification(false)}
+                onClick={() => setUndoNotification(null)}
                 className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-xs"
               >
                 Dismiss
@@ -2215,19 +2883,91 @@ const ThesisGanttChart = () => {
         </div>
       )}
       
+      {/* Empty plan: offer the templates library */}
+      {tasks.length === 0 && (
+        <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+          <p className="text-sm text-blue-800">
+            This plan is empty. Start from an MSc thesis, PhD by publication or systematic review template, or add your own tasks below.
+          </p>
+          <button
+            onClick={() => setShowTemplatesPanel(true)}
+            className="px-4 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 flex-shrink-0"
+          >
+            Choose a Template
+          </button>
+        </div>
+      )}
+
+      {/* Timeline Zoom and Jump to Today */}
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <span className="text-gray-600">Zoom:</span>
+        <div className="inline-flex rounded border border-gray-300 overflow-hidden" role="group" aria-label="Timeline zoom">
+          {Object.entries(ZOOM_LEVELS).map(([level, { label }]) => (
+            <button
+              key={level}
+              onClick={() => changeZoomLevel(level)}
+              className={`px-3 py-2 sm:py-1 touch-manipulation ${zoomLevel === level ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+              aria-pressed={zoomLevel === level}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={jumpToToday}
+          disabled={!todayMarker}
+          className="bg-red-100 hover:bg-red-200 text-red-800 px-3 py-2 sm:py-1 rounded disabled:opacity-50 touch-manipulation"
+          title={todayMarker ? 'Scroll the chart to today' : 'Today is outside the project period'}
+        >
+          Today
+        </button>
+      </div>
+      
       {/* Mobile-Optimized GANTT Table Container */}
-      <div className="overflow-x-auto touch-manipulation" style={{ WebkitOverflowScrolling: 'touch' }}>
-        <table className="border-collapse w-full min-w-max">
+      <div
+        ref={ganttTableRef}
+        className={`overflow-x-auto touch-manipulation relative ${linkDraft ? 'select-none cursor-crosshair' : ''} ${barDrag ? 'select-none cursor-grabbing' : ''}`}
+        onMouseUp={finishBarDrag}
+        style={{ WebkitOverflowScrolling: 'touch' }}
+      >
+        {/* Live feedback while a bar is dragged */}
+        {barDrag && (
+          <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 px-4 py-2 bg-blue-800 text-white text-sm rounded shadow-lg pointer-events-none" role="status">
+            <span className="font-medium">{findActivity(tasks, barDrag.activityId)?.activity.name}</span>
+            : {barDrag.preview.startDate} – {barDrag.preview.endDate}
+            {' '}({getWorkingDuration(barDrag.preview, projectSettings)} working days{barDrag.deltaDays !== 0 && `, ${barDrag.deltaDays > 0 ? '+' : ''}${barDrag.deltaDays}d`})
+          </div>
+        )}
+        <DependencyArrows
+          containerRef={ganttTableRef}
+          links={dependencyLinks}
+          layoutKey={`${zoomLevel}-${timeline.columns.length}-${editingRow ? editingRow.id : ''}-${barDrag ? `${barDrag.preview.startDate}:${barDrag.preview.endDate}` : ''}`}
+          draft={linkDraft}
+          onLinkClick={openDependencyEditor}
+        />
+        <p id="gantt-grid-help" className="sr-only">
+          Use the arrow keys to move between days and activities, Home and End to jump to the first or last day,
+          Space to mark a day complete and Enter to rename the activity. Alt with the up or down arrow moves the
+          activity; add Shift to move its task.
+        </p>
+        <div id="gantt-grid-status" className="sr-only" role="status" aria-live="polite">{gridAnnouncement}</div>
+        <table
+          className="border-collapse w-full min-w-max"
+          role="grid"
+          aria-label="Project timeline"
+          aria-describedby="gantt-grid-help"
+          onKeyDown={handleGridKeyDown}
+        >
           <thead>
             <tr>
-              <th className="border border-gray-300 bg-gray-100 p-2 sm:p-2 w-48 sm:w-48 text-left text-xs sm:text-sm">
+              <th className="border border-gray-300 bg-gray-100 p-2 sm:p-2 w-48 sm:w-48 text-left text-xs sm:text-sm sticky left-0 z-30">
                 <span className="hidden sm:inline">Tasks & Activities</span>
                 <span className="sm:hidden">Tasks</span>
               </th>
-              {weeks.map((week) => (
-                <th key={week.name} colSpan={7} className="border border-gray-300 bg-gray-800 text-white p-1 sm:p-1 text-center text-xs">
-                  <span className="hidden sm:inline">{week.name}</span>
-                  <span className="sm:hidden">{week.name.split(' ')[0]}</span>
+              {timeline.groups.map((group) => (
+                <th key={group.key} colSpan={group.span} className="border border-gray-300 bg-gray-800 text-white p-1 sm:p-1 text-center text-xs whitespace-nowrap">
+                  <span className="hidden sm:inline">{group.label}</span>
+                  <span className="sm:hidden">{group.label.split(' ')[0]}</span>
                 </th>
               ))}
               <th className="border border-gray-300 bg-gray-100 p-1 sm:p-2 w-12 sm:w-16 text-center text-xs sm:text-sm">
@@ -2240,21 +2980,25 @@ const ThesisGanttChart = () => {
               </th>
             </tr>
             <tr>
-              <th className="border border-gray-300 bg-gray-100"></th>
-              {weeks.map((week, weekIndex) => (
-                week.days.map((day) => (
-                  <th key={`${weekIndex}-${day}`} className="border border-gray-300 bg-gray-200 w-6 sm:w-6 p-1 text-center text-xs min-h-[28px] sm:min-h-[auto]">
-                    <span className="hidden sm:inline">{day}</span>
-                    <span className="sm:hidden">{day.charAt(0)}</span>
-                  </th>
-                ))
+              <th className="border border-gray-300 bg-gray-100 sticky left-0 z-30"></th>
+              {timeline.columns.map((column, columnIndex) => (
+                <th
+                  key={column.key}
+                  title={column.nonWorking ? `${column.title}: ${column.nonWorking.name}` : column.title}
+                  className={`border border-gray-300 ${todayMarker?.columnIndex === columnIndex ? 'bg-red-100 text-red-800' : column.nonWorking ? 'bg-gray-300 text-gray-500' : 'bg-gray-200'} p-1 text-center text-xs min-h-[28px] sm:min-h-[auto] whitespace-nowrap`}
+                  style={{ width: ZOOM_LEVELS[zoomLevel].columnWidth, minWidth: ZOOM_LEVELS[zoomLevel].columnWidth }}
+                  data-today-column={todayMarker?.columnIndex === columnIndex ? true : undefined}
+                >
+                  <span className="hidden sm:inline">{column.inRange ? column.label : '-'}</span>
+                  <span className="sm:hidden">{column.inRange ? column.label.charAt(0) : '-'}</span>
+                </th>
               ))}
               <th className="border border-gray-300 bg-gray-100"></th>
               <th className="border border-gray-300 bg-gray-100"></th>
             </tr>
           </thead>
           <tbody>
-            {tasks.map((task) => (
+            {visibleTasks.map((task) => (
               <React.Fragment key={task.id}>
                 <tr
                   draggable
@@ -2271,7 +3015,7 @@ const ThesisGanttChart = () => {
                       : ''
                   }`}
                 >
-                  <td className="border border-gray-300 bg-gray-800 text-white p-1 sm:p-2 font-bold relative cursor-move touch-manipulation">
+                  <td role="rowheader" className="border border-gray-300 bg-gray-800 text-white p-1 sm:p-2 font-bold sticky left-0 z-30 cursor-move touch-manipulation">
                     <div className="flex items-center justify-between group min-h-[36px] sm:min-h-[auto]">
                       {editingRow?.type === 'task' && editingRow?.id === task.id ? (
                         <div className="flex-1 flex flex-col sm:flex-row items-stretch sm:items-center gap-1 sm:gap-2">
@@ -2303,11 +3047,15 @@ const ThesisGanttChart = () => {
                         </div>
                       ) : (
                         <>
-                          <span className="flex-1 text-xs sm:text-sm leading-tight">{task.name}</span>
+                          <span className="flex-1 text-xs sm:text-sm leading-tight">
+                            {task.name}
+                            {renderRowLock('task', task.id)}
+                          </span>
                           <div className="flex flex-col sm:flex-row gap-1 ml-2">
                             <button
                               onClick={() => startEditing('task', task.id, task.name)}
-                              className="opacity-100 sm:opacity-0 group-hover:opacity-100 bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded text-xs transition-opacity touch-manipulation min-h-[32px] sm:min-h-[auto] flex items-center justify-center"
+                              disabled={Boolean(getRowLock(collaboration.participants, 'task', task.id))}
+                              className="opacity-100 sm:opacity-0 group-hover:opacity-100 bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded text-xs transition-opacity touch-manipulation min-h-[32px] sm:min-h-[auto] flex items-center justify-center disabled:opacity-50"
                               title="Edit task name"
                             >
                               <span className="hidden sm:inline">Edit</span>
@@ -2326,10 +3074,10 @@ const ThesisGanttChart = () => {
                       )}
                     </div>
                   </td>
-                  {weeks.map((week, weekIndex) => (
-                    week.days.map((day, dayIndex) => (
-                      <td key={`${weekIndex}-${dayIndex}`} className="border border-gray-300 bg-gray-700"></td>
-                    ))
+                  {timeline.columns.map((column, columnIndex) => (
+                    <td key={column.key} className="border border-gray-300 bg-gray-700 relative">
+                      {renderTodayLine(columnIndex)}
+                    </td>
                   ))}
                   <td className="border border-gray-300 bg-gray-800 text-white"></td>
                   <td className="border border-gray-300 bg-gray-800 text-white"></td>
@@ -2338,8 +3086,8 @@ const ThesisGanttChart = () => {
                   const progress = calculateActivityProgress(activity);
                   
                   return (
-                    <tr key={activity.id} className="transition-all duration-300 hover:bg-gray-50">
-                      <td className="border border-gray-300 p-1 sm:p-2 text-xs sm:text-sm relative touch-manipulation">
+                    <tr key={activity.id} className="group/row transition-all duration-300 hover:bg-gray-50">
+                      <td role="rowheader" className="border border-gray-300 p-1 sm:p-2 text-xs sm:text-sm sticky left-0 z-30 bg-white group-hover/row:bg-gray-50 touch-manipulation">
                         <div className="flex items-center justify-between group min-h-[36px] sm:min-h-[auto]">
                           {editingRow?.type === 'activity' && editingRow?.id === activity.id ? (
                             <div className="flex-1 flex flex-col sm:flex-row items-stretch sm:items-center gap-1 sm:gap-2">
@@ -2377,16 +3125,58 @@ const ThesisGanttChart = () => {
                                 title="Double-click to edit"
                               >
                                 {activity.name}
+                                {renderRowLock('activity', activity.id)}
+                                {activity.isGateway && (
+                                  <button
+                                    onClick={() => setApprovalActivityId(activity.id)}
+                                    className={`ml-1 px-1 rounded text-[10px] font-semibold align-middle ${APPROVAL_STATUS_STYLES[getApprovalStatus(activity)]}`}
+                                    title="Gateway approval"
+                                  >
+                                    {getApprovalStatus(activity) === APPROVAL_STATUS.APPROVED && '🔒 '}
+                                    {APPROVAL_STATUS_LABELS[getApprovalStatus(activity)]}
+                                  </button>
+                                )}
+                                {activity.pinned && (
+                                  <span className="ml-1 align-middle" title="Pinned: auto-scheduling leaves these dates alone">📌</span>
+                                )}
+                                {showCriticalPath && schedule.activities[activity.id] && (
+                                  <span
+                                    className={`ml-1 inline-block px-1 rounded text-[10px] font-semibold align-middle ${
+                                      schedule.activities[activity.id].isCritical ? 'bg-red-100 text-red-700' : 'bg-gray-100 text-gray-500'
+                                    }`}
+                                    title={`Earliest start ${schedule.activities[activity.id].earliestStart}, latest start ${schedule.activities[activity.id].latestStart}`}
+                                  >
+                                    {schedule.activities[activity.id].isCritical ? 'Critical' : `Float ${schedule.activities[activity.id].totalFloat}d`}
+                                  </span>
+                                )}
                               </span>
                               <div className="flex flex-col sm:flex-row gap-1 ml-2">
                                 <button
                                   onClick={() => startEditing('activity', activity.id, activity.name)}
-                                  className="opacity-100 sm:opacity-0 group-hover:opacity-100 bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded text-xs transition-opacity touch-manipulation min-h-[32px] sm:min-h-[auto] flex items-center justify-center"
+                                  disabled={Boolean(getRowLock(collaboration.participants, 'activity', activity.id))}
+                                  className="opacity-100 sm:opacity-0 group-hover:opacity-100 bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded text-xs transition-opacity touch-manipulation min-h-[32px] sm:min-h-[auto] flex items-center justify-center disabled:opacity-50"
                                   title="Edit activity name"
                                 >
                                   <span className="hidden sm:inline">Edit</span>
                                   <span className="sm:hidden">✏️</span>
                                 </button>
+                                <button
+                                  onClick={() => !guardApprovalLock(activity.id) && setEditingDatesActivityId(activity.id)}
+                                  className="opacity-100 sm:opacity-0 group-hover:opacity-100 bg-gray-600 hover:bg-gray-700 text-white px-2 py-1 rounded text-xs transition-opacity touch-manipulation min-h-[32px] sm:min-h-[auto] flex items-center justify-center"
+                                  title="Edit activity dates"
+                                >
+                                  <span className="hidden sm:inline">Dates</span>
+                                  <span className="sm:hidden">📅</span>
+                                </button>
+                                <button
+                                  onClick={() => setCommentsActivityId(activity.id)}
+                                  className={`${
+                                    planComments.summary[activity.id]?.open ? 'opacity-100' : 'opacity-100 sm:opacity-0'
+                                  } group-hover:opacity-100 bg-indigo-600 hover:bg-indigo-700 text-white px-2 py-1 rounded text-xs transition-opacity touch-manipulation min-h-[32px] sm:min-h-[auto] flex items-center justify-center`}
+                                  title={`Comments (${planComments.summary[activity.id]?.open || 0} open)`}
+                                >
+                                  💬{planComments.summary[activity.id]?.total ? ` ${planComments.summary[activity.id].total}` : ''}
+                                </button>
                                 <button
                                   onClick={() => deleteActivity(task.id, activity.id)}
                                   className="opacity-100 sm:opacity-0 group-hover:opacity-100 bg-red-600 hover:bg-red-700 text-white px-2 py-1 rounded text-xs transition-opacity touch-manipulation min-h-[32px] sm:min-h-[auto] flex items-center justify-center"
@@ -2400,14 +3190,30 @@ const ThesisGanttChart = () => {
                           )}
                         </div>
                       </td>
-                      {weeks.map((week, weekIndex) => (
-                        week.days.map((day, dayIndex) => (
-                          renderCell(weekIndex, dayIndex, activity)
-                        ))
+                      {timeline.columns.map((column, columnIndex) => (
+                        renderCell(column, columnIndex, activity)
                       ))}
                       <td className="border border-gray-300 p-1 text-center">
-                        <div className="w-6 h-6 sm:w-8 sm:h-8 rounded-full bg-red-100 mx-auto flex items-center justify-center text-xs sm:text-sm touch-manipulation">
+                        <div
+                          className="relative min-w-[1.5rem] h-6 sm:min-w-[2rem] sm:h-8 px-1 rounded-full mx-auto flex items-center justify-center text-xs sm:text-sm text-white font-semibold touch-manipulation"
+                          style={{ backgroundColor: getOwner(owners, activity.owner).color }}
+                          title={getOwner(owners, activity.owner).name}
+                        >
                           {activity.owner}
+                          {/* Invisible select over the badge to reassign the activity */}
+                          <select
+                            value={activity.owner || ''}
+                            onChange={(e) => changeActivityOwner(activity.id, e.target.value)}
+                            aria-label={`Owner of ${activity.name}`}
+                            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                          >
+                            {getOwner(owners, activity.owner).unknown && (
+                              <option value={activity.owner || ''}>{activity.owner || 'Unassigned'}</option>
+                            )}
+                            {owners.map(owner => (
+                              <option key={owner.id} value={owner.id}>{owner.id} ({owner.name})</option>
+                            ))}
+                          </select>
                         </div>
                       </td>
                       <td className="border border-gray-300 p-1 sm:p-2">
@@ -2418,6 +3224,26 @@ const ThesisGanttChart = () => {
                           ></div>
                         </div>
                         <div className="text-center text-xs mt-1 font-semibold">{Math.round(progress)}%</div>
+                        {(() => {
+                          const effort = getEffortSummary(activity, timeEntries, progress);
+                          return (
+                            <button
+                              onClick={() => setEffortActivityId(activity.id)}
+                              className={`block w-full text-center text-[10px] sm:text-xs mt-0.5 hover:underline ${
+                                effort.overrunHours > 0 ? 'text-red-600' : 'text-gray-500'
+                              }`}
+                              title={effort.estimatedHours !== null
+                                ? `Estimated ${formatHours(effort.estimatedHours)}, actual ${formatHours(effort.actualHours)}, ${formatHours(effort.etcHours)} to complete`
+                                : 'Estimate effort and log time'}
+                            >
+                              {timer?.activityId === activity.id && '⏱ '}
+                              {effort.estimatedHours !== null
+                                ? `${formatHours(effort.actualHours)} / ${formatHours(effort.estimatedHours)}`
+                                : effort.actualHours > 0 ? formatHours(effort.actualHours) : 'Effort'}
+                              {effort.etcHours > 0 && <span className="block">ETC {formatHours(effort.etcHours)}</span>}
+                            </button>
+                          );
+                        })()}
                       </td>
                     </tr>
                   );
@@ -2442,13 +3268,28 @@ const ThesisGanttChart = () => {
           <li>The prototype development follows Agile/DevOps methodology with TDD</li>
           <li>Mid-project supervisor review scheduled mid-July</li>
           <li>SME evaluation of generated reports scheduled in August</li>
-          <li>Sequential dependencies are maintained in the task flow</li>
+          <li>Use &quot;Baselines&quot; to freeze the approved plan; the selected baseline shows as a thin bar under each activity and in the variance report</li>
+          <li>Use &quot;Dates&quot; on an activity to change or pin its dates; with Auto-Schedule on, dependent activities move after you review the changes</li>
+          <li>Drag a bar to move it, or drag its left or right edge to change its start or end date; it snaps to whole days (or whole weeks, months or quarters when zoomed out)</li>
+          <li>Use the zoom buttons above the chart to switch between day, week, month and quarter columns; &quot;Today&quot; scrolls to the red line marking today&apos;s date</li>
+          <li>Drag from the dot at either end of a bar onto another activity to add a dependency (FS, SS, FF or SF, with optional lag); click an arrow to edit or remove it</li>
           <li>The chart visualizes which tasks can be done in parallel</li>
           <li>Click any colored cell to mark it as completed (gray with checkmark)</li>
           <li>Use &quot;Add Row&quot; button to create new tasks or activities with custom properties</li>
           <li>Drag task rows to reorder them within the project timeline</li>
+          <li>The chart works from the keyboard: Tab into the grid, move between days with the arrow keys (Home/End for the first or last day), press Space to mark a day complete and Enter to rename the activity. Alt+&uarr;/&darr; moves an activity within its task and Alt+Shift+&uarr;/&darr; moves the whole task</li>
           <li>Edit or delete tasks and activities using the buttons that appear on hover</li>
           <li>Progress and structure changes are automatically saved in your browser</li>
+          <li>When you are signed in the plan is also synced to your account: edits made offline are uploaded when you reconnect, and if another device changed the same activity you choose which version to keep</li>
+          <li>The diamond on a gateway fills green as its deliverables are ticked off; open the gateway&apos;s status to tick items, give them due dates and link them to uploaded files or notes</li>
+          <li>Click a gateway&apos;s status (Draft, Submitted, Approved) to submit it for approval with its deliverable files; supervisors approve it or request changes, every step is recorded in the audit log, and an approved gateway is locked until a supervisor reopens it</li>
+          <li>Click an owner under Resources to show only their activities; &ldquo;Workload &amp; owners&rdquo; shows each owner&apos;s activity-days per week against their capacity, with over-allocated weeks in red, and lets you add, edit or remove owners. Click an activity&apos;s owner badge to reassign it</li>
+          <li>Shaded columns are weekends, public holidays, leave or conferences from the working calendar in project settings; hover a header to see which. They do not count toward progress, and durations, float and auto-scheduling skip them</li>
+          <li>Under each progress bar, click the effort figure to set an activity&apos;s estimated hours and log time by hand or with the timer; it shows hours logged against the estimate and the estimate-to-complete (ETC), in red once the estimate is overrun. Time can also be logged from Daily Progress</li>
+          <li>Use 💬 on an activity or gateway to discuss it: reply in threads, mention someone with @Name and resolve a thread when it is settled; a blue badge on the bar counts unread comments (orange when you are mentioned)</li>
+          <li>&quot;Collaborate&quot; starts a live session: everyone&apos;s changes appear as they make them, avatars show who is here, and a row someone is renaming is locked for the others</li>
+          <li>Press Ctrl+Z to undo and Ctrl+Shift+Z to redo any edit; &quot;History&quot; lists recent changes and restores the plan to any of them</li>
+          <li>&quot;Templates&quot; lays out an MSc thesis, PhD by publication or systematic review plan (or one you saved) from a start date of your choice</li>
         </ul>
       </div>
       
@@ -2461,6 +3302,143 @@ const ThesisGanttChart = () => {
       {/* Delete Confirmation Modal */}
       <DeleteConfirmationModal />
       
+      {/* Project Settings Modal */}
+      <ProjectSettingsModal
+        isOpen={showProjectSettings}
+        settings={projectSettings}
+        onSave={applyProjectSettings}
+        onClose={() => setShowProjectSettings(false)}
+      />
+
+      {/* Activity Dates Modal */}
+      <ActivityDatesModal
+        isOpen={Boolean(editingDatesActivityId)}
+        activity={editingDatesActivityId ? findActivity(tasks, editingDatesActivityId)?.activity : null}
+        projectSettings={projectSettings}
+        onSave={saveActivityDates}
+        onClose={() => setEditingDatesActivityId(null)}
+      />
+
+      {/* Auto-Schedule Preview Modal */}
+      <ReschedulePreviewModal
+        preview={reschedulePreview}
+        onApply={() => applyReschedulePreview(true)}
+        onApplyEditOnly={() => applyReschedulePreview(false)}
+        onCancel={() => setReschedulePreview(null)}
+      />
+
+      {/* Baselines and Variance Panel */}
+      <BaselinePanel
+        isOpen={showBaselinePanel}
+        tasks={tasks}
+        baselineState={baselineState}
+        onChange={updateBaselines}
+        onClose={() => setShowBaselinePanel(false)}
+      />
+
+      {/* Undo/Redo History Panel */}
+      <HistoryPanel
+        isOpen={showHistoryPanel}
+        history={editHistory.history}
+        canUndo={editHistory.canUndo}
+        canRedo={editHistory.canRedo}
+        onUndo={editHistory.undo}
+        onRedo={editHistory.redo}
+        onJump={editHistory.jumpTo}
+        onClear={editHistory.clear}
+        onClose={() => setShowHistoryPanel(false)}
+      />
+
+      <TemplatesPanel
+        isOpen={showTemplatesPanel}
+        tasks={tasks}
+        projectSettings={projectSettings}
+        onApply={applyTemplate}
+        onClose={() => setShowTemplatesPanel(false)}
+      />
+
+      <CollaborationPanel
+        isOpen={showCollaborationPanel}
+        isSignedIn={Boolean(user)}
+        session={collaboration.session}
+        participants={collaboration.participants}
+        displayName={collaboration.displayName}
+        onNameChange={collaboration.setDisplayName}
+        onStart={collaboration.startSession}
+        onEnd={collaboration.endSession}
+        onLeave={collaboration.leaveSession}
+        onClose={() => setShowCollaborationPanel(false)}
+      />
+
+      <GatewayApprovalPanel
+        isOpen={Boolean(approvalActivityId)}
+        gateway={approvalActivityId ? findActivity(tasks, approvalActivityId)?.activity : null}
+        permissions={approvalPermissions}
+        notes={notes}
+        onAction={handleApprovalAction}
+        onChecklistChange={updateChecklist}
+        onUploadFile={uploadDeliverable}
+        onClose={() => setApprovalActivityId(null)}
+      />
+
+      <ResourcesPanel
+        isOpen={showResourcesPanel}
+        owners={owners}
+        workload={workload}
+        weeks={buildTimelineWeeks(projectSettings)}
+        usedOwnerIds={getUsedOwnerIds(tasks)}
+        ownerFilter={ownerFilter}
+        onSaveOwner={saveOwner}
+        onRemoveOwner={removeOwner}
+        onFilterChange={setOwnerFilter}
+        onClose={() => setShowResourcesPanel(false)}
+      />
+
+      <EffortPanel
+        isOpen={Boolean(effortActivity)}
+        activity={effortActivity}
+        progress={effortActivity ? calculateActivityProgress(effortActivity) : 0}
+        entries={timeEntries}
+        timer={timer}
+        readOnly={Boolean(effortActivity) && isApprovalLocked(effortActivity, canApprove)}
+        onEstimateChange={(hours) => setActivityEstimate(effortActivityId, hours)}
+        onAddEntry={addTimeEntry}
+        onRemoveEntry={(entryId) => updateTimeEntries(timeEntries.filter(entry => entry.id !== entryId))}
+        onStartTimer={startActivityTimer}
+        onStopTimer={stopActivityTimer}
+        onClose={() => setEffortActivityId(null)}
+      />
+
+      <CommentsPanel
+        isOpen={Boolean(commentsActivityId)}
+        target={commentsActivityId ? findActivity(tasks, commentsActivityId)?.activity : null}
+        threads={commentsActivityId ? getThreads(planComments.comments, commentsActivityId) : []}
+        userId={currentActor.id}
+        permissions={commentPermissions}
+        mentionNames={commentMentionNames}
+        onAdd={(text, parentId) => planComments.addComment(commentsActivityId, text, parentId)}
+        onEdit={planComments.updateComment}
+        onDelete={planComments.removeComment}
+        onResolve={planComments.resolveThread}
+        onClose={() => setCommentsActivityId(null)}
+      />
+
+      <SyncConflictModal
+        conflicts={planSync.conflicts}
+        onResolve={planSync.resolveConflicts}
+      />
+
+      {/* Dependency Add/Edit Modal */}
+      <DependencyModal
+        isOpen={Boolean(dependencyDialog)}
+        dependency={dependencyDialog}
+        isExisting={dependencyDialog?.isExisting}
+        errors={dependencyDialog?.errors}
+        onSave={saveDependency}
+        onRemove={removeDependencyLink}
+        onClose={() => setDependencyDialog(null)}
+      />
+
       {/* File Management Components - Task 13 Integration */}
       <FileTooltip
         files={fileTooltip.files}
@@ -2488,6 +3466,9 @@ const ThesisGanttChart = () => {
         isOpen={showExportPanel}
         onClose={() => setShowExportPanel(false)}
         ganttData={tasks}
+        onImport={applyPlanImport}
+        isActivityLocked={activity => isApprovalLocked(activity, canApprove)}
+        canApprove={canApprove}
       />
     </div>
   );
@@ -1,11 +1,12 @@
 /**
  * AssociationContext - React Context for managing file associations
- * Provides shared state and methods for notes-PDF associations
+ * Provides shared state and methods for the active project's notes-PDF associations
  */
 
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import associationService from '../services/AssociationService';
 import notesService from '../services/NotesService';
+import { useProjects } from './ProjectContext';
 
 // Initial state
 const initialState = {
@@ -114,12 +115,13 @@ export const useAssociations = () => {
 // Provider component
 export const AssociationProvider = ({ children }) => {
   const [state, dispatch] = useReducer(associationReducer, initialState);
+  const { activeProjectId } = useProjects();
 
-  // Load associations on mount
+  // Load the project's associations on mount and when the user switches projects
   useEffect(() => {
     loadAssociations();
     loadStats();
-  }, []);
+  }, [activeProjectId]);
 
   // Action creators
   const setLoading = (loading) => {
@@ -137,7 +139,7 @@ export const AssociationProvider = ({ children }) => {
   const loadAssociations = async () => {
     try {
       setLoading(true);
-      const associations = await associationService.getAllAssociations();
+      const associations = await associationService.getAllAssociations(activeProjectId);
       dispatch({ type: ActionTypes.SET_ASSOCIATIONS, payload: associations });
     } catch (error) {
       setError(error.message);
@@ -146,7 +148,7 @@ export const AssociationProvider = ({ children }) => {
 
   const loadStats = async () => {
     try {
-      const stats = await associationService.getAssociationStats();
+      const stats = await associationService.getAssociationStats(activeProjectId);
       dispatch({ type: ActionTypes.SET_STATS, payload: stats });
     } catch (error) {
       console.error('Failed to load association stats:', error);
@@ -159,12 +161,12 @@ export const AssociationProvider = ({ children }) => {
       clearError();
 
       // Check if association already exists
-      const existingAssociation = await associationService.getAssociationByNoteId(noteId);
+      const existingAssociation = await associationService.getAssociationByNoteId(noteId, activeProjectId);
       if (existingAssociation) {
         throw new Error('This note is already associated with a PDF');
       }
 
-      const association = await associationService.createAssociation(noteId, pdfId, metadata);
+      const association = await associationService.createAssociation(noteId, pdfId, metadata, activeProjectId);
       dispatch({ type: ActionTypes.ADD_ASSOCIATION, payload: association });
       
       // Reload stats
@@ -213,7 +215,7 @@ export const AssociationProvider = ({ children }) => {
       setLoading(true);
       clearError();
 
-      const association = await associationService.getAssociationByNoteId(noteId);
+      const association = await associationService.getAssociationByNoteId(noteId, activeProjectId);
       if (association) {
         await associationService.deleteAssociation(association.id);
         dispatch({ type: ActionTypes.REMOVE_ASSOCIATION, payload: association.id });
@@ -229,7 +231,7 @@ export const AssociationProvider = ({ children }) => {
 
   const getAssociationByNoteId = async (noteId) => {
     try {
-      return await associationService.getAssociationByNoteId(noteId);
+      return await associationService.getAssociationByNoteId(noteId, activeProjectId);
     } catch (error) {
       console.error('Failed to get association:', error);
       return null;
@@ -238,7 +240,7 @@ export const AssociationProvider = ({ children }) => {
 
   const getAssociationsByPdfId = async (pdfId) => {
     try {
-      return await associationService.getAssociationsByPdfId(pdfId);
+      return await associationService.getAssociationsByPdfId(pdfId, activeProjectId);
     } catch (error) {
       console.error('Failed to get associations for PDF:', error);
       return [];
@@ -247,7 +249,7 @@ export const AssociationProvider = ({ children }) => {
 
   const hasAssociation = async (noteId) => {
     try {
-      return await associationService.hasAssociation(noteId);
+      return await associationService.hasAssociation(noteId, activeProjectId);
     } catch (error) {
       console.error('Failed to check association:', error);
       return false;
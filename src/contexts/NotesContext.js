@@ -1,5 +1,7 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useMemo } from 'react';
 import { useAuth } from './AuthContext';
+import { useProjects } from './ProjectContext';
+import { belongsToProject } from '../utils/projects';
 import firebaseNotesService from '../services/FirebaseNotesService';
 import unifiedNotesService from '../services/UnifiedNotesService';
 
@@ -130,6 +132,13 @@ const notesReducer = (state, action) => {
 export const NotesProvider = ({ children }) => {
   const [state, dispatch] = useReducer(notesReducer, initialState);
   const { user } = useAuth();
+  const { activeProjectId } = useProjects();
+
+  // Notes belong to the project they were created in; older notes belong to the first project
+  const projectNotes = useMemo(
+    () => state.notes.filter(note => belongsToProject(note, activeProjectId)),
+    [state.notes, activeProjectId]
+  );
 
   // Real-time subscriptions cleanup
   useEffect(() => {
@@ -221,7 +230,7 @@ export const NotesProvider = ({ children }) => {
 
     try {
       dispatch({ type: NOTES_ACTIONS.SET_LOADING, payload: true });
-      const newNote = await firebaseNotesService.createNote(noteData, user.uid);
+      const newNote = await firebaseNotesService.createNote({ projectId: activeProjectId, ...noteData }, user.uid);
       // Also persist in unified local store so PDF/other components see it.
       try {
         await unifiedNotesService.createNote({ ...newNote, id: newNote.id });
@@ -284,7 +293,7 @@ export const NotesProvider = ({ children }) => {
 
     try {
       const results = await firebaseNotesService.searchNotes(user.uid, query);
-      return results;
+      return results.filter(note => belongsToProject(note, activeProjectId));
     } catch (error) {
       dispatch({ type: NOTES_ACTIONS.SET_ERROR, payload: error.message });
       return [];
@@ -322,18 +331,18 @@ export const NotesProvider = ({ children }) => {
 
   // Get filtered notes
   const getFilteredNotes = () => {
-    return state.notes; // Already filtered by subscription
+    return projectNotes; // Already filtered by subscription
   };
 
   // Get notes by folder
   const getNotesByFolder = (folderPath) => {
-    return state.notes.filter(note => note.folderPath === folderPath);
+    return projectNotes.filter(note => note.folderPath === folderPath);
   };
 
   // Get notes count by folder
   const getNotesCountByFolder = () => {
     const counts = {};
-    state.notes.forEach(note => {
+    projectNotes.forEach(note => {
       counts[note.folderPath] = (counts[note.folderPath] || 0) + 1;
     });
     return counts;
@@ -341,7 +350,7 @@ export const NotesProvider = ({ children }) => {
 
   const value = {
     // State
-    notes: state.notes,
+    notes: projectNotes,
     folders: state.folders,
     tags: state.tags,
     currentNote: state.currentNote,
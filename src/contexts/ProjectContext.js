@@ -0,0 +1,168 @@
+/**
+ * ProjectContext - React Context for the user's projects
+ * Holds the project registry and the active project. Pages that show
+ * project data are keyed by `activeProjectId` so switching remounts them
+ * with the new project's storage.
+ */
+
+import React, { createContext, useContext, useState, useCallback } from 'react';
+import {
+  loadProjects,
+  saveProjects,
+  getProject,
+  addProject,
+  renameProject as renameProjectInRegistry,
+  removeProject,
+  setActiveProject,
+  copyProjectData,
+  deleteProjectData,
+  validateProjectName,
+  getCopyName
+} from '../utils/projects';
+import {
+  loadProjectSettings,
+  saveProjectSettings,
+  validateProjectSettings,
+  toISODate,
+  addDays
+} from '../utils/projectTimeline';
+import { parseSessionCode, saveSession, clearSession } from '../utils/collaboration';
+import firebaseGanttService from '../services/FirebaseGanttService';
+import firebaseNotesService from '../services/FirebaseNotesService';
+import { useAuth } from './AuthContext';
+
+const ProjectContext = createContext();
+
+// A new project runs for three months from today, with the current project's week start and locale
+const createInitialSettings = () => {
+  const { weekStartsOn, locale } = loadProjectSettings();
+  const start = new Date();
+  const end = new Date(start.getFullYear(), start.getMonth() + 3, start.getDate());
+  return {
+    startDate: toISODate(start),
+    endDate: toISODate(addDays(end, -1)),
+    weekStartsOn,
+    locale
+  };
+};
+
+export const ProjectProvider = ({ children }) => {
+  const [registry, setRegistry] = useState(() => loadProjects());
+  const { user } = useAuth();
+
+  const commit = useCallback((nextRegistry) => {
+    saveProjects(nextRegistry);
+    setRegistry(nextRegistry);
+    return nextRegistry;
+  }, []);
+
+  const assertValidName = (name, projectId = null) => {
+    const error = validateProjectName(name, registry.projects, projectId);
+    if (error) throw new Error(error);
+  };
+
+  // Create an empty project and switch to it
+  const createProject = (name) => {
+    assertValidName(name);
+    const { registry: nextRegistry, project } = addProject(registry, name);
+    saveProjectSettings(createInitialSettings(), project.id);
+    commit(setActiveProject(nextRegistry, project.id));
+    return project;
+  };
+
+  // Copy a project's plan, progress, settings, baselines and history into a new project and switch to it
+  const duplicateProject = (projectId) => {
+    const source = getProject(registry, projectId);
+    if (!source) throw new Error('Project not found');
+
+    const { registry: nextRegistry, project } = addProject(registry, getCopyName(source.name, registry.projects));
+    copyProjectData(source.id, project.id);
+    // The copy is a plan of its own, not another way into the source's session
+    clearSession(project.id);
+    commit(setActiveProject(nextRegistry, project.id));
+    return project;
+  };
+
+  // Open someone else's shared plan in a new project, with the plan's settings, and switch to it
+  const joinSharedPlan = async (code, name) => {
+    const planId = parseSessionCode(code);
+    if (!planId) throw new Error('Enter the session code you were given');
+
+    const baseName = (name || '').trim() || 'Shared plan';
+    let projectName = baseName;
+    for (let n = 2; n < 100 && validateProjectName(projectName, registry.projects); n++) {
+      projectName = `${baseName} ${n}`;
+    }
+    assertValidName(projectName);
+
+    let plan;
+    try {
+      plan = await firebaseGanttService.getPlan(planId);
+    } catch (error) {
+      console.error('Error reading shared plan:', error);
+      throw new Error('This plan is not shared, or the session code is wrong');
+    }
+    if (!plan) throw new Error('This plan is not shared, or the session code is wrong');
+
+    // Plans stored before settings were synced get a fresh period, which the owner's next save replaces
+    const settings = plan.settings && validateProjectSettings(plan.settings).isValid
+      ? plan.settings
+      : createInitialSettings();
+
+    const { registry: nextRegistry, project } = addProject(registry, projectName);
+    saveProjectSettings(settings, project.id);
+    saveSession({ planId, isOwner: false }, project.id);
+    commit(setActiveProject(nextRegistry, project.id));
+    return project;
+  };
+
+  const renameProject = (projectId, name) => {
+    assertValidName(name, projectId);
+    commit(renameProjectInRegistry(registry, projectId, name));
+  };
+
+  // Remove a project with its notes in Firestore and its data in this browser
+  const deleteProject = async (projectId) => {
+    if (registry.projects.length <= 1) {
+      throw new Error('The last project cannot be deleted');
+    }
+    // Notes go first, so a failure leaves the project in place rather than orphaning them
+    if (user) {
+      await firebaseNotesService.deleteProjectNotes(projectId, user.uid);
+    }
+    deleteProjectData(projectId);
+    commit(removeProject(registry, projectId));
+  };
+
+  const switchProject = (projectId) => {
+    if (projectId === registry.activeProjectId) return;
+    commit(setActiveProject(registry, projectId));
+  };
+
+  const value = {
+    projects: registry.projects,
+    activeProjectId: registry.activeProjectId,
+    activeProject: getProject(registry, registry.activeProjectId),
+    createProject,
+    duplicateProject,
+    joinSharedPlan,
+    renameProject,
+    deleteProject,
+    switchProject
+  };
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+};
+
+// Custom hook to use the project context
+export const useProjects = () => {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProjects must be used within a ProjectProvider');
+  }
+  return context;
+};
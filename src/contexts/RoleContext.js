@@ -110,7 +110,8 @@ function roleReducer(state, action) {
 // Role provider component
 export function RoleProvider({ children }) {
   const [state, dispatch] = useReducer(roleReducer, initialState);
-  const { user, isAuthenticated } = useAuth();
+  const { user } = useAuth();
+  const isAuthenticated = Boolean(user);
 
   // Initialize roles when user authenticates
   useEffect(() => {
@@ -137,12 +138,12 @@ export function RoleProvider({ children }) {
     try {
       dispatch({ type: ROLE_ACTIONS.SET_LOADING, payload: true });
 
-      let userRole = roleService.getUserRole(user.id);
+      let userRole = roleService.getUserRole(user.uid);
       
       // If user doesn't have a role, assign default role
       if (!userRole) {
         const defaultRole = roleService.getDefaultRole();
-        roleService.setUserRole(user.id, defaultRole, {
+        roleService.setUserRole(user.uid, defaultRole, {
           assignedBy: 'system',
           isDefault: true
         });
@@ -150,7 +151,7 @@ export function RoleProvider({ children }) {
       }
 
       // Initialize role session
-      roleService.initializeSession(user.id, userRole.role);
+      roleService.initializeSession(user.uid, userRole.role);
 
       // Get permissions for the role
       const permissions = roleService.getRolePermissions(userRole.role);
@@ -216,7 +217,7 @@ export function RoleProvider({ children }) {
       dispatch({ type: ROLE_ACTIONS.SET_LOADING, payload: true });
 
       // Check if current user can assign this role
-      if (!roleService.canTransitionRole(state.currentUserRole, newRole, user.id)) {
+      if (!roleService.canTransitionRole(state.currentUserRole, newRole, user.uid)) {
         throw new Error('Insufficient permissions to assign this role');
       }
 
@@ -0,0 +1,131 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import firebaseGanttService from '../services/FirebaseGanttService';
+import {
+  PRESENCE_HEARTBEAT,
+  getPlanId,
+  loadSession,
+  saveSession,
+  clearSession,
+  loadDisplayName,
+  saveDisplayName,
+  getDisplayName,
+  getActiveParticipants,
+  getPresenceColor
+} from '../utils/collaboration';
+
+/**
+ * Collaborative session of one project's plan
+ * @param {Object} options
+ * @param {Object|null} options.user - Signed-in user; there are no sessions without one
+ * @param {string} options.projectId
+ * @param {{type: string, id: *, since: number}|null} options.editing - Row this user is renaming
+ * @returns {Object} planId (the Firestore plan to sync), session, participants, displayName,
+ *   setDisplayName, startSession, endSession, leaveSession
+ *
+ * Outside a session the project syncs to the user's own plan. In a session
+ * everyone syncs to the owner's plan and publishes presence, refreshed on
+ * every change and every PRESENCE_HEARTBEAT and removed when the chart
+ * closes; entries that stopped refreshing drop out after PRESENCE_TIMEOUT.
+ */
+const useCollaboration = ({ user, projectId, editing }) => {
+  const userId = user ? user.uid : null;
+  const [session, setSession] = useState(() => loadSession(projectId));
+  const [savedName, setSavedName] = useState(() => loadDisplayName());
+  const [entries, setEntries] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+
+  const ownPlanId = userId ? getPlanId(userId, projectId) : null;
+  const planId = userId ? (session ? session.planId : ownPlanId) : null;
+  const presencePlanId = session ? planId : null;
+  const displayName = getDisplayName(user, savedName);
+
+  const presenceRef = useRef(null);
+  presenceRef.current = {
+    name: displayName,
+    color: getPresenceColor(userId),
+    editing: editing || null
+  };
+
+  const publish = () => {
+    firebaseGanttService.updatePresence(presencePlanId, userId, presenceRef.current).catch(error => {
+      console.error('Error updating presence:', error);
+    });
+  };
+
+  useEffect(() => {
+    if (!presencePlanId) {
+      setEntries([]);
+      return undefined;
+    }
+
+    const unsubscribe = firebaseGanttService.subscribeToPresence(presencePlanId, setEntries);
+    const heartbeat = setInterval(() => {
+      publish();
+      setNow(Date.now());
+    }, PRESENCE_HEARTBEAT);
+
+    return () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      firebaseGanttService.removePresence(presencePlanId, userId).catch(error => {
+        console.error('Error removing presence:', error);
+      });
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [presencePlanId, userId]);
+
+  // Publish straight away when joining, renaming or starting/finishing an edit
+  useEffect(() => {
+    if (presencePlanId) publish();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [presencePlanId, displayName, editing]);
+
+  const setDisplayName = useCallback((name) => {
+    saveDisplayName(name);
+    setSavedName(loadDisplayName());
+  }, []);
+
+  // Share this project's plan; others join with its id as the session code
+  const startSession = useCallback(async () => {
+    if (!ownPlanId) throw new Error('Sign in to start a session');
+    try {
+      await firebaseGanttService.setPlanShared(ownPlanId, true);
+    } catch (error) {
+      if (error.code === 'not-found') {
+        throw new Error('This plan has not been uploaded yet. Wait until it shows "Synced" and try again.');
+      }
+      throw error;
+    }
+    const nextSession = { planId: ownPlanId, isOwner: true };
+    saveSession(nextSession, projectId);
+    setSession(nextSession);
+  }, [ownPlanId, projectId]);
+
+  // Stop sharing; people who joined keep their copy but no longer receive changes
+  const endSession = useCallback(async () => {
+    if (session && session.isOwner) {
+      await firebaseGanttService.setPlanShared(session.planId, false);
+    }
+    clearSession(projectId);
+    setSession(null);
+  }, [session, projectId]);
+
+  // Leave someone else's session; the plan on screen becomes this user's own plan
+  const leaveSession = useCallback(() => {
+    clearSession(projectId);
+    setSession(null);
+  }, [projectId]);
+
+  return {
+    planId,
+    session,
+    participants: getActiveParticipants(entries, userId, now),
+    displayName,
+    setDisplayName,
+    startSession,
+    endSession,
+    leaveSession
+  };
+};
+
+export default useCollaboration;
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  canUndo,
+  canRedo,
+  recordChange,
+  syncHistory,
+  moveTo,
+  loadHistory,
+  saveHistory,
+  clearHistory
+} from '../utils/editHistory';
+
+const isTextInput = (element) => {
+  if (!element) return false;
+  const tag = element.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || element.isContentEditable;
+};
+
+/**
+ * Undo/redo for the Gantt chart state
+ * @param {Object} state - Current editable state, e.g. { tasks, completedDays }
+ * @param {Function} applyState - Puts a state on screen; called with (state, { action, label })
+ * @param {string} projectId - Project whose history is loaded and saved (defaults to the active one)
+ * @param {Function} [canMove] - Called with (currentState, targetState, { action, label }) before
+ *   an undo, redo or jump; returning false leaves the plan where it is
+ * @returns {Object} history, execute(label, update), undo, redo, jumpTo, clear, canUndo, canRedo
+ *
+ * Every edit goes through `execute`, which receives the current state and
+ * returns the fields it changes. Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) are
+ * handled here unless a text field has focus.
+ */
+const useEditHistory = (state, applyState, projectId, canMove = null) => {
+  const [history, setHistory] = useState(() => loadHistory(projectId));
+
+  // Refs so several commands in one event see each other's results
+  const stateRef = useRef(state);
+  const historyRef = useRef(history);
+  const applyStateRef = useRef(applyState);
+  const canMoveRef = useRef(canMove);
+  stateRef.current = state;
+  historyRef.current = history;
+  applyStateRef.current = applyState;
+  canMoveRef.current = canMove;
+
+  useEffect(() => {
+    if (history) saveHistory(history, projectId);
+  }, [history, projectId]);
+
+  const commit = useCallback((nextHistory, nextState, change) => {
+    historyRef.current = nextHistory;
+    stateRef.current = nextState;
+    setHistory(nextHistory);
+    applyStateRef.current(nextState, change);
+  }, []);
+
+  const execute = useCallback((label, update) => {
+    const current = stateRef.current;
+    const next = { ...current, ...update(current) };
+    commit(recordChange(syncHistory(historyRef.current, current), label, next), next, { action: 'execute', label });
+  }, [commit]);
+
+  const jump = useCallback((action, getIndex) => {
+    const synced = syncHistory(historyRef.current, stateRef.current);
+    const result = moveTo(synced, getIndex(synced));
+    if (!result) return;
+
+    // Undo reports the entry it stepped back from, redo and jump the one they land on
+    const entry = action === 'undo' ? synced.entries[synced.index] : result.history.entries[result.history.index];
+    if (canMoveRef.current && !canMoveRef.current(stateRef.current, result.state, { action, label: entry.label })) return;
+    commit(result.history, result.state, { action, label: entry.label });
+  }, [commit]);
+
+  const undo = useCallback(() => {
+    if (canUndo(historyRef.current)) jump('undo', h => h.index - 1);
+  }, [jump]);
+
+  const redo = useCallback(() => {
+    if (canRedo(historyRef.current)) jump('redo', h => h.index + 1);
+  }, [jump]);
+
+  const jumpTo = useCallback((entryId) => {
+    jump('jump', h => h.entries.findIndex(entry => entry.id === entryId));
+  }, [jump]);
+
+  const clear = useCallback(() => {
+    clearHistory(projectId);
+    historyRef.current = null;
+    setHistory(null);
+  }, [projectId]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextInput(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return {
+    history,
+    execute,
+    undo,
+    redo,
+    jumpTo,
+    clear,
+    canUndo: canUndo(history),
+    canRedo: canRedo(history)
+  };
+};
+
+export default useEditHistory;
@@ -0,0 +1,150 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import firebaseGanttService from '../services/FirebaseGanttService';
+import {
+  loadComments,
+  saveComments,
+  loadReadState,
+  saveReadState,
+  markActivityRead,
+  createComment,
+  editComment,
+  setThreadResolved,
+  deleteComment,
+  getCommentSummary,
+  mergeComments,
+  getCommentActions
+} from '../utils/planComments';
+
+/**
+ * Comment threads on the plan's activities and gateways
+ * @param {Object} options
+ * @param {string|null} options.planId - Firestore plan the comments are synced with (none: this browser only)
+ * @param {string} options.projectId
+ * @param {{id: string, name: string, role: string|null}} options.author - Current user
+ * @param {{canAdd: boolean, canEdit: boolean, canDelete: boolean}} options.permissions - From useCommentPermissions
+ * @returns {Object} comments, summary, addComment, updateComment, removeComment, resolveThread, markRead
+ *
+ * Comments are cached in localStorage and merged with the synced ones per
+ * comment (newest version wins), so comments written offline are uploaded
+ * on the next snapshot or when the browser comes back online. Every action
+ * checks the role's comment permissions and throws when it is not allowed.
+ */
+const usePlanComments = ({ planId, projectId, author, permissions }) => {
+  const [comments, setComments] = useState(() => loadComments(projectId));
+  const [readState, setReadState] = useState(() => loadReadState(projectId));
+
+  const commentsRef = useRef(comments);
+  const remoteRef = useRef(null);
+
+  const upload = useCallback((toUpload) => {
+    if (!planId) return;
+    toUpload.forEach(comment => {
+      firebaseGanttService.saveComment(planId, comment).catch(error => {
+        console.error('Error saving comment:', error);
+      });
+    });
+  }, [planId]);
+
+  const commit = useCallback((nextComments) => {
+    commentsRef.current = nextComments;
+    setComments(nextComments);
+    saveComments(nextComments, projectId);
+  }, [projectId]);
+
+  useEffect(() => {
+    if (!planId) return undefined;
+
+    const syncWithRemote = () => {
+      if (!remoteRef.current) return;
+      const { comments: merged, toUpload } = mergeComments(commentsRef.current, remoteRef.current);
+      commit(merged);
+      upload(toUpload);
+    };
+
+    const unsubscribe = firebaseGanttService.subscribeToComments(planId, (remote, error) => {
+      if (error) return;
+      remoteRef.current = remote;
+      syncWithRemote();
+    });
+    window.addEventListener('online', syncWithRemote);
+
+    return () => {
+      unsubscribe();
+      remoteRef.current = null;
+      window.removeEventListener('online', syncWithRemote);
+    };
+  }, [planId, commit, upload]);
+
+  const store = (comment) => {
+    const exists = commentsRef.current.some(existing => existing.id === comment.id);
+    commit(exists
+      ? commentsRef.current.map(existing => (existing.id === comment.id ? comment : existing))
+      : [...commentsRef.current, comment]);
+    upload([comment]);
+    return comment;
+  };
+
+  const getComment = (commentId) => {
+    const comment = commentsRef.current.find(existing => existing.id === commentId);
+    if (!comment) throw new Error('Comment not found');
+    return comment;
+  };
+
+  const markRead = useCallback((activityId) => {
+    setReadState(previous => {
+      const next = markActivityRead(previous, activityId);
+      saveReadState(next, projectId);
+      return next;
+    });
+  }, [projectId]);
+
+  const addComment = (activityId, text, parentId = null) => {
+    if (!permissions.canAdd) throw new Error('Your role cannot add comments');
+    if (parentId && getComment(parentId).parentId) throw new Error('Replies cannot be replied to');
+    const comment = store(createComment({ activityId, parentId, text, author }));
+    // Your own comment does not count as unread
+    markRead(activityId);
+    return comment;
+  };
+
+  const updateComment = (commentId, text) => {
+    const comment = getComment(commentId);
+    if (!getCommentActions(comment, author.id, permissions).canEdit) {
+      throw new Error('Your role cannot edit this comment');
+    }
+    return store(editComment(comment, text));
+  };
+
+  const removeComment = (commentId) => {
+    const comment = getComment(commentId);
+    if (!getCommentActions(comment, author.id, permissions).canDelete) {
+      throw new Error('Your role cannot delete comments');
+    }
+    return store(deleteComment(comment));
+  };
+
+  const resolveThread = (commentId, resolved) => {
+    const comment = getComment(commentId);
+    if (!getCommentActions(comment, author.id, permissions).canResolve) {
+      throw new Error('Your role cannot resolve comments');
+    }
+    return store(setThreadResolved(comment, resolved, author.name));
+  };
+
+  const summary = useMemo(
+    () => getCommentSummary(comments, readState, author.id, author.name),
+    [comments, readState, author.id, author.name]
+  );
+
+  return {
+    comments,
+    summary,
+    addComment,
+    updateComment,
+    removeComment,
+    resolveThread,
+    markRead
+  };
+};
+
+export default usePlanComments;
@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import firebaseGanttService from '../services/FirebaseGanttService';
+import { isSameState } from '../utils/editHistory';
+import {
+  PLAN_CONFLICT,
+  toSyncedPlan,
+  mergePlans,
+  resolveConflicts as resolvePlanConflicts,
+  loadSyncState,
+  saveSyncState
+} from '../utils/planSync';
+
+// Delay after the last edit before it is uploaded
+export const SYNC_DELAY = 2000;
+// Shorter delay in a collaborative session, so others see changes almost at once
+export const LIVE_SYNC_DELAY = 500;
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Keeps one project's plan in sync with Firestore for the signed-in user
+ * @param {Object} options
+ * @param {string|null} options.planId - Firestore plan; nothing is synced without one
+ * @param {string|null} options.userId - Signed-in user
+ * @param {string} options.projectId
+ * @param {Array} options.tasks - Plan on screen
+ * @param {Object} options.completedDays - Progress marks on screen
+ * @param {Object} options.settings - Project settings, including the working calendar
+ * @param {Array} options.owners - Owners and their capacities
+ * @param {Function} options.hasLocalPlan - True when this browser has a saved plan of its own
+ * @param {Function} options.applyPlan - Puts a plan received from another device on screen; its settings
+ *   and owners are null when the stored plan predates them
+ * @param {number} [options.delay] - Pause after the last edit before uploading
+ * @returns {Object} status, lastSyncedAt, conflicts, resolveConflicts(choices), syncNow
+ *
+ * localStorage stays the working copy, so the chart works offline and edits
+ * are uploaded once the browser is back online. Plans from other devices
+ * are applied directly when there are no local edits, otherwise merged per
+ * field; fields both sides changed are returned as `conflicts` (the local
+ * value is kept until the user picks one). When the plan is not stored yet,
+ * the plan in this browser is uploaded.
+ */
+const usePlanSync = ({ planId, userId, projectId, tasks, completedDays, settings, owners, hasLocalPlan, applyPlan, delay = SYNC_DELAY }) => {
+  const [status, setStatus] = useState(planId ? 'syncing' : 'local');
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+
+  const planRef = useRef({ tasks, completedDays, settings, owners });
+  const callbacksRef = useRef({ hasLocalPlan, applyPlan });
+  planRef.current = { tasks, completedDays, settings, owners };
+  callbacksRef.current = { hasLocalPlan, applyPlan };
+
+  const syncStateRef = useRef(null);
+  const readyRef = useRef(false); // First snapshot from the server handled
+  const pushingRef = useRef(false);
+  const pushTimeoutRef = useRef(null);
+  const pushRef = useRef(null);
+  const handleRemoteRef = useRef(null);
+
+  const updateSyncState = (changes) => {
+    syncStateRef.current = { ...syncStateRef.current, ...changes };
+    saveSyncState(syncStateRef.current, projectId);
+  };
+
+  const hasUnsyncedChanges = () => {
+    const { base } = syncStateRef.current;
+    return !base || !isSameState(toSyncedPlan(planRef.current), base);
+  };
+
+  const schedulePush = (wait = delay) => {
+    clearTimeout(pushTimeoutRef.current);
+    pushTimeoutRef.current = setTimeout(() => pushRef.current(), wait);
+  };
+
+  pushRef.current = async () => {
+    if (!planId || !readyRef.current || pushingRef.current) return;
+    if (!hasUnsyncedChanges()) {
+      setStatus('synced');
+      return;
+    }
+    if (isOffline()) {
+      setStatus('offline');
+      return;
+    }
+
+    const plan = toSyncedPlan(planRef.current);
+    pushingRef.current = true;
+    setStatus('syncing');
+    try {
+      const revision = await firebaseGanttService.savePlan(planId, plan, syncStateRef.current.revision, { userId, projectId });
+      updateSyncState({ planId, revision, base: plan });
+      setLastSyncedAt(new Date());
+      setStatus('synced');
+    } catch (error) {
+      if (error.code === PLAN_CONFLICT) {
+        // Merged with the newer plan and uploaded again
+        handleRemoteRef.current(error.remote);
+      } else {
+        console.error('Error syncing plan:', error);
+        setStatus(isOffline() ? 'offline' : 'error');
+      }
+      return;
+    } finally {
+      pushingRef.current = false;
+    }
+
+    // Edits made while the upload was running
+    if (hasUnsyncedChanges()) schedulePush();
+  };
+
+  handleRemoteRef.current = (remote) => {
+    const state = syncStateRef.current;
+
+    if (!remote) {
+      // Nothing stored yet: upload the plan from this browser
+      updateSyncState({ planId, revision: 0, base: null });
+      if (callbacksRef.current.hasLocalPlan()) {
+        schedulePush(0);
+      } else {
+        setStatus('synced');
+      }
+      return;
+    }
+
+    // Our own save coming back, or a revision already merged
+    if (state.planId === planId && remote.revision === state.revision) {
+      if (!hasUnsyncedChanges()) setStatus('synced');
+      return;
+    }
+
+    const local = toSyncedPlan(planRef.current);
+    const remotePlan = toSyncedPlan(remote);
+    const samePlan = state.planId === planId && Boolean(state.base);
+    const localChanged = samePlan ? !isSameState(local, state.base) : callbacksRef.current.hasLocalPlan();
+
+    if (!localChanged || isSameState(local, remotePlan)) {
+      updateSyncState({ planId, revision: remote.revision, base: remotePlan });
+      if (!isSameState(local, remotePlan)) {
+        planRef.current = remotePlan;
+        callbacksRef.current.applyPlan(remotePlan);
+      }
+      setLastSyncedAt(new Date());
+      setStatus('synced');
+      return;
+    }
+
+    const merged = mergePlans(samePlan ? state.base : null, local, remotePlan);
+    updateSyncState({ planId, revision: remote.revision, base: remotePlan });
+    planRef.current = merged.plan;
+    callbacksRef.current.applyPlan(merged.plan);
+    if (merged.conflicts.length > 0) {
+      setConflicts(previous => [
+        ...previous.filter(conflict => !merged.conflicts.some(c => c.key === conflict.key)),
+        ...merged.conflicts
+      ]);
+    }
+    schedulePush(0);
+  };
+
+  useEffect(() => {
+    if (!planId) {
+      setStatus('local');
+      return undefined;
+    }
+
+    syncStateRef.current = loadSyncState(projectId);
+    readyRef.current = false;
+    setStatus(isOffline() ? 'offline' : 'syncing');
+
+    const unsubscribe = firebaseGanttService.subscribeToPlan(planId, (remote, error, { fromCache }) => {
+      if (error) {
+        setStatus(isOffline() ? 'offline' : 'error');
+        return;
+      }
+      // A missing document in the offline cache says nothing about the server
+      if (!remote && fromCache) return;
+
+      readyRef.current = true;
+      handleRemoteRef.current(remote);
+    });
+
+    const handleOnline = () => pushRef.current();
+    const handleOffline = () => setStatus('offline');
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      unsubscribe();
+      clearTimeout(pushTimeoutRef.current);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [planId, projectId]);
+
+  // Upload edits once the user pauses
+  useEffect(() => {
+    if (!planId || !readyRef.current || !hasUnsyncedChanges()) return;
+    setStatus(isOffline() ? 'offline' : 'pending');
+    schedulePush();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tasks, completedDays, settings, owners, planId]);
+
+  const resolveConflicts = useCallback((choices) => {
+    const plan = resolvePlanConflicts(planRef.current, conflicts, choices);
+    planRef.current = plan;
+    callbacksRef.current.applyPlan(plan);
+    setConflicts([]);
+  }, [conflicts]);
+
+  const syncNow = useCallback(() => pushRef.current(), []);
+
+  return {
+    status,
+    lastSyncedAt,
+    conflicts,
+    resolveConflicts,
+    syncNow
+  };
+};
+
+export default usePlanSync;
@@ -1,9 +1,12 @@
 /**
  * AssociationService - Manages associations between notes and PDF files
- * Uses both Firestore for persistent storage and IndexedDB for local operations
+ * Uses both Firestore for persistent storage and IndexedDB for local operations.
+ * Each association records the project it was made in, like notes do; reads
+ * only return the given project's associations (older ones belong to the first project).
  */
 
 import { db, auth } from '../firebase';
+import { getActiveProjectId, belongsToProject } from '../utils/projects';
 import { 
   collection, 
   doc, 
@@ -69,9 +72,10 @@ class AssociationService {
    * @param {string} noteId - The note ID
    * @param {string} pdfId - The PDF file ID
    * @param {Object} metadata - Additional metadata
+   * @param {string} projectId - Project the association belongs to
    * @returns {Promise<Object>} - The created association
    */
-  async createAssociation(noteId, pdfId, metadata = {}) {
+  async createAssociation(noteId, pdfId, metadata = {}, projectId = getActiveProjectId()) {
     try {
       // Check if user is authenticated
       const currentUser = auth.currentUser;
@@ -84,6 +88,7 @@ class AssociationService {
         noteId,
         pdfId,
         userId: currentUser.uid,
+        projectId,
         createdAt: now,
         lastModified: now,
         ...metadata
@@ -119,9 +124,10 @@ class AssociationService {
   /**
    * Get association by note ID
    * @param {string} noteId - The note ID
+   * @param {string} projectId - Project to look in
    * @returns {Promise<Object|null>} - The association or null
    */
-  async getAssociationByNoteId(noteId) {
+  async getAssociationByNoteId(noteId, projectId = getActiveProjectId()) {
     try {
       // Check if user is authenticated
       const currentUser = auth.currentUser;
@@ -135,16 +141,14 @@ class AssociationService {
         const transaction = this.db.transaction([this.storeName], 'readonly');
         const store = transaction.objectStore(this.storeName);
         const index = store.index('noteId');
-        const request = index.get(noteId);
+        const request = index.getAll(noteId);
 
         request.onsuccess = () => {
-          const result = request.result;
           // Filter by user ID for security
-          if (result && result.userId === currentUser.uid) {
-            resolve(result);
-          } else {
-            resolve(null);
-          }
+          const result = (request.result || []).find(association => (
+            association.userId === currentUser.uid && belongsToProject(association, projectId)
+          ));
+          resolve(result || null);
         };
         request.onerror = () => reject(request.error);
       });
@@ -161,16 +165,18 @@ class AssociationService {
         where('userId', '==', currentUser.uid)
       );
       const querySnapshot = await getDocs(q);
-      return querySnapshot.empty ? null : { id: querySnapshot.docs[0].id, ...querySnapshot.docs[0].data() };
+      const match = querySnapshot.docs.find(doc => belongsToProject(doc.data(), projectId));
+      return match ? { id: match.id, ...match.data() } : null;
     }
   }
 
   /**
    * Get associations by PDF ID
    * @param {string} pdfId - The PDF file ID
+   * @param {string} projectId - Project to look in
    * @returns {Promise<Array>} - Array of associations
    */
-  async getAssociationsByPdfId(pdfId) {
+  async getAssociationsByPdfId(pdfId, projectId = getActiveProjectId()) {
     try {
       await this.initDB();
 
@@ -180,7 +186,7 @@ class AssociationService {
         const index = store.index('pdfId');
         const request = index.getAll(pdfId);
 
-        request.onsuccess = () => resolve(request.result || []);
+        request.onsuccess = () => resolve((request.result || []).filter(association => belongsToProject(association, projectId)));
         request.onerror = () => reject(request.error);
       });
     } catch (error) {
@@ -190,15 +196,18 @@ class AssociationService {
         where('pdfId', '==', pdfId)
       );
       const querySnapshot = await getDocs(q);
-      return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      return querySnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(association => belongsToProject(association, projectId));
     }
   }
 
   /**
-   * Get all associations
+   * Get all associations of a project
+   * @param {string} projectId - Project to look in
    * @returns {Promise<Array>} - Array of all associations
    */
-  async getAllAssociations() {
+  async getAllAssociations(projectId = getActiveProjectId()) {
     try {
       await this.initDB();
 
@@ -207,13 +216,15 @@ class AssociationService {
         const store = transaction.objectStore(this.storeName);
         const request = store.getAll();
 
-        request.onsuccess = () => resolve(request.result || []);
+        request.onsuccess = () => resolve((request.result || []).filter(association => belongsToProject(association, projectId)));
         request.onerror = () => reject(request.error);
       });
     } catch (error) {
       // Fallback to Firestore
       const querySnapshot = await getDocs(collection(db, this.collectionName));
-      return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      return querySnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(association => belongsToProject(association, projectId));
     }
   }
 
@@ -293,10 +304,11 @@ class AssociationService {
   /**
    * Delete association by note ID
    * @param {string} noteId - The note ID
+   * @param {string} projectId - Project to look in
    * @returns {Promise<void>}
    */
-  async deleteAssociationByNoteId(noteId) {
-    const association = await this.getAssociationByNoteId(noteId);
+  async deleteAssociationByNoteId(noteId, projectId = getActiveProjectId()) {
+    const association = await this.getAssociationByNoteId(noteId, projectId);
     if (association) {
       await this.deleteAssociation(association.id);
     }
@@ -305,20 +317,22 @@ class AssociationService {
   /**
    * Check if a note has an associated PDF
    * @param {string} noteId - The note ID
+   * @param {string} projectId - Project to look in
    * @returns {Promise<boolean>} - True if association exists
    */
-  async hasAssociation(noteId) {
-    const association = await this.getAssociationByNoteId(noteId);
+  async hasAssociation(noteId, projectId = getActiveProjectId()) {
+    const association = await this.getAssociationByNoteId(noteId, projectId);
     return !!association;
   }
 
   /**
    * Get association statistics
+   * @param {string} projectId - Project to count
    * @returns {Promise<Object>} - Association statistics
    */
-  async getAssociationStats() {
+  async getAssociationStats(projectId = getActiveProjectId()) {
     try {
-      const associations = await this.getAllAssociations();
+      const associations = await this.getAllAssociations(projectId);
       const uniqueNotes = new Set(associations.map(a => a.noteId));
       const uniquePdfs = new Set(associations.map(a => a.pdfId));
 
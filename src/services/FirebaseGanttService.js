@@ -0,0 +1,202 @@
+/**
+ * FirebaseGanttService - Firebase Firestore storage for Gantt plans
+ * One document per user and project holding the tasks and progress marks.
+ * Every save bumps a revision number inside a transaction, so a device that
+ * saves on top of a plan it has not seen yet gets a conflict instead of
+ * overwriting the other device's changes.
+ *
+ * The owner can share a plan for a collaborative session; everyone in the
+ * session then saves to the same document and keeps a presence document
+ * (name, colour, row being edited) in its `presence` subcollection.
+ * Comment threads live in the `comments` subcollection, one document per
+ * comment, so people commenting at once never conflict.
+ */
+
+import {
+  collection,
+  doc,
+  deleteDoc,
+  getDoc,
+  onSnapshot,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  updateDoc
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { PLAN_CONFLICT } from '../utils/planSync';
+
+const DEVICE_ID_KEY = 'gantt-device-id';
+
+class FirebaseGanttService {
+  constructor() {
+    this.collections = {
+      plans: 'ganttPlans',
+      presence: 'presence',
+      comments: 'comments'
+    };
+  }
+
+  /**
+   * Id of this browser, stored with each save so a device can tell its own writes apart
+   */
+  getDeviceId() {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = `device_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  }
+
+  getPlanRef(planId) {
+    if (!planId) throw new Error('Plan ID is required');
+    return doc(db, this.collections.plans, planId);
+  }
+
+  /**
+   * Read a stored plan once
+   * @returns {Promise<Object|null>} Null when it does not exist
+   */
+  async getPlan(planId) {
+    const snapshot = await getDoc(this.getPlanRef(planId));
+    return snapshot.exists() ? snapshot.data() : null;
+  }
+
+  /**
+   * Subscribe to a stored plan
+   * @param {Function} callback - Called with (plan or null, error, { fromCache })
+   * @returns {Function} Unsubscribe
+   */
+  subscribeToPlan(planId, callback) {
+    return onSnapshot(this.getPlanRef(planId), (snapshot) => {
+      callback(
+        snapshot.exists() ? snapshot.data() : null,
+        null,
+        { fromCache: snapshot.metadata.fromCache }
+      );
+    }, (error) => {
+      console.error('Error in plan subscription:', error);
+      callback(null, error, { fromCache: true });
+    });
+  }
+
+  /**
+   * Save the plan on top of the revision this device last saw
+   * @param {string} planId
+   * @param {{tasks: Array, completedDays: Object, settings: Object, owners: Array}} plan - JSON-safe plan (see toSyncedPlan)
+   * @param {number} baseRevision - 0 when the plan was never stored
+   * @param {{userId: string, projectId: string}} owner - Recorded when the plan is first stored
+   * @returns {Promise<number>} The new revision
+   * @throws {Error} With code 'plan-conflict' and the stored plan as `remote` when the revision moved on
+   */
+  async savePlan(planId, plan, baseRevision, { userId, projectId }) {
+    const planRef = this.getPlanRef(planId);
+
+    return runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(planRef);
+      const stored = snapshot.exists() ? snapshot.data() : null;
+      const storedRevision = stored ? stored.revision || 0 : 0;
+
+      if (storedRevision !== baseRevision) {
+        const conflict = new Error('The plan was changed on another device');
+        conflict.code = PLAN_CONFLICT;
+        conflict.remote = stored;
+        throw conflict;
+      }
+
+      const revision = storedRevision + 1;
+      transaction.set(planRef, {
+        ownerId: stored ? stored.ownerId : userId,
+        projectId: stored ? stored.projectId : projectId,
+        shared: stored ? Boolean(stored.shared) : false,
+        tasks: plan.tasks,
+        completedDays: plan.completedDays,
+        settings: plan.settings,
+        owners: plan.owners,
+        revision,
+        updatedBy: this.getDeviceId(),
+        updatedByUser: userId,
+        createdAt: stored && stored.createdAt ? stored.createdAt : serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      return revision;
+    });
+  }
+
+  /**
+   * Let anyone with the plan id join it (or stop that)
+   */
+  async setPlanShared(planId, shared) {
+    await updateDoc(this.getPlanRef(planId), {
+      shared,
+      updatedAt: serverTimestamp()
+    });
+  }
+
+  /**
+   * Publish who is in the session and which row they are editing
+   * @param {{name: string, color: string, editing: Object|null}} presence
+   */
+  async updatePresence(planId, userId, presence) {
+    await setDoc(doc(this.getPlanRef(planId), this.collections.presence, userId), {
+      ...presence,
+      userId,
+      lastSeen: serverTimestamp()
+    });
+  }
+
+  async removePresence(planId, userId) {
+    await deleteDoc(doc(this.getPlanRef(planId), this.collections.presence, userId));
+  }
+
+  /**
+   * Subscribe to everyone's presence in a session
+   * @param {Function} callback - Called with the presence entries; lastSeen is converted to milliseconds
+   * @returns {Function} Unsubscribe
+   */
+  subscribeToPresence(planId, callback) {
+    return onSnapshot(collection(this.getPlanRef(planId), this.collections.presence), (snapshot) => {
+      const entries = [];
+      snapshot.forEach((entry) => {
+        const data = entry.data();
+        entries.push({
+          ...data,
+          // Pending server timestamps read as null on the device that wrote them
+          lastSeen: data.lastSeen ? data.lastSeen.toMillis() : Date.now()
+        });
+      });
+      callback(entries);
+    }, (error) => {
+      console.error('Error in presence subscription:', error);
+      callback([]);
+    });
+  }
+
+  /**
+   * Subscribe to the comments on a plan
+   * @param {Function} callback - Called with (comments, error)
+   * @returns {Function} Unsubscribe
+   */
+  subscribeToComments(planId, callback) {
+    return onSnapshot(collection(this.getPlanRef(planId), this.collections.comments), (snapshot) => {
+      const comments = [];
+      snapshot.forEach((entry) => comments.push(entry.data()));
+      callback(comments, null);
+    }, (error) => {
+      console.error('Error in comments subscription:', error);
+      callback(null, error);
+    });
+  }
+
+  /**
+   * Create or update one comment (deleted comments are kept blanked, see planComments)
+   */
+  async saveComment(planId, comment) {
+    await setDoc(doc(this.getPlanRef(planId), this.collections.comments, comment.id), comment);
+  }
+}
+
+// Create and export singleton instance
+const firebaseGanttService = new FirebaseGanttService();
+export default firebaseGanttService;
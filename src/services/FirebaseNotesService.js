@@ -23,6 +23,7 @@ import {
   disableNetwork
 } from 'firebase/firestore';
 import { db } from '../firebase';
+import { belongsToProject } from '../utils/projects';
 
 class FirebaseNotesService {
   constructor() {
@@ -139,6 +140,7 @@ class FirebaseNotesService {
       fileName: noteData.fileName || null,
       fileType: noteData.fileType || null,
       ownerId: userId,
+      projectId: noteData.projectId || null,
       type: noteData.type || 'standalone',
       noteType: noteData.noteType || 'text',
       category: noteData.category || 'general',
@@ -273,6 +275,21 @@ class FirebaseNotesService {
     }
   }
 
+  /**
+   * Delete every note of a project, e.g. when the project is deleted
+   * (notes created before projects existed belong to the first project)
+   * @returns {Promise<number>} Number of notes deleted
+   */
+  async deleteProjectNotes(projectId, userId) {
+    if (!userId) throw new Error('User ID is required');
+
+    const notes = (await this.getNotes(userId)).filter(note => belongsToProject(note, projectId));
+    for (const note of notes) {
+      await this.deleteNote(note.id, userId);
+    }
+    return notes.length;
+  }
+
   /**
    * Get all notes for a user with optional filtering
    */
@@ -0,0 +1,285 @@
+import JSZip from 'jszip';
+import * as XLSX from 'xlsx';
+import { saveAs } from 'file-saver';
+import exportService from '../exportService';
+import { getProjectStorageKey } from '../../utils/projects';
+import { toISODate } from '../../utils/projectTimeline';
+import { compressTasks } from '../../utils/taskStorage';
+import { paginateGantt } from '../../utils/pdfLayout';
+import { WORKBOOK_SHEETS, buildGatewayRows } from '../../utils/workbookSheets';
+import { PLAN_EXPORT_FORMAT, PLAN_EXPORT_VERSION, IMPORT_MODES } from '../../utils/planImport';
+import { sha256Hex } from '../../utils/exportArchive';
+import { saveDailyTasks } from '../../utils/dailyTasks';
+
+jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
+
+describe('ExportService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('Stored plan', () => {
+    it('reads the chart\'s saves', () => {
+      const tasks = [
+        {
+          id: 1,
+          name: 'Proposal',
+          activities: [
+            { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-12', owner: 'ME', dependencies: [], files: [{ name: 'draft.pdf' }], estimatedHours: 20 },
+            { id: 1.2, name: 'Proposal approved', startDate: '2024-06-13', endDate: '2024-06-13', owner: 'SV', isGateway: true, approval: { status: 'approved' } }
+          ]
+        }
+      ];
+      localStorage.setItem(getProjectStorageKey('gantt-tasks'), JSON.stringify(compressTasks(tasks)));
+      expect(JSON.parse(JSON.stringify(exportService.getGanttData()))).toEqual(tasks);
+    });
+  });
+
+  describe('PDF export', () => {
+    const tasks = [
+      {
+        id: 1,
+        name: 'Proposal',
+        activities: [
+          { id: 1.1, name: 'Write research proposal', startDate: '2024-06-03', endDate: '2024-06-14', owner: 'ME' },
+          { id: 1.2, name: 'Proposal approved', startDate: '2024-06-17', endDate: '2024-06-17', owner: 'SV', isGateway: true }
+        ]
+      },
+      { id: 2, name: 'Research', activities: [{ id: 2.1, name: 'Interviews', startDate: '2024-07-01', endDate: '2024-07-19', owner: 'ME' }] }
+    ];
+
+    it('draws the chart with the PDF template on one sheet per page', () => {
+      const doc = exportService.generatePDF(tasks, { pageSize: 'a3', zoomLevel: 'day', watermark: { text: 'DRAFT', opacity: 0.2 } });
+      const output = doc.output();
+
+      expect(doc.getNumberOfPages()).toBe(paginateGantt({ rowCount: 5, columnCount: 98, pageSize: 'a3', zoomLevel: 'day' }).length);
+      expect(output.startsWith('%PDF')).toBe(true);
+      expect(output).toContain('/Title (Thesis GANTT Chart)');
+      expect(output).toContain('/Author (Thesis Project)');
+      expect(output).toContain('Write research proposal');
+      expect(output).toContain('DRAFT');
+      expect(output).toContain('Page 1 of');
+    });
+
+    it('uses the custom title and renders an empty page when nothing matches', () => {
+      const doc = exportService.generatePDF([], { customTitle: 'Committee review' });
+      expect(doc.getNumberOfPages()).toBe(1);
+      expect(doc.output()).toContain('No activities match the export options.');
+      expect(doc.output()).toContain('/Title (Committee review)');
+    });
+  });
+
+  describe('Excel workbook', () => {
+    const tasks = [
+      {
+        id: 1,
+        name: 'Proposal',
+        activities: [
+          { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-14', owner: 'ME', isGateway: false, estimatedHours: 20, files: [{ name: 'draft.docx' }] },
+          {
+            id: 1.2, name: 'Proposal approved', startDate: '2024-06-17', endDate: '2024-06-17', owner: 'SV', isGateway: true,
+            dependencies: [{ predecessorId: 1.1, type: 'FS', lag: 0 }],
+            gatewayInfo: { name: 'Approved', deliverables: [{ id: 'd1', text: 'Signed form', done: true }, 'Ethics'] }
+          }
+        ]
+      },
+      { id: 2, name: 'Research', activities: [{ id: 2.1, name: 'Interviews', startDate: '2024-07-01', endDate: '2024-07-19', owner: 'ME', isGateway: false }] },
+      { id: 3, name: 'Writing', activities: [] }
+    ];
+
+    it('lists gateway checklists for the gateway sheet', () => {
+      expect(buildGatewayRows(exportService.getGatewayChecklists(tasks)).slice(1)).toEqual([
+        ['Approved', 1.2, '1 of 2', 'Signed form', 'Yes', ''],
+        ['Approved', 1.2, '1 of 2', 'Ethics', 'No', '']
+      ]);
+    });
+
+    it('round-trips the plan through an exported workbook', () => {
+      localStorage.setItem(getProjectStorageKey('gantt-tasks'), JSON.stringify(tasks));
+      localStorage.setItem(getProjectStorageKey('thesisGanttCompletedDays'), JSON.stringify({ '1.1:2024-06-03': true }));
+
+      const workbook = exportService.generateWorkbook(exportService.getGanttData(), { zoomLevel: 'week' });
+      expect(workbook.SheetNames).toEqual([
+        exportService.getTemplate('excel').sheetName, WORKBOOK_SHEETS.ACTIVITIES, WORKBOOK_SHEETS.GATEWAYS, WORKBOOK_SHEETS.COMPLETED_DAYS
+      ]);
+      const grid = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+      expect(grid[1].slice(0, 3)).toEqual(['Task / Activity', 'Owner', 'Progress']);
+      expect(grid[3].slice(0, 3)).toEqual(['Write proposal', 'ME', '8%']);
+      expect(grid[3]).toContain('■');
+      expect(grid[4]).toContain('◆');
+
+      const file = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+      const result = exportService.readWorkbook(file);
+      expect(result.errors).toEqual([]);
+      expect(result.summary.updated).toBe(0);
+      expect(result.tasks.map(task => task.activities.map(activity => [activity.id, activity.startDate, activity.endDate])))
+        .toEqual(tasks.map(task => task.activities.map(activity => [activity.id, activity.startDate, activity.endDate])));
+
+      const otherWorkbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(otherWorkbook, XLSX.utils.aoa_to_sheet([['Budget']]), 'Budget');
+      expect(exportService.readWorkbook(XLSX.write(otherWorkbook, { bookType: 'xlsx', type: 'array' })).errors)
+        .toEqual([{ row: null, message: 'The workbook has no Activities sheet' }]);
+    });
+  });
+
+  describe('PowerPoint deck', () => {
+    const tasks = [
+      {
+        id: 1,
+        name: 'Proposal',
+        activities: [
+          { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-12', owner: 'ME' },
+          { id: 1.2, name: 'Proposal approved', startDate: '2024-06-13', endDate: '2024-06-13', owner: 'SV', isGateway: true, approval: { status: 'approved' } }
+        ]
+      },
+      {
+        id: 2,
+        name: 'Research',
+        activities: Array.from({ length: 11 }, (_, i) => ({
+          id: parseFloat(`2.${i + 1}`), name: `Interview ${i + 1}`, startDate: '2024-07-01', endDate: '2024-07-05', owner: 'ME'
+        }))
+      }
+    ];
+
+    it('builds the deck from the selected tasks', async () => {
+      localStorage.setItem(getProjectStorageKey('gantt-tasks'), JSON.stringify(tasks));
+      saveDailyTasks(toISODate(new Date()), [
+        { id: 1, text: 'Prepare meeting notes', completed: true }
+      ]);
+
+      const all = exportService.generatePresentation(exportService.filterDataByOptions(exportService.getGanttData()));
+      // Title, overview, Proposal, Research over two slides, gateways, this fortnight
+      expect(all.slides).toHaveLength(7);
+
+      const selected = exportService.generatePresentation(
+        exportService.filterDataByOptions(exportService.getGanttData(), { specificTasks: [1] }),
+        { customTitle: 'Supervisor meeting' }
+      );
+      expect(selected.slides).toHaveLength(5);
+
+      const zip = await JSZip.loadAsync(await selected.write({ outputType: 'arraybuffer' }));
+      const slideXml = (number) => zip.file(`ppt/slides/slide${number}.xml`).async('string');
+      expect(await slideXml(1)).toContain('Supervisor meeting');
+      expect(await slideXml(3)).toContain('Write proposal');
+      expect(await slideXml(4)).toContain('1 of 1 approved');
+      expect(await slideXml(5)).toContain('Prepare meeting notes');
+      expect(await slideXml(2)).not.toContain('Research');
+    });
+  });
+
+  describe('ZIP archive', () => {
+    const notes = [
+      { id: 'n1', title: 'Interview plan', content: 'Ask about *workload*', folderPath: '/Research/Interviews', tags: ['method'], createdAt: '2024-06-01T09:00:00.000Z' },
+      { id: 'n2', title: 'Interview plan', content: 'Second draft', folderPath: '/Research/Interviews' },
+      { id: 'n3', title: 'Ideas: what/why?', htmlContent: '<p>First</p><p>Second</p>' },
+      { id: 'a2', noteType: 'pdf-note', fileId: 'f9', fileName: 'Smith 2020.pdf', pageNumber: 7, title: 'Sampling', content: 'Too small' },
+      { id: 'a1', noteType: 'pdf-note', fileId: 'f9', fileName: 'Smith 2020.pdf', pageNumber: 2, title: 'Definition', content: 'Use this one' }
+    ];
+    const tasks = [
+      {
+        id: 1,
+        name: 'Literature review',
+        activities: [
+          {
+            id: 1.1,
+            name: 'Read papers',
+            startDate: '2024-06-03',
+            endDate: '2024-06-14',
+            files: [
+              { id: 'f1', name: 'reading-list.txt' },
+              { id: 'f2', name: 'deleted.pdf' },
+              { name: 'old-entry.docx' }
+            ]
+          }
+        ]
+      }
+    ];
+    const originalFetch = global.fetch;
+    const fileStorage = {
+      getFile: async (id) => (id === 'f1' ? { id, name: 'reading-list.txt', downloadURL: 'https://files.test/f1' } : null)
+    };
+
+    beforeEach(() => {
+      localStorage.setItem(getProjectStorageKey('gantt-tasks'), JSON.stringify(tasks));
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        arrayBuffer: async () => new TextEncoder().encode('Smith 2020\nJones 2021').buffer
+      }));
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    const openArchive = async () => {
+      const [blob] = saveAs.mock.calls[0];
+      return JSZip.loadAsync(blob);
+    };
+
+    it('archives only the plan unless files and notes are included', async () => {
+      const result = await exportService.exportToZIP({}, { notes, fileStorage });
+      expect(result.files).toBe(3);
+
+      const zip = await openArchive();
+      expect(Object.keys(zip.files).sort()).toEqual([
+        'manifest.json', 'plan/', 'plan/plan.csv', 'plan/plan.json', 'plan/summary.txt'
+      ]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('adds notes, annotations and attached files with a checksummed manifest', async () => {
+      const result = await exportService.exportToZIP({ includeFiles: true, includeNotes: true }, { notes, fileStorage });
+      expect(result.success).toBe(true);
+      expect(result.missing.map(file => file.name)).toEqual(['deleted.pdf', 'old-entry.docx']);
+
+      const zip = await openArchive();
+      const attachmentPath = 'files/Literature review/1.1 Read papers/reading-list.txt';
+      expect(await zip.file(attachmentPath).async('string')).toBe('Smith 2020\nJones 2021');
+      expect(zip.file('notes/Research/Interviews/Interview plan (2).md')).not.toBeNull();
+      expect(zip.file('annotations/Smith 2020.md')).not.toBeNull();
+      expect(JSON.parse(await zip.file('plan/plan.json').async('string')).tasks[0].name).toBe('Literature review');
+
+      const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+      expect(manifest.totals).toMatchObject({ files: 8, missing: 2 });
+      const attachment = manifest.files.find(file => file.path === attachmentPath);
+      expect(attachment).toEqual({ path: attachmentPath, size: 21, sha256: sha256Hex('Smith 2020\nJones 2021') });
+      for (const file of manifest.files) {
+        expect(sha256Hex(await zip.file(file.path).async('uint8array'))).toBe(file.sha256);
+      }
+    });
+  });
+
+  describe('JSON export and import', () => {
+    const tasks = [
+      {
+        id: 1,
+        name: 'Proposal',
+        activities: [
+          { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-12', owner: 'ME', dependencies: [] },
+          { id: 1.2, name: 'Proposal approved', startDate: '2024-06-13', endDate: '2024-06-13', owner: 'SV', isGateway: true, approval: { status: 'approved' } }
+        ]
+      },
+      {
+        id: 2,
+        name: 'Research',
+        activities: [
+          { id: 2.1, name: 'Interviews', startDate: '2024-07-01', endDate: '2024-07-12', owner: 'ME', dependencies: [{ predecessorId: 1.2, type: 'FS', lag: 0 }] }
+        ]
+      }
+    ];
+    const completedDays = { '1.1:2024-06-03': true, '2.1:2024-07-01': true };
+
+    it('reads back its own JSON export unchanged', () => {
+      localStorage.setItem(getProjectStorageKey('gantt-tasks'), JSON.stringify(tasks));
+      localStorage.setItem(getProjectStorageKey('thesisGanttCompletedDays'), JSON.stringify(completedDays));
+
+      const exported = exportService.buildPlanExport(exportService.getGanttData());
+      expect(exported.meta).toMatchObject({ format: PLAN_EXPORT_FORMAT, version: PLAN_EXPORT_VERSION });
+
+      const report = exportService.readPlanFile(JSON.stringify(exported));
+      expect(report.migratedFrom).toEqual([]);
+      expect(report.preview).toMatchObject({ added: [], changed: [], removed: [], unchanged: 2 });
+      expect(report.plans[IMPORT_MODES.REPLACE].completedDays).toEqual(completedDays);
+    });
+  });
+});
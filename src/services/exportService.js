@@ -1,10 +1,76 @@
-// Temporary export service replacement for deployment
-// import jsPDF from 'jspdf';
-// import 'jspdf-autotable';
-// import * as XLSX from 'xlsx';
-// import PptxGenJS from 'pptxgenjs';
-// import JSZip from 'jszip';
+/**
+ * ExportService - Exports and imports of the active project's Gantt plan
+ * Writes the plan as a paged PDF chart (jsPDF), an Excel workbook (SheetJS),
+ * a PowerPoint progress deck (PptxGenJS), JSON and CSV files, a CSV baseline
+ * variance report, and a ZIP archive (JSZip) of the JSON plan, CSV and a
+ * summary with the notes, annotations and attachments under a checksummed
+ * manifest. JSON plan files and Excel workbooks are read back into a plan
+ * for import.
+ */
+import { jsPDF } from 'jspdf';
+import * as XLSX from 'xlsx';
+import PptxGenJS from 'pptxgenjs';
+import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
+import {
+  loadProjectSettings,
+  getTimelineAnchor,
+  buildTimelineWeeks,
+  formatProjectPeriod,
+  parseISODate,
+  toISODate,
+  addDays
+} from '../utils/projectTimeline';
+import {
+  getActivityDates,
+  calculateActivityProgress,
+  migrateLegacyCompletedDays
+} from '../utils/activityDates';
+import { decompressTasks } from '../utils/taskStorage';
+import { calculateCriticalPath } from '../utils/criticalPath';
+import { loadBaselines, getBaseline, calculateVariance } from '../utils/baselines';
+import { loadProjects, getProject, getProjectStorageKey } from '../utils/projects';
+import { getDeliverables, getDeliverableCompletion, formatDeliverableCompletion } from '../utils/deliverables';
+import { APPROVAL_STATUS, APPROVAL_STATUS_LABELS, getApprovalStatus } from '../utils/gatewayApproval';
+import { loadTimeEntries, getEffortSummary, getPlanEffort, formatHours } from '../utils/timeTracking';
+import { loadOwners } from '../utils/owners';
+import { ZOOM_LEVELS, buildTimelineColumns, getColumnSegment, getTodayMarker } from '../utils/timelineZoom';
+import {
+  PDF_PAGE_SIZES,
+  DEFAULT_PDF_PAGE_SIZE,
+  PDF_COLUMN_WIDTHS,
+  DEFAULT_PDF_ZOOM_LEVEL,
+  PDF_LAYOUT,
+  buildPdfRows,
+  paginateGantt,
+  sliceGroups
+} from '../utils/pdfLayout';
+import {
+  WORKBOOK_SHEETS,
+  buildActivityRows,
+  buildGatewayRows,
+  buildCompletedDayRows,
+  parseActivityRows
+} from '../utils/workbookSheets';
+import {
+  ARCHIVE_PATHS,
+  buildNoteEntries,
+  buildAnnotationEntries,
+  getAttachmentPath,
+  toBytes,
+  sha256Hex,
+  buildManifest
+} from '../utils/exportArchive';
+import { PLAN_EXPORT_FORMAT, PLAN_EXPORT_VERSION, readPlanExport } from '../utils/planImport';
+import {
+  DECK_LAYOUT,
+  getFortnightDates,
+  loadDailyProgress,
+  summarizeDailyProgress,
+  chunkList,
+  getTaskSummary,
+  getPeriodFraction
+} from '../utils/progressDeck';
 
 class ExportService {
   constructor() {
@@ -46,7 +112,9 @@ class ExportService {
       includeFiles: false,
       includeNotes: false,
       watermark: null,
-      customTitle: null
+      customTitle: null,
+      pageSize: DEFAULT_PDF_PAGE_SIZE,
+      zoomLevel: DEFAULT_PDF_ZOOM_LEVEL
     };
   }
 
@@ -62,33 +130,18 @@ class ExportService {
     }
   }
 
-  // Data retrieval and processing
+  // Data retrieval and processing (always from the active project)
+  getActiveProject() {
+    const registry = loadProjects();
+    return getProject(registry, registry.activeProjectId);
+  }
+
   getGanttData() {
     try {
-      const stored = localStorage.getItem('gantt-tasks');
+      const stored = localStorage.getItem(getProjectStorageKey('gantt-tasks'));
       if (!stored) return [];
       
-      const data = JSON.parse(stored);
-      
-      if (data.v === 1 && data.t) {
-        return data.t.map(task => ({
-          id: task.i,
-          name: task.n,
-          activities: task.a.map(activity => ({
-            id: activity.i,
-            name: activity.n,
-            weeks: activity.w,
-            days: activity.d,
-            owner: activity.o,
-            color: activity.c,
-            isGateway: activity.g,
-            gatewayInfo: activity.gi,
-            files: activity.files || []
-          }))
-        }));
-      }
-      
-      return data;
+      return decompressTasks(JSON.parse(stored));
     } catch (error) {
       console.error('Failed to retrieve GANTT data:', error);
       return [];
@@ -97,8 +150,9 @@ class ExportService {
 
   getCompletedDays() {
     try {
-      const completed = localStorage.getItem('gantt-completed-days');
-      return completed ? JSON.parse(completed) : {};
+      const completed = localStorage.getItem(getProjectStorageKey('thesisGanttCompletedDays'));
+      if (!completed) return {};
+      return migrateLegacyCompletedDays(JSON.parse(completed), getTimelineAnchor(loadProjectSettings()));
     } catch (error) {
       return {};
     }
@@ -129,42 +183,275 @@ class ExportService {
   }
 
   calculateActivityProgress(activity) {
-    const completedDays = this.getCompletedDays();
-    let totalDays = 0;
-    let completedCount = 0;
-
-    activity.weeks.forEach(weekIndex => {
-      activity.days.forEach(dayIndex => {
-        totalDays++;
-        const dayKey = `${activity.id}_${weekIndex}_${dayIndex}`;
-        if (completedDays[dayKey]) {
-          completedCount++;
-        }
-      });
-    });
+    const progress = calculateActivityProgress(activity, this.getCompletedDays(), loadProjectSettings());
+    return Math.round(progress);
+  }
 
-    return totalDays > 0 ? Math.round((completedCount / totalDays) * 100) : 0;
+  // Earliest/latest dates, total float and the critical chain, always computed on the
+  // full plan so filtering an export does not cut dependency chains
+  getScheduleAnalysis() {
+    return calculateCriticalPath(this.getGanttData(), loadProjectSettings());
+  }
+
+  getActivityFloat(activityId, schedule = this.getScheduleAnalysis()) {
+    return schedule.activities[activityId] || null;
+  }
+
+  // Deliverables checklist and completion of every gateway
+  getGatewayChecklists(data) {
+    return data.flatMap(task => task.activities
+      .filter(activity => activity.isGateway)
+      .map(activity => ({
+        activityId: activity.id,
+        name: activity.gatewayInfo?.name || activity.name,
+        ...getDeliverableCompletion(activity),
+        deliverables: getDeliverables(activity)
+      })));
+  }
+
+  // Planned-vs-actual variance against a saved baseline (the one shown on the chart by default)
+  getBaselineVariance(baselineId = null) {
+    const state = loadBaselines();
+    const baseline = getBaseline(state, baselineId || state.activeBaselineId);
+    if (!baseline) return null;
+
+    return {
+      baselineId: baseline.id,
+      baselineName: baseline.name,
+      baselineCreatedAt: baseline.createdAt,
+      ...calculateVariance(this.getGanttData(), baseline)
+    };
   }
 
-  // Temporary disabled methods
   async exportToPDF(options = {}) {
-    console.warn('PDF export temporarily disabled for deployment');
-    throw new Error('PDF export is temporarily disabled for deployment. Please use JSON export instead.');
+    const exportId = `pdf_${Date.now()}`;
+    try {
+      this.updateProgress(exportId, 10, 'Initializing PDF export...');
+      
+      const data = this.getGanttData();
+      const filteredData = this.filterDataByOptions(data, options);
+      
+      this.updateProgress(exportId, 30, 'Drawing timeline...');
+      
+      const doc = this.generatePDF(filteredData, options);
+      
+      this.updateProgress(exportId, 90, 'Saving file...');
+      
+      const filename = `gantt-chart-${new Date().toISOString().split('T')[0]}.pdf`;
+      saveAs(doc.output('blob'), filename);
+      
+      this.updateProgress(exportId, 100, 'PDF export completed');
+      
+      return {
+        success: true,
+        filename,
+        pages: doc.getNumberOfPages()
+      };
+    } catch (error) {
+      console.error('PDF export failed:', error);
+      throw error;
+    }
   }
 
   async exportToExcel(options = {}) {
-    console.warn('Excel export temporarily disabled for deployment');
-    throw new Error('Excel export is temporarily disabled for deployment. Please use JSON export instead.');
+    const exportId = `excel_${Date.now()}`;
+    try {
+      this.updateProgress(exportId, 10, 'Initializing Excel export...');
+      
+      const data = this.getGanttData();
+      const filteredData = this.filterDataByOptions(data, options);
+      
+      this.updateProgress(exportId, 30, 'Building sheets...');
+      
+      const workbook = this.generateWorkbook(filteredData, options);
+      
+      this.updateProgress(exportId, 90, 'Saving file...');
+      
+      const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array', cellStyles: true });
+      const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+      const filename = `gantt-chart-${new Date().toISOString().split('T')[0]}.xlsx`;
+      saveAs(blob, filename);
+      
+      this.updateProgress(exportId, 100, 'Excel export completed');
+      
+      return {
+        success: true,
+        filename,
+        sheets: workbook.SheetNames
+      };
+    } catch (error) {
+      console.error('Excel export failed:', error);
+      throw error;
+    }
+  }
+
+  // Read an edited workbook back into a plan; nothing is changed until the caller applies `tasks`
+  async importFromExcel(file, options = {}) {
+    const buffer = await file.arrayBuffer();
+    return { fileName: file.name, ...this.readWorkbook(buffer, options) };
+  }
+
+  // Read a JSON export back into a plan; nothing is changed until the caller applies one of `plans`
+  async importFromJSON(file, options = {}) {
+    const text = await file.text();
+    return { fileName: file.name, ...this.readPlanFile(text, options) };
+  }
+
+  /**
+   * Import report for a JSON export, migrated to the current schema and compared with the plan
+   * @param {string} text - File contents
+   * @param {Object} options - { tasks, completedDays } of the chart (stored plan by default),
+   *   { isLocked: activity => boolean, canApprove: boolean }
+   */
+  readPlanFile(text, { tasks = this.getGanttData(), completedDays = this.getCompletedDays(), isLocked, canApprove } = {}) {
+    return readPlanExport(text, { tasks, completedDays }, { isLocked, canApprove });
+  }
+
+  /**
+   * Validation report for the Activities sheet of a workbook
+   * @param {ArrayBuffer|Uint8Array} data - Workbook file contents
+   * @param {Object} options - { isLocked: activity => boolean }
+   */
+  readWorkbook(data, options = {}) {
+    const emptySummary = { tasks: 0, activities: 0, added: 0, updated: 0, removed: 0 };
+    let workbook;
+    try {
+      workbook = XLSX.read(data, { type: 'array', cellDates: true });
+    } catch (error) {
+      return { tasks: null, errors: [{ row: null, message: 'The file could not be read as an Excel workbook' }], warnings: [], summary: emptySummary };
+    }
+
+    const sheet = workbook.Sheets[WORKBOOK_SHEETS.ACTIVITIES];
+    if (!sheet) {
+      return { tasks: null, errors: [{ row: null, message: `The workbook has no ${WORKBOOK_SHEETS.ACTIVITIES} sheet` }], warnings: [], summary: emptySummary };
+    }
+
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true });
+    return parseActivityRows(rows, this.getGanttData(), {
+      owners: loadOwners(),
+      settings: loadProjectSettings(),
+      isLocked: options.isLocked
+    });
   }
 
   async exportToPowerPoint(options = {}) {
-    console.warn('PowerPoint export temporarily disabled for deployment');
-    throw new Error('PowerPoint export is temporarily disabled for deployment. Please use JSON export instead.');
+    const exportId = `powerpoint_${Date.now()}`;
+    try {
+      this.updateProgress(exportId, 10, 'Initializing PowerPoint export...');
+      
+      const data = this.getGanttData();
+      const filteredData = this.filterDataByOptions(data, options);
+      
+      this.updateProgress(exportId, 30, 'Building slides...');
+      
+      const presentation = this.generatePresentation(filteredData, options);
+      
+      this.updateProgress(exportId, 80, 'Saving file...');
+      
+      const blob = await presentation.write({ outputType: 'blob' });
+      const filename = `gantt-progress-${new Date().toISOString().split('T')[0]}.pptx`;
+      saveAs(blob, filename);
+      
+      this.updateProgress(exportId, 100, 'PowerPoint export completed');
+      
+      return {
+        success: true,
+        filename,
+        slides: presentation.slides.length
+      };
+    } catch (error) {
+      console.error('PowerPoint export failed:', error);
+      throw error;
+    }
   }
 
-  async exportToZIP(options = {}) {
-    console.warn('ZIP export temporarily disabled for deployment');
-    throw new Error('ZIP export is temporarily disabled for deployment. Please use JSON export instead.');
+  /**
+   * Archive of the plan, notes, PDF annotations and attached files with a checksummed manifest
+   * @param {Object} options - Export options; includeNotes and includeFiles choose what goes in
+   * @param {Object} sources - Where notes and files come from
+   * @param {Array} sources.notes - The project's notes, PDF annotations included
+   * @param {Object} sources.fileStorage - Store with getFile(id) resolving to stored file details with a downloadURL
+   */
+  async exportToZIP(options = {}, { notes = [], fileStorage = null } = {}) {
+    const exportId = `zip_${Date.now()}`;
+    try {
+      this.updateProgress(exportId, 5, 'Initializing ZIP export...');
+      
+      const mergedOptions = { ...this.exportOptions, ...options };
+      const data = this.getGanttData();
+      const filteredData = this.filterDataByOptions(data, options);
+      const zip = new JSZip();
+      const usedPaths = new Set();
+      const entries = [];
+      const missing = [];
+      const addEntry = (path, content) => {
+        const bytes = toBytes(content);
+        zip.file(path, bytes);
+        usedPaths.add(path.toLowerCase());
+        entries.push({ path, size: bytes.length, sha256: sha256Hex(bytes) });
+      };
+
+      this.updateProgress(exportId, 15, 'Adding plan...');
+      addEntry(ARCHIVE_PATHS.PLAN_JSON, JSON.stringify(this.buildPlanExport(filteredData, options), null, 2));
+      addEntry(ARCHIVE_PATHS.PLAN_CSV, this.generateCSV(filteredData, options));
+      addEntry(ARCHIVE_PATHS.SUMMARY, this.generateTextSummary(filteredData));
+
+      if (mergedOptions.includeNotes) {
+        this.updateProgress(exportId, 30, 'Adding notes and annotations...');
+        [...buildNoteEntries(notes, usedPaths), ...buildAnnotationEntries(notes, usedPaths)]
+          .forEach(entry => addEntry(entry.path, entry.content));
+      }
+
+      if (mergedOptions.includeFiles) {
+        const attachments = filteredData.flatMap(task => task.activities.flatMap(activity => (
+          (activity.files || []).map(file => ({ task, activity, file }))
+        )));
+        for (let index = 0; index < attachments.length; index++) {
+          const { task, activity, file } = attachments[index];
+          const path = getAttachmentPath(task, activity, file, usedPaths);
+          this.updateProgress(exportId, 40 + (40 * index) / attachments.length, `Fetching ${file.name}...`);
+          try {
+            addEntry(path, await this.fetchAttachment(file, fileStorage));
+          } catch (error) {
+            missing.push({ path, name: file.name, activityId: activity.id, reason: error.message });
+          }
+        }
+      }
+
+      this.updateProgress(exportId, 85, 'Writing manifest...');
+      const manifest = buildManifest(entries, missing, {
+        title: mergedOptions.customTitle || this.templates.pdf.title,
+        project: this.getActiveProject(),
+        options: mergedOptions
+      });
+      zip.file(ARCHIVE_PATHS.MANIFEST, JSON.stringify(manifest, null, 2));
+
+      const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+      const filename = `gantt-archive-${new Date().toISOString().split('T')[0]}.zip`;
+      saveAs(blob, filename);
+      
+      this.updateProgress(exportId, 100, 'ZIP export completed');
+      
+      return {
+        success: true,
+        filename,
+        files: entries.length,
+        missing
+      };
+    } catch (error) {
+      console.error('ZIP export failed:', error);
+      throw error;
+    }
+  }
+
+  // Contents of a file attached to an activity, looked up in the file store when it has an ID
+  async fetchAttachment(file, fileStorage) {
+    const stored = file.id && fileStorage ? await fileStorage.getFile(file.id) : file;
+    if (!stored || !stored.downloadURL) throw new Error('No stored copy of this file');
+
+    const response = await fetch(stored.downloadURL);
+    if (!response.ok) throw new Error(`Download failed (${response.status})`);
+    return response.arrayBuffer();
   }
 
   // Working exports
@@ -178,18 +465,7 @@ class ExportService {
       
       this.updateProgress(exportId, 30, 'Processing data...');
       
-      const exportData = {
-        meta: {
-          exportedAt: new Date().toISOString(),
-          version: '1.0',
-          title: options.customTitle || this.templates.pdf.title,
-          totalTasks: filteredData.length,
-          totalActivities: filteredData.reduce((sum, task) => sum + task.activities.length, 0)
-        },
-        tasks: filteredData,
-        completedDays: this.getCompletedDays(),
-        options: options
-      };
+      const exportData = this.buildPlanExport(filteredData, options);
 
       this.updateProgress(exportId, 70, 'Creating JSON file...');
       
@@ -214,30 +490,699 @@ class ExportService {
     }
   }
 
-  generateCSV(data) {
-    let csv = 'Task,Activity,Owner,Progress,Total Days,Completed Days,Start Week,Duration\n';
+  async exportToCSV(options = {}) {
+    const exportId = `csv_${Date.now()}`;
+    try {
+      this.updateProgress(exportId, 10, 'Initializing CSV export...');
+      
+      const data = this.getGanttData();
+      const filteredData = this.filterDataByOptions(data, options);
+      
+      this.updateProgress(exportId, 50, 'Creating CSV file...');
+      
+      const csv = this.generateCSV(filteredData, options);
+      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+      const filename = `gantt-chart-${new Date().toISOString().split('T')[0]}.csv`;
+      saveAs(blob, filename);
+      
+      this.updateProgress(exportId, 100, 'CSV export completed');
+      
+      return {
+        success: true,
+        filename
+      };
+    } catch (error) {
+      console.error('CSV export failed:', error);
+      throw error;
+    }
+  }
+
+  // Stand-alone variance report for a baseline as JSON or CSV
+  async exportVarianceReport(options = {}) {
+    const { format = 'json', baselineId = null } = options;
+    const variance = this.getBaselineVariance(baselineId);
+    if (!variance) {
+      throw new Error('No baseline selected. Save a baseline before exporting a variance report.');
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    let blob;
+    let filename;
+    if (format === 'csv') {
+      blob = new Blob([this.generateVarianceCSV(variance)], { type: 'text/csv;charset=utf-8' });
+      filename = `gantt-variance-${date}.csv`;
+    } else {
+      const report = { exportedAt: new Date().toISOString(), ...variance };
+      blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+      filename = `gantt-variance-${date}.json`;
+    }
+    saveAs(blob, filename);
+
+    return {
+      success: true,
+      filename,
+      data: variance
+    };
+  }
+
+  // Plan, progress, schedule and supporting data as exported to JSON (and into the ZIP archive)
+  buildPlanExport(data, options = {}) {
+    const project = this.getActiveProject();
+    return {
+      meta: {
+        exportedAt: new Date().toISOString(),
+        format: PLAN_EXPORT_FORMAT,
+        version: PLAN_EXPORT_VERSION,
+        title: options.customTitle || this.templates.pdf.title,
+        project: project ? { id: project.id, name: project.name } : null,
+        totalTasks: data.length,
+        totalActivities: data.reduce((sum, task) => sum + task.activities.length, 0)
+      },
+      tasks: data,
+      completedDays: this.getCompletedDays(),
+      schedule: this.getScheduleAnalysis(),
+      gateways: this.getGatewayChecklists(data),
+      timeEntries: loadTimeEntries(),
+      variance: this.getBaselineVariance(options.baselineId),
+      options: options
+    };
+  }
+
+  generateVarianceCSV(variance) {
+    let csv = 'Task,Activity,Gateway,Status,Baseline Start,Baseline End,Current Start,Current End,Start Variance,Finish Variance,Duration Variance\n';
+    
+    variance.rows.forEach(row => {
+      const value = (number) => (number === null ? '' : number);
+      csv += `"${row.taskName}","${row.name}",${row.isGateway ? 'Yes' : 'No'},${row.status},${row.baselineStart || ''},${row.baselineEnd || ''},${row.currentStart || ''},${row.currentEnd || ''},${value(row.startVariance)},${value(row.finishVariance)},${value(row.durationVariance)}\n`;
+    });
+    
+    return csv;
+  }
+
+  generateCSV(data, options = {}) {
+    let csv = 'Task,Activity,Owner,Progress,Total Days,Completed Days,Start Date,End Date,Total Float,Critical,Baseline End,Finish Variance,Deliverables,Estimated Hours,Actual Hours,ETC Hours\n';
+    const settings = loadProjectSettings();
+    const schedule = this.getScheduleAnalysis();
+    const variance = this.getBaselineVariance(options.baselineId);
+    const varianceRows = new Map((variance ? variance.rows : []).map(row => [row.activityId, row]));
+    const timeEntries = loadTimeEntries();
     
     data.forEach(task => {
       task.activities.forEach(activity => {
         const progress = this.calculateActivityProgress(activity);
-        const totalDays = activity.weeks.length * activity.days.length;
+        const totalDays = getActivityDates(activity, settings).length;
         const completedDays = Math.round((progress / 100) * totalDays);
-        const startWeek = Math.min(...activity.weeks);
-        const duration = activity.weeks.length;
+        const float = this.getActivityFloat(activity.id, schedule);
+        const varianceRow = varianceRows.get(activity.id);
+        const finishVariance = varianceRow && varianceRow.finishVariance !== null ? varianceRow.finishVariance : '';
+        const effort = getEffortSummary(activity, timeEntries, progress);
         
-        csv += `"${task.name}","${activity.name}","${activity.owner}",${progress}%,${totalDays},${completedDays},${startWeek},${duration}\n`;
+        csv += `"${task.name}","${activity.name}","${activity.owner}",${progress}%,${totalDays},${completedDays},${activity.startDate || ''},${activity.endDate || ''},${float ? float.totalFloat : ''},${float && float.isCritical ? 'Yes' : 'No'},${varianceRow?.baselineEnd || ''},${finishVariance},${formatDeliverableCompletion(activity)},${effort.estimatedHours ?? ''},${effort.actualHours},${effort.etcHours ?? ''}\n`;
       });
     });
     
     return csv;
   }
 
+  // Gantt chart as a landscape PDF drawn with the PDF template, split over as many sheets as it needs
+  generatePDF(data, options = {}) {
+    const mergedOptions = { ...this.exportOptions, ...options };
+    const pageSize = PDF_PAGE_SIZES[mergedOptions.pageSize] ? mergedOptions.pageSize : DEFAULT_PDF_PAGE_SIZE;
+    const zoomLevel = ZOOM_LEVELS[mergedOptions.zoomLevel] ? mergedOptions.zoomLevel : DEFAULT_PDF_ZOOM_LEVEL;
+    const settings = loadProjectSettings();
+    const project = this.getActiveProject();
+    const template = this.templates.pdf;
+    const title = mergedOptions.customTitle || template.title;
+
+    const timeline = buildTimelineColumns(settings, zoomLevel);
+    const rows = buildPdfRows(data);
+    const pages = paginateGantt({ rowCount: rows.length, columnCount: timeline.columns.length, pageSize, zoomLevel });
+    const chart = {
+      settings,
+      timeline,
+      rows,
+      pageSize,
+      columnWidth: PDF_COLUMN_WIDTHS[zoomLevel],
+      completedDays: this.getCompletedDays(),
+      todayMarker: getTodayMarker(timeline.columns),
+      title,
+      subtitle: [project?.name, formatProjectPeriod(settings), `Generated ${new Date().toLocaleDateString(settings.locale)}`]
+        .filter(Boolean).join(' · '),
+      watermark: mergedOptions.watermark
+    };
+
+    const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: pageSize });
+    doc.setProperties({
+      title,
+      author: template.author,
+      subject: project ? project.name : template.title,
+      creator: template.title
+    });
+
+    pages.forEach((page, index) => {
+      if (index > 0) doc.addPage(pageSize, 'landscape');
+      this.drawPDFPage(doc, chart, page, index + 1, pages.length);
+    });
+    return doc;
+  }
+
+  drawPDFPage(doc, chart, page, pageNumber, pageCount) {
+    const { colors } = this.templates.pdf;
+    const { margin, titleHeight, headerRowHeight, rowHeight, labelWidth } = PDF_LAYOUT;
+    const { width, height } = PDF_PAGE_SIZES[chart.pageSize];
+    const { columns, groups } = chart.timeline;
+    const pageColumns = columns.slice(page.columnStart, page.columnEnd);
+    const pageRows = chart.rows.slice(page.rowStart, page.rowEnd);
+    const chartLeft = margin + labelWidth;
+    const chartRight = chartLeft + pageColumns.length * chart.columnWidth;
+    const headerTop = margin + titleHeight;
+    const bodyTop = headerTop + 2 * headerRowHeight;
+    const bodyBottom = bodyTop + pageRows.length * rowHeight;
+
+    // Shorten text with an ellipsis so it fits in a cell
+    const fitText = (text, maxWidth) => {
+      let fitted = String(text);
+      if (doc.getTextWidth(fitted) <= maxWidth) return fitted;
+      while (fitted.length > 1 && doc.getTextWidth(`${fitted}…`) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+      }
+      return `${fitted}…`;
+    };
+    const columnX = (index) => chartLeft + index * chart.columnWidth;
+
+    // Title block
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.setTextColor(colors.primary);
+    doc.text(fitText(chart.title, width - 2 * margin), margin, margin + 6);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(colors.secondary);
+    doc.text(fitText(chart.subtitle, width - 2 * margin), margin, margin + 12);
+
+    // Timeline header: groups (months, weeks or years) over the column labels
+    doc.setFontSize(7);
+    doc.setFillColor(colors.primary);
+    doc.rect(margin, headerTop, chartRight - margin, headerRowHeight, 'F');
+    doc.setFillColor('#e5e7eb');
+    doc.rect(margin, headerTop + headerRowHeight, chartRight - margin, headerRowHeight, 'F');
+    doc.setTextColor('#ffffff');
+    doc.setFont('helvetica', 'bold');
+    doc.text('Tasks & Activities', margin + 1.5, headerTop + 3.5);
+    let groupColumn = 0;
+    sliceGroups(groups, page.columnStart, page.columnEnd).forEach(group => {
+      const groupWidth = group.span * chart.columnWidth;
+      doc.text(fitText(group.label, groupWidth - 1), columnX(groupColumn) + 0.5, headerTop + 3.5);
+      groupColumn += group.span;
+    });
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor('#374151');
+    pageColumns.forEach((column, index) => {
+      if (!column.inRange) return;
+      doc.text(fitText(column.label, chart.columnWidth - 0.5), columnX(index) + chart.columnWidth / 2, headerTop + headerRowHeight + 3.5, { align: 'center' });
+    });
+
+    // Non-working days and days outside the project period are shaded down the whole sheet
+    pageColumns.forEach((column, index) => {
+      if (!column.inRange || column.nonWorking) {
+        doc.setFillColor(column.inRange ? '#f3f4f6' : '#f9fafb');
+        doc.rect(columnX(index), bodyTop, chart.columnWidth, bodyBottom - bodyTop, 'F');
+      }
+    });
+
+    // Rows: a band per task, then each activity with its bar, progress shading and gateway marker
+    pageRows.forEach((row, rowIndex) => {
+      const y = bodyTop + rowIndex * rowHeight;
+
+      if (row.type === 'task') {
+        doc.setFillColor(colors.secondary);
+        doc.rect(margin, y, chartRight - margin, rowHeight, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor('#ffffff');
+        doc.text(fitText(row.task.name, chartRight - margin - 3), margin + 1.5, y + 4);
+        doc.setFont('helvetica', 'normal');
+        return;
+      }
+
+      const { activity } = row;
+      const progress = this.calculateActivityProgress(activity);
+      const statusColor = progress === 100 ? colors.completed : progress > 0 ? colors.inProgress : colors.pending;
+      const progressLabel = `${progress}%`;
+      doc.setTextColor('#111827');
+      doc.text(fitText(activity.name, labelWidth - doc.getTextWidth(progressLabel) - 4), margin + 1.5, y + 4);
+      doc.setTextColor(colors.secondary);
+      doc.text(progressLabel, chartLeft - 1.5, y + 4, { align: 'right' });
+
+      pageColumns.forEach((column, index) => {
+        if (!column.inRange) return;
+        const segment = getColumnSegment(activity, column, chart.completedDays, chart.settings);
+        if (!segment || segment.dates.length === 0) return;
+
+        const barX = columnX(index) + segment.from * chart.columnWidth;
+        const barWidth = (segment.to - segment.from) * chart.columnWidth;
+        doc.setFillColor(statusColor);
+        doc.rect(barX, y + 1.2, barWidth, rowHeight - 2.4, 'F');
+        if (segment.completedCount > 0 && progress < 100) {
+          doc.setFillColor(colors.completed);
+          doc.rect(barX, y + 1.2, barWidth * (segment.completedCount / segment.dates.length), rowHeight - 2.4, 'F');
+        }
+
+        if (activity.isGateway && segment.isEnd) {
+          const size = rowHeight / 2 - 0.4;
+          const centerX = barX + barWidth;
+          doc.setFillColor(colors.accent);
+          doc.lines([[size, size], [-size, size], [-size, -size]], centerX, y + rowHeight / 2 - size, [1, 1], 'F', true);
+        }
+      });
+
+      doc.setDrawColor('#e5e7eb');
+      doc.line(margin, y + rowHeight, chartRight, y + rowHeight);
+    });
+
+    // Column rules, label divider and the today line
+    doc.setDrawColor('#d1d5db');
+    doc.setLineWidth(0.1);
+    for (let index = 0; index <= pageColumns.length; index++) {
+      doc.line(columnX(index), headerTop + headerRowHeight, columnX(index), bodyBottom);
+    }
+    doc.rect(margin, headerTop, chartRight - margin, bodyBottom - headerTop);
+    const { todayMarker } = chart;
+    if (todayMarker && todayMarker.columnIndex >= page.columnStart && todayMarker.columnIndex < page.columnEnd) {
+      const todayX = columnX(todayMarker.columnIndex - page.columnStart) + todayMarker.offset * chart.columnWidth;
+      doc.setDrawColor('#dc2626');
+      doc.setLineWidth(0.4);
+      doc.line(todayX, headerTop + headerRowHeight, todayX, bodyBottom);
+      doc.setLineWidth(0.1);
+    }
+
+    if (pageRows.length === 0) {
+      doc.setTextColor(colors.secondary);
+      doc.setFontSize(10);
+      doc.text('No activities match the export options.', margin, bodyTop + 8);
+    }
+
+    // Legend
+    const legendY = height - margin - 9;
+    const legend = [
+      { label: 'Completed', color: colors.completed },
+      { label: 'In progress', color: colors.inProgress },
+      { label: 'Not started', color: colors.pending },
+      { label: 'Gateway', color: colors.accent, gateway: true },
+      { label: 'Non-working day', color: '#f3f4f6' }
+    ];
+    doc.setFontSize(7);
+    let legendX = margin;
+    legend.forEach(item => {
+      doc.setFillColor(item.color);
+      if (item.gateway) {
+        doc.lines([[1.5, 1.5], [-1.5, 1.5], [-1.5, -1.5]], legendX + 2, legendY - 0.5, [1, 1], 'F', true);
+      } else {
+        doc.setDrawColor('#d1d5db');
+        doc.rect(legendX, legendY - 0.5, 4, 3, 'FD');
+      }
+      doc.setTextColor('#374151');
+      doc.text(item.label, legendX + 5.5, legendY + 2);
+      legendX += 8 + doc.getTextWidth(item.label);
+    });
+    doc.setTextColor(colors.secondary);
+    doc.text('Bars fill with the completed share of their days; the red line marks today.', legendX + 2, legendY + 2);
+
+    // Footer: which part of the chart this sheet shows
+    const firstColumn = pageColumns[0];
+    const lastColumn = pageColumns[pageColumns.length - 1];
+    const range = firstColumn ? `${firstColumn.title} – ${lastColumn.title}` : '';
+    doc.text(`Rows ${Math.min(page.rowStart + 1, page.rowEnd)}–${page.rowEnd} of ${chart.rows.length}${range ? ` · ${range}` : ''}`, margin, height - margin);
+    doc.text(`Page ${pageNumber} of ${pageCount}`, width - margin, height - margin, { align: 'right' });
+
+    if (chart.watermark?.text) {
+      this.drawPDFWatermark(doc, chart.watermark, width, height);
+    }
+  }
+
+  // Diagonal watermark across the middle of the sheet
+  drawPDFWatermark(doc, watermark, width, height) {
+    const angle = 30;
+    const radians = (angle * Math.PI) / 180;
+
+    doc.saveGraphicsState();
+    doc.setGState(new doc.GState({ opacity: watermark.opacity ?? 0.1 }));
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(Math.round(height / 3.5));
+    doc.setTextColor(this.templates.pdf.colors.secondary);
+    const textWidth = doc.getTextWidth(watermark.text);
+    doc.text(
+      watermark.text,
+      width / 2 - (Math.cos(radians) * textWidth) / 2,
+      height / 2 + (Math.sin(radians) * textWidth) / 2,
+      { angle }
+    );
+    doc.restoreGraphicsState();
+    doc.setFont('helvetica', 'normal');
+  }
+
+  // Workbook with the Gantt grid, the activity table, gateway checklists and the completed-days log;
+  // cells carry styles from the Excel template (applied by spreadsheet builds that write styles)
+  generateWorkbook(data, options = {}) {
+    const mergedOptions = { ...this.exportOptions, ...options };
+    const zoomLevel = ZOOM_LEVELS[mergedOptions.zoomLevel] ? mergedOptions.zoomLevel : DEFAULT_PDF_ZOOM_LEVEL;
+    const settings = loadProjectSettings();
+    const project = this.getActiveProject();
+    const completedDays = this.getCompletedDays();
+    const { sheetName, headerStyle } = this.templates.excel;
+    const { colors } = this.templates.pdf;
+    const fill = (color) => ({ fill: { patternType: 'solid', fgColor: { rgb: color.replace('#', '').toUpperCase() } } });
+    const progressOf = (activity) => this.calculateActivityProgress(activity);
+
+    const styleRow = (sheet, rowIndex, style) => {
+      const range = XLSX.utils.decode_range(sheet['!ref']);
+      for (let column = range.s.c; column <= range.e.c; column++) {
+        const address = XLSX.utils.encode_cell({ r: rowIndex, c: column });
+        if (!sheet[address]) sheet[address] = { t: 's', v: '' };
+        sheet[address].s = style;
+      }
+    };
+    const tableSheet = (rows, widths) => {
+      const sheet = XLSX.utils.aoa_to_sheet(rows);
+      styleRow(sheet, 0, headerStyle);
+      sheet['!cols'] = widths.map(wch => ({ wch }));
+      return sheet;
+    };
+
+    // Gantt grid: group and column headers, then a row per task and per activity.
+    // Scheduled cells are marked ■, fully completed ones ✓ and a gateway's last column ◆,
+    // so the grid reads without colours too
+    const { columns, groups } = buildTimelineColumns(settings, zoomLevel);
+    const labelColumns = ['Task / Activity', 'Owner', 'Progress'];
+    const grid = [
+      [...labelColumns.map(() => ''), ...groups.flatMap(group => [group.label, ...Array(group.span - 1).fill('')])],
+      [...labelColumns, ...columns.map(column => (column.inRange ? column.label : ''))]
+    ];
+    const gridStyles = [];
+    buildPdfRows(data).forEach(row => {
+      if (row.type === 'task') {
+        grid.push([row.task.name, ...Array(labelColumns.length - 1 + columns.length).fill('')]);
+        gridStyles.push({ row: grid.length - 1, style: { font: { bold: true, color: { rgb: 'FFFFFF' } }, ...fill(colors.secondary) } });
+        return;
+      }
+
+      const { activity } = row;
+      const progress = progressOf(activity);
+      const statusColor = progress === 100 ? colors.completed : progress > 0 ? colors.inProgress : colors.pending;
+      const cells = columns.map(column => {
+        if (!column.inRange) return { v: '' };
+        const segment = getColumnSegment(activity, column, completedDays, settings);
+        if (!segment || segment.dates.length === 0) {
+          return column.nonWorking ? { v: '', s: fill('#f3f4f6') } : { v: '' };
+        }
+        const done = segment.completedCount === segment.dates.length;
+        const mark = activity.isGateway && segment.isEnd ? '◆' : done ? '✓' : '■';
+        return { v: mark, s: { ...fill(activity.isGateway && segment.isEnd ? colors.accent : done ? colors.completed : statusColor), alignment: { horizontal: 'center' } } };
+      });
+      grid.push([activity.name, activity.owner || '', `${progress}%`, ...cells.map(cell => cell.v)]);
+      gridStyles.push({ row: grid.length - 1, cells });
+    });
+
+    const ganttSheet = XLSX.utils.aoa_to_sheet(grid);
+    styleRow(ganttSheet, 0, headerStyle);
+    styleRow(ganttSheet, 1, headerStyle);
+    gridStyles.forEach(({ row, style, cells }) => {
+      if (style) {
+        styleRow(ganttSheet, row, style);
+        return;
+      }
+      cells.forEach((cell, index) => {
+        if (cell.s) ganttSheet[XLSX.utils.encode_cell({ r: row, c: labelColumns.length + index })].s = cell.s;
+      });
+    });
+    let groupStart = labelColumns.length;
+    ganttSheet['!merges'] = groups.filter(group => group.span > 0).map(group => {
+      const merge = { s: { r: 0, c: groupStart }, e: { r: 0, c: groupStart + group.span - 1 } };
+      groupStart += group.span;
+      return merge;
+    });
+    ganttSheet['!cols'] = [{ wch: 40 }, { wch: 8 }, { wch: 9 }, ...columns.map(() => ({ wch: zoomLevel === 'day' ? 4 : 7 }))];
+
+    const workbook = XLSX.utils.book_new();
+    workbook.Props = {
+      Title: mergedOptions.customTitle || this.templates.pdf.title,
+      Subject: project ? project.name : this.templates.pdf.title,
+      Author: this.templates.pdf.author,
+      CreatedDate: new Date()
+    };
+    XLSX.utils.book_append_sheet(workbook, ganttSheet, sheetName);
+    XLSX.utils.book_append_sheet(workbook, tableSheet(buildActivityRows(data, progressOf), [8, 30, 10, 40, 8, 12, 12, 9, 9, 15, 40]), WORKBOOK_SHEETS.ACTIVITIES);
+    XLSX.utils.book_append_sheet(workbook, tableSheet(buildGatewayRows(this.getGatewayChecklists(data)), [36, 10, 11, 50, 6, 12]), WORKBOOK_SHEETS.GATEWAYS);
+    XLSX.utils.book_append_sheet(workbook, tableSheet(buildCompletedDayRows(data, completedDays), [12, 30, 10, 40]), WORKBOOK_SHEETS.COMPLETED_DAYS);
+    return workbook;
+  }
+
+  // Progress deck for supervisor meetings on the PowerPoint template: title, timeline overview,
+  // a slide per task (continued when it has many activities), gateways and this fortnight's DailyProgress
+  generatePresentation(data, options = {}) {
+    const mergedOptions = { ...this.exportOptions, ...options };
+    const settings = loadProjectSettings();
+    const project = this.getActiveProject();
+    const template = this.templates.powerpoint;
+    const { colors } = this.templates.pdf;
+    const { width, height, margin, titleHeight, activitiesPerSlide, fortnightLines } = DECK_LAYOUT;
+    const title = mergedOptions.customTitle || template.title;
+    const today = toISODate(new Date());
+    const hex = (color) => color.replace('#', '').toUpperCase();
+    const progressOf = (activity) => this.calculateActivityProgress(activity);
+    const formatDate = (isoDate, format = { day: 'numeric', month: 'short' }) => (
+      parseISODate(isoDate).toLocaleDateString(settings.locale, format)
+    );
+    const dayAfter = (isoDate) => toISODate(addDays(parseISODate(isoDate), 1));
+    const statusColor = (progress) => (progress === 100 ? colors.completed : progress > 0 ? colors.inProgress : colors.pending);
+
+    const pptx = new PptxGenJS();
+    pptx.layout = template.layout;
+    pptx.title = title;
+    pptx.author = this.templates.pdf.author;
+    pptx.subject = project ? project.name : template.subtitle;
+
+    const addContentSlide = (heading, subheading) => {
+      const slide = pptx.addSlide();
+      slide.addText(heading, { x: margin, y: 0.25, w: width - 2 * margin, h: 0.45, fontSize: 22, bold: true, color: hex(colors.primary) });
+      if (subheading) {
+        slide.addText(subheading, { x: margin, y: 0.7, w: width - 2 * margin, h: 0.3, fontSize: 11, color: hex(colors.secondary) });
+      }
+      slide.addText(project ? project.name : title, { x: margin, y: height - 0.4, w: 6, h: 0.25, fontSize: 9, color: hex(colors.secondary) });
+      slide.slideNumber = { x: width - margin - 0.4, y: height - 0.4, fontSize: 9, color: hex(colors.secondary) };
+      return slide;
+    };
+    const addBar = (slide, x, y, barWidth, barHeight, progress, color) => {
+      slide.addShape(pptx.ShapeType.rect, { x, y, w: barWidth, h: barHeight, fill: { color: 'E5E7EB' }, line: { color: 'E5E7EB' } });
+      if (progress > 0) {
+        slide.addShape(pptx.ShapeType.rect, {
+          x, y, w: Math.max(barWidth * (progress / 100), 0.02), h: barHeight, fill: { color: hex(color) }, line: { color: hex(color) }
+        });
+      }
+    };
+
+    const allActivities = data.flatMap(task => task.activities);
+    const overall = getTaskSummary({ activities: allActivities }, progressOf, settings);
+    const schedule = this.getScheduleAnalysis();
+
+    // Title slide
+    const titleSlide = pptx.addSlide();
+    titleSlide.background = { color: hex(colors.primary) };
+    titleSlide.addText(title, { x: margin, y: 1.4, w: width - 2 * margin, h: 1, fontSize: 36, bold: true, color: 'FFFFFF' });
+    titleSlide.addText(template.subtitle, { x: margin, y: 2.4, w: width - 2 * margin, h: 0.5, fontSize: 18, color: 'FFFFFF' });
+    titleSlide.addText(
+      [project?.name, formatProjectPeriod(settings), `Generated ${new Date().toLocaleDateString(settings.locale)}`].filter(Boolean).join('\n'),
+      { x: margin, y: 3.1, w: width - 2 * margin, h: 0.9, fontSize: 12, color: 'DBEAFE', valign: 'top' }
+    );
+    titleSlide.addText(
+      [
+        `${data.length} tasks`,
+        `${allActivities.length} activities`,
+        `${overall.progress}% of scheduled days complete`,
+        schedule.projectFinish ? `projected finish ${formatDate(schedule.projectFinish, { day: 'numeric', month: 'short', year: 'numeric' })}` : null
+      ].filter(Boolean).join(' · '),
+      { x: margin, y: 4.4, w: width - 2 * margin, h: 0.4, fontSize: 14, bold: true, color: 'FFFFFF' }
+    );
+
+    // Timeline overview: a bar per task across the project period, months along the top
+    const overview = addContentSlide('Timeline overview', formatProjectPeriod(settings));
+    const labelWidth = 2.4;
+    const chartLeft = margin + labelWidth;
+    const chartWidth = width - margin - chartLeft - 0.5;
+    const rowsTop = 1.5;
+    const rowHeight = Math.min(0.4, (height - 0.9 - rowsTop) / Math.max(data.length, 1));
+    const rowsBottom = rowsTop + Math.max(data.length, 1) * rowHeight;
+    const periodX = (isoDate) => chartLeft + getPeriodFraction(settings, isoDate) * chartWidth;
+
+    buildTimelineColumns(settings, 'month').columns.filter(column => column.inRange).forEach(column => {
+      const x = periodX(column.startDate < settings.startDate ? settings.startDate : column.startDate);
+      overview.addShape(pptx.ShapeType.line, { x, y: rowsTop - 0.05, w: 0, h: rowsBottom - rowsTop + 0.05, line: { color: 'D1D5DB', width: 0.5 } });
+      overview.addText(column.label, { x, y: rowsTop - 0.35, w: 0.8, h: 0.25, fontSize: 9, color: hex(colors.secondary) });
+    });
+
+    data.forEach((task, index) => {
+      const y = rowsTop + index * rowHeight;
+      const summary = getTaskSummary(task, progressOf, settings);
+      const fontSize = rowHeight < 0.3 ? 8 : 10;
+      overview.addText(task.name, { x: margin, y, w: labelWidth - 0.1, h: rowHeight, fontSize, color: '111827', valign: 'middle', fit: 'shrink' });
+      if (!summary.startDate) return;
+
+      const x = periodX(summary.startDate);
+      const barWidth = Math.max(periodX(dayAfter(summary.endDate)) - x, 0.05);
+      addBar(overview, x, y + rowHeight * 0.2, barWidth, rowHeight * 0.6, summary.progress, colors.completed);
+      overview.addText(`${summary.progress}%`, { x: chartLeft + chartWidth + 0.05, y, w: 0.5, h: rowHeight, fontSize, color: hex(colors.secondary), valign: 'middle' });
+
+      task.activities.filter(activity => activity.isGateway && activity.endDate).forEach(activity => {
+        const size = Math.min(rowHeight * 0.6, 0.18);
+        overview.addShape(pptx.ShapeType.diamond, {
+          x: periodX(dayAfter(activity.endDate)) - size / 2, y: y + (rowHeight - size) / 2, w: size, h: size,
+          fill: { color: hex(colors.accent) }, line: { color: 'FFFFFF', width: 0.5 }
+        });
+      });
+    });
+
+    if (today >= settings.startDate && today <= settings.endDate) {
+      overview.addShape(pptx.ShapeType.line, { x: periodX(today), y: rowsTop - 0.05, w: 0, h: rowsBottom - rowsTop + 0.05, line: { color: 'DC2626', width: 1.5 } });
+    }
+    overview.addText(
+      data.length > 0
+        ? 'Bars span each task and fill with the completed share of its days; diamonds are gateways and the red line marks today.'
+        : 'No activities match the export options.',
+      { x: margin, y: height - 0.75, w: width - 2 * margin, h: 0.3, fontSize: 9, color: hex(colors.secondary) }
+    );
+
+    // A slide per task with a progress bar per activity
+    data.forEach(task => {
+      const summary = getTaskSummary(task, progressOf, settings);
+      const period = summary.startDate ? `${formatDate(summary.startDate)} – ${formatDate(summary.endDate)} · ` : '';
+      const chunks = chunkList(task.activities, activitiesPerSlide);
+
+      chunks.forEach((activities, chunkIndex) => {
+        const slide = addContentSlide(
+          `${task.name}${chunkIndex > 0 ? ' (continued)' : ''}`,
+          `${period}${summary.progress}% complete · ${task.activities.length} activities${chunks.length > 1 ? ` · ${chunkIndex + 1} of ${chunks.length}` : ''}`
+        );
+        const headerY = margin + titleHeight + 0.05;
+        [['Activity', margin, 3.4], ['Owner', 3.9, 0.7], ['Progress', 4.7, 2.6], ['Dates', 8.0, 1.6]].forEach(([label, x, w]) => {
+          slide.addText(label, { x, y: headerY, w, h: 0.25, fontSize: 10, bold: true, color: hex(colors.secondary) });
+        });
+
+        activities.forEach((activity, index) => {
+          const y = headerY + 0.35 + index * 0.42;
+          const progress = progressOf(activity);
+          slide.addText(`${activity.isGateway ? '◆ ' : ''}${activity.name}`, { x: margin, y, w: 3.4, h: 0.34, fontSize: 11, color: '111827', valign: 'middle', fit: 'shrink' });
+          slide.addText(activity.owner || '', { x: 3.9, y, w: 0.7, h: 0.34, fontSize: 10, color: '374151', valign: 'middle' });
+          addBar(slide, 4.7, y + 0.08, 2.6, 0.18, progress, statusColor(progress));
+          slide.addText(`${progress}%`, { x: 7.35, y, w: 0.6, h: 0.34, fontSize: 10, color: '374151', valign: 'middle' });
+          slide.addText(
+            activity.startDate ? `${formatDate(activity.startDate)} – ${formatDate(activity.endDate)}` : '',
+            { x: 8.0, y, w: 1.6, h: 0.34, fontSize: 9, color: hex(colors.secondary), valign: 'middle' }
+          );
+        });
+      });
+    });
+
+    // Gateways: due date, approval, deliverables and whether they are on track
+    const gateways = data.flatMap(task => task.activities
+      .filter(activity => activity.isGateway)
+      .map(activity => ({ task, activity, completion: getDeliverableCompletion(activity, today) })));
+    const header = ['Gateway', 'Task', 'Due', 'Approval', 'Deliverables', 'Status'].map(text => ({
+      text, options: { bold: true, color: 'FFFFFF', fill: { color: hex(colors.primary) } }
+    }));
+    chunkList(gateways, 8).forEach((chunk, chunkIndex, chunks) => {
+      const slide = addContentSlide(
+        `Gateways${chunkIndex > 0 ? ' (continued)' : ''}`,
+        `${gateways.filter(gateway => getApprovalStatus(gateway.activity) === APPROVAL_STATUS.APPROVED).length} of ${gateways.length} approved`
+      );
+      if (gateways.length === 0) {
+        slide.addText('No gateways in the exported tasks.', { x: margin, y: 1.3, w: width - 2 * margin, h: 0.4, fontSize: 12, color: hex(colors.secondary) });
+        return;
+      }
+
+      const rows = chunk.map(({ task, activity, completion }) => {
+        const approval = getApprovalStatus(activity);
+        const [status, color] = approval === APPROVAL_STATUS.APPROVED
+          ? ['Approved', colors.completed]
+          : activity.endDate && activity.endDate < today
+            ? ['Overdue', '#dc2626']
+            : completion.overdue > 0
+              ? ['Deliverables overdue', colors.inProgress]
+              : ['Upcoming', colors.pending];
+        return [
+          activity.gatewayInfo?.name || activity.name,
+          task.name,
+          activity.endDate ? formatDate(activity.endDate) : '',
+          APPROVAL_STATUS_LABELS[approval],
+          completion.total > 0 ? `${completion.done} of ${completion.total}` : '—',
+          { text: status, options: { bold: true, color: hex(color) } }
+        ];
+      });
+      slide.addTable([header, ...rows], {
+        x: margin,
+        y: margin + titleHeight + 0.1,
+        w: width - 2 * margin,
+        colW: [2.6, 2.0, 0.9, 1.6, 1.0, 1.1],
+        fontSize: 10,
+        color: '111827',
+        border: { type: 'solid', pt: 0.5, color: 'D1D5DB' },
+        autoPage: false
+      });
+      if (chunks.length > 1) slide.addText(`${chunkIndex + 1} of ${chunks.length}`, { x: width - margin - 1.5, y: 0.7, w: 1.5, h: 0.3, fontSize: 10, align: 'right', color: hex(colors.secondary) });
+    });
+
+    // This fortnight: DailyProgress checklists and the time logged on the exported activities
+    const fortnight = getFortnightDates();
+    const days = loadDailyProgress(fortnight);
+    const dailySummary = summarizeDailyProgress(days);
+    const exportedIds = new Set(allActivities.map(activity => String(activity.id)));
+    const loggedHours = loadTimeEntries()
+      .filter(entry => fortnight.includes(entry.date) && exportedIds.has(String(entry.activityId)))
+      .reduce((sum, entry) => sum + entry.minutes, 0) / 60;
+    const fortnightSlide = addContentSlide(
+      'This fortnight',
+      `${formatDate(fortnight[0])} – ${formatDate(fortnight[fortnight.length - 1], { day: 'numeric', month: 'short', year: 'numeric' })}`
+    );
+    fortnightSlide.addText(
+      `${dailySummary.completed} of ${dailySummary.items} checklist items done on ${dailySummary.activeDays} days · ${formatHours(loggedHours)} logged on these activities`,
+      { x: margin, y: margin + titleHeight + 0.05, w: width - 2 * margin, h: 0.35, fontSize: 12, bold: true, color: '111827' }
+    );
+
+    const lines = days.flatMap(day => [
+      { text: formatDate(day.date, { weekday: 'short', day: 'numeric', month: 'short' }), options: { bold: true, color: hex(colors.primary), breakLine: true } },
+      ...day.items.map(item => ({
+        text: `${item.completed ? '✓' : '○'}  ${item.text}`,
+        options: { color: item.completed ? '374151' : hex(colors.secondary), breakLine: true }
+      }))
+    ]);
+    const shown = lines.slice(0, fortnightLines);
+    const hiddenItems = lines.slice(fortnightLines).filter(line => !line.options.bold).length;
+    if (hiddenItems > 0) {
+      shown.push({ text: `+ ${hiddenItems} more item${hiddenItems === 1 ? '' : 's'} in DailyProgress`, options: { italic: true, color: hex(colors.secondary) } });
+    }
+    fortnightSlide.addText(
+      shown.length > 0 ? shown : `No DailyProgress entries in the last ${fortnight.length} days.`,
+      { x: margin, y: margin + titleHeight + 0.5, w: width - 2 * margin, h: height - margin - titleHeight - 1.1, fontSize: 11, valign: 'top', color: hex(colors.secondary) }
+    );
+
+    return pptx;
+  }
+
   generateTextSummary(data) {
     let summary = 'GANTT Chart Summary\n';
     summary += '==================\n\n';
     summary += `Generated on: ${new Date().toLocaleString()}\n`;
     summary += `Total Tasks: ${data.length}\n`;
-    summary += `Total Activities: ${data.reduce((sum, task) => sum + task.activities.length, 0)}\n\n`;
+    summary += `Total Activities: ${data.reduce((sum, task) => sum + task.activities.length, 0)}\n`;
+    
+    const schedule = this.getScheduleAnalysis();
+    if (schedule.projectFinish) {
+      summary += `Projected Finish: ${schedule.projectFinish}\n`;
+    }
+    const timeEntries = loadTimeEntries();
+    const effort = getPlanEffort(data, timeEntries, activity => this.calculateActivityProgress(activity));
+    if (effort.estimatedActivities > 0 || effort.actualHours > 0) {
+      summary += `Effort: ${formatHours(effort.estimatedHours)} estimated, ${formatHours(effort.actualHours)} logged, ${formatHours(effort.etcHours)} to complete\n`;
+    }
+    summary += '\n';
     
     data.forEach(task => {
       summary += `Task: ${task.name}\n`;
@@ -245,7 +1190,16 @@ class ExportService {
       
       task.activities.forEach(activity => {
         const progress = this.calculateActivityProgress(activity);
-        summary += `  • ${activity.name} (${activity.owner}) - ${progress}% complete\n`;
+        const float = this.getActivityFloat(activity.id, schedule);
+        const floatText = float ? (float.isCritical ? ', critical' : `, ${float.totalFloat} days float`) : '';
+        summary += `  • ${activity.name} (${activity.owner}) - ${progress}% complete${floatText}\n`;
+        if (activity.isGateway && getDeliverables(activity).length > 0) {
+          summary += `    Deliverables: ${formatDeliverableCompletion(activity)}\n`;
+        }
+        const activityEffort = getEffortSummary(activity, timeEntries, progress);
+        if (activityEffort.estimatedHours !== null) {
+          summary += `    Effort: ${formatHours(activityEffort.actualHours)} of ${formatHours(activityEffort.estimatedHours)}, ETC ${formatHours(activityEffort.etcHours)}\n`;
+        }
       });
       
       summary += '\n';
@@ -256,7 +1210,7 @@ class ExportService {
 
   // Utility methods
   getWeekHeaders() {
-    return Array.from({ length: 52 }, (_, i) => `Week ${i + 1}`);
+    return buildTimelineWeeks(loadProjectSettings()).map(week => week.name);
   }
 
   updateTemplate(type, updates) {
@@ -2,6 +2,11 @@
 import '@testing-library/jest-dom';
 // Note: jest-axe removed due to missing dependency - can be added back if needed for accessibility testing
 
+// jsdom has no TextEncoder/TextDecoder, which jsPDF needs
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
 // Mock IntersectionObserver
 global.IntersectionObserver = class IntersectionObserver {
   constructor() {}
@@ -0,0 +1,5 @@
+// Tests run east of UTC, where local midnight is still the previous day in UTC,
+// so dates taken from toISOString() instead of toISODate() show up as failures
+module.exports = () => {
+  process.env.TZ = 'Asia/Tokyo';
+};
@@ -0,0 +1,87 @@
+import {
+  WEEKDAYS_ONLY,
+  getCompletedDayKey,
+  isDateInActivity,
+  getActivityDates,
+  shiftActivityDates,
+  calculateActivityProgress,
+  findCoverageGaps,
+  fromLegacyActivity,
+  migrateLegacyCompletedDays
+} from '../activityDates';
+import { LEGACY_TIMELINE_ANCHOR } from '../projectTimeline';
+
+describe('activityDates', () => {
+  const activity = { id: '1.1', startDate: '2024-06-07', endDate: '2024-06-11' };
+
+  describe('date ranges', () => {
+    it('includes both ends of the range', () => {
+      expect(getActivityDates(activity)).toEqual([
+        '2024-06-07', '2024-06-08', '2024-06-09', '2024-06-10', '2024-06-11'
+      ]);
+    });
+
+    it('skips days outside the working-days calendar', () => {
+      const weekdays = { ...activity, workingDays: WEEKDAYS_ONLY };
+      // June 8 and 9, 2024 are a Saturday and Sunday
+      expect(getActivityDates(weekdays)).toEqual(['2024-06-07', '2024-06-10', '2024-06-11']);
+      expect(isDateInActivity(weekdays, '2024-06-08')).toBe(false);
+    });
+
+    it('clamps to a range such as the project period', () => {
+      const range = { startDate: '2024-06-01', endDate: '2024-06-08' };
+      expect(getActivityDates(activity, range)).toEqual(['2024-06-07', '2024-06-08']);
+    });
+  });
+
+  describe('shiftActivityDates', () => {
+    it('moves the whole bar and keeps its duration', () => {
+      expect(shiftActivityDates(activity, 'move', 9)).toEqual({ startDate: '2024-06-16', endDate: '2024-06-20' });
+    });
+
+    it('resizes one edge without letting the bar collapse below a day', () => {
+      expect(shiftActivityDates(activity, 'resize-start', -2)).toEqual({ startDate: '2024-06-05', endDate: '2024-06-11' });
+      expect(shiftActivityDates(activity, 'resize-end', -10)).toEqual({ startDate: '2024-06-07', endDate: '2024-06-07' });
+    });
+  });
+
+  describe('calculateActivityProgress', () => {
+    it('counts completed working days', () => {
+      const completedDays = {
+        [getCompletedDayKey('1.1', '2024-06-07')]: true,
+        [getCompletedDayKey('1.1', '2024-06-10')]: true
+      };
+      expect(calculateActivityProgress(activity, completedDays)).toBe(40);
+      expect(calculateActivityProgress({ ...activity, workingDays: WEEKDAYS_ONLY }, completedDays))
+        .toBeCloseTo(66.67, 1);
+    });
+  });
+
+  describe('findCoverageGaps', () => {
+    it('reports uncovered periods longer than the limit', () => {
+      const gaps = findCoverageGaps([
+        { startDate: '2024-06-01', endDate: '2024-06-05' },
+        { startDate: '2024-06-03', endDate: '2024-06-10' },
+        { startDate: '2024-06-20', endDate: '2024-06-25' }
+      ], 7);
+      expect(gaps).toEqual([{ from: '2024-06-11', to: '2024-06-19', days: 9 }]);
+    });
+  });
+
+  describe('legacy conversion', () => {
+    it('converts week/day indexes to dates', () => {
+      const legacy = { id: '1.2', name: 'Legacy', weeks: [0, 1], days: [4, 1], owner: 'ME' };
+      expect(fromLegacyActivity(legacy, LEGACY_TIMELINE_ANCHOR)).toEqual({
+        id: '1.2', name: 'Legacy', owner: 'ME', startDate: '2024-06-05', endDate: '2024-06-09'
+      });
+    });
+
+    it('re-keys legacy completed days and keeps date keys', () => {
+      const migrated = migrateLegacyCompletedDays({
+        '1.1-0-1': true,
+        '1.2:2024-06-05': true
+      }, LEGACY_TIMELINE_ANCHOR);
+      expect(migrated).toEqual({ '1.1:2024-06-02': true, '1.2:2024-06-05': true });
+    });
+  });
+});
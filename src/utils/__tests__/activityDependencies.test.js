@@ -0,0 +1,84 @@
+import {
+  getDependencyLinks,
+  getSuccessorLinks,
+  validateDependency,
+  addDependency,
+  removeDependenciesOn,
+  isDependencySatisfied,
+  formatDependency
+} from '../activityDependencies';
+
+describe('activityDependencies', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Planning',
+      activities: [
+        { id: '1.1', name: 'Scope', startDate: '2024-06-01', endDate: '2024-06-05' },
+        { id: '1.2', name: 'Plan', startDate: '2024-06-06', endDate: '2024-06-10' }
+      ]
+    },
+    {
+      id: 2,
+      name: 'Build',
+      activities: [
+        { id: '2.1', name: 'Prototype', startDate: '2024-06-08', endDate: '2024-06-20' }
+      ]
+    }
+  ];
+
+  it('stores links on the successor and lists them', () => {
+    const linked = addDependency(tasks, { predecessorId: '1.1', successorId: '1.2', type: 'FS', lag: 0 });
+
+    expect(linked[0].activities[1].dependencies).toEqual([{ predecessorId: '1.1', type: 'FS', lag: 0 }]);
+    expect(getDependencyLinks(linked)).toEqual([
+      { id: '1.1->1.2', predecessorId: '1.1', successorId: '1.2', type: 'FS', lag: 0 }
+    ]);
+    expect(getSuccessorLinks(linked, '1.1')).toHaveLength(1);
+  });
+
+  it('replaces an existing link between the same activities', () => {
+    let linked = addDependency(tasks, { predecessorId: '1.1', successorId: '1.2' });
+    linked = addDependency(linked, { predecessorId: '1.1', successorId: '1.2', type: 'SS', lag: 2 });
+
+    expect(getDependencyLinks(linked)).toEqual([
+      expect.objectContaining({ type: 'SS', lag: 2 })
+    ]);
+  });
+
+  it('rejects self links, unknown types and cycles', () => {
+    const linked = addDependency(
+      addDependency(tasks, { predecessorId: '1.1', successorId: '1.2' }),
+      { predecessorId: '1.2', successorId: '2.1' }
+    );
+
+    expect(validateDependency(linked, { predecessorId: '1.1', successorId: '1.1', type: 'FS', lag: 0 }).isValid).toBe(false);
+    expect(validateDependency(linked, { predecessorId: '1.1', successorId: '2.1', type: 'XX', lag: 0 }).isValid).toBe(false);
+    expect(validateDependency(linked, { predecessorId: '2.1', successorId: '1.1', type: 'FS', lag: 0 }).errors)
+      .toContain('This link would create a circular dependency');
+    expect(validateDependency(linked, { predecessorId: '1.1', successorId: '2.1', type: 'FF', lag: -1 }).isValid).toBe(true);
+  });
+
+  it('removes links that point at deleted activities', () => {
+    const linked = addDependency(tasks, { predecessorId: '1.1', successorId: '2.1' });
+    expect(getDependencyLinks(removeDependenciesOn(linked, ['1.1']))).toEqual([]);
+  });
+
+  it('checks the dates against each link type and lag', () => {
+    const [scope, plan] = tasks[0].activities;
+    const prototype = tasks[1].activities[0];
+
+    expect(isDependencySatisfied(scope, plan, { type: 'FS', lag: 0 })).toBe(true);
+    expect(isDependencySatisfied(scope, plan, { type: 'FS', lag: 1 })).toBe(false);
+    expect(isDependencySatisfied(plan, prototype, { type: 'FS', lag: 0 })).toBe(false);
+    expect(isDependencySatisfied(plan, prototype, { type: 'SS', lag: 2 })).toBe(true);
+    expect(isDependencySatisfied(plan, prototype, { type: 'FF', lag: 10 })).toBe(true);
+    expect(isDependencySatisfied(prototype, scope, { type: 'SF', lag: 0 })).toBe(false);
+  });
+
+  it('formats links for display', () => {
+    expect(formatDependency({ type: 'FS', lag: 0 })).toBe('FS');
+    expect(formatDependency({ type: 'SS', lag: 3 })).toBe('SS +3d');
+    expect(formatDependency({ type: 'FF', lag: -2 })).toBe('FF -2d');
+  });
+});
@@ -0,0 +1,68 @@
+import { rescheduleTasks } from '../autoSchedule';
+
+describe('autoSchedule', () => {
+  const buildTasks = (overrides = {}) => [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: '1.1', name: 'Write research proposal', startDate: '2024-06-01', endDate: '2024-06-14' },
+        { id: '1.2', name: 'Proposal approved', startDate: '2024-06-15', endDate: '2024-06-15', isGateway: true, dependencies: [{ predecessorId: '1.1', type: 'FS', lag: 0 }] }
+      ]
+    },
+    {
+      id: 2,
+      name: 'Research',
+      activities: [
+        { id: '2.1', name: 'Interviews', startDate: '2024-06-17', endDate: '2024-06-28', dependencies: [{ predecessorId: '1.2', type: 'FS', lag: 1 }], ...overrides['2.1'] },
+        { id: '2.2', name: 'Reading', startDate: '2024-06-03', endDate: '2024-07-31' }
+      ]
+    }
+  ];
+
+  it('leaves a plan that satisfies its links untouched', () => {
+    const tasks = buildTasks();
+    const result = rescheduleTasks(tasks);
+
+    expect(result.changes).toEqual([]);
+    expect(result.tasks).toBe(tasks);
+  });
+
+  it('cascades a slip through gateways and dependent activities', () => {
+    const tasks = buildTasks();
+    tasks[0].activities[0] = { ...tasks[0].activities[0], endDate: '2024-06-21' };
+
+    const result = rescheduleTasks(tasks);
+
+    expect(result.changes.map(change => [change.activityId, change.to.startDate, change.to.endDate, change.days])).toEqual([
+      ['1.2', '2024-06-22', '2024-06-22', 7],
+      ['2.1', '2024-06-24', '2024-07-05', 7]
+    ]);
+    expect(result.tasks[1].activities[1]).toBe(tasks[1].activities[1]);
+  });
+
+  it('leaves pinned activities alone and reports the conflict', () => {
+    const tasks = buildTasks({ '2.1': { pinned: true } });
+    tasks[0].activities[0] = { ...tasks[0].activities[0], endDate: '2024-06-21' };
+
+    const result = rescheduleTasks(tasks);
+
+    expect(result.changes.map(change => change.activityId)).toEqual(['1.2']);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ activityId: '2.1', predecessorId: '1.2' })
+    ]);
+    expect(result.tasks[1].activities[0].startDate).toBe('2024-06-17');
+  });
+
+  it('treats locked activities as pinned', () => {
+    const tasks = buildTasks();
+    tasks[0].activities[0] = { ...tasks[0].activities[0], endDate: '2024-06-21' };
+
+    const result = rescheduleTasks(tasks, null, { isLocked: activity => activity.isGateway });
+
+    expect(result.changes).toEqual([]);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ activityId: '1.2', predecessorId: '1.1' })
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+import {
+  loadBaselines,
+  saveBaselines,
+  createBaseline,
+  validateBaselineName,
+  calculateVariance
+} from '../baselines';
+
+describe('baselines', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: '1.1', name: 'Write research proposal', startDate: '2024-06-01', endDate: '2024-06-14' },
+        { id: '1.2', name: 'Proposal approved', startDate: '2024-06-15', endDate: '2024-06-15', isGateway: true }
+      ]
+    }
+  ];
+
+  beforeEach(() => {
+    localStorage.removeItem('gantt-baselines');
+  });
+
+  it('snapshots activity dates and round-trips through storage', () => {
+    const baseline = createBaseline(tasks, '  Proposal approved ');
+    expect(baseline.name).toBe('Proposal approved');
+    expect(baseline.activities['1.2']).toEqual({
+      name: 'Proposal approved',
+      taskName: 'Proposal',
+      startDate: '2024-06-15',
+      endDate: '2024-06-15',
+      isGateway: true
+    });
+
+    saveBaselines({ baselines: [baseline], activeBaselineId: baseline.id });
+    expect(loadBaselines()).toEqual({ baselines: [baseline], activeBaselineId: baseline.id });
+  });
+
+  it('falls back to an empty list when nothing is stored', () => {
+    expect(loadBaselines()).toEqual({ baselines: [], activeBaselineId: null });
+  });
+
+  it('rejects empty and duplicate names', () => {
+    const baseline = createBaseline(tasks, 'Approved');
+    expect(validateBaselineName('  ', [])).toBeTruthy();
+    expect(validateBaselineName('approved', [baseline])).toBeTruthy();
+    expect(validateBaselineName('Mid-project', [baseline])).toBeNull();
+  });
+
+  it('reports late and early activities, slipped gateways and added/removed rows', () => {
+    const baseline = createBaseline(tasks, 'Approved');
+    const current = [{
+      ...tasks[0],
+      activities: [
+        { ...tasks[0].activities[0], endDate: '2024-06-21' },
+        { ...tasks[0].activities[1], startDate: '2024-06-22', endDate: '2024-06-22' },
+        { id: '1.3', name: 'Ethics form', startDate: '2024-06-03', endDate: '2024-06-04' }
+      ]
+    }];
+
+    const { rows, summary } = calculateVariance(current, baseline);
+
+    expect(rows.find(row => row.activityId === '1.1')).toEqual(expect.objectContaining({
+      status: 'late', startVariance: 0, finishVariance: 7, durationVariance: 7
+    }));
+    expect(rows.find(row => row.activityId === '1.3').status).toBe('added');
+    expect(summary).toEqual(expect.objectContaining({
+      late: 2, early: 0, added: 1, removed: 0, slippedGateways: ['Proposal approved']
+    }));
+
+    const removed = calculateVariance([{ ...tasks[0], activities: [tasks[0].activities[0]] }], baseline);
+    expect(removed.summary.removed).toBe(1);
+  });
+
+  it('matches numeric activity IDs against the stored baseline', () => {
+    const numericTasks = [{ ...tasks[0], activities: tasks[0].activities.map(activity => ({ ...activity, id: Number(activity.id) })) }];
+    const baseline = JSON.parse(JSON.stringify(createBaseline(numericTasks, 'Approved')));
+
+    const { rows, summary } = calculateVariance(numericTasks, baseline);
+    expect(rows).toHaveLength(2);
+    expect(summary).toEqual(expect.objectContaining({ onTrack: 2, added: 0, removed: 0 }));
+
+    const removed = calculateVariance([{ ...numericTasks[0], activities: [numericTasks[0].activities[0]] }], baseline);
+    expect(removed.rows.map(row => row.status)).toEqual(['on-track', 'removed']);
+  });
+});
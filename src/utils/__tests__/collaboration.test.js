@@ -0,0 +1,68 @@
+import {
+  PRESENCE_TIMEOUT,
+  PRESENCE_COLORS,
+  getPlanId,
+  parseSessionCode,
+  loadSession,
+  saveSession,
+  clearSession,
+  saveDisplayName,
+  getDisplayName,
+  getInitials,
+  getPresenceColor,
+  getActiveParticipants,
+  getRowLock
+} from '../collaboration';
+
+describe('collaboration', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('accepts plan ids as session codes', () => {
+    expect(parseSessionCode(`  ${getPlanId('aB3xYz', 'project_171_0')} `)).toBe('aB3xYz_project_171_0');
+    expect(parseSessionCode('aB3xYz_default')).toBe('aB3xYz_default');
+    expect(parseSessionCode('not a code')).toBeNull();
+    expect(parseSessionCode('../plans')).toBeNull();
+  });
+
+  it('stores the session per project', () => {
+    saveSession({ planId: 'owner_default', isOwner: false }, 'paper');
+    expect(loadSession('paper')).toEqual({ planId: 'owner_default', isOwner: false });
+    expect(loadSession()).toBeNull();
+
+    clearSession('paper');
+    expect(loadSession('paper')).toBeNull();
+  });
+
+  it('prefers the saved name, then the account name', () => {
+    const user = { uid: 'abcd1234', email: 'jo@uni.ac.uk' };
+    expect(getDisplayName(user, '')).toBe('jo');
+    expect(getDisplayName({ uid: 'abcd1234' }, '')).toBe('Guest abcd');
+
+    saveDisplayName('  Jo Bloggs ');
+    expect(getDisplayName(user)).toBe('Jo Bloggs');
+    expect(getInitials('Jo Bloggs')).toBe('JB');
+    expect(getInitials('supervisor')).toBe('SU');
+  });
+
+  it('gives each user the same colour everywhere', () => {
+    expect(getPresenceColor('user-1')).toBe(getPresenceColor('user-1'));
+    expect(PRESENCE_COLORS).toContain(getPresenceColor('user-1'));
+  });
+
+  it('lists other active participants and the rows they lock', () => {
+    const now = 1000000;
+    const entries = [
+      { userId: 'me', name: 'Me', lastSeen: now },
+      { userId: 'sv', name: 'Supervisor', lastSeen: now - 1000, editing: { type: 'activity', id: 1.1, since: 5 } },
+      { userId: 'old', name: 'Gone', lastSeen: now - PRESENCE_TIMEOUT - 1, editing: { type: 'task', id: 2, since: 1 } }
+    ];
+
+    const participants = getActiveParticipants(entries, 'me', now);
+    expect(participants.map(p => p.userId)).toEqual(['sv']);
+    expect(getRowLock(participants, 'activity', 1.1).name).toBe('Supervisor');
+    expect(getRowLock(participants, 'task', 1.1)).toBeNull();
+    expect(getRowLock(participants, 'task', 2)).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { calculateCriticalPath, getCriticalActivityIds } from '../criticalPath';
+
+describe('criticalPath', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: '1.1', name: 'Literature scan', startDate: '2024-06-01', endDate: '2024-06-05' },
+        { id: '1.2', name: 'Write proposal', startDate: '2024-06-06', endDate: '2024-06-12', dependencies: [{ predecessorId: '1.1', type: 'FS', lag: 0 }] },
+        { id: '1.3', name: 'Ethics form', startDate: '2024-06-06', endDate: '2024-06-07', dependencies: [{ predecessorId: '1.1', type: 'FS', lag: 0 }] }
+      ]
+    },
+    {
+      id: 2,
+      name: 'Review',
+      activities: [
+        { id: '2.1', name: 'Supervisor review', startDate: '2024-06-13', endDate: '2024-06-15', isGateway: true, dependencies: [{ predecessorId: '1.2', type: 'FS', lag: 0 }, { predecessorId: '1.3', type: 'FS', lag: 0 }] }
+      ]
+    }
+  ];
+
+  it('computes earliest/latest dates and float', () => {
+    const schedule = calculateCriticalPath(tasks);
+
+    expect(schedule.projectFinish).toBe('2024-06-15');
+    expect(schedule.activities['1.3']).toEqual(expect.objectContaining({
+      earliestStart: '2024-06-06',
+      latestStart: '2024-06-11',
+      latestFinish: '2024-06-12',
+      totalFloat: 5,
+      isCritical: false
+    }));
+    expect(schedule.activities['1.2'].totalFloat).toBe(0);
+  });
+
+  it('returns the critical chain ending at the gateway', () => {
+    const schedule = calculateCriticalPath(tasks);
+
+    expect(schedule.criticalPath).toEqual(['1.1', '1.2', '2.1']);
+    expect(getCriticalActivityIds(schedule).sort()).toEqual(['1.1', '1.2', '2.1']);
+  });
+
+  it('pushes successors later when links and lag require it', () => {
+    const lagged = tasks.map(task => ({
+      ...task,
+      activities: task.activities.map(activity => (
+        activity.id === '1.3'
+          ? { ...activity, dependencies: [{ predecessorId: '1.1', type: 'SS', lag: 10 }] }
+          : activity
+      ))
+    }));
+    const schedule = calculateCriticalPath(lagged);
+
+    // Ethics form cannot start before June 11 and now drives the review
+    expect(schedule.activities['1.3'].earliestStart).toBe('2024-06-11');
+    expect(schedule.activities['2.1'].earliestStart).toBe('2024-06-13');
+    expect(schedule.activities['1.3'].totalFloat).toBe(0);
+  });
+
+  it('handles plans without activities', () => {
+    expect(calculateCriticalPath([]).criticalPath).toEqual([]);
+  });
+});
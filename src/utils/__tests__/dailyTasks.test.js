@@ -0,0 +1,39 @@
+import { getDailyTasksKey, loadDailyTasks, saveDailyTasks } from '../dailyTasks';
+import { getFortnightDates, loadDailyProgress } from '../progressDeck';
+import { toISODate } from '../projectTimeline';
+
+// Runs in the Asia/Tokyo timezone set by src/setupTimezone.js
+describe('dailyTasks', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keys the checklist of a day by its local date, as the deck reads it', () => {
+    // DailyProgress selects days at local midnight, which is the previous day in UTC here
+    const selectedDate = new Date(2024, 5, 4);
+    expect(selectedDate.toISOString().slice(0, 10)).toBe('2024-06-03');
+
+    saveDailyTasks(toISODate(selectedDate), [{ id: 1, text: 'Send draft to supervisor', completed: true }]);
+    expect(localStorage.getItem(getDailyTasksKey('2024-06-04'))).not.toBeNull();
+    expect(loadDailyProgress(getFortnightDates(new Date(2024, 5, 10)))).toEqual([
+      { date: '2024-06-04', items: [{ text: 'Send draft to supervisor', completed: true }] }
+    ]);
+  });
+
+  it('moves lists saved under UTC dates to their local date once', () => {
+    localStorage.setItem('daily-tasks-2024-06-03', JSON.stringify([{ id: 1, text: 'Book ethics meeting' }]));
+    localStorage.setItem('daily-tasks-2024-06-04', JSON.stringify([{ id: 2, text: 'Read chapter 2' }]));
+    localStorage.setItem('daily-tasks-2024-06-03::project_1', JSON.stringify([{ id: 3, text: 'Other project' }]));
+
+    expect(loadDailyTasks('2024-06-04')).toEqual([{ id: 1, text: 'Book ethics meeting' }]);
+    expect(loadDailyTasks('2024-06-05')).toEqual([{ id: 2, text: 'Read chapter 2' }]);
+    expect(localStorage.getItem('daily-tasks-2024-06-03')).toBeNull();
+    expect(localStorage.getItem('daily-tasks-2024-06-03::project_1')).not.toBeNull();
+
+    // Lists saved after the move keep their date
+    saveDailyTasks('2024-06-06', [{ id: 4, text: 'Write methods' }]);
+    expect(loadDailyTasks('2024-06-06')).toEqual([{ id: 4, text: 'Write methods' }]);
+
+    expect(loadDailyTasks('2024-06-04', 'project_1')).toEqual([{ id: 3, text: 'Other project' }]);
+  });
+});
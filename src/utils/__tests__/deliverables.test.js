@@ -0,0 +1,82 @@
+import {
+  getDeliverables,
+  getDeliverableCompletion,
+  addDeliverable,
+  updateDeliverable,
+  setDeliverableDone,
+  removeDeliverable,
+  linkDeliverable,
+  unlinkDeliverable,
+  formatDeliverableCompletion
+} from '../deliverables';
+import { createTemplateFromPlan } from '../planTemplates';
+
+const gateway = {
+  id: 1.2,
+  name: 'Write research proposal',
+  startDate: '2025-06-04',
+  endDate: '2025-06-08',
+  isGateway: true,
+  gatewayInfo: {
+    name: 'Research Proposal Approved',
+    deliverables: ['Approved research topic', 'Methodology outline'],
+    nextSteps: 'Proceed'
+  }
+};
+
+describe('deliverables', () => {
+  it('reads plain string deliverables as unticked items', () => {
+    expect(getDeliverables(gateway)).toEqual([
+      { id: 'd1', text: 'Approved research topic', done: false, doneAt: null, dueDate: null, links: [] },
+      { id: 'd2', text: 'Methodology outline', done: false, doneAt: null, dueDate: null, links: [] }
+    ]);
+    expect(getDeliverables({ id: 1.1, name: 'Not a gateway' })).toEqual([]);
+    expect(formatDeliverableCompletion({ id: 1.1 })).toBe('');
+  });
+
+  it('computes completion from ticked items and flags overdue ones', () => {
+    let updated = setDeliverableDone(gateway, 'd1', true, new Date('2025-06-05T10:00:00Z'));
+    updated = addDeliverable(updated, { text: ' Ethics form ', dueDate: '2025-06-01' });
+
+    expect(getDeliverables(updated)[0]).toMatchObject({ done: true, doneAt: '2025-06-05T10:00:00.000Z' });
+    expect(getDeliverables(updated)[2]).toMatchObject({ id: 'd3', text: 'Ethics form', dueDate: '2025-06-01' });
+    expect(getDeliverableCompletion(updated, '2025-06-10')).toEqual({ done: 1, total: 3, percent: 33, overdue: 1 });
+    expect(formatDeliverableCompletion(updated)).toBe('1/3 (33%)');
+
+    const unticked = setDeliverableDone(updated, 'd1', false);
+    expect(getDeliverables(unticked)[0].doneAt).toBeNull();
+    // The gateway it came from is left alone
+    expect(gateway.gatewayInfo.deliverables[0]).toBe('Approved research topic');
+  });
+
+  it('edits, removes and validates items', () => {
+    const edited = updateDeliverable(gateway, 'd2', { text: 'Methodology chapter', dueDate: '2025-07-01' });
+    expect(getDeliverables(edited)[1]).toMatchObject({ text: 'Methodology chapter', dueDate: '2025-07-01' });
+
+    const removed = removeDeliverable(edited, 'd1');
+    expect(getDeliverables(addDeliverable(removed, { text: 'Slides' })).map(item => item.id)).toEqual(['d2', 'd3']);
+
+    expect(() => addDeliverable(gateway, { text: '  ' })).toThrow('required');
+    expect(() => updateDeliverable(gateway, 'd1', { dueDate: '2025-13-40' })).toThrow('valid date');
+    expect(() => setDeliverableDone(gateway, 'd9', true)).toThrow('not found');
+  });
+
+  it('links items to files and notes without duplicates', () => {
+    let linked = linkDeliverable(gateway, 'd1', { type: 'file', name: 'topic.pdf', downloadURL: 'https://files/topic.pdf', size: 10 });
+    linked = linkDeliverable(linked, 'd1', { type: 'file', name: 'topic.pdf' });
+    linked = linkDeliverable(linked, 'd1', { type: 'note', id: 'n1', title: 'Supervisor meeting' });
+
+    expect(getDeliverables(linked)[0].links).toEqual([
+      { type: 'file', name: 'topic.pdf', downloadURL: 'https://files/topic.pdf' },
+      { type: 'note', id: 'n1', title: 'Supervisor meeting' }
+    ]);
+    expect(getDeliverables(unlinkDeliverable(linked, 'd1', 0))[0].links).toEqual([{ type: 'note', id: 'n1', title: 'Supervisor meeting' }]);
+    expect(() => linkDeliverable(gateway, 'd1', { type: 'url' })).toThrow('Unknown link type');
+  });
+
+  it('saves templates with plain, unticked deliverables', () => {
+    const ticked = linkDeliverable(setDeliverableDone(gateway, 'd1', true), 'd1', { type: 'note', id: 'n1', title: 'Notes' });
+    const template = createTemplateFromPlan([{ id: 1, name: 'PLANNING', activities: [ticked] }], 'Mine');
+    expect(template.tasks[0].activities[0].gatewayInfo.deliverables).toEqual(['Approved research topic', 'Methodology outline']);
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  createHistory,
+  recordChange,
+  syncHistory,
+  undo,
+  redo,
+  moveTo,
+  canUndo,
+  canRedo,
+  loadHistory,
+  saveHistory,
+  EXTERNAL_CHANGE_LABEL
+} from '../editHistory';
+
+describe('editHistory', () => {
+  const state = (name) => ({ tasks: [{ id: 1, name, activities: [] }], completedDays: {} });
+
+  beforeEach(() => {
+    localStorage.removeItem('gantt-history');
+  });
+
+  it('steps back and forward through recorded changes', () => {
+    let history = createHistory(state('Planning'));
+    history = recordChange(history, 'Renamed task', state('Proposal'));
+    history = recordChange(history, 'Renamed task', state('Research'));
+
+    const undone = undo(history);
+    expect(undone.state.tasks[0].name).toBe('Proposal');
+    expect(canRedo(undone.history)).toBe(true);
+
+    const redone = redo(undone.history);
+    expect(redone.state.tasks[0].name).toBe('Research');
+    expect(redo(redone.history)).toBeNull();
+    expect(moveTo(history, 0).state.tasks[0].name).toBe('Planning');
+  });
+
+  it('drops the redo stack when a new change is recorded', () => {
+    let history = recordChange(createHistory(state('Planning')), 'Renamed task', state('Proposal'));
+    history = undo(history).history;
+    history = recordChange(history, 'Renamed task', state('Pilot'));
+
+    expect(history.entries.map(entry => entry.state.tasks[0].name)).toEqual(['Planning', 'Pilot']);
+    expect(canRedo(history)).toBe(false);
+  });
+
+  it('keeps only the newest entries', () => {
+    let history = createHistory(state('0'));
+    for (let i = 1; i <= 5; i++) {
+      history = recordChange(history, `Change ${i}`, state(String(i)), 3);
+    }
+
+    expect(history.entries.map(entry => entry.label)).toEqual(['Change 3', 'Change 4', 'Change 5']);
+    expect(history.index).toBe(2);
+  });
+
+  it('records state that changed outside the history before moving', () => {
+    const history = createHistory(state('Planning'));
+    expect(syncHistory(history, state('Planning'))).toBe(history);
+    expect(syncHistory(history, { completedDays: {}, tasks: [{ activities: [], name: 'Planning', id: 1 }] })).toBe(history);
+
+    const synced = syncHistory(history, state('Recovered'));
+    expect(synced.entries[1].label).toBe(EXTERNAL_CHANGE_LABEL);
+    expect(canUndo(synced)).toBe(true);
+  });
+
+  it('round-trips through storage', () => {
+    const history = recordChange(createHistory(state('Planning')), 'Renamed task', state('Proposal'));
+    saveHistory(history);
+    expect(loadHistory()).toEqual(history);
+  });
+});
@@ -0,0 +1,88 @@
+import {
+  sanitizePathSegment,
+  uniquePath,
+  noteToMarkdown,
+  buildNoteEntries,
+  buildAnnotationEntries,
+  getAttachmentPath,
+  sha256Hex,
+  buildManifest
+} from '../exportArchive';
+
+describe('exportArchive', () => {
+  const notes = [
+    { id: 'n1', title: 'Interview plan', content: 'Ask about *workload*', folderPath: '/Research/Interviews', tags: ['method'], createdAt: '2024-06-01T09:00:00.000Z' },
+    { id: 'n2', title: 'Interview plan', content: 'Second draft', folderPath: '/Research/Interviews' },
+    { id: 'n3', title: 'Ideas: what/why?', htmlContent: '<p>First</p><p>Second</p>' },
+    { id: 'a2', noteType: 'pdf-note', fileId: 'f9', fileName: 'Smith 2020.pdf', pageNumber: 7, title: 'Sampling', content: 'Too small' },
+    { id: 'a1', noteType: 'pdf-note', fileId: 'f9', fileName: 'Smith 2020.pdf', pageNumber: 2, title: 'Definition', content: 'Use this one' }
+  ];
+
+  const tasks = [
+    {
+      id: 1,
+      name: 'Literature review',
+      activities: [
+        {
+          id: 1.1,
+          name: 'Read papers',
+          startDate: '2024-06-03',
+          endDate: '2024-06-14',
+          files: [
+            { id: 'f1', name: 'reading-list.txt' },
+            { id: 'f2', name: 'deleted.pdf' },
+            { name: 'old-entry.docx' }
+          ]
+        }
+      ]
+    }
+  ];
+
+  it('makes safe and unique paths', () => {
+    expect(sanitizePathSegment('Ideas: what/why?')).toBe('Ideas- what-why-');
+    expect(sanitizePathSegment('  ..  ')).toBe('untitled');
+
+    const used = new Set();
+    expect(uniquePath('notes/Plan.md', used)).toBe('notes/Plan.md');
+    expect(uniquePath('notes/plan.md', used)).toBe('notes/plan (2).md');
+    expect(uniquePath('files/README', used)).toBe('files/README');
+    expect(uniquePath('files/README', used)).toBe('files/README (2)');
+    expect(getAttachmentPath(tasks[0], tasks[0].activities[0], { name: 'a/b.pdf' })).toBe('files/Literature review/1.1 Read papers/a-b.pdf');
+  });
+
+  it('writes notes as Markdown grouped by folder', () => {
+    expect(noteToMarkdown(notes[0])).toBe([
+      '# Interview plan', '', '- Tags: method', '- Created: 2024-06-01T09:00:00.000Z', '', 'Ask about *workload*', ''
+    ].join('\n'));
+
+    expect(buildNoteEntries(notes).map(entry => entry.path)).toEqual([
+      'notes/Research/Interviews/Interview plan.md',
+      'notes/Research/Interviews/Interview plan (2).md',
+      'notes/General/Ideas- what-why-.md'
+    ]);
+    expect(buildNoteEntries([notes[2]])[0].content).toContain('First\nSecond');
+  });
+
+  it('collects PDF annotations per file in page order', () => {
+    const [entry, ...rest] = buildAnnotationEntries(notes);
+    expect(rest).toHaveLength(0);
+    expect(entry.path).toBe('annotations/Smith 2020.md');
+    expect(entry.content.indexOf('Page 2: Definition')).toBeLessThan(entry.content.indexOf('Page 7: Sampling'));
+  });
+
+  it('checksums text and bytes with SHA-256', () => {
+    const abc = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+    expect(sha256Hex('abc')).toBe(abc);
+    expect(sha256Hex(new Uint8Array([97, 98, 99]))).toBe(abc);
+    expect(sha256Hex('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+
+    const manifest = buildManifest(
+      [{ path: 'b.txt', size: 2, sha256: 'x' }, { path: 'a.txt', size: 3, sha256: 'y' }],
+      [],
+      { title: 'Thesis', options: { includeNotes: true }, generatedAt: new Date('2024-06-01T00:00:00Z') }
+    );
+    expect(manifest.files.map(file => file.path)).toEqual(['a.txt', 'b.txt']);
+    expect(manifest.totals).toEqual({ files: 2, bytes: 5, missing: 0 });
+    expect(manifest.options).toEqual({ includeFiles: false, includeNotes: true });
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  APPROVAL_STATUS,
+  getApprovalStatus,
+  getAvailableActions,
+  applyApprovalAction,
+  isApprovalLocked,
+  getApprovalRecordChanges,
+  getLockedActivityChanges,
+  getApprovalAuditDetails
+} from '../gatewayApproval';
+
+const gateway = {
+  id: 1.2,
+  name: 'Write research proposal',
+  isGateway: true,
+  gatewayInfo: { name: 'Research Proposal Approved', deliverables: ['Approved research topic'], nextSteps: 'Proceed' }
+};
+const candidate = { id: 'me', name: 'Jo', role: 'phd_candidate' };
+const supervisor = { id: 'sv', name: 'Prof Smith', role: 'supervisor' };
+const candidatePermissions = { canSubmit: true, canApprove: false };
+const supervisorPermissions = { canSubmit: true, canApprove: true };
+
+describe('gatewayApproval', () => {
+  it('offers the steps allowed from each state and role', () => {
+    expect(getApprovalStatus(gateway)).toBe(APPROVAL_STATUS.DRAFT);
+    expect(getAvailableActions(gateway, candidatePermissions)).toEqual(['submit']);
+    expect(getAvailableActions(gateway, { canSubmit: false, canApprove: false })).toEqual([]);
+    expect(getAvailableActions({ ...gateway, isGateway: false }, supervisorPermissions)).toEqual([]);
+
+    const submitted = { ...gateway, approval: { status: APPROVAL_STATUS.SUBMITTED, history: [] } };
+    expect(getAvailableActions(submitted, candidatePermissions)).toEqual(['withdraw']);
+    expect(getAvailableActions(submitted, supervisorPermissions)).toEqual(['withdraw', 'approve', 'requestChanges']);
+  });
+
+  it('records who took each step, when, and the attached files', () => {
+    const submitted = applyApprovalAction(gateway, 'submit', {
+      actor: candidate,
+      note: ' Draft attached ',
+      files: [{ name: 'proposal.pdf', downloadURL: 'https://files/proposal.pdf', size: 10 }],
+      permissions: candidatePermissions
+    }, new Date('2025-06-10T09:00:00Z'));
+
+    expect(submitted.approval.status).toBe(APPROVAL_STATUS.SUBMITTED);
+    expect(submitted.approval.history[0]).toEqual({
+      action: 'submit',
+      from: APPROVAL_STATUS.DRAFT,
+      to: APPROVAL_STATUS.SUBMITTED,
+      byId: 'me',
+      byName: 'Jo',
+      byRole: 'phd_candidate',
+      at: '2025-06-10T09:00:00.000Z',
+      note: 'Draft attached',
+      files: [{ name: 'proposal.pdf', downloadURL: 'https://files/proposal.pdf' }]
+    });
+    expect(getApprovalAuditDetails(submitted, submitted.approval.history[0])).toEqual({
+      activityId: 1.2,
+      gateway: 'Research Proposal Approved',
+      by: 'Jo',
+      status: APPROVAL_STATUS.SUBMITTED,
+      note: 'Draft attached',
+      files: 'proposal.pdf'
+    });
+
+    const changes = applyApprovalAction(submitted, 'requestChanges', { actor: supervisor, note: 'Narrow the scope', permissions: supervisorPermissions });
+    const resubmitted = applyApprovalAction(changes, 'submit', { actor: candidate, permissions: candidatePermissions });
+    const approved = applyApprovalAction(resubmitted, 'approve', { actor: supervisor, permissions: supervisorPermissions });
+    expect(approved.approval.history.map(entry => entry.to)).toEqual([
+      APPROVAL_STATUS.SUBMITTED, APPROVAL_STATUS.CHANGES_REQUESTED, APPROVAL_STATUS.SUBMITTED, APPROVAL_STATUS.APPROVED
+    ]);
+  });
+
+  it('rejects steps that are not allowed', () => {
+    expect(() => applyApprovalAction(gateway, 'approve', { actor: supervisor, permissions: supervisorPermissions })).toThrow('draft');
+
+    const submitted = applyApprovalAction(gateway, 'submit', { actor: candidate, permissions: candidatePermissions });
+    expect(() => applyApprovalAction(submitted, 'approve', { actor: candidate, permissions: candidatePermissions })).toThrow('supervisors');
+    expect(() => applyApprovalAction(submitted, 'requestChanges', { actor: supervisor, note: ' ', permissions: supervisorPermissions })).toThrow('note');
+    expect(() => applyApprovalAction({ ...gateway, isGateway: false }, 'submit', { actor: candidate, permissions: candidatePermissions })).toThrow('gateways');
+  });
+
+  it('locks approved gateways for everyone who cannot approve', () => {
+    const approved = { ...gateway, approval: { status: APPROVAL_STATUS.APPROVED, history: [] } };
+    expect(isApprovalLocked(approved, false)).toBe(true);
+    expect(isApprovalLocked(approved, true)).toBe(false);
+    expect(isApprovalLocked(gateway, false)).toBe(false);
+
+    const reopened = applyApprovalAction(approved, 'reopen', { actor: supervisor, note: 'Examiner feedback', permissions: supervisorPermissions });
+    expect(isApprovalLocked(reopened, false)).toBe(false);
+  });
+
+  it('spots restored versions of the plan that would undo approval steps or touch locked gateways', () => {
+    const submitted = applyApprovalAction(gateway, 'submit', { actor: candidate, permissions: candidatePermissions });
+    const approved = applyApprovalAction(submitted, 'approve', { actor: supervisor, permissions: supervisorPermissions });
+    const plan = (activity) => [{ id: 1, name: 'Proposal', activities: [{ id: 1.1, name: 'Draft' }, activity] }];
+
+    expect(getApprovalRecordChanges(plan(approved), plan(submitted))).toEqual([{
+      activityId: 1.2, name: 'Research Proposal Approved', from: APPROVAL_STATUS.APPROVED, to: APPROVAL_STATUS.SUBMITTED
+    }]);
+    expect(getApprovalRecordChanges(plan(gateway), [{ id: 1, name: 'Proposal', activities: [] }])).toEqual([]);
+    // Key order does not matter, as plans decoded from storage list fields differently
+    const reordered = { approval: { history: approved.approval.history, status: approved.approval.status }, ...gateway };
+    expect(getApprovalRecordChanges(plan(approved), plan(reordered))).toEqual([]);
+
+    const moved = { ...approved, startDate: '2024-07-01' };
+    expect(getLockedActivityChanges(plan(approved), plan(moved), false)).toEqual(['Write research proposal']);
+    expect(getLockedActivityChanges(plan(approved), [{ id: 1, name: 'Proposal', activities: [] }], false)).toEqual(['Write research proposal']);
+    expect(getLockedActivityChanges(plan(approved), plan(moved), true)).toEqual([]);
+  });
+});
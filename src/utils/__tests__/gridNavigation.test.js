@@ -0,0 +1,53 @@
+import { getNextGridPosition, getFocusableColumns, moveListItem, describeGridCell } from '../gridNavigation';
+
+describe('gridNavigation', () => {
+  const bounds = { rowCount: 3, firstColumn: 2, lastColumn: 8 };
+
+  it('moves one cell with the arrow keys and stops at the edges', () => {
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: 'ArrowRight' }, bounds)).toEqual({ row: 1, column: 5 });
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: 'ArrowUp' }, bounds)).toEqual({ row: 0, column: 4 });
+    expect(getNextGridPosition({ row: 2, column: 8 }, { key: 'ArrowDown' }, bounds)).toEqual({ row: 2, column: 8 });
+    expect(getNextGridPosition({ row: 0, column: 2 }, { key: 'ArrowLeft' }, bounds)).toEqual({ row: 0, column: 2 });
+  });
+
+  it('jumps to the ends of a row, or of the grid with Ctrl', () => {
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: 'Home' }, bounds)).toEqual({ row: 1, column: 2 });
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: 'End' }, bounds)).toEqual({ row: 1, column: 8 });
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: 'End', ctrlKey: true }, bounds)).toEqual({ row: 2, column: 8 });
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: 'Home', metaKey: true }, bounds)).toEqual({ row: 0, column: 2 });
+  });
+
+  it('leaves other keys, Alt combinations and empty grids alone', () => {
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: ' ' }, bounds)).toBeNull();
+    expect(getNextGridPosition({ row: 1, column: 4 }, { key: 'ArrowUp', altKey: true }, bounds)).toBeNull();
+    expect(getNextGridPosition({ row: 0, column: 0 }, { key: 'ArrowDown' }, { rowCount: 0, firstColumn: 0, lastColumn: 5 })).toBeNull();
+  });
+
+  it('finds the columns inside the project period', () => {
+    const columns = [false, true, true, false].map(inRange => ({ inRange }));
+    expect(getFocusableColumns(columns)).toEqual({ firstColumn: 1, lastColumn: 2 });
+    expect(getFocusableColumns([{ inRange: false }])).toEqual({ firstColumn: 0, lastColumn: -1 });
+  });
+
+  it('moves list items and keeps the list when the move would leave it', () => {
+    const list = ['a', 'b', 'c'];
+    expect(moveListItem(list, 0, 1)).toEqual(['b', 'a', 'c']);
+    expect(moveListItem(list, 2, -2)).toEqual(['c', 'a', 'b']);
+    expect(moveListItem(list, 0, -1)).toBe(list);
+    expect(moveListItem(list, 2, 1)).toBe(list);
+  });
+
+  it('describes cells for screen readers', () => {
+    const activity = { id: '1.1', name: 'Draft' };
+    const day = { title: 'Mon 2 Jun', inRange: true, nonWorking: null };
+
+    expect(describeGridCell(activity, day, { dates: ['2025-06-02'], completedCount: 1 })).toBe('Draft, Mon 2 Jun: complete');
+    expect(describeGridCell(activity, day, { dates: ['2025-06-02'], completedCount: 0 })).toBe('Draft, Mon 2 Jun: not complete');
+    expect(describeGridCell(activity, { ...day, title: 'W1' }, { dates: ['a', 'b', 'c'], completedCount: 2 }))
+      .toBe('Draft, W1: 2 of 3 days complete');
+    expect(describeGridCell(activity, { ...day, nonWorking: { type: 'weekend', name: 'Weekend' } }, { dates: [], completedCount: 0 }))
+      .toBe('Draft, Mon 2 Jun: non-working day (Weekend)');
+    expect(describeGridCell(activity, day, null)).toBe('Draft, Mon 2 Jun: not scheduled');
+    expect(describeGridCell(activity, { ...day, inRange: false }, null)).toBe('Draft, Mon 2 Jun: outside the project period');
+  });
+});
@@ -0,0 +1,102 @@
+import {
+  DEFAULT_OWNERS,
+  loadOwners,
+  saveOwners,
+  validateOwner,
+  getOwner,
+  getNextOwnerColor,
+  getUsedOwnerIds,
+  reassignOwner,
+  filterTasksByOwners,
+  calculateWorkload
+} from '../owners';
+import { buildTimelineWeeks } from '../projectTimeline';
+
+// Two weeks starting on Monday 2 June 2025
+const settings = { startDate: '2025-06-02', endDate: '2025-06-15', weekStartsOn: 1, locale: 'en-GB' };
+
+const tasks = [
+  {
+    id: 1,
+    name: 'Research',
+    activities: [
+      { id: 1.1, name: 'Literature review', startDate: '2025-06-02', endDate: '2025-06-06', owner: 'ME' },
+      { id: 1.2, name: 'Proposal meeting', startDate: '2025-06-04', endDate: '2025-06-05', owner: 'SV' }
+    ]
+  },
+  {
+    id: 2,
+    name: 'Writing',
+    activities: [
+      { id: 2.1, name: 'Draft chapter', startDate: '2025-06-05', endDate: '2025-06-10', owner: 'ME' },
+      { id: 2.2, name: 'Statistics review', startDate: '2025-06-09', endDate: '2025-06-09', owner: 'STAT' }
+    ]
+  }
+];
+
+describe('owners', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('starts from the default owners and stores owners per project', () => {
+    expect(loadOwners('p1')).toEqual(DEFAULT_OWNERS);
+
+    const owners = [...DEFAULT_OWNERS, { id: 'STAT', name: 'Statistician', color: '#d97706', capacity: 1 }];
+    saveOwners(owners, 'p1');
+    expect(loadOwners('p1')).toEqual(owners);
+    expect(loadOwners('p2')).toEqual(DEFAULT_OWNERS);
+  });
+
+  it('validates codes, names and capacity', () => {
+    const owner = { id: 'STAT', name: 'Statistician', capacity: 1 };
+    expect(validateOwner(owner, DEFAULT_OWNERS)).toBeNull();
+    expect(validateOwner({ ...owner, id: 'me' }, DEFAULT_OWNERS)).toMatch(/capital letters/);
+    expect(validateOwner({ ...owner, id: 'SV' }, DEFAULT_OWNERS)).toMatch(/already exists/);
+    expect(validateOwner({ ...owner, id: 'SV' }, DEFAULT_OWNERS, 'SV')).toBeNull();
+    expect(validateOwner({ ...owner, name: '  ' }, DEFAULT_OWNERS)).toMatch(/empty/);
+    expect(validateOwner({ ...owner, capacity: -1 }, DEFAULT_OWNERS)).toMatch(/Capacity/);
+    expect(validateOwner({ ...owner, capacity: 'lots' }, DEFAULT_OWNERS)).toMatch(/Capacity/);
+  });
+
+  it('gives unknown codes a placeholder and new owners an unused colour', () => {
+    expect(getOwner(DEFAULT_OWNERS, 'SV').name).toBe('Supervisor');
+    expect(getOwner(DEFAULT_OWNERS, 'STAT')).toMatchObject({ id: 'STAT', name: 'STAT', unknown: true });
+    expect(DEFAULT_OWNERS.map(owner => owner.color)).not.toContain(getNextOwnerColor(DEFAULT_OWNERS));
+  });
+
+  it('reassigns and filters activities by owner', () => {
+    expect([...getUsedOwnerIds(tasks)].sort()).toEqual(['ME', 'STAT', 'SV']);
+
+    const reassigned = reassignOwner(tasks, 'ME', 'SME');
+    expect(reassigned[0].activities[0].owner).toBe('SME');
+    expect(reassigned[0].activities[1].owner).toBe('SV');
+
+    const filtered = filterTasksByOwners(tasks, ['SV']);
+    expect(filtered).toHaveLength(1);
+    expect(filtered[0].activities.map(activity => activity.id)).toEqual([1.2]);
+    expect(filterTasksByOwners(tasks, [])).toBe(tasks);
+  });
+
+  it('counts activity-days per owner per week and flags over-allocation', () => {
+    const workload = calculateWorkload(tasks, DEFAULT_OWNERS, buildTimelineWeeks(settings));
+    const byOwner = Object.fromEntries(workload.map(row => [row.owner.id, row]));
+
+    // Literature review (5 days) and Draft chapter (4 days) overlap in week one
+    expect(byOwner.ME.weeks.map(week => week.days)).toEqual([9, 2]);
+    expect(byOwner.ME.weeks[0].overAllocated).toBe(true);
+    expect(byOwner.ME.weeks[0].activities).toEqual([
+      { id: 1.1, name: 'Literature review', days: 5 },
+      { id: 2.1, name: 'Draft chapter', days: 4 }
+    ]);
+    expect(byOwner.ME).toMatchObject({ totalDays: 11, peakDays: 9, overAllocatedWeeks: 1 });
+
+    expect(byOwner.SV.weeks.map(week => week.days)).toEqual([2, 0]);
+    expect(byOwner.SV.overAllocatedWeeks).toBe(0);
+    expect(byOwner.SME.totalDays).toBe(0);
+
+    // Owners used on activities but missing from the list still show up
+    expect(byOwner.STAT.owner.unknown).toBe(true);
+    expect(byOwner.STAT.weeks.map(week => week.days)).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,46 @@
+import { buildPdfRows, getPageCapacity, paginateGantt, sliceGroups } from '../pdfLayout';
+
+describe('pdfLayout', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: 1.1, name: 'Write research proposal', startDate: '2024-06-03', endDate: '2024-06-14', owner: 'ME' },
+        { id: 1.2, name: 'Proposal approved', startDate: '2024-06-17', endDate: '2024-06-17', owner: 'SV', isGateway: true }
+      ]
+    },
+    { id: 2, name: 'Research', activities: [{ id: 2.1, name: 'Interviews', startDate: '2024-07-01', endDate: '2024-07-19', owner: 'ME' }] }
+  ];
+
+  it('lays out a row per task followed by its activities', () => {
+    expect(buildPdfRows(tasks).map(row => (row.type === 'task' ? row.task.name : row.activity.id))).toEqual([
+      'Proposal', 1.1, 1.2, 'Research', 2.1
+    ]);
+  });
+
+  it('fits more rows and columns on A3 than on A4', () => {
+    expect(getPageCapacity('a4', 'week')).toEqual({ rowsPerPage: 24, columnsPerPage: 21 });
+    expect(getPageCapacity('a3', 'week')).toEqual({ rowsPerPage: 39, columnsPerPage: 33 });
+    expect(getPageCapacity('a4', 'day').columnsPerPage).toBe(42);
+  });
+
+  it('splits a large chart over sheets, row band by row band', () => {
+    const pages = paginateGantt({ rowCount: 30, columnCount: 50, pageSize: 'a4', zoomLevel: 'day' });
+    expect(pages).toEqual([
+      { rowStart: 0, rowEnd: 24, columnStart: 0, columnEnd: 42 },
+      { rowStart: 0, rowEnd: 24, columnStart: 42, columnEnd: 50 },
+      { rowStart: 24, rowEnd: 30, columnStart: 0, columnEnd: 42 },
+      { rowStart: 24, rowEnd: 30, columnStart: 42, columnEnd: 50 }
+    ]);
+    expect(paginateGantt({ rowCount: 0, columnCount: 0 })).toEqual([{ rowStart: 0, rowEnd: 0, columnStart: 0, columnEnd: 0 }]);
+  });
+
+  it('cuts header groups down to the columns on a sheet', () => {
+    const groups = [{ key: 'jun', label: 'Jun 2024', span: 3 }, { key: 'jul', label: 'Jul 2024', span: 4 }];
+    expect(sliceGroups(groups, 2, 5)).toEqual([
+      { key: 'jun', label: 'Jun 2024', span: 1 },
+      { key: 'jul', label: 'Jul 2024', span: 2 }
+    ]);
+  });
+});
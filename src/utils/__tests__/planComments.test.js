@@ -0,0 +1,102 @@
+import {
+  loadComments,
+  saveComments,
+  markActivityRead,
+  parseMentions,
+  splitMentions,
+  isMentioned,
+  createComment,
+  editComment,
+  setThreadResolved,
+  deleteComment,
+  getThreads,
+  getCommentSummary,
+  mergeComments,
+  getCommentActions
+} from '../planComments';
+
+const supervisor = { id: 'sv', name: 'Prof Smith', role: 'supervisor' };
+const candidate = { id: 'me', name: 'Jo', role: 'phd_candidate' };
+
+describe('planComments', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('finds mentions and splits them out for highlighting', () => {
+    expect(parseMentions('@Jo see @Prof_Smith and @Jo again, email a@b.com')).toEqual(['Jo', 'Prof_Smith']);
+    expect(splitMentions('Ask @Zoë now')).toEqual([
+      { text: 'Ask ', mention: false },
+      { text: '@Zoë', mention: true },
+      { text: ' now', mention: false }
+    ]);
+    expect(isMentioned(createComment({ activityId: 1.1, text: 'cc @prof_smith', author: candidate }), 'Prof Smith')).toBe(true);
+  });
+
+  it('rejects empty comments and keeps comments per project', () => {
+    expect(() => createComment({ activityId: 1.1, text: '   ', author: candidate })).toThrow('empty');
+
+    const comment = createComment({ activityId: 1.1, text: 'Looks good', author: candidate });
+    saveComments([comment], 'paper');
+    expect(loadComments('paper')).toEqual([comment]);
+    expect(loadComments()).toEqual([]);
+  });
+
+  it('builds threads and leaves out fully deleted ones', () => {
+    const root = createComment({ activityId: 1.1, text: 'Too long?', author: supervisor }, new Date('2025-06-01T10:00:00Z'));
+    const reply = createComment({ activityId: 1.1, parentId: root.id, text: 'Cut to 3 weeks', author: candidate }, new Date('2025-06-01T11:00:00Z'));
+    const gone = deleteComment(createComment({ activityId: 1.1, text: 'Oops', author: candidate }, new Date('2025-06-02T10:00:00Z')));
+    const other = createComment({ activityId: 2.1, text: 'Fine', author: supervisor });
+
+    const threads = getThreads([reply, gone, root, other], 1.1);
+    expect(threads).toHaveLength(1);
+    expect(threads[0].replies.map(r => r.text)).toEqual(['Cut to 3 weeks']);
+
+    const deletedRoot = getThreads([deleteComment(root), reply], 1.1);
+    expect(deletedRoot[0].text).toBe('');
+    expect(deletedRoot[0].deleted).toBe(true);
+  });
+
+  it('counts open threads and unread comments from others', () => {
+    const root = createComment({ activityId: 1.1, text: '@Jo please check', author: supervisor }, new Date('2025-06-01T10:00:00Z'));
+    const own = createComment({ activityId: 1.1, parentId: root.id, text: 'Done', author: candidate }, new Date('2025-06-01T11:00:00Z'));
+    const settled = setThreadResolved(
+      createComment({ activityId: 1.1, text: 'Agreed', author: supervisor }, new Date('2025-06-01T09:00:00Z')),
+      true, 'Jo', new Date('2025-06-01T09:30:00Z')
+    );
+
+    const summary = getCommentSummary([root, own, settled], {}, 'me', 'Jo');
+    expect(summary[1.1]).toEqual({ total: 3, open: 1, unread: 2, mentioned: true });
+
+    const read = markActivityRead({}, 1.1, new Date('2025-06-01T10:30:00Z'));
+    expect(getCommentSummary([root, own, settled], read, 'me', 'Jo')[1.1].unread).toBe(0);
+
+    // An edit after reading shows as unread again
+    const edited = editComment(root, 'Please check the scope', new Date('2025-06-02T08:00:00Z'));
+    expect(getCommentSummary([edited, own, settled], read, 'me', 'Jo')[1.1]).toMatchObject({ unread: 1, mentioned: false });
+  });
+
+  it('merges comments by their latest version', () => {
+    const comment = createComment({ activityId: 1.1, text: 'Draft', author: candidate }, new Date('2025-06-01T10:00:00Z'));
+    const edited = editComment(comment, 'Final', new Date('2025-06-01T12:00:00Z'));
+    const offline = createComment({ activityId: 2.1, text: 'Written offline', author: candidate });
+
+    const { comments, toUpload } = mergeComments([comment, offline], [edited]);
+    expect(comments.find(c => c.id === comment.id).text).toBe('Final');
+    expect(toUpload).toEqual([offline]);
+
+    expect(mergeComments([edited], [comment]).toUpload).toEqual([edited]);
+  });
+
+  it('limits actions by role permissions and authorship', () => {
+    const root = createComment({ activityId: 1.1, text: 'Question', author: candidate });
+    const reply = createComment({ activityId: 1.1, parentId: root.id, text: 'Answer', author: supervisor });
+    const viva = { canAdd: true, canEdit: false, canDelete: false };
+    const supervisorPermissions = { canAdd: true, canEdit: true, canDelete: true };
+
+    expect(getCommentActions(root, 'viva', viva)).toEqual({ canReply: true, canEdit: false, canDelete: false, canResolve: true });
+    expect(getCommentActions(root, 'sv', supervisorPermissions)).toMatchObject({ canEdit: false, canDelete: true });
+    expect(getCommentActions(reply, 'sv', supervisorPermissions)).toMatchObject({ canReply: false, canEdit: true, canResolve: false });
+    expect(getCommentActions(deleteComment(reply), 'sv', supervisorPermissions)).toMatchObject({ canEdit: false, canDelete: false });
+  });
+});
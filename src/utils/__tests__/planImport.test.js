@@ -0,0 +1,155 @@
+import {
+  PLAN_EXPORT_FORMAT,
+  PLAN_EXPORT_VERSION,
+  IMPORT_MODES,
+  checkPlanFormat,
+  migratePlanExport,
+  validatePlanExport,
+  readPlanExport
+} from '../planImport';
+
+describe('planImport', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-12', owner: 'ME', dependencies: [] },
+        { id: 1.2, name: 'Proposal approved', startDate: '2024-06-13', endDate: '2024-06-13', owner: 'SV', isGateway: true, approval: { status: 'approved' } }
+      ]
+    },
+    {
+      id: 2,
+      name: 'Research',
+      activities: [
+        { id: 2.1, name: 'Interviews', startDate: '2024-07-01', endDate: '2024-07-12', owner: 'ME', dependencies: [{ predecessorId: 1.2, type: 'FS', lag: 0 }] }
+      ]
+    }
+  ];
+  const completedDays = { '1.1:2024-06-03': true, '2.1:2024-07-01': true };
+  const current = { tasks, completedDays };
+
+  const exportFile = (overrides = {}) => JSON.stringify({
+    meta: { format: PLAN_EXPORT_FORMAT, version: PLAN_EXPORT_VERSION, title: 'Thesis' },
+    tasks,
+    completedDays,
+    ...overrides
+  });
+
+  it('rejects files that are not plan exports', () => {
+    const errorOf = (text) => readPlanExport(text, current).errors[0].message;
+    expect(errorOf('{ not json')).toBe('The file is not valid JSON');
+    expect(errorOf(JSON.stringify(tasks))).toBe('This file is not a plan exported from the Gantt chart');
+    expect(errorOf(JSON.stringify({ format: 'thesis-gantt-archive', files: [] }))).toMatch(/import plan\/plan.json/);
+    expect(errorOf(exportFile({ meta: { format: 'other-app', version: '2.0' } }))).toBe('This file is not a plan exported from the Gantt chart');
+    expect(errorOf(exportFile({ meta: { format: PLAN_EXPORT_FORMAT, version: '3.0' } }))).toMatch(/newer version of the app \(schema 3.0\)/);
+    expect(errorOf(exportFile({ meta: { format: PLAN_EXPORT_FORMAT, version: '0.5' } }))).toBe('Unknown export schema version 0.5');
+    expect(readPlanExport('[]', current).plans).toBeNull();
+  });
+
+  it('migrates 1.0 files with week/day activities and completed days', () => {
+    const legacy = {
+      meta: { version: '1.0', title: 'Thesis' },
+      tasks: [{ id: 1, name: 'Proposal', activities: [{ id: 1.1, name: 'Write proposal', weeks: [0, 1], days: [2, 3], owner: 'ME' }] }],
+      completedDays: { '1.1-0-2': true, '1.1-1-3': true }
+    };
+    expect(checkPlanFormat(legacy)).toEqual({ version: '1.0', error: null });
+
+    const { data, migratedFrom } = migratePlanExport(legacy);
+    expect(migratedFrom).toEqual(['1.0']);
+    expect(data.meta).toMatchObject({ format: PLAN_EXPORT_FORMAT, version: PLAN_EXPORT_VERSION });
+    expect(data.tasks[0].activities[0]).toEqual({ id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-11', owner: 'ME' });
+    expect(data.completedDays).toEqual({ '1.1:2024-06-03': true, '1.1:2024-06-11': true });
+
+    const report = readPlanExport(JSON.stringify(legacy), current);
+    expect(report.version).toBe('1.0');
+    expect(report.plans[IMPORT_MODES.REPLACE].completedDays).toEqual({ '1.1:2024-06-03': true, '1.1:2024-06-11': true });
+  });
+
+  it('reports malformed tasks and cleans up references', () => {
+    const broken = validatePlanExport(JSON.parse(exportFile({
+      tasks: [
+        { id: 1, name: 'Proposal', activities: [{ id: 1.1, name: 'Write', startDate: '2024-06-12', endDate: '2024-06-03' }] },
+        { id: 1, name: '', activities: [{ id: 1.1, name: 'Again', startDate: '12/06/2024', endDate: '2024-06-13' }] },
+        { id: 3, name: 'Writing' }
+      ]
+    })));
+    expect(broken.tasks).toBeNull();
+    expect(broken.errors.map(error => error.message)).toEqual([
+      'Activity 1.1 ends before it starts',
+      'Task 1 appears more than once',
+      'Task 1 has no name',
+      'Activity 1.1 appears more than once',
+      'Activity 1.1 needs a start and end date as YYYY-MM-DD',
+      'Task 3 has no activity list'
+    ]);
+
+    const partial = validatePlanExport(JSON.parse(exportFile({
+      tasks: [tasks[1]],
+      completedDays: { '2.1:2024-07-02': true, '1.1:2024-06-03': true, '2.1:2024-07-03': false },
+      options: { specificTasks: [2] }
+    })));
+    expect(partial.tasks[0].activities[0].dependencies).toEqual([]);
+    expect(partial.completedDays).toEqual({ '2.1:2024-07-02': true });
+    expect(partial.warnings).toHaveLength(3);
+  });
+
+  it('previews, merges and replaces the plan', () => {
+    const file = exportFile({
+      tasks: [
+        { ...tasks[1], name: 'Fieldwork' },
+        { id: 3, name: 'Writing', activities: [{ id: 3.1, name: 'Draft chapters', startDate: '2024-08-01', endDate: '2024-08-30' }] }
+      ],
+      completedDays: { '2.1:2024-07-08': true, '3.1:2024-08-01': true }
+    });
+    const report = readPlanExport(file, current);
+    expect(report.errors).toEqual([]);
+    expect(report.preview.added.map(task => task.name)).toEqual(['Writing']);
+    expect(report.preview.changed.map(task => task.name)).toEqual(['Fieldwork']);
+    expect(report.preview.removed.map(task => task.name)).toEqual(['Proposal']);
+
+    const merged = report.plans[IMPORT_MODES.MERGE];
+    expect(merged.tasks.map(task => task.name)).toEqual(['Proposal', 'Fieldwork', 'Writing']);
+    expect(merged.completedDays).toEqual({ '1.1:2024-06-03': true, '2.1:2024-07-08': true, '3.1:2024-08-01': true });
+
+    // Replacing drops Proposal and with it the approved gateway
+    expect(report.plans[IMPORT_MODES.REPLACE].tasks.map(task => task.name)).toEqual(['Fieldwork', 'Writing']);
+    const locked = readPlanExport(file, current, { isLocked: activity => activity.approval?.status === 'approved' });
+    expect(locked.plans[IMPORT_MODES.MERGE].tasks).not.toBeNull();
+    expect(locked.plans[IMPORT_MODES.REPLACE]).toMatchObject({
+      tasks: null,
+      errors: [{ row: null, message: '"Proposal approved" is an approved gateway and cannot be removed' }]
+    });
+  });
+
+  it('only lets approvers bring in approval records that differ from the plan', () => {
+    const pending = [{ ...tasks[0], activities: [tasks[0].activities[0], { ...tasks[0].activities[1], approval: { status: 'submitted', history: [] } }] }];
+    const forged = { status: 'approved', history: [{ action: 'approve', from: 'submitted', to: 'approved', byName: 'Prof Smith' }] };
+    const file = exportFile({
+      tasks: [
+        { ...tasks[0], activities: [tasks[0].activities[0], { ...tasks[0].activities[1], approval: forged }] },
+        { id: 3, name: 'Writing', activities: [{ id: 3.1, name: 'Thesis submitted', startDate: '2024-09-30', endDate: '2024-09-30', isGateway: true, approval: forged }] }
+      ],
+      completedDays: {}
+    });
+
+    const report = readPlanExport(file, { tasks: pending, completedDays: {} });
+    Object.values(IMPORT_MODES).forEach(mode => {
+      expect(report.plans[mode].tasks).toBeNull();
+      expect(report.plans[mode].errors.map(error => error.message)).toEqual([
+        '"Proposal approved" has a different approval record in the file (Approved); only a supervisor can import approval steps',
+        '"Thesis submitted" has a different approval record in the file (Approved); only a supervisor can import approval steps'
+      ]);
+    });
+
+    const approver = readPlanExport(file, { tasks: pending, completedDays: {} }, { canApprove: true });
+    expect(approver.plans[IMPORT_MODES.MERGE].tasks[0].activities[1].approval).toEqual(forged);
+  });
+
+  it('refuses to merge an activity that moved to another task', () => {
+    const file = exportFile({ tasks: [{ id: 3, name: 'Writing', activities: [{ ...tasks[1].activities[0] }] }] });
+    const report = readPlanExport(file, current);
+    expect(report.plans[IMPORT_MODES.MERGE].errors[0].message).toBe('Activity 2.1 is in "Writing" in the file but in "Research" in this plan');
+    expect(report.plans[IMPORT_MODES.REPLACE].tasks).toHaveLength(1);
+  });
+});
@@ -0,0 +1,159 @@
+import {
+  toSyncedPlan,
+  loadSyncState,
+  saveSyncState,
+  mergePlans,
+  resolveConflicts
+} from '../planSync';
+
+const activity = (id, changes = {}) => ({
+  id,
+  name: `Activity ${id}`,
+  startDate: '2024-06-03',
+  endDate: '2024-06-07',
+  owner: 'ME',
+  ...changes
+});
+
+const basePlan = () => ({
+  tasks: [
+    { id: 1, name: 'Research', activities: [activity(1.1), activity(1.2)] },
+    { id: 2, name: 'Writing', activities: [activity(2.1)] }
+  ],
+  completedDays: { '1.1:2024-06-03': true }
+});
+
+describe('planSync', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('drops undefined values so Firestore accepts the plan', () => {
+    const plan = toSyncedPlan({ tasks: [{ id: 1, name: 'A', activities: [activity(1.1, { color: undefined })] }] });
+    expect(plan.tasks[0].activities[0]).not.toHaveProperty('color');
+    expect(plan.completedDays).toEqual({});
+  });
+
+  it('carries the project settings and owners, null when a stored plan predates them', () => {
+    const settings = { startDate: '2024-06-01', endDate: '2024-09-01', weekStartsOn: 1, locale: 'en-GB', weekendDays: [6, 0] };
+    const owners = [{ id: 'ME', name: 'Me', color: '#ef4444', capacity: 5 }];
+    expect(toSyncedPlan({ ...basePlan(), settings, owners })).toMatchObject({ settings, owners });
+    expect(toSyncedPlan(basePlan())).toMatchObject({ settings: null, owners: null });
+  });
+
+  it('stores the sync state per project', () => {
+    expect(loadSyncState('paper')).toEqual({ planId: null, revision: 0, base: null });
+
+    saveSyncState({ planId: 'u1_paper', revision: 3, base: basePlan() }, 'paper');
+    expect(loadSyncState('paper')).toEqual({ planId: 'u1_paper', revision: 3, base: basePlan() });
+    expect(loadSyncState()).toEqual({ planId: null, revision: 0, base: null });
+  });
+
+  it('combines edits to different activities and progress from both devices', () => {
+    const local = basePlan();
+    local.tasks[0].activities[0] = activity(1.1, { owner: 'SV' });
+    local.tasks[1].activities.push(activity(2.2));
+    local.completedDays['1.2:2024-06-04'] = true;
+
+    const remote = basePlan();
+    remote.tasks[0].activities[1] = activity(1.2, { endDate: '2024-06-14' });
+    remote.tasks[1].name = 'Write-up';
+    delete remote.completedDays['1.1:2024-06-03'];
+
+    const { plan, conflicts } = mergePlans(basePlan(), local, remote);
+    expect(conflicts).toEqual([]);
+    expect(plan.tasks[0].activities).toEqual([activity(1.1, { owner: 'SV' }), activity(1.2, { endDate: '2024-06-14' })]);
+    expect(plan.tasks[1].name).toBe('Write-up');
+    expect(plan.tasks[1].activities.map(a => a.id)).toEqual([2.1, 2.2]);
+    expect(plan.completedDays).toEqual({ '1.2:2024-06-04': true });
+  });
+
+  it('keeps deletions unless the other device edited the activity', () => {
+    const local = basePlan();
+    local.tasks[0].activities = [activity(1.2)];
+    const remote = basePlan();
+    remote.tasks.pop();
+
+    const { plan, conflicts } = mergePlans(basePlan(), local, remote);
+    expect(conflicts).toEqual([]);
+    expect(plan.tasks.map(t => t.id)).toEqual([1]);
+    expect(plan.tasks[0].activities.map(a => a.id)).toEqual([1.2]);
+
+    remote.tasks[0].activities[0] = activity(1.1, { name: 'Edited' });
+    const edited = mergePlans(basePlan(), local, remote);
+    expect(edited.plan.tasks[0].activities.map(a => a.id)).toEqual([1.1, 1.2]);
+    expect(edited.conflicts).toEqual([
+      expect.objectContaining({ key: 'activity:1.1', fields: null, local: null, remote: activity(1.1, { name: 'Edited' }) })
+    ]);
+  });
+
+  it('merges edits to different fields of the same activity', () => {
+    const local = basePlan();
+    local.tasks[0].activities[0] = activity(1.1, { owner: 'SV' });
+    const remote = basePlan();
+    remote.tasks[0].activities[0] = activity(1.1, { endDate: '2024-06-14', color: 'bg-red-500' });
+
+    const { plan, conflicts } = mergePlans(basePlan(), local, remote);
+    expect(conflicts).toEqual([]);
+    expect(plan.tasks[0].activities[0]).toEqual(activity(1.1, { owner: 'SV', endDate: '2024-06-14', color: 'bg-red-500' }));
+  });
+
+  it('reports fields both devices changed and resolves them per choice', () => {
+    const local = basePlan();
+    local.tasks[0].activities[0] = activity(1.1, { endDate: '2024-06-10', owner: 'SV' });
+    local.tasks[1].activities[0] = activity(2.1, { owner: 'SV' });
+    const remote = basePlan();
+    remote.tasks[0].activities[0] = activity(1.1, { endDate: '2024-06-21', name: 'Renamed' });
+    remote.tasks[1].activities[0] = activity(2.1, { owner: 'SME' });
+
+    const { plan, conflicts } = mergePlans(basePlan(), local, remote);
+    expect(conflicts.map(c => c.key)).toEqual(['activity:1.1', 'activity:2.1']);
+    expect(conflicts[0]).toEqual(expect.objectContaining({
+      fields: ['endDate'],
+      local: { endDate: '2024-06-10' },
+      remote: { endDate: '2024-06-21' }
+    }));
+    expect(plan.tasks[0].activities[0]).toEqual(activity(1.1, { endDate: '2024-06-10', owner: 'SV', name: 'Renamed' }));
+
+    const resolved = resolveConflicts(plan, conflicts, { 'activity:1.1': 'remote' });
+    expect(resolved.tasks[0].activities[0]).toEqual(activity(1.1, { endDate: '2024-06-21', owner: 'SV', name: 'Renamed' }));
+    expect(resolved.tasks[1].activities[0].owner).toBe('SV');
+  });
+
+  it('merges settings and owners per field, keeping local values that clash', () => {
+    const settings = { startDate: '2024-06-01', endDate: '2024-09-01', weekStartsOn: 6, locale: 'en-US' };
+    const owners = [{ id: 'ME', name: 'Me', color: '#ef4444', capacity: 5 }, { id: 'SV', name: 'Supervisor', color: '#2563eb', capacity: 2 }];
+    const base = { ...basePlan(), settings, owners };
+
+    const local = {
+      ...basePlan(),
+      settings: { ...settings, locale: 'en-GB', endDate: '2024-09-15' },
+      owners: [{ ...owners[0], capacity: 3 }, owners[1]]
+    };
+    const remote = {
+      ...basePlan(),
+      settings: { ...settings, endDate: '2024-09-30', weekendDays: [6, 0] },
+      owners: [owners[0], { ...owners[1], capacity: 1 }, { id: 'SME', name: 'Expert', color: '#16a34a', capacity: 2 }]
+    };
+
+    const { plan, conflicts } = mergePlans(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(plan.settings).toEqual({ ...settings, locale: 'en-GB', endDate: '2024-09-15', weekendDays: [6, 0] });
+    expect(plan.owners.map(owner => [owner.id, owner.capacity])).toEqual([['ME', 3], ['SV', 1], ['SME', 2]]);
+
+    // A plan stored before settings and owners were synced keeps the local ones
+    const old = mergePlans({ ...basePlan() }, local, { ...basePlan(), settings: null, owners: null });
+    expect(old.plan).toMatchObject({ settings: local.settings, owners: local.owners });
+  });
+
+  it('treats everything as changed when the devices never synced', () => {
+    const local = basePlan();
+    const remote = basePlan();
+    remote.tasks[0].activities[0] = activity(1.1, { name: 'Other' });
+    remote.tasks.push({ id: 3, name: 'Defence', activities: [] });
+
+    const { plan, conflicts } = mergePlans(null, local, remote);
+    expect(plan.tasks.map(t => t.id)).toEqual([1, 2, 3]);
+    expect(conflicts.map(c => c.key)).toEqual(['activity:1.1']);
+  });
+});
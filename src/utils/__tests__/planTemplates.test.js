@@ -0,0 +1,78 @@
+import {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  getTemplate,
+  getTemplateDuration,
+  validateTemplateName,
+  createTemplateFromPlan,
+  instantiateTemplate,
+  loadTemplates,
+  saveTemplates
+} from '../planTemplates';
+
+describe('planTemplates', () => {
+  beforeEach(() => {
+    localStorage.removeItem('gantt-templates');
+  });
+
+  it('lays the MSc thesis template out over the original thesis period', () => {
+    const msc = getTemplate(BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID);
+    const { tasks, startDate, endDate } = instantiateTemplate(msc, '2024-06-01');
+
+    expect(startDate).toBe('2024-06-01');
+    expect(endDate).toBe('2024-09-01');
+    expect(tasks[0].activities[0]).toEqual(expect.objectContaining({
+      id: 1.1, name: 'Confirm topic & objectives', startDate: '2024-06-02', endDate: '2024-06-04', files: []
+    }));
+    expect(tasks[0].activities[1].gatewayInfo.name).toBe('Research Proposal Approved');
+  });
+
+  it('keeps every built-in template consistent', () => {
+    BUILT_IN_TEMPLATES.forEach(template => {
+      const ids = template.tasks.flatMap(task => task.activities.map(activity => activity.id));
+      expect(new Set(ids).size).toBe(ids.length);
+      template.tasks.forEach(task => task.activities.forEach(activity => {
+        (activity.dependencies || []).forEach(dependency => expect(ids).toContain(dependency.predecessorId));
+      }));
+      expect(getTemplateDuration(template)).toBeGreaterThan(0);
+    });
+  });
+
+  it('round-trips a plan through a template to a new start date', () => {
+    const plan = [{
+      id: 1,
+      name: 'Writing',
+      activities: [
+        { id: 1.1, name: 'Draft', startDate: '2024-06-03', endDate: '2024-06-07', files: [{ name: 'a.pdf' }], dependencies: [] },
+        {
+          id: 1.2, name: 'Submit', startDate: '2024-06-10', endDate: '2024-06-10',
+          dependencies: [{ predecessorId: 1.1, type: 'FS', lag: 0 }],
+          isGateway: true, gatewayInfo: { name: 'Submitted', deliverables: ['Paper'], nextSteps: 'Wait' }
+        }
+      ]
+    }];
+
+    const template = createTemplateFromPlan(plan, ' Paper ', { startDate: '2024-06-01' });
+    expect(template.name).toBe('Paper');
+    expect(template.tasks[0].activities[0]).toEqual(expect.objectContaining({ startOffset: 2, durationDays: 5 }));
+    expect(getTemplateDuration(template)).toBe(10);
+
+    saveTemplates([template]);
+    const [stored] = loadTemplates();
+    const { tasks, endDate } = instantiateTemplate(stored, '2025-01-01');
+    expect(tasks[0].activities[0]).toEqual(expect.objectContaining({ startDate: '2025-01-03', endDate: '2025-01-07', files: [] }));
+    expect(tasks[0].activities[1]).toEqual(expect.objectContaining({
+      startDate: '2025-01-10',
+      dependencies: [{ predecessorId: 1.1, type: 'FS', lag: 0 }],
+      gatewayInfo: { name: 'Submitted', deliverables: ['Paper'], nextSteps: 'Wait' }
+    }));
+    expect(endDate).toBe('2025-01-10');
+  });
+
+  it('rejects empty and duplicate names and invalid start dates', () => {
+    expect(validateTemplateName('', BUILT_IN_TEMPLATES)).toBeTruthy();
+    expect(validateTemplateName('msc thesis', BUILT_IN_TEMPLATES)).toBeTruthy();
+    expect(validateTemplateName('Lab MSc', BUILT_IN_TEMPLATES)).toBeNull();
+    expect(() => instantiateTemplate(BUILT_IN_TEMPLATES[0], 'soon')).toThrow();
+  });
+});
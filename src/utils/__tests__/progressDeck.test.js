@@ -0,0 +1,73 @@
+import {
+  getFortnightDates,
+  loadDailyProgress,
+  summarizeDailyProgress,
+  chunkList,
+  getTaskSummary,
+  getPeriodFraction
+} from '../progressDeck';
+import { DEFAULT_PROJECT_SETTINGS } from '../projectTimeline';
+import { getProjectStorageKey } from '../projects';
+import { saveDailyTasks } from '../dailyTasks';
+
+describe('progressDeck', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-12', owner: 'ME' },
+        { id: 1.2, name: 'Proposal approved', startDate: '2024-06-13', endDate: '2024-06-13', owner: 'SV', isGateway: true, approval: { status: 'approved' } }
+      ]
+    }
+  ];
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('covers the fortnight up to today', () => {
+    const dates = getFortnightDates(new Date(2024, 5, 16, 15, 30));
+    expect(dates).toHaveLength(14);
+    expect(dates[0]).toBe('2024-06-03');
+    expect(dates[13]).toBe('2024-06-16');
+  });
+
+  it('reads the DailyProgress checklists of the fortnight', () => {
+    saveDailyTasks('2024-06-04', [
+      { id: 1, text: 'Send draft to supervisor', completed: true },
+      { id: 2, text: 'Book ethics meeting', completed: false }
+    ]);
+    saveDailyTasks('2024-06-05', []);
+    localStorage.setItem(getProjectStorageKey('daily-tasks-2024-06-06'), 'not json');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const days = loadDailyProgress(['2024-06-04', '2024-06-05', '2024-06-06', '2024-06-07']);
+    expect(days).toEqual([{
+      date: '2024-06-04',
+      items: [{ text: 'Send draft to supervisor', completed: true }, { text: 'Book ethics meeting', completed: false }]
+    }]);
+    expect(summarizeDailyProgress(days)).toEqual({ activeDays: 1, items: 2, completed: 1 });
+    console.warn.mockRestore();
+  });
+
+  it('splits lists over slides and places dates across the project period', () => {
+    expect(chunkList([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    expect(chunkList([], 9)).toEqual([[]]);
+
+    const settings = { ...DEFAULT_PROJECT_SETTINGS, startDate: '2024-06-01', endDate: '2024-06-10' };
+    expect(getPeriodFraction(settings, '2024-06-01')).toBe(0);
+    expect(getPeriodFraction(settings, '2024-06-06')).toBe(0.5);
+    expect(getPeriodFraction(settings, '2024-07-01')).toBe(1);
+  });
+
+  it('weights task progress by the days of each activity', () => {
+    const progress = { 1.1: 50, 1.2: 100 };
+    expect(getTaskSummary(tasks[0], activity => progress[activity.id])).toEqual({
+      startDate: '2024-06-03',
+      endDate: '2024-06-13',
+      progress: 55
+    });
+    expect(getTaskSummary({ activities: [] }, () => 0)).toEqual({ startDate: null, endDate: null, progress: 0 });
+  });
+});
@@ -0,0 +1,75 @@
+import {
+  DEFAULT_PROJECT_SETTINGS,
+  LEGACY_TIMELINE_ANCHOR,
+  buildTimelineWeeks,
+  getDateForCell,
+  getCellForDate,
+  getProjectDates,
+  loadProjectSettings,
+  saveProjectSettings,
+  validateProjectSettings
+} from '../projectTimeline';
+
+describe('projectTimeline', () => {
+  describe('buildTimelineWeeks', () => {
+    it('reproduces the original June - September 2024 grid with the default settings', () => {
+      const weeks = buildTimelineWeeks(DEFAULT_PROJECT_SETTINGS);
+
+      expect(weeks).toHaveLength(14);
+      expect(weeks[0].name).toBe('JUN 1-7');
+      expect(weeks[4].name).toBe('JUN 29-JUL 5');
+      expect(weeks[13].name).toBe('AUG 31-SEP 1');
+      expect(weeks[13].days.filter(day => day.inRange)).toHaveLength(2);
+    });
+
+    it('aligns the grid to the configured week start day', () => {
+      const weeks = buildTimelineWeeks({
+        ...DEFAULT_PROJECT_SETTINGS,
+        startDate: '2025-01-01',
+        endDate: '2025-01-31',
+        weekStartsOn: 1
+      });
+
+      // January 1, 2025 is a Wednesday, so the first Monday column is outside the project
+      expect(weeks[0].startDate).toBe('2024-12-30');
+      expect(weeks[0].days[0].inRange).toBe(false);
+      expect(weeks[0].days[2]).toEqual(expect.objectContaining({ date: '2025-01-01', inRange: true }));
+      expect(weeks[0].days.map(day => day.label)).toEqual(['M', 'T', 'W', 'T', 'F', 'S', 'S']);
+    });
+  });
+
+  describe('cell/date conversion', () => {
+    it('maps legacy week/day indexes onto calendar dates', () => {
+      expect(getDateForCell(LEGACY_TIMELINE_ANCHOR, 0, 0)).toBe('2024-06-01');
+      expect(getDateForCell(LEGACY_TIMELINE_ANCHOR, 13, 1)).toBe('2024-09-01');
+      expect(getCellForDate(LEGACY_TIMELINE_ANCHOR, '2024-06-15')).toEqual({ weekIndex: 2, dayIndex: 0 });
+    });
+
+    it('lists every project date inclusively', () => {
+      const dates = getProjectDates({ ...DEFAULT_PROJECT_SETTINGS, startDate: '2024-02-27', endDate: '2024-03-02' });
+      expect(dates).toEqual(['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02']);
+    });
+  });
+
+  describe('settings persistence', () => {
+    it('rejects an end date before the start date', () => {
+      const result = validateProjectSettings({ ...DEFAULT_PROJECT_SETTINGS, endDate: '2024-05-01' });
+      expect(result.isValid).toBe(false);
+      expect(() => saveProjectSettings({ ...DEFAULT_PROJECT_SETTINGS, endDate: '2024-05-01' })).toThrow();
+    });
+
+    beforeEach(() => {
+      localStorage.removeItem('gantt-project-settings');
+    });
+
+    it('falls back to defaults when nothing is stored', () => {
+      expect(loadProjectSettings()).toEqual(DEFAULT_PROJECT_SETTINGS);
+    });
+
+    it('round-trips saved settings', () => {
+      const settings = { startDate: '2025-09-01', endDate: '2028-08-31', weekStartsOn: 1, locale: 'en-GB' };
+      saveProjectSettings(settings);
+      expect(loadProjectSettings()).toEqual(settings);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import {
+  DEFAULT_PROJECT_ID,
+  loadProjects,
+  saveProjects,
+  getProjectStorageKey,
+  belongsToProject,
+  copyProjectData,
+  deleteProjectData,
+  validateProjectName,
+  addProject,
+  renameProject,
+  setActiveProject,
+  removeProject,
+  getCopyName
+} from '../projects';
+
+describe('projects', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('starts with the first project, which keeps the original storage keys', () => {
+    const registry = loadProjects();
+    expect(registry.activeProjectId).toBe(DEFAULT_PROJECT_ID);
+    expect(registry.projects).toHaveLength(1);
+    expect(getProjectStorageKey('gantt-tasks')).toBe('gantt-tasks');
+    expect(getProjectStorageKey('gantt-tasks', 'project_1')).toBe('gantt-tasks::project_1');
+  });
+
+  it('adds, renames, activates and removes projects', () => {
+    const { registry: added, project } = addProject(loadProjects(), '  Journal paper ');
+    expect(project.name).toBe('Journal paper');
+
+    const active = setActiveProject(renameProject(added, project.id, 'Paper'), project.id);
+    saveProjects(active);
+    expect(loadProjects()).toEqual(active);
+    expect(getProjectStorageKey('gantt-baselines')).toBe(`gantt-baselines::${project.id}`);
+
+    const removed = removeProject(active, project.id);
+    expect(removed.projects.map(p => p.id)).toEqual([DEFAULT_PROJECT_ID]);
+    expect(removed.activeProjectId).toBe(DEFAULT_PROJECT_ID);
+    expect(removeProject(removed, DEFAULT_PROJECT_ID)).toBe(removed);
+  });
+
+  it('copies and deletes only the project data of one project', () => {
+    localStorage.setItem('gantt-tasks', 'plan');
+    localStorage.setItem('daily-tasks-2024-06-03', '[1]');
+    localStorage.setItem('gantt-zoom-level', 'week');
+    localStorage.setItem('gantt-auto-schedule', 'true');
+    localStorage.setItem('gantt-tasks::other', 'other plan');
+
+    copyProjectData(DEFAULT_PROJECT_ID, 'copy');
+    expect(localStorage.getItem('gantt-tasks::copy')).toBe('plan');
+    expect(localStorage.getItem('daily-tasks-2024-06-03::copy')).toBe('[1]');
+    expect(localStorage.getItem('gantt-zoom-level::copy')).toBeNull();
+    expect(localStorage.getItem('gantt-auto-schedule::copy')).toBe('true');
+
+    deleteProjectData('copy');
+    expect(localStorage.getItem('gantt-tasks::copy')).toBeNull();
+    expect(localStorage.getItem('daily-tasks-2024-06-03::copy')).toBeNull();
+    expect(localStorage.getItem('gantt-auto-schedule::copy')).toBeNull();
+    expect(localStorage.getItem('gantt-tasks')).toBe('plan');
+    expect(localStorage.getItem('gantt-tasks::other')).toBe('other plan');
+  });
+
+  it('validates names and picks unused copy names', () => {
+    const projects = [{ id: 'a', name: 'Thesis' }, { id: 'b', name: 'Thesis (copy)' }];
+    expect(validateProjectName(' ', projects)).toBeTruthy();
+    expect(validateProjectName('thesis', projects)).toBeTruthy();
+    expect(validateProjectName('Thesis', projects, 'a')).toBeNull();
+    expect(getCopyName('Thesis', projects)).toBe('Thesis (copy 2)');
+  });
+
+  it('assigns records without a project to the first project', () => {
+    expect(belongsToProject({ title: 'Old note' }, DEFAULT_PROJECT_ID)).toBe(true);
+    expect(belongsToProject({ projectId: 'paper' }, DEFAULT_PROJECT_ID)).toBe(false);
+    expect(belongsToProject({ projectId: 'paper' }, 'paper')).toBe(true);
+  });
+});
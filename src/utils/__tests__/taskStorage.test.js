@@ -0,0 +1,26 @@
+import { TASK_STORAGE_VERSION, compressTasks, decompressTasks } from '../taskStorage';
+
+describe('taskStorage', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-12', owner: 'ME', dependencies: [], files: [{ name: 'draft.pdf' }], estimatedHours: 20 },
+        { id: 1.2, name: 'Proposal approved', startDate: '2024-06-13', endDate: '2024-06-13', owner: 'SV', isGateway: true, approval: { status: 'approved' } }
+      ]
+    }
+  ];
+
+  it('reads back what it stores', () => {
+    const stored = JSON.parse(JSON.stringify(compressTasks(tasks)));
+    expect(stored.v).toBe(TASK_STORAGE_VERSION);
+    expect(JSON.parse(JSON.stringify(decompressTasks(stored)))).toEqual(tasks);
+  });
+
+  it('converts week/day saves and plain task lists to dates', () => {
+    const legacy = { v: 1, t: [{ i: 1, n: 'Proposal', a: [{ i: 1.1, n: 'Write proposal', w: [0, 1], d: [2, 3], o: 'ME' }] }] };
+    expect(decompressTasks(legacy)[0].activities[0]).toMatchObject({ startDate: '2024-06-03', endDate: '2024-06-11', owner: 'ME' });
+    expect(decompressTasks(tasks)).toEqual(tasks);
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  ENTRY_SOURCES,
+  loadTimeEntries,
+  saveTimeEntries,
+  loadTimer,
+  saveTimer,
+  validateEstimate,
+  createTimeEntry,
+  startTimer,
+  stopTimer,
+  getActivityMinutes,
+  getEntriesForDate,
+  getEffortSummary,
+  getPlanEffort,
+  formatHours,
+  formatElapsed
+} from '../timeTracking';
+import { createTemplateFromPlan, instantiateTemplate } from '../planTemplates';
+
+const now = new Date('2025-06-04T17:00:00');
+
+const entries = [
+  { id: 't1', activityId: 1.1, date: '2025-06-02', minutes: 120, note: '', source: ENTRY_SOURCES.MANUAL },
+  { id: 't2', activityId: 1.1, date: '2025-06-03', minutes: 90, note: 'Search strings', source: ENTRY_SOURCES.TIMER },
+  { id: 't3', activityId: 1.2, date: '2025-06-03', minutes: 300, note: '', source: ENTRY_SOURCES.MANUAL }
+];
+
+describe('timeTracking', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('stores time entries and the running timer per project', () => {
+    saveTimeEntries(entries, 'p1');
+    expect(loadTimeEntries('p1')).toEqual(entries);
+    expect(loadTimeEntries('p2')).toEqual([]);
+
+    const timer = startTimer({ id: 1.1, name: 'Literature review' }, now);
+    saveTimer(timer, 'p1');
+    expect(loadTimer('p1')).toEqual({ activityId: 1.1, activityName: 'Literature review', startedAt: now.toISOString() });
+    saveTimer(null, 'p1');
+    expect(loadTimer('p1')).toBeNull();
+  });
+
+  it('validates estimates and time entries', () => {
+    expect(validateEstimate('')).toBeNull();
+    expect(validateEstimate('12.5')).toBeNull();
+    expect(validateEstimate(-1)).toMatch(/positive/);
+    expect(validateEstimate(20000)).toMatch(/exceed/);
+
+    const entry = createTimeEntry({ activityId: 1.1, date: '2025-06-04', minutes: 44.6, note: ' Notes ' }, now);
+    expect(entry).toMatchObject({ activityId: 1.1, date: '2025-06-04', minutes: 45, note: 'Notes', source: ENTRY_SOURCES.MANUAL });
+    expect(() => createTimeEntry({ activityId: null, date: '2025-06-04', minutes: 30 })).toThrow('Choose an activity');
+    expect(() => createTimeEntry({ activityId: 1.1, date: '2025-02-30', minutes: 30 })).toThrow('valid date');
+    expect(() => createTimeEntry({ activityId: 1.1, date: '2025-06-04', minutes: 0 })).toThrow('more than zero');
+    expect(() => createTimeEntry({ activityId: 1.1, date: '2025-06-04', minutes: 25 * 60 })).toThrow('24 hours');
+  });
+
+  it('turns a stopped timer into an entry on the day it started', () => {
+    const timer = startTimer({ id: 1.2, name: 'Proposal' }, new Date('2025-06-04T15:30:00'));
+    const entry = stopTimer(timer, now);
+    expect(entry).toMatchObject({ activityId: 1.2, date: '2025-06-04', minutes: 90, source: ENTRY_SOURCES.TIMER });
+    expect(stopTimer(timer, new Date('2025-06-04T15:30:10')).minutes).toBe(1);
+  });
+
+  it('sums time per activity and per day', () => {
+    expect(getActivityMinutes(entries, 1.1)).toBe(210);
+    expect(getEntriesForDate(entries, '2025-06-03').map(entry => entry.id)).toEqual(['t2', 't3']);
+  });
+
+  it('compares estimated and actual effort with the estimate-to-complete', () => {
+    expect(getEffortSummary({ id: 1.1, estimatedHours: 10 }, entries, 40)).toEqual({
+      estimatedHours: 10, actualHours: 3.5, etcHours: 6.5, overrunHours: 0
+    });
+    // Nothing left to do once every day is ticked off
+    expect(getEffortSummary({ id: 1.1, estimatedHours: 10 }, entries, 100).etcHours).toBe(0);
+    expect(getEffortSummary({ id: 1.2, estimatedHours: 4 }, entries, 50)).toEqual({
+      estimatedHours: 4, actualHours: 5, etcHours: 0, overrunHours: 1
+    });
+    expect(getEffortSummary({ id: 1.3 }, entries)).toEqual({
+      estimatedHours: null, actualHours: 0, etcHours: null, overrunHours: 0
+    });
+
+    const tasks = [{
+      id: 1,
+      name: 'Research',
+      activities: [{ id: 1.1, estimatedHours: 10 }, { id: 1.2, estimatedHours: 4 }, { id: 1.3 }]
+    }];
+    expect(getPlanEffort(tasks, entries)).toEqual({
+      estimatedHours: 14, actualHours: 8.5, etcHours: 6.5, estimatedActivities: 2, overrunActivities: 1
+    });
+  });
+
+  it('formats hours and elapsed time', () => {
+    expect(formatHours(1.5)).toBe('1.5h');
+    expect(formatHours(0.75)).toBe('45m');
+    expect(formatHours(0)).toBe('0h');
+    expect(formatHours(null)).toBe('');
+    expect(formatElapsed(65.15)).toBe('1:05:09');
+  });
+
+  it('keeps estimates in saved templates', () => {
+    const plan = [{
+      id: 1,
+      name: 'Research',
+      activities: [{ id: 1.1, name: 'Review', startDate: '2025-06-02', endDate: '2025-06-06', owner: 'ME', color: 'bg-blue-400', estimatedHours: 12 }]
+    }];
+    const template = createTemplateFromPlan(plan, 'With estimates');
+    expect(template.tasks[0].activities[0].estimatedHours).toBe(12);
+    expect(instantiateTemplate(template, '2026-01-05').tasks[0].activities[0].estimatedHours).toBe(12);
+  });
+});
@@ -0,0 +1,48 @@
+import { buildTimelineColumns, getColumnSegment, getTodayMarker } from '../timelineZoom';
+import { DEFAULT_PROJECT_SETTINGS } from '../projectTimeline';
+
+describe('timelineZoom', () => {
+  const settings = DEFAULT_PROJECT_SETTINGS; // 2024-06-01 to 2024-09-01, weeks start on Saturday
+
+  it('buckets the project into days, weeks, months and quarters', () => {
+    const days = buildTimelineColumns(settings, 'day');
+    expect(days.columns).toHaveLength(14 * 7);
+    expect(days.groups[0]).toEqual(expect.objectContaining({ label: 'JUN 1-7', span: 7 }));
+
+    const weeks = buildTimelineColumns(settings, 'week');
+    expect(weeks.columns[0]).toEqual(expect.objectContaining({ label: 'W1', startDate: '2024-06-01', endDate: '2024-06-07' }));
+    expect(weeks.groups.reduce((sum, group) => sum + group.span, 0)).toBe(weeks.columns.length);
+
+    const months = buildTimelineColumns(settings, 'month');
+    expect(months.columns.map(column => column.startDate)).toEqual(['2024-06-01', '2024-07-01', '2024-08-01', '2024-09-01']);
+    expect(months.groups).toEqual([{ key: '2024', label: '2024', span: 4 }]);
+
+    const quarters = buildTimelineColumns(settings, 'quarter');
+    expect(quarters.columns.map(column => [column.label, column.endDate])).toEqual([['Q2', '2024-06-30'], ['Q3', '2024-09-30']]);
+  });
+
+  it('aggregates bar coverage and completion per column', () => {
+    const activity = { id: '1.1', startDate: '2024-06-05', endDate: '2024-06-11', workingDays: [1, 2, 3, 4, 5] };
+    const [firstWeek, secondWeek, thirdWeek] = buildTimelineColumns(settings, 'week').columns;
+    const completedDays = { '1.1:2024-06-05': true, '1.1:2024-06-06': true };
+
+    expect(getColumnSegment(activity, firstWeek, completedDays)).toEqual({
+      from: 4 / 7,
+      to: 1,
+      isStart: true,
+      isEnd: false,
+      dates: ['2024-06-05', '2024-06-06', '2024-06-07'],
+      completedCount: 2
+    });
+    expect(getColumnSegment(activity, secondWeek, completedDays)).toEqual(expect.objectContaining({
+      from: 0, isStart: false, isEnd: true, dates: ['2024-06-10', '2024-06-11'], completedCount: 0
+    }));
+    expect(getColumnSegment(activity, thirdWeek)).toBeNull();
+  });
+
+  it('places the today marker inside its column', () => {
+    const { columns } = buildTimelineColumns(settings, 'month');
+    expect(getTodayMarker(columns, '2024-07-16')).toEqual({ columnIndex: 1, offset: 15.5 / 31 });
+    expect(getTodayMarker(columns, '2025-01-01')).toBeNull();
+  });
+});
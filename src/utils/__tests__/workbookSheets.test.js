@@ -0,0 +1,132 @@
+import {
+  WORKBOOK_SHEETS,
+  ACTIVITY_COLUMNS,
+  buildActivityRows,
+  buildGatewayRows,
+  buildCompletedDayRows,
+  parseCellDate,
+  parseActivityRows
+} from '../workbookSheets';
+import { DEFAULT_OWNERS } from '../owners';
+import { getDeliverables, getDeliverableCompletion } from '../deliverables';
+
+describe('workbookSheets', () => {
+  const tasks = [
+    {
+      id: 1,
+      name: 'Proposal',
+      activities: [
+        { id: 1.1, name: 'Write proposal', startDate: '2024-06-03', endDate: '2024-06-14', owner: 'ME', isGateway: false, estimatedHours: 20, files: [{ name: 'draft.docx' }] },
+        {
+          id: 1.2, name: 'Proposal approved', startDate: '2024-06-17', endDate: '2024-06-17', owner: 'SV', isGateway: true,
+          dependencies: [{ predecessorId: 1.1, type: 'FS', lag: 0 }],
+          gatewayInfo: { name: 'Approved', deliverables: [{ id: 'd1', text: 'Signed form', done: true }, 'Ethics'] }
+        }
+      ]
+    },
+    { id: 2, name: 'Research', activities: [{ id: 2.1, name: 'Interviews', startDate: '2024-07-01', endDate: '2024-07-19', owner: 'ME', isGateway: false }] },
+    { id: 3, name: 'Writing', activities: [] }
+  ];
+  const options = { owners: DEFAULT_OWNERS, settings: { startDate: '2024-06-01', endDate: '2024-09-01', weekStartsOn: 6 } };
+  const rowsFor = (plan) => buildActivityRows(plan, () => 0);
+
+  it('lays out the activity, gateway and completed-day sheets', () => {
+    const rows = buildActivityRows(tasks, activity => (activity.id === 1.1 ? 50 : 0));
+    expect(rows[0]).toEqual(ACTIVITY_COLUMNS);
+    expect(rows[1]).toEqual([1, 'Proposal', 1.1, 'Write proposal', 'ME', '2024-06-03', '2024-06-14', 'No', '50%', 20, 'draft.docx']);
+    expect(rows).toHaveLength(4);
+
+    const gateway = tasks[0].activities[1];
+    const gateways = [{ activityId: gateway.id, name: gateway.gatewayInfo.name, ...getDeliverableCompletion(gateway), deliverables: getDeliverables(gateway) }];
+    expect(buildGatewayRows(gateways).slice(1)).toEqual([
+      ['Approved', 1.2, '1 of 2', 'Signed form', 'Yes', ''],
+      ['Approved', 1.2, '1 of 2', 'Ethics', 'No', '']
+    ]);
+
+    const completedDays = { '2.1:2024-07-01': true, '1.1:2024-06-04': true, '1.1:2024-06-03': true, '9.9:2024-06-03': true };
+    expect(buildCompletedDayRows(tasks, completedDays).slice(1)).toEqual([
+      ['2024-06-03', 'Proposal', 1.1, 'Write proposal'],
+      ['2024-06-04', 'Proposal', 1.1, 'Write proposal'],
+      ['2024-07-01', 'Research', 2.1, 'Interviews']
+    ]);
+  });
+
+  it('reads dates typed as text, Excel dates and serial numbers', () => {
+    expect(parseCellDate('2024-06-03')).toBe('2024-06-03');
+    expect(parseCellDate(new Date(2024, 5, 3))).toBe('2024-06-03');
+    expect(parseCellDate(45446)).toBe('2024-06-03');
+    expect(parseCellDate('2024-02-30')).toBeNull();
+    expect(parseCellDate('03/06/2024')).toBeNull();
+    expect(parseCellDate('')).toBeNull();
+  });
+
+  it('rebuilds an unchanged sheet into the same plan', () => {
+    const result = parseActivityRows(rowsFor(tasks), tasks, options);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+    expect(result.tasks).toEqual(tasks);
+    expect(result.summary).toEqual({ tasks: 3, activities: 3, added: 0, updated: 0, removed: 0 });
+  });
+
+  it('applies edits, new rows and deleted rows', () => {
+    const rows = rowsFor(tasks);
+    rows[1][3] = 'Write research proposal';
+    rows[1][9] = '';
+    rows.splice(2, 1); // Proposal approved
+    rows.push([2, 'Research', '', 'Transcribe', 'sme', '2024-07-22', '2024-07-26', 'no', '', 6, '']);
+    rows.push(['', 'Analysis', '', 'Coding', 'XY', '2024-08-01', '2024-09-15', '', '', '', '']);
+
+    const result = parseActivityRows(rows, tasks, options);
+    expect(result.errors).toEqual([]);
+    expect(result.summary).toEqual({ tasks: 4, activities: 4, added: 2, updated: 1, removed: 1 });
+    expect(result.tasks.map(task => [task.id, task.name, task.activities.map(activity => activity.id)])).toEqual([
+      [1, 'Proposal', [1.1]],
+      [2, 'Research', [2.1, 2.2]],
+      [4, 'Analysis', [4.1]],
+      [3, 'Writing', []]
+    ]);
+    expect(result.tasks[0].activities[0]).toEqual({
+      id: 1.1, name: 'Write research proposal', startDate: '2024-06-03', endDate: '2024-06-14', owner: 'ME', isGateway: false, files: [{ name: 'draft.docx' }]
+    });
+    expect(result.tasks[1].activities[1]).toMatchObject({ name: 'Transcribe', owner: 'SME', estimatedHours: 6, dependencies: [] });
+    expect(result.warnings.map(warning => [warning.row, warning.message])).toEqual([
+      [5, 'Owner XY is not one of the project\'s owners'],
+      [5, '"Coding" runs outside the project period'],
+      [null, '"Proposal approved" is not in the sheet and will be removed']
+    ]);
+  });
+
+  it('reports invalid rows without returning a plan', () => {
+    const rows = rowsFor(tasks);
+    rows[1][5] = '2024-13-01';
+    rows[2][6] = '2024-06-10';
+    rows[3][2] = 1.1;
+    rows[3][7] = 'maybe';
+
+    const result = parseActivityRows(rows, tasks, options);
+    expect(result.tasks).toBeNull();
+    expect(result.errors.map(error => [error.row, error.message])).toEqual([
+      [2, 'Start date must be a date (YYYY-MM-DD)'],
+      [3, 'End date must be on or after the start date'],
+      [4, 'Gateway must be Yes or No'],
+      [4, 'Activity ID 1.1 appears more than once']
+    ]);
+    expect(parseActivityRows([['Task', 'Activity']], tasks, options).errors[0].message)
+      .toBe('The Activities sheet is missing the Start Date, End Date columns');
+  });
+
+  it('refuses to change or remove approved gateways', () => {
+    const isLocked = activity => activity.isGateway;
+    const rows = rowsFor(tasks);
+    rows[2][6] = '2024-06-18';
+    expect(parseActivityRows(rows, tasks, { ...options, isLocked }).errors).toEqual([
+      { row: 3, message: '"Proposal approved" is an approved gateway; only a supervisor can change it' }
+    ]);
+
+    rows.splice(2, 1);
+    expect(parseActivityRows(rows, tasks, { ...options, isLocked }).errors).toEqual([
+      { row: null, message: '"Proposal approved" is an approved gateway and cannot be removed' }
+    ]);
+    expect(parseActivityRows(rowsFor(tasks), tasks, { ...options, isLocked }).errors).toEqual([]);
+  });
+});
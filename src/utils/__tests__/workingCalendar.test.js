@@ -0,0 +1,139 @@
+import {
+  NON_WORKING_TYPES,
+  SATURDAY_SUNDAY,
+  validateWorkingCalendar,
+  addNonWorkingPeriod,
+  removeNonWorkingPeriod,
+  getNonWorkingReason,
+  nextWorkingDate,
+  countWorkingDays,
+  addWorkingDays
+} from '../workingCalendar';
+import { DEFAULT_PROJECT_SETTINGS } from '../projectTimeline';
+import { calculateActivityProgress, getCompletedDayKey, getWorkingDuration } from '../activityDates';
+import { buildTimelineColumns } from '../timelineZoom';
+import { calculateCriticalPath } from '../criticalPath';
+import { rescheduleTasks } from '../autoSchedule';
+import { getLinkedEarliestStart, isDependencySatisfied } from '../activityDependencies';
+
+// 2025-06-02 is a Monday; Whit Monday falls a week later
+const calendar = {
+  ...DEFAULT_PROJECT_SETTINGS,
+  startDate: '2025-06-01',
+  endDate: '2025-06-30',
+  weekendDays: SATURDAY_SUNDAY,
+  nonWorkingPeriods: [
+    { id: 'p1', name: 'Whit Monday', type: NON_WORKING_TYPES.HOLIDAY, startDate: '2025-06-09', endDate: '2025-06-09' }
+  ]
+};
+
+const buildTasks = (endOfDraft = '2025-06-06') => [{
+  id: 1,
+  name: 'Writing',
+  activities: [
+    { id: '1.1', name: 'Draft', startDate: '2025-06-02', endDate: endOfDraft },
+    { id: '1.2', name: 'Revise', startDate: '2025-06-09', endDate: '2025-06-13', dependencies: [{ predecessorId: '1.1', type: 'FS', lag: 0 }] }
+  ]
+}];
+
+describe('workingCalendar', () => {
+  it('explains why a day is not a working day', () => {
+    expect(getNonWorkingReason(calendar, '2025-06-09')).toEqual({ type: NON_WORKING_TYPES.HOLIDAY, name: 'Whit Monday' });
+    expect(getNonWorkingReason(calendar, '2025-06-07')).toEqual({ type: 'weekend', name: 'Weekend' });
+    expect(getNonWorkingReason(calendar, '2025-06-10')).toBeNull();
+    expect(getNonWorkingReason(DEFAULT_PROJECT_SETTINGS, '2025-06-07')).toBeNull();
+  });
+
+  it('counts and steps over working days', () => {
+    expect(countWorkingDays(calendar, '2025-06-02', '2025-06-13')).toBe(9);
+    expect(countWorkingDays(null, '2025-06-02', '2025-06-13')).toBe(12);
+    expect(nextWorkingDate(calendar, '2025-06-07')).toBe('2025-06-10');
+    expect(nextWorkingDate(calendar, '2025-06-09', -1)).toBe('2025-06-06');
+    expect(addWorkingDays(calendar, '2025-06-06', 1)).toBe('2025-06-10');
+    expect(addWorkingDays(calendar, '2025-06-10', -1)).toBe('2025-06-06');
+    expect(addWorkingDays(null, '2025-06-06', 1)).toBe('2025-06-07');
+  });
+
+  it('validates weekends and non-working periods', () => {
+    expect(validateWorkingCalendar(calendar)).toBeNull();
+    expect(validateWorkingCalendar({ weekendDays: [0, 1, 2, 3, 4, 5, 6] })).toMatch(/At least one day/);
+    expect(validateWorkingCalendar({ weekendDays: [7] })).toMatch(/Weekend days/);
+
+    const withLeave = addNonWorkingPeriod(calendar, {
+      name: ' Annual leave ', type: NON_WORKING_TYPES.LEAVE, startDate: '2025-06-03', endDate: '2025-06-04'
+    });
+    expect(withLeave.nonWorkingPeriods.map(period => period.name)).toEqual(['Annual leave', 'Whit Monday']);
+    expect(removeNonWorkingPeriod(withLeave, 'p1').nonWorkingPeriods).toHaveLength(1);
+    expect(() => addNonWorkingPeriod(calendar, {
+      name: 'Conference', type: NON_WORKING_TYPES.CONFERENCE, startDate: '2025-06-20', endDate: '2025-06-18'
+    })).toThrow('on or after');
+  });
+
+  it('leaves non-working days out of progress and durations', () => {
+    const activity = { id: '1.1', startDate: '2025-06-02', endDate: '2025-06-13' };
+    const completedDays = ['2025-06-02', '2025-06-03', '2025-06-04', '2025-06-05', '2025-06-06']
+      .reduce((days, date) => ({ ...days, [getCompletedDayKey('1.1', date)]: true }), {});
+
+    expect(calculateActivityProgress(activity, completedDays, calendar)).toBeCloseTo((5 / 9) * 100);
+    expect(calculateActivityProgress(activity, completedDays, DEFAULT_PROJECT_SETTINGS)).toBe(0);
+    expect(getWorkingDuration(activity, calendar)).toBe(9);
+  });
+
+  it('marks non-working day columns on the chart', () => {
+    const columns = buildTimelineColumns(calendar, 'day').columns;
+    const column = (date) => columns.find(c => c.startDate === date);
+
+    expect(column('2025-06-09').nonWorking).toEqual({ type: NON_WORKING_TYPES.HOLIDAY, name: 'Whit Monday' });
+    expect(column('2025-06-14').nonWorking).toEqual({ type: 'weekend', name: 'Weekend' });
+    expect(column('2025-06-10').nonWorking).toBeNull();
+  });
+
+  it('measures the critical path in working days', () => {
+    const schedule = calculateCriticalPath(buildTasks(), calendar);
+
+    expect(schedule.activities['1.2']).toMatchObject({
+      earliestStart: '2025-06-10',
+      earliestFinish: '2025-06-13',
+      totalFloat: 0
+    });
+    expect(schedule.projectFinish).toBe('2025-06-13');
+    expect(schedule.criticalPath).toEqual(['1.1', '1.2']);
+  });
+
+  it('reschedules onto working days and keeps the working duration', () => {
+    const result = rescheduleTasks(buildTasks('2025-06-13'), calendar);
+
+    // Revise has four working days; it now starts after the weekend
+    expect(result.changes.map(change => [change.activityId, change.to.startDate, change.to.endDate])).toEqual([
+      ['1.2', '2025-06-16', '2025-06-19']
+    ]);
+    expect(rescheduleTasks(buildTasks('2025-06-13')).changes[0].to).toEqual({ startDate: '2025-06-14', endDate: '2025-06-18' });
+  });
+
+  it('counts link lags in working days in both the cascade and the critical path', () => {
+    // Draft runs Mon-Fri; Review is FS +2 and planned for the following Tuesday
+    const weekdays = { ...calendar, nonWorkingPeriods: [] };
+    const tasks = [{
+      id: 1,
+      name: 'Writing',
+      activities: [
+        { id: 1.1, name: 'Draft', startDate: '2025-06-02', endDate: '2025-06-06' },
+        { id: 1.2, name: 'Review', startDate: '2025-06-10', endDate: '2025-06-10', dependencies: [{ predecessorId: 1.1, type: 'FS', lag: 2 }] }
+      ]
+    }];
+    const link = tasks[0].activities[1].dependencies[0];
+
+    const earliestStart = calculateCriticalPath(tasks, weekdays).activities[1.2].earliestStart;
+    expect(earliestStart).toBe('2025-06-11');
+    expect(getLinkedEarliestStart(tasks[0].activities[0], tasks[0].activities[1], link, weekdays)).toBe(earliestStart);
+    expect(isDependencySatisfied(tasks[0].activities[0], tasks[0].activities[1], link, weekdays)).toBe(false);
+    expect(rescheduleTasks(tasks, weekdays).changes[0].to).toEqual({ startDate: earliestStart, endDate: earliestStart });
+
+    // FF +1 from Draft lets the one-day Review finish from Monday, so its planned Tuesday stands
+    const finishLink = { predecessorId: 1.1, type: 'FF', lag: 1 };
+    const finishTasks = [{ ...tasks[0], activities: [tasks[0].activities[0], { ...tasks[0].activities[1], dependencies: [finishLink] }] }];
+    expect(calculateCriticalPath(finishTasks, weekdays).activities[1.2].earliestStart).toBe('2025-06-10');
+    expect(getLinkedEarliestStart(tasks[0].activities[0], tasks[0].activities[1], finishLink, weekdays)).toBe('2025-06-09');
+    expect(isDependencySatisfied(tasks[0].activities[0], tasks[0].activities[1], finishLink, weekdays)).toBe(true);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Activity Date Utility
+ * Shared date-range model for Gantt activities. Activities carry ISO
+ * `startDate`/`endDate` values and an optional `workingDays` calendar
+ * (weekday numbers, 0 = Sunday). Progress, rendering and export all read
+ * activity days through this module. Where project settings are passed as
+ * the range, the days of the project's working calendar that are not working
+ * days (weekends, holidays, leave) are left out as well.
+ */
+
+import {
+  LEGACY_TIMELINE_ANCHOR,
+  parseISODate,
+  toISODate,
+  addDays,
+  daysBetween,
+  getDateForCell
+} from './projectTimeline';
+import { isNonWorkingDate, countWorkingDays } from './workingCalendar';
+
+export const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+export const WEEKDAYS_ONLY = [1, 2, 3, 4, 5];
+
+const COMPLETED_DAY_SEPARATOR = ':';
+
+// Completed days are keyed `${activityId}:${isoDate}`
+export const getCompletedDayKey = (activityId, isoDate) => {
+  return `${activityId}${COMPLETED_DAY_SEPARATOR}${isoDate}`;
+};
+
+/**
+ * @param {Object} [calendar] - Project working calendar, e.g. the project settings
+ */
+export const isWorkingDay = (activity, isoDate, calendar = null) => {
+  if (isNonWorkingDate(calendar, isoDate)) return false;
+  if (!Array.isArray(activity.workingDays) || activity.workingDays.length === 0) {
+    return true;
+  }
+  return activity.workingDays.includes(parseISODate(isoDate).getDay());
+};
+
+// True when the date lies within the activity's range and on one of its working days
+export const isDateInActivity = (activity, isoDate, calendar = null) => {
+  if (!activity.startDate || !activity.endDate) return false;
+  if (isoDate < activity.startDate || isoDate > activity.endDate) return false;
+  return isWorkingDay(activity, isoDate, calendar);
+};
+
+/**
+ * List the working dates of an activity
+ * @param {Object} activity - Activity with startDate/endDate
+ * @param {Object} [range] - Optional { startDate, endDate } to clamp to, e.g. the project settings
+ * @param {Object} [calendar] - Working calendar; defaults to the range, so project settings bring their calendar
+ * @returns {string[]} ISO dates
+ */
+export const getActivityDates = (activity, range = null, calendar = range) => {
+  if (!activity.startDate || !activity.endDate) return [];
+
+  const from = range && range.startDate > activity.startDate ? range.startDate : activity.startDate;
+  const to = range && range.endDate < activity.endDate ? range.endDate : activity.endDate;
+  if (to < from) return [];
+
+  const start = parseISODate(from);
+  const total = daysBetween(start, parseISODate(to));
+  const dates = [];
+  for (let i = 0; i <= total; i++) {
+    const date = toISODate(addDays(start, i));
+    if (isWorkingDay(activity, date, calendar)) {
+      dates.push(date);
+    }
+  }
+  return dates;
+};
+
+// Calendar length of an activity in days, inclusive of both ends
+export const getActivityDuration = (activity) => {
+  if (!activity.startDate || !activity.endDate) return 0;
+  return daysBetween(parseISODate(activity.startDate), parseISODate(activity.endDate)) + 1;
+};
+
+// Length of an activity in working days of the project calendar, inclusive of both ends
+export const getWorkingDuration = (activity, calendar = null) => {
+  if (!activity.startDate || !activity.endDate) return 0;
+  return countWorkingDays(calendar, activity.startDate, activity.endDate);
+};
+
+/**
+ * New dates for an activity dragged by `deltaDays`
+ * @param {'move'|'resize-start'|'resize-end'} mode - Move the whole bar or one of its edges
+ * @returns {{startDate: string, endDate: string}} Resized bars never go below one day
+ */
+export const shiftActivityDates = (activity, mode, deltaDays) => {
+  const shift = (isoDate) => toISODate(addDays(parseISODate(isoDate), deltaDays));
+  const { startDate, endDate } = activity;
+
+  if (mode === 'resize-start') {
+    const newStart = shift(startDate);
+    return { startDate: newStart > endDate ? endDate : newStart, endDate };
+  }
+  if (mode === 'resize-end') {
+    const newEnd = shift(endDate);
+    return { startDate, endDate: newEnd < startDate ? startDate : newEnd };
+  }
+  return { startDate: shift(startDate), endDate: shift(endDate) };
+};
+
+/**
+ * Percentage of an activity's working days marked complete
+ * @returns {number} 0-100 (not rounded)
+ */
+export const calculateActivityProgress = (activity, completedDays = {}, range = null) => {
+  const dates = getActivityDates(activity, range);
+  if (dates.length === 0) return 0;
+
+  const completedCount = dates.filter(date => completedDays[getCompletedDayKey(activity.id, date)]).length;
+  return (completedCount / dates.length) * 100;
+};
+
+// Earliest start and latest end across a set of activities
+export const getDateBounds = (activities) => {
+  const dated = activities.filter(activity => activity.startDate && activity.endDate);
+  if (dated.length === 0) return null;
+
+  return {
+    startDate: dated.reduce((min, a) => (a.startDate < min ? a.startDate : min), dated[0].startDate),
+    endDate: dated.reduce((max, a) => (a.endDate > max ? a.endDate : max), dated[0].endDate)
+  };
+};
+
+/**
+ * Find periods longer than `maxGapDays` that no activity covers
+ * @returns {Array<{from: string, to: string, days: number}>}
+ */
+export const findCoverageGaps = (activities, maxGapDays) => {
+  const ranges = activities
+    .filter(activity => activity.startDate && activity.endDate)
+    .map(activity => ({ startDate: activity.startDate, endDate: activity.endDate }))
+    .sort((a, b) => (a.startDate < b.startDate ? -1 : 1));
+
+  const gaps = [];
+  let coveredUntil = null;
+  ranges.forEach(range => {
+    if (coveredUntil) {
+      const gapDays = daysBetween(parseISODate(coveredUntil), parseISODate(range.startDate)) - 1;
+      if (gapDays > maxGapDays) {
+        gaps.push({
+          from: toISODate(addDays(parseISODate(coveredUntil), 1)),
+          to: toISODate(addDays(parseISODate(range.startDate), -1)),
+          days: gapDays
+        });
+      }
+    }
+    if (!coveredUntil || range.endDate > coveredUntil) {
+      coveredUntil = range.endDate;
+    }
+  });
+
+  return gaps;
+};
+
+// Legacy conversion layer ------------------------------------------------
+
+export const isLegacyActivity = (activity) => {
+  return !activity.startDate && Array.isArray(activity.weeks) && Array.isArray(activity.days);
+};
+
+/**
+ * Convert a legacy activity (parallel `weeks`/`days` index arrays) to the date model.
+ * The first entry of `days` is the start day in the first week and the last
+ * entry is the end day in the last week.
+ * @param {Object} activity - Legacy activity
+ * @param {Object} anchor - Timeline anchor the indexes refer to
+ */
+export const fromLegacyActivity = (activity, anchor = LEGACY_TIMELINE_ANCHOR) => {
+  if (!isLegacyActivity(activity)) return activity;
+
+  const { weeks, days, ...rest } = activity;
+  if (weeks.length === 0 || days.length === 0) {
+    return { ...rest, startDate: null, endDate: null };
+  }
+
+  return {
+    ...rest,
+    startDate: getDateForCell(anchor, weeks[0], days[0]),
+    endDate: getDateForCell(anchor, weeks[weeks.length - 1], days[days.length - 1])
+  };
+};
+
+// Bring every activity of a task list onto the date model
+export const normalizeTasks = (tasks, anchor = LEGACY_TIMELINE_ANCHOR) => {
+  if (!Array.isArray(tasks)) return tasks;
+  return tasks.map(task => ({
+    ...task,
+    activities: (task.activities || []).map(activity => fromLegacyActivity(activity, anchor))
+  }));
+};
+
+// Legacy completed-day keys are `${activityId}-${weekIndex}-${dayIndex}`
+export const migrateLegacyCompletedDays = (completedDays, anchor = LEGACY_TIMELINE_ANCHOR) => {
+  if (!completedDays || typeof completedDays !== 'object') return {};
+
+  return Object.keys(completedDays).reduce((result, key) => {
+    if (key.includes(COMPLETED_DAY_SEPARATOR)) {
+      result[key] = completedDays[key];
+      return result;
+    }
+    const match = key.match(/^(.+)-(\d+)-(\d+)$/);
+    if (match) {
+      const [, activityId, weekIndex, dayIndex] = match;
+      const date = getDateForCell(anchor, Number(weekIndex), Number(dayIndex));
+      result[getCompletedDayKey(activityId, date)] = completedDays[key];
+    }
+    return result;
+  }, {});
+};
+
+// Export default object with all functions
+export default {
+  getCompletedDayKey,
+  isWorkingDay,
+  isDateInActivity,
+  getActivityDates,
+  getActivityDuration,
+  getWorkingDuration,
+  shiftActivityDates,
+  calculateActivityProgress,
+  getDateBounds,
+  findCoverageGaps,
+  isLegacyActivity,
+  fromLegacyActivity,
+  normalizeTasks,
+  migrateLegacyCompletedDays
+};
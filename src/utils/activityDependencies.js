@@ -0,0 +1,233 @@
+/**
+ * Activity Dependency Utility
+ * Explicit links between activities. Links are stored on the successor
+ * activity as `dependencies: [{ predecessorId, type, lag }]`, so they travel
+ * with the task data. `lag` is a number of working days of the project
+ * calendar (calendar days when it has no weekends or holidays) and may be
+ * negative (lead time).
+ */
+
+import { getWorkingDuration } from './activityDates';
+import { nextWorkingDate, addWorkingDays } from './workingCalendar';
+
+export const DEPENDENCY_TYPES = {
+  FS: { label: 'Finish-to-Start', from: 'end', to: 'start' },
+  SS: { label: 'Start-to-Start', from: 'start', to: 'start' },
+  FF: { label: 'Finish-to-Finish', from: 'end', to: 'end' },
+  SF: { label: 'Start-to-Finish', from: 'start', to: 'end' }
+};
+
+export const DEFAULT_DEPENDENCY_TYPE = 'FS';
+
+// Locate an activity and its parent task by activity id
+export const findActivity = (tasks, activityId) => {
+  for (const task of tasks) {
+    const activity = (task.activities || []).find(a => a.id === activityId);
+    if (activity) return { task, activity };
+  }
+  return null;
+};
+
+/**
+ * Flatten every stored dependency into a list of links
+ * @returns {Array<{id: string, predecessorId: string, successorId: string, type: string, lag: number}>}
+ */
+export const getDependencyLinks = (tasks) => {
+  const links = [];
+  tasks.forEach(task => {
+    (task.activities || []).forEach(activity => {
+      (activity.dependencies || []).forEach(dependency => {
+        links.push({
+          id: `${dependency.predecessorId}->${activity.id}`,
+          predecessorId: dependency.predecessorId,
+          successorId: activity.id,
+          type: dependency.type || DEFAULT_DEPENDENCY_TYPE,
+          lag: dependency.lag || 0
+        });
+      });
+    });
+  });
+  return links;
+};
+
+// Links whose predecessor is one of the given activities
+export const getSuccessorLinks = (tasks, activityIds) => {
+  const ids = Array.isArray(activityIds) ? activityIds : [activityIds];
+  return getDependencyLinks(tasks).filter(link => ids.includes(link.predecessorId));
+};
+
+// True when linking predecessor -> successor would close a loop
+export const wouldCreateCycle = (tasks, predecessorId, successorId) => {
+  const links = getDependencyLinks(tasks);
+  const visited = new Set();
+  const stack = [successorId];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === predecessorId) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+    links
+      .filter(link => link.predecessorId === current)
+      .forEach(link => stack.push(link.successorId));
+  }
+  return false;
+};
+
+/**
+ * Order activity ids so every predecessor comes before its successors (Kahn's algorithm).
+ * Activities caught in a cycle are appended in their original order.
+ * @param {string[]} ids - Activity ids
+ * @param {Array} links - Links from getDependencyLinks, limited to those ids
+ * @returns {{order: string[], hasCycle: boolean}}
+ */
+export const sortByDependencies = (ids, links) => {
+  const incoming = new Map(ids.map(id => [id, 0]));
+  links.forEach(link => incoming.set(link.successorId, incoming.get(link.successorId) + 1));
+
+  const queue = ids.filter(id => incoming.get(id) === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    links
+      .filter(link => link.predecessorId === id)
+      .forEach(link => {
+        incoming.set(link.successorId, incoming.get(link.successorId) - 1);
+        if (incoming.get(link.successorId) === 0) queue.push(link.successorId);
+      });
+  }
+
+  const hasCycle = order.length < ids.length;
+  if (hasCycle) {
+    ids.filter(id => !order.includes(id)).forEach(id => order.push(id));
+  }
+  return { order, hasCycle };
+};
+
+/**
+ * Validate a new or edited link
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export const validateDependency = (tasks, { predecessorId, successorId, type, lag }) => {
+  const errors = [];
+
+  if (predecessorId === successorId) {
+    errors.push('An activity cannot depend on itself');
+  }
+  if (!findActivity(tasks, predecessorId) || !findActivity(tasks, successorId)) {
+    errors.push('Both activities must exist');
+  }
+  if (!DEPENDENCY_TYPES[type]) {
+    errors.push('Dependency type must be one of FS, SS, FF or SF');
+  }
+  if (!Number.isInteger(lag)) {
+    errors.push('Lag must be a whole number of days');
+  }
+
+  // An existing link between the same pair is replaced, so it does not count as a cycle
+  const withoutExisting = removeDependency(tasks, predecessorId, successorId);
+  if (errors.length === 0 && wouldCreateCycle(withoutExisting, predecessorId, successorId)) {
+    errors.push('This link would create a circular dependency');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+const updateActivity = (tasks, activityId, update) => {
+  return tasks.map(task => ({
+    ...task,
+    activities: (task.activities || []).map(activity => (
+      activity.id === activityId ? update(activity) : activity
+    ))
+  }));
+};
+
+// Add a link, replacing any existing link between the same two activities
+export const addDependency = (tasks, { predecessorId, successorId, type = DEFAULT_DEPENDENCY_TYPE, lag = 0 }) => {
+  return updateActivity(tasks, successorId, activity => ({
+    ...activity,
+    dependencies: [
+      ...(activity.dependencies || []).filter(dependency => dependency.predecessorId !== predecessorId),
+      { predecessorId, type, lag }
+    ]
+  }));
+};
+
+export const removeDependency = (tasks, predecessorId, successorId) => {
+  return updateActivity(tasks, successorId, activity => ({
+    ...activity,
+    dependencies: (activity.dependencies || []).filter(dependency => dependency.predecessorId !== predecessorId)
+  }));
+};
+
+// Drop every link that points at one of the given (deleted) activities
+export const removeDependenciesOn = (tasks, activityIds) => {
+  return tasks.map(task => ({
+    ...task,
+    activities: (task.activities || []).map(activity => (
+      activity.dependencies && activity.dependencies.some(d => activityIds.includes(d.predecessorId))
+        ? { ...activity, dependencies: activity.dependencies.filter(d => !activityIds.includes(d.predecessorId)) }
+        : activity
+    ))
+  }));
+};
+
+/**
+ * Earliest start date a link allows its successor, keeping the successor's duration.
+ * FS: successor starts after the predecessor finishes; SS: starts no earlier than it starts;
+ * FF: finishes no earlier than it finishes; SF: finishes no earlier than it starts.
+ * Lag and durations are counted in working days, as in the critical path calculation.
+ * @param {Object} [calendar] - Project working calendar, e.g. the project settings
+ * @returns {string|null} ISO date, or null when either activity has no dates
+ */
+export const getLinkedEarliestStart = (predecessor, successor, { type = DEFAULT_DEPENDENCY_TYPE, lag = 0 }, calendar = null) => {
+  const definition = DEPENDENCY_TYPES[type];
+  if (!definition || !predecessor.startDate || !predecessor.endDate || !successor.startDate || !successor.endDate) {
+    return null;
+  }
+
+  // An activity that falls entirely on non-working days still takes a day
+  const predecessorStart = nextWorkingDate(calendar, predecessor.startDate);
+  const anchor = definition.from === 'start'
+    ? predecessorStart
+    : addWorkingDays(calendar, predecessorStart, Math.max(1, getWorkingDuration(predecessor, calendar)) - 1);
+  // Finish-to-start links need a full day between the bars, the others can share a day
+  let offset = lag + (type === 'FS' ? 1 : 0);
+  if (definition.to === 'end') {
+    offset -= Math.max(1, getWorkingDuration(successor, calendar)) - 1;
+  }
+
+  return addWorkingDays(calendar, anchor, offset);
+};
+
+// Check whether a successor's current dates honour a link; a start on a non-working day counts from the next working day
+export const isDependencySatisfied = (predecessor, successor, link, calendar = null) => {
+  const earliest = getLinkedEarliestStart(predecessor, successor, link, calendar);
+  return !earliest || nextWorkingDate(calendar, successor.startDate) >= earliest;
+};
+
+// Short label such as "FS +2d" for tooltips and lists
+export const formatDependency = ({ type = DEFAULT_DEPENDENCY_TYPE, lag = 0 }) => {
+  if (!lag) return type;
+  return `${type} ${lag > 0 ? '+' : ''}${lag}d`;
+};
+
+// Export default object with all functions
+export default {
+  findActivity,
+  getDependencyLinks,
+  getSuccessorLinks,
+  wouldCreateCycle,
+  sortByDependencies,
+  validateDependency,
+  addDependency,
+  removeDependency,
+  removeDependenciesOn,
+  getLinkedEarliestStart,
+  isDependencySatisfied,
+  formatDependency
+};
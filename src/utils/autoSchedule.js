@@ -0,0 +1,115 @@
+/**
+ * Auto Schedule Utility
+ * Cascades date changes through dependency links. When a predecessor moves
+ * later or grows, every activity whose links are no longer satisfied is
+ * shifted later by the smallest amount that satisfies them, keeping its
+ * duration in working days of the project calendar; lags also count working
+ * days, and a moved activity starts on the next working day. Activities are
+ * never pulled earlier, and activities marked `pinned` (or locked, such as
+ * approved gateways) keep their dates; one that ends up violating a link is
+ * reported as a conflict instead.
+ */
+
+import { parseISODate, daysBetween } from './projectTimeline';
+import { getWorkingDuration } from './activityDates';
+import { nextWorkingDate, addWorkingDays } from './workingCalendar';
+import {
+  getDependencyLinks,
+  sortByDependencies,
+  getLinkedEarliestStart,
+  isDependencySatisfied
+} from './activityDependencies';
+
+/**
+ * Work out which activities have to move after a change
+ * @param {Array} tasks - Task list that already contains the change
+ * @param {Object} [calendar] - Project working calendar, e.g. the project settings
+ * @param {Object} [options]
+ * @param {Function} [options.isLocked] - Activity => true when the user may not move it
+ * @returns {{
+ *   tasks: Array,
+ *   changes: Array<{activityId: string, name: string, taskName: string, from: Object, to: Object, days: number}>,
+ *   conflicts: Array<{activityId: string, name: string, predecessorId: string, predecessorName: string}>
+ * }}
+ */
+export const rescheduleTasks = (tasks, calendar = null, { isLocked = () => false } = {}) => {
+  const dated = new Map();
+  const taskNames = new Map();
+  tasks.forEach(task => {
+    (task.activities || []).forEach(activity => {
+      if (activity.startDate && activity.endDate) {
+        dated.set(activity.id, activity);
+        taskNames.set(activity.id, task.name);
+      }
+    });
+  });
+
+  const ids = Array.from(dated.keys());
+  const links = getDependencyLinks(tasks).filter(link => dated.has(link.predecessorId) && dated.has(link.successorId));
+  const { order } = sortByDependencies(ids, links);
+
+  const scheduled = new Map(dated);
+  const changes = [];
+  const conflicts = [];
+
+  order.forEach(id => {
+    const activity = scheduled.get(id);
+    const incoming = links.filter(link => link.successorId === id);
+    if (incoming.length === 0) return;
+
+    if (activity.pinned || isLocked(activity)) {
+      incoming
+        .filter(link => !isDependencySatisfied(scheduled.get(link.predecessorId), activity, link, calendar))
+        .forEach(link => conflicts.push({
+          activityId: id,
+          name: activity.name,
+          predecessorId: link.predecessorId,
+          predecessorName: scheduled.get(link.predecessorId).name
+        }));
+      return;
+    }
+
+    const earliest = incoming
+      .map(link => getLinkedEarliestStart(scheduled.get(link.predecessorId), activity, link, calendar))
+      .filter(Boolean)
+      .reduce((max, date) => (date > max ? date : max), activity.startDate);
+
+    const startDate = nextWorkingDate(calendar, earliest);
+    if (startDate > activity.startDate) {
+      const days = daysBetween(parseISODate(activity.startDate), parseISODate(startDate));
+      const duration = Math.max(1, getWorkingDuration(activity, calendar));
+      const moved = {
+        ...activity,
+        startDate,
+        endDate: addWorkingDays(calendar, startDate, duration - 1)
+      };
+      scheduled.set(id, moved);
+      changes.push({
+        activityId: id,
+        name: activity.name,
+        taskName: taskNames.get(id),
+        from: { startDate: activity.startDate, endDate: activity.endDate },
+        to: { startDate: moved.startDate, endDate: moved.endDate },
+        days
+      });
+    }
+  });
+
+  if (changes.length === 0) {
+    return { tasks, changes, conflicts };
+  }
+
+  return {
+    tasks: tasks.map(task => ({
+      ...task,
+      activities: (task.activities || []).map(activity => scheduled.get(activity.id) || activity)
+    })),
+    changes,
+    conflicts
+  };
+};
+
+// Export default object with all functions
+export default {
+  rescheduleTasks
+};
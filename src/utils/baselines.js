@@ -0,0 +1,183 @@
+/**
+ * Baselines Utility
+ * Named snapshots of the plan (e.g. the version approved at the research
+ * proposal gateway) stored next to the `gantt-tasks` save, and the
+ * planned-vs-actual variance of the current plan against a snapshot.
+ * Variance is in calendar days: positive is late, negative is early.
+ */
+
+import { parseISODate, daysBetween } from './projectTimeline';
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+import { getActivityDuration } from './activityDates';
+
+// Storage keys
+const STORAGE_KEYS = {
+  BASELINES: 'gantt-baselines'
+};
+
+const EMPTY_STATE = { baselines: [], activeBaselineId: null };
+
+export const loadBaselines = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.BASELINES, projectId));
+    if (!stored) return { ...EMPTY_STATE };
+
+    const parsed = JSON.parse(stored);
+    return {
+      baselines: Array.isArray(parsed.baselines) ? parsed.baselines : [],
+      activeBaselineId: parsed.activeBaselineId || null
+    };
+  } catch (error) {
+    console.error('Error loading baselines:', error);
+    return { ...EMPTY_STATE };
+  }
+};
+
+export const saveBaselines = (state, projectId = getActiveProjectId()) => {
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.BASELINES, projectId), JSON.stringify({ v: 1, ...state }));
+};
+
+/**
+ * Freeze the dates of every activity in the plan
+ * @param {Array} tasks - Current task list
+ * @param {string} name - Display name, e.g. "Proposal approved"
+ * @returns {Object} Baseline
+ */
+export const createBaseline = (tasks, name) => {
+  const activities = {};
+  tasks.forEach(task => {
+    (task.activities || []).forEach(activity => {
+      if (!activity.startDate || !activity.endDate) return;
+      activities[activity.id] = {
+        name: activity.name,
+        taskName: task.name,
+        startDate: activity.startDate,
+        endDate: activity.endDate,
+        isGateway: Boolean(activity.isGateway)
+      };
+    });
+  });
+
+  return {
+    id: `baseline_${Date.now()}`,
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+    activities
+  };
+};
+
+export const validateBaselineName = (name, baselines) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Baseline name cannot be empty';
+  if (trimmed.length > 60) return 'Baseline name cannot exceed 60 characters';
+  if (baselines.some(baseline => baseline.name.toLowerCase() === trimmed.toLowerCase())) {
+    return 'A baseline with this name already exists';
+  }
+  return null;
+};
+
+export const getBaseline = (state, baselineId) => {
+  return state.baselines.find(baseline => baseline.id === baselineId) || null;
+};
+
+const dayDifference = (from, to) => daysBetween(parseISODate(from), parseISODate(to));
+
+/**
+ * Compare the current plan with a baseline
+ * @returns {{
+ *   rows: Array<{activityId: string, name: string, taskName: string, isGateway: boolean, status: string,
+ *     baselineStart: string|null, baselineEnd: string|null, currentStart: string|null, currentEnd: string|null,
+ *     startVariance: number|null, finishVariance: number|null, durationVariance: number|null}>,
+ *   summary: {late: number, early: number, onTrack: number, added: number, removed: number, slippedGateways: string[]}
+ * }}
+ */
+export const calculateVariance = (tasks, baseline) => {
+  const rows = [];
+  const seen = new Set();
+
+  tasks.forEach(task => {
+    (task.activities || []).forEach(activity => {
+      if (!activity.startDate || !activity.endDate) return;
+      // Baseline keys are strings, activity IDs are usually numbers (1.1)
+      seen.add(String(activity.id));
+      const planned = baseline.activities[activity.id];
+
+      if (!planned) {
+        rows.push({
+          activityId: activity.id,
+          name: activity.name,
+          taskName: task.name,
+          isGateway: Boolean(activity.isGateway),
+          status: 'added',
+          baselineStart: null,
+          baselineEnd: null,
+          currentStart: activity.startDate,
+          currentEnd: activity.endDate,
+          startVariance: null,
+          finishVariance: null,
+          durationVariance: null
+        });
+        return;
+      }
+
+      const finishVariance = dayDifference(planned.endDate, activity.endDate);
+      rows.push({
+        activityId: activity.id,
+        name: activity.name,
+        taskName: task.name,
+        isGateway: Boolean(activity.isGateway),
+        status: finishVariance > 0 ? 'late' : finishVariance < 0 ? 'early' : 'on-track',
+        baselineStart: planned.startDate,
+        baselineEnd: planned.endDate,
+        currentStart: activity.startDate,
+        currentEnd: activity.endDate,
+        startVariance: dayDifference(planned.startDate, activity.startDate),
+        finishVariance,
+        durationVariance: getActivityDuration(activity) - getActivityDuration(planned)
+      });
+    });
+  });
+
+  Object.keys(baseline.activities)
+    .filter(activityId => !seen.has(activityId))
+    .forEach(activityId => {
+      const planned = baseline.activities[activityId];
+      rows.push({
+        activityId,
+        name: planned.name,
+        taskName: planned.taskName,
+        isGateway: planned.isGateway,
+        status: 'removed',
+        baselineStart: planned.startDate,
+        baselineEnd: planned.endDate,
+        currentStart: null,
+        currentEnd: null,
+        startVariance: null,
+        finishVariance: null,
+        durationVariance: null
+      });
+    });
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  return {
+    rows,
+    summary: {
+      late: count('late'),
+      early: count('early'),
+      onTrack: count('on-track'),
+      added: count('added'),
+      removed: count('removed'),
+      slippedGateways: rows.filter(row => row.isGateway && row.status === 'late').map(row => row.name)
+    }
+  };
+};
+
+// Export default object with all functions
+export default {
+  loadBaselines,
+  saveBaselines,
+  createBaseline,
+  validateBaselineName,
+  getBaseline,
+  calculateVariance
+};
@@ -0,0 +1,129 @@
+/**
+ * Collaboration Utility
+ * Collaborative sessions let several people edit one plan at the same time.
+ * The owner shares their plan and hands out its session code (the plan's
+ * Firestore id); whoever joins gets a new project bound to that plan. While
+ * in a session everyone publishes presence - name, colour and the row they
+ * are renaming - so the chart can show avatars and lock rows being edited.
+ */
+
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+
+// Storage keys
+const STORAGE_KEYS = {
+  SESSION: 'gantt-collab-session',
+  NAME: 'gantt-collab-name'
+};
+
+// Presence older than this is treated as someone who left without saying so
+export const PRESENCE_TIMEOUT = 60 * 1000;
+export const PRESENCE_HEARTBEAT = 20 * 1000;
+
+export const PRESENCE_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#65a30d'];
+
+const SESSION_CODE_PATTERN = /^[A-Za-z0-9]+_[A-Za-z0-9_]+$/;
+
+/**
+ * Firestore id of a user's own plan for a project
+ */
+export const getPlanId = (userId, projectId) => `${userId}_${projectId}`;
+
+/**
+ * Session code from user input, or null when it cannot be one
+ */
+export const parseSessionCode = (code) => {
+  const trimmed = (code || '').trim();
+  return SESSION_CODE_PATTERN.test(trimmed) ? trimmed : null;
+};
+
+/**
+ * Session the project takes part in
+ * @returns {{planId: string, isOwner: boolean}|null}
+ */
+export const loadSession = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.SESSION, projectId));
+    if (!stored) return null;
+
+    const parsed = JSON.parse(stored);
+    const planId = parseSessionCode(parsed.planId);
+    return planId ? { planId, isOwner: Boolean(parsed.isOwner) } : null;
+  } catch (error) {
+    console.error('Error loading collaboration session:', error);
+    return null;
+  }
+};
+
+export const saveSession = (session, projectId = getActiveProjectId()) => {
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.SESSION, projectId), JSON.stringify({ v: 1, ...session }));
+};
+
+export const clearSession = (projectId = getActiveProjectId()) => {
+  localStorage.removeItem(getProjectStorageKey(STORAGE_KEYS.SESSION, projectId));
+};
+
+// Name shown to collaborators; set once per browser
+export const loadDisplayName = () => localStorage.getItem(STORAGE_KEYS.NAME) || '';
+
+export const saveDisplayName = (name) => {
+  const trimmed = (name || '').trim();
+  if (trimmed) {
+    localStorage.setItem(STORAGE_KEYS.NAME, trimmed);
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.NAME);
+  }
+};
+
+export const getDisplayName = (user, savedName = loadDisplayName()) => {
+  if (savedName) return savedName;
+  if (!user) return 'Guest';
+  if (user.displayName) return user.displayName;
+  if (user.email) return user.email.split('@')[0];
+  return `Guest ${user.uid.slice(0, 4)}`;
+};
+
+export const getInitials = (name) => {
+  const words = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  if (words.length === 1) return words[0].slice(0, 2).toUpperCase();
+  return (words[0][0] + words[words.length - 1][0]).toUpperCase();
+};
+
+// Same colour for a user on every device
+export const getPresenceColor = (userId) => {
+  const hash = (userId || '').split('').reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 997, 0);
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
+
+/**
+ * Other people currently in the session
+ * @param {Array} entries - Presence entries with lastSeen in milliseconds
+ */
+export const getActiveParticipants = (entries, userId, now = Date.now()) => entries
+  .filter(entry => entry.userId !== userId && now - entry.lastSeen < PRESENCE_TIMEOUT)
+  .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+/**
+ * Participant editing a row, if any
+ * @param {Array} participants - From getActiveParticipants
+ * @param {'task'|'activity'} type
+ */
+export const getRowLock = (participants, type, id) => participants.find(participant => (
+  participant.editing && participant.editing.type === type && participant.editing.id === id
+)) || null;
+
+// Export default object with all functions
+export default {
+  getPlanId,
+  parseSessionCode,
+  loadSession,
+  saveSession,
+  clearSession,
+  loadDisplayName,
+  saveDisplayName,
+  getDisplayName,
+  getInitials,
+  getPresenceColor,
+  getActiveParticipants,
+  getRowLock
+};
@@ -0,0 +1,153 @@
+/**
+ * Critical Path Utility
+ * Critical path method (CPM) over the task model. Each activity's planned
+ * start acts as a "start no earlier than" constraint and its dependency links
+ * push it later. A forward pass gives earliest start/finish, a backward pass
+ * from the project finish gives latest start/finish, and total float is the
+ * difference. Activities with no float form the critical chain that decides
+ * the submission date. Durations, lags and float are in working days of the
+ * project calendar, which are calendar days when the calendar has no
+ * weekends or holidays.
+ */
+
+import { getWorkingDuration } from './activityDates';
+import { nextWorkingDate, countWorkingDays, addWorkingDays } from './workingCalendar';
+import { DEPENDENCY_TYPES, getDependencyLinks, sortByDependencies } from './activityDependencies';
+
+// Working-day offsets are measured from the earliest planned start
+const toOffset = (calendar, origin, isoDate) => countWorkingDays(calendar, origin, nextWorkingDate(calendar, isoDate)) - 1;
+const fromOffset = (calendar, origin, offset) => addWorkingDays(calendar, origin, offset);
+
+// Earliest start offset a link allows its successor (same rules as getLinkedEarliestStart)
+const linkedStart = (link, predecessor, successorDuration) => {
+  const definition = DEPENDENCY_TYPES[link.type];
+  let offset = (definition.from === 'start' ? predecessor.es : predecessor.ef) + link.lag;
+  if (link.type === 'FS') offset += 1;
+  if (definition.to === 'end') offset -= successorDuration - 1;
+  return offset;
+};
+
+// Latest finish offset a link allows its predecessor, given the successor's latest dates
+const linkedFinish = (link, successor, predecessorDuration) => {
+  const definition = DEPENDENCY_TYPES[link.type];
+  let offset = (definition.to === 'start' ? successor.ls : successor.lf) - link.lag;
+  if (link.type === 'FS') offset -= 1;
+  if (definition.from === 'start') offset += predecessorDuration - 1;
+  return offset;
+};
+
+/**
+ * Run the critical path calculation
+ * @param {Array} tasks - Task list with dated activities and dependencies
+ * @param {Object} [calendar] - Project working calendar, e.g. the project settings
+ * @returns {{
+ *   activities: Object<string, {earliestStart: string, earliestFinish: string, latestStart: string,
+ *     latestFinish: string, totalFloat: number, isCritical: boolean, drivingPredecessorId: string|null}>,
+ *   criticalPath: string[],
+ *   projectStart: string|null,
+ *   projectFinish: string|null,
+ *   hasCycle: boolean
+ * }}
+ */
+export const calculateCriticalPath = (tasks, calendar = null) => {
+  const activities = tasks
+    .flatMap(task => task.activities || [])
+    .filter(activity => activity.startDate && activity.endDate);
+
+  const empty = { activities: {}, criticalPath: [], projectStart: null, projectFinish: null, hasCycle: false };
+  if (activities.length === 0) return empty;
+
+  const ids = activities.map(activity => activity.id);
+  const links = getDependencyLinks(tasks).filter(link => (
+    ids.includes(link.predecessorId) && ids.includes(link.successorId) && DEPENDENCY_TYPES[link.type]
+  ));
+  const { order, hasCycle } = sortByDependencies(ids, links);
+
+  const origin = nextWorkingDate(calendar, activities.reduce((min, a) => (a.startDate < min ? a.startDate : min), activities[0].startDate));
+  const nodes = new Map(activities.map(activity => [activity.id, {
+    // An activity that falls entirely on non-working days still takes a day
+    duration: Math.max(1, getWorkingDuration(activity, calendar)),
+    plannedStart: toOffset(calendar, origin, activity.startDate),
+    drivingPredecessorId: null
+  }]));
+
+  // Forward pass
+  order.forEach(id => {
+    const node = nodes.get(id);
+    node.es = node.plannedStart;
+    links
+      .filter(link => link.successorId === id && nodes.get(link.predecessorId).ef !== undefined)
+      .forEach(link => {
+        const start = linkedStart(link, nodes.get(link.predecessorId), node.duration);
+        if (start >= node.es) {
+          node.es = start;
+          node.drivingPredecessorId = link.predecessorId;
+        }
+      });
+    node.ef = node.es + node.duration - 1;
+  });
+
+  const projectFinish = Math.max(...Array.from(nodes.values()).map(node => node.ef));
+
+  // Backward pass
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    node.lf = projectFinish;
+    links
+      .filter(link => link.predecessorId === id && nodes.get(link.successorId).ls !== undefined)
+      .forEach(link => {
+        node.lf = Math.min(node.lf, linkedFinish(link, nodes.get(link.successorId), node.duration));
+      });
+    node.ls = node.lf - node.duration + 1;
+  });
+
+  const results = {};
+  nodes.forEach((node, id) => {
+    const totalFloat = node.ls - node.es;
+    results[id] = {
+      earliestStart: fromOffset(calendar, origin, node.es),
+      earliestFinish: fromOffset(calendar, origin, node.ef),
+      latestStart: fromOffset(calendar, origin, node.ls),
+      latestFinish: fromOffset(calendar, origin, node.lf),
+      totalFloat,
+      isCritical: totalFloat <= 0,
+      drivingPredecessorId: node.drivingPredecessorId
+    };
+  });
+
+  // Walk back from an activity that finishes last through its critical driving predecessors,
+  // keeping the longest such chain
+  const walkBack = (id) => {
+    const chain = [];
+    let current = id;
+    while (current && !chain.includes(current)) {
+      chain.unshift(current);
+      const previous = results[current].drivingPredecessorId;
+      current = previous && results[previous].isCritical ? previous : null;
+    }
+    return chain;
+  };
+  const criticalPath = order
+    .filter(id => results[id].isCritical && nodes.get(id).ef === projectFinish)
+    .map(walkBack)
+    .reduce((longest, chain) => (chain.length > longest.length ? chain : longest), []);
+
+  return {
+    activities: results,
+    criticalPath,
+    projectStart: origin,
+    projectFinish: fromOffset(calendar, origin, projectFinish),
+    hasCycle
+  };
+};
+
+// Ids of every zero-float activity, whether or not it sits on the main chain
+export const getCriticalActivityIds = (schedule) => {
+  return Object.keys(schedule.activities).filter(id => schedule.activities[id].isCritical);
+};
+
+// Export default object with all functions
+export default {
+  calculateCriticalPath,
+  getCriticalActivityIds
+};
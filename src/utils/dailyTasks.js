@@ -0,0 +1,89 @@
+/**
+ * Daily Tasks Utility
+ * The DailyProgress checklists, one list per day and project stored under
+ * `daily-tasks-<date>`. The date is the local calendar date (toISODate), the
+ * same date time entries and the progress deck use. Lists saved before this
+ * were keyed by the UTC date of the selected day, which is the day before in
+ * timezones east of UTC; they are moved to their local date once per project.
+ */
+
+import { parseISODate, toISODate, addDays } from './projectTimeline';
+import { getActiveProjectId, getProjectStorageKey, getProjectStorageEntries } from './projects';
+
+export const DAILY_TASKS_PREFIX = 'daily-tasks-';
+
+// Set once a project's lists are keyed by local date
+const LOCAL_DATES_KEY = `${DAILY_TASKS_PREFIX}local-dates`;
+
+const DAY_KEY_PATTERN = new RegExp(`^${DAILY_TASKS_PREFIX}(\\d{4}-\\d{2}-\\d{2})$`);
+
+export const getDailyTasksKey = (isoDate, projectId = getActiveProjectId()) => {
+  return getProjectStorageKey(`${DAILY_TASKS_PREFIX}${isoDate}`, projectId);
+};
+
+// Local date a list saved under a UTC date was made for: the selected day was local midnight
+const getLocalDateOfLegacyKey = (utcDate) => {
+  const nextDay = toISODate(addDays(parseISODate(utcDate), 1));
+  return parseISODate(nextDay).toISOString().slice(0, 10) === utcDate ? nextDay : utcDate;
+};
+
+const parseList = (stored) => {
+  const parsed = stored ? JSON.parse(stored) : [];
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+/**
+ * Move a project's lists from UTC-date keys to local-date keys (once)
+ */
+export const migrateDailyTaskDates = (projectId = getActiveProjectId()) => {
+  const markerKey = getProjectStorageKey(LOCAL_DATES_KEY, projectId);
+  if (localStorage.getItem(markerKey)) return;
+
+  // Read every list before writing, as a list can move onto another list's old key
+  const moved = new Map();
+  getProjectStorageEntries(projectId).forEach(({ baseKey, key }) => {
+    const match = baseKey.match(DAY_KEY_PATTERN);
+    if (!match) return;
+    try {
+      const localDate = getLocalDateOfLegacyKey(match[1]);
+      moved.set(localDate, [...(moved.get(localDate) || []), ...parseList(localStorage.getItem(key))]);
+    } catch (error) {
+      console.warn(`Error migrating daily tasks for ${match[1]}:`, error);
+      return;
+    }
+    localStorage.removeItem(key);
+  });
+
+  moved.forEach((tasks, localDate) => {
+    if (tasks.length > 0) localStorage.setItem(getDailyTasksKey(localDate, projectId), JSON.stringify(tasks));
+  });
+  localStorage.setItem(markerKey, 'true');
+};
+
+/**
+ * The checklist of one day
+ * @param {string} isoDate - Local date, see toISODate
+ * @returns {Array}
+ */
+export const loadDailyTasks = (isoDate, projectId = getActiveProjectId()) => {
+  migrateDailyTaskDates(projectId);
+  try {
+    return parseList(localStorage.getItem(getDailyTasksKey(isoDate, projectId)));
+  } catch (error) {
+    console.warn(`Error parsing tasks for ${isoDate}:`, error);
+    return [];
+  }
+};
+
+export const saveDailyTasks = (isoDate, tasks, projectId = getActiveProjectId()) => {
+  migrateDailyTaskDates(projectId);
+  localStorage.setItem(getDailyTasksKey(isoDate, projectId), JSON.stringify(tasks));
+};
+
+// Export default object with all functions
+export default {
+  getDailyTasksKey,
+  migrateDailyTaskDates,
+  loadDailyTasks,
+  saveDailyTasks
+};
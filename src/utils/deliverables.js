@@ -0,0 +1,170 @@
+/**
+ * Deliverables Utility
+ * Checklist of deliverables under each gateway. Plans and templates from
+ * before checklists list deliverables as plain strings; they are read as
+ * unticked items and stored as items once the checklist is changed. An item
+ * can carry a due date and links to uploaded files or notes, and a gateway's
+ * completion is the share of its items that are ticked.
+ */
+
+import { parseISODate, toISODate } from './projectTimeline';
+
+export const MAX_DELIVERABLE_LENGTH = 200;
+
+export const LINK_TYPES = {
+  FILE: 'file',
+  NOTE: 'note'
+};
+
+const normalizeDeliverable = (item, index) => {
+  if (typeof item === 'string') {
+    return { id: `d${index + 1}`, text: item, done: false, doneAt: null, dueDate: null, links: [] };
+  }
+  return {
+    id: item.id || `d${index + 1}`,
+    text: item.text || '',
+    done: Boolean(item.done),
+    doneAt: item.doneAt || null,
+    dueDate: item.dueDate || null,
+    links: Array.isArray(item.links) ? item.links : []
+  };
+};
+
+/**
+ * Checklist items of a gateway (none for other activities)
+ * @returns {Array<{id: string, text: string, done: boolean, doneAt: string|null, dueDate: string|null, links: Array}>}
+ */
+export const getDeliverables = (activity) => {
+  const deliverables = activity?.gatewayInfo?.deliverables;
+  return Array.isArray(deliverables) ? deliverables.map(normalizeDeliverable) : [];
+};
+
+export const isDeliverableOverdue = (item, today = toISODate(new Date())) => (
+  !item.done && Boolean(item.dueDate) && item.dueDate < today
+);
+
+/**
+ * How far a gateway's checklist is
+ * @param {string} today - ISO date, for overdue items
+ * @returns {{done: number, total: number, percent: number, overdue: number}}
+ */
+export const getDeliverableCompletion = (activity, today = toISODate(new Date())) => {
+  const items = getDeliverables(activity);
+  const done = items.filter(item => item.done).length;
+  return {
+    done,
+    total: items.length,
+    percent: items.length > 0 ? Math.round((done / items.length) * 100) : 0,
+    overdue: items.filter(item => isDeliverableOverdue(item, today)).length
+  };
+};
+
+const withDeliverables = (activity, items) => ({
+  ...activity,
+  gatewayInfo: {
+    name: activity.name,
+    nextSteps: '',
+    ...activity.gatewayInfo,
+    deliverables: items
+  }
+});
+
+const validateText = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw new Error('Deliverable name is required');
+  if (trimmed.length > MAX_DELIVERABLE_LENGTH) {
+    throw new Error(`Deliverable name must be ${MAX_DELIVERABLE_LENGTH} characters or less`);
+  }
+  return trimmed;
+};
+
+const validateDueDate = (dueDate) => {
+  if (!dueDate) return null;
+  const date = parseISODate(dueDate);
+  // parseISODate rolls dates such as 2025-02-30 over into the next month
+  if (!date || toISODate(date) !== dueDate) throw new Error('Due date must be a valid date');
+  return dueDate;
+};
+
+const updateItem = (activity, itemId, update) => {
+  const items = getDeliverables(activity);
+  if (!items.some(item => item.id === itemId)) throw new Error('Deliverable not found');
+  return withDeliverables(activity, items.map(item => (item.id === itemId ? update(item) : item)));
+};
+
+/**
+ * Gateway with a new checklist item
+ */
+export const addDeliverable = (activity, { text, dueDate = null }) => {
+  const items = getDeliverables(activity);
+  const nextNumber = items.reduce((max, item) => Math.max(max, parseInt(item.id.slice(1), 10) || 0), 0) + 1;
+  return withDeliverables(activity, [
+    ...items,
+    { id: `d${nextNumber}`, text: validateText(text), done: false, doneAt: null, dueDate: validateDueDate(dueDate), links: [] }
+  ]);
+};
+
+/**
+ * Gateway with one item renamed or given another due date
+ */
+export const updateDeliverable = (activity, itemId, { text, dueDate }) => updateItem(activity, itemId, item => ({
+  ...item,
+  ...(text !== undefined ? { text: validateText(text) } : {}),
+  ...(dueDate !== undefined ? { dueDate: validateDueDate(dueDate) } : {})
+}));
+
+export const setDeliverableDone = (activity, itemId, done, now = new Date()) => updateItem(activity, itemId, item => ({
+  ...item,
+  done,
+  doneAt: done ? now.toISOString() : null
+}));
+
+export const removeDeliverable = (activity, itemId) => {
+  const items = getDeliverables(activity);
+  if (!items.some(item => item.id === itemId)) throw new Error('Deliverable not found');
+  return withDeliverables(activity, items.filter(item => item.id !== itemId));
+};
+
+/**
+ * Link an item to an uploaded file ({ type: 'file', name, downloadURL }) or a note ({ type: 'note', id, title })
+ */
+export const linkDeliverable = (activity, itemId, link) => {
+  if (!Object.values(LINK_TYPES).includes(link.type)) throw new Error(`Unknown link type: ${link.type}`);
+  const entry = link.type === LINK_TYPES.FILE
+    ? { type: LINK_TYPES.FILE, name: link.name, downloadURL: link.downloadURL || null }
+    : { type: LINK_TYPES.NOTE, id: link.id, title: link.title || 'Untitled Note' };
+
+  return updateItem(activity, itemId, item => {
+    const exists = item.links.some(existing => (
+      existing.type === entry.type && (entry.type === LINK_TYPES.NOTE ? existing.id === entry.id : existing.name === entry.name)
+    ));
+    return exists ? item : { ...item, links: [...item.links, entry] };
+  });
+};
+
+export const unlinkDeliverable = (activity, itemId, linkIndex) => updateItem(activity, itemId, item => ({
+  ...item,
+  links: item.links.filter((link, index) => index !== linkIndex)
+}));
+
+/**
+ * One line per gateway for exports, e.g. "2/4 (50%)"
+ */
+export const formatDeliverableCompletion = (activity) => {
+  const { done, total, percent } = getDeliverableCompletion(activity);
+  return total > 0 ? `${done}/${total} (${percent}%)` : '';
+};
+
+// Export default object with all functions
+export default {
+  getDeliverables,
+  getDeliverableCompletion,
+  isDeliverableOverdue,
+  addDeliverable,
+  updateDeliverable,
+  setDeliverableDone,
+  removeDeliverable,
+  linkDeliverable,
+  unlinkDeliverable,
+  formatDeliverableCompletion
+};
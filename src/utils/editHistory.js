@@ -0,0 +1,148 @@
+/**
+ * Edit History Utility
+ * Linear undo/redo history for the Gantt chart. Each entry holds a labelled
+ * snapshot of the editable state (`tasks` and `completedDays`); `index`
+ * points at the entry that matches what is on screen. Entries after the
+ * index are the redo stack and are dropped when a new change is recorded.
+ * Each project keeps its own history.
+ */
+
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+
+// Storage keys
+const STORAGE_KEYS = {
+  HISTORY: 'gantt-history'
+};
+
+export const MAX_HISTORY_ENTRIES = 50;
+export const INITIAL_ENTRY_LABEL = 'Opened plan';
+export const EXTERNAL_CHANGE_LABEL = 'Loaded saved plan';
+
+let entryCounter = 0;
+
+const createEntry = (label, state) => ({
+  id: `history_${Date.now()}_${entryCounter++}`,
+  label,
+  timestamp: new Date().toISOString(),
+  state
+});
+
+export const createHistory = (state, label = INITIAL_ENTRY_LABEL) => ({
+  entries: [createEntry(label, state)],
+  index: 0
+});
+
+export const getCurrentEntry = (history) => (history ? history.entries[history.index] : null);
+
+export const canUndo = (history) => Boolean(history) && history.index > 0;
+
+export const canRedo = (history) => Boolean(history) && history.index < history.entries.length - 1;
+
+/**
+ * Add a new state after the current entry, discarding anything that was undone
+ * @param {Object} history - Current history (or null to start one)
+ * @param {string} label - What the change did, e.g. 'Renamed "Pilot study"'
+ * @param {{tasks: Array, completedDays: Object}} state - State after the change
+ * @param {number} limit - Oldest entries beyond this are dropped
+ */
+export const recordChange = (history, label, state, limit = MAX_HISTORY_ENTRIES) => {
+  if (!history) return createHistory(state, label);
+
+  const entries = [...history.entries.slice(0, history.index + 1), createEntry(label, state)];
+  const trimmed = entries.slice(Math.max(0, entries.length - limit));
+  return { entries: trimmed, index: trimmed.length - 1 };
+};
+
+// Key order differs between in-memory tasks and ones decoded from storage
+const sortKeys = (key, value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.keys(value).sort().reduce((sorted, k) => {
+    sorted[k] = value[k];
+    return sorted;
+  }, {});
+};
+
+export const isSameState = (a, b) => JSON.stringify(a, sortKeys) === JSON.stringify(b, sortKeys);
+
+/**
+ * Make sure the current entry matches what is on screen. State that changed
+ * outside the history (a reload, a backup recovery) is recorded first so
+ * undoing never silently discards it.
+ */
+export const syncHistory = (history, state) => {
+  if (!history) return createHistory(state);
+  if (isSameState(getCurrentEntry(history).state, state)) return history;
+  return recordChange(history, EXTERNAL_CHANGE_LABEL, state);
+};
+
+/**
+ * Move to another entry
+ * @returns {{history: Object, state: Object}|null} Null when the entry does not exist
+ */
+export const moveTo = (history, index) => {
+  if (!history || index < 0 || index >= history.entries.length) return null;
+  return { history: { ...history, index }, state: history.entries[index].state };
+};
+
+export const undo = (history) => moveTo(history, history ? history.index - 1 : -1);
+
+export const redo = (history) => moveTo(history, history ? history.index + 1 : -1);
+
+export const loadHistory = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.HISTORY, projectId));
+    if (!stored) return null;
+
+    const parsed = JSON.parse(stored);
+    if (!Array.isArray(parsed.entries) || parsed.entries.length === 0) return null;
+    const index = Number.isInteger(parsed.index) ? Math.min(Math.max(parsed.index, 0), parsed.entries.length - 1) : parsed.entries.length - 1;
+    return { entries: parsed.entries, index };
+  } catch (error) {
+    console.error('Error loading edit history:', error);
+    return null;
+  }
+};
+
+/**
+ * Persist the history, dropping the oldest entries if the browser runs out of space
+ * @returns {Object} The history that was actually stored
+ */
+export const saveHistory = (history, projectId = getActiveProjectId()) => {
+  const key = getProjectStorageKey(STORAGE_KEYS.HISTORY, projectId);
+  let stored = history;
+  while (stored) {
+    try {
+      localStorage.setItem(key, JSON.stringify({ v: 1, ...stored }));
+      return stored;
+    } catch (error) {
+      const drop = Math.ceil(stored.entries.length / 2);
+      if (stored.entries.length <= 1 || drop > stored.index) {
+        console.error('Error saving edit history:', error);
+        return history;
+      }
+      stored = { entries: stored.entries.slice(drop), index: stored.index - drop };
+    }
+  }
+  return history;
+};
+
+export const clearHistory = (projectId = getActiveProjectId()) => {
+  localStorage.removeItem(getProjectStorageKey(STORAGE_KEYS.HISTORY, projectId));
+};
+
+// Export default object with all functions
+export default {
+  createHistory,
+  getCurrentEntry,
+  canUndo,
+  canRedo,
+  recordChange,
+  isSameState,
+  syncHistory,
+  moveTo,
+  undo,
+  redo,
+  loadHistory,
+  saveHistory,
+  clearHistory
+};
@@ -0,0 +1,208 @@
+/**
+ * Gateway Approval Utility
+ * Sign-off workflow for gateway milestones. A gateway starts as a draft, the
+ * candidate submits it (with the deliverable files as evidence), and someone
+ * allowed to approve milestones approves it or asks for changes. Every step
+ * is kept on the gateway as `approval.history`, so the record travels with
+ * the plan through sync and exports. Approved gateways are locked for
+ * everyone who cannot approve milestones until an approver reopens them.
+ */
+
+import { isSameState } from './editHistory';
+
+export const APPROVAL_STATUS = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested'
+};
+
+export const APPROVAL_STATUS_LABELS = {
+  [APPROVAL_STATUS.DRAFT]: 'Draft',
+  [APPROVAL_STATUS.SUBMITTED]: 'Submitted for approval',
+  [APPROVAL_STATUS.APPROVED]: 'Approved',
+  [APPROVAL_STATUS.CHANGES_REQUESTED]: 'Changes requested'
+};
+
+/**
+ * The allowed transitions. `approver` steps need PERMISSIONS.APPROVE_MILESTONES,
+ * the others PERMISSIONS.EDIT_GANTT; `auditAction` is the audit log entry.
+ */
+export const APPROVAL_ACTIONS = {
+  submit: {
+    label: 'Submit for Approval',
+    from: [APPROVAL_STATUS.DRAFT, APPROVAL_STATUS.CHANGES_REQUESTED],
+    to: APPROVAL_STATUS.SUBMITTED,
+    approver: false,
+    auditAction: 'MILESTONE_SUBMITTED'
+  },
+  withdraw: {
+    label: 'Withdraw Submission',
+    from: [APPROVAL_STATUS.SUBMITTED],
+    to: APPROVAL_STATUS.DRAFT,
+    approver: false,
+    auditAction: 'MILESTONE_WITHDRAWN'
+  },
+  approve: {
+    label: 'Approve',
+    from: [APPROVAL_STATUS.SUBMITTED],
+    to: APPROVAL_STATUS.APPROVED,
+    approver: true,
+    auditAction: 'MILESTONE_APPROVED'
+  },
+  requestChanges: {
+    label: 'Request Changes',
+    from: [APPROVAL_STATUS.SUBMITTED],
+    to: APPROVAL_STATUS.CHANGES_REQUESTED,
+    approver: true,
+    requiresNote: true,
+    auditAction: 'MILESTONE_CHANGES_REQUESTED'
+  },
+  reopen: {
+    label: 'Reopen',
+    from: [APPROVAL_STATUS.APPROVED],
+    to: APPROVAL_STATUS.DRAFT,
+    approver: true,
+    requiresNote: true,
+    auditAction: 'MILESTONE_REOPENED'
+  }
+};
+
+export const getApprovalStatus = (activity) => activity.approval?.status || APPROVAL_STATUS.DRAFT;
+
+export const getApprovalHistory = (activity) => activity.approval?.history || [];
+
+/**
+ * Actions the current user can take on a gateway
+ * @param {{canSubmit: boolean, canApprove: boolean}} permissions
+ * @returns {string[]} Keys of APPROVAL_ACTIONS
+ */
+export const getAvailableActions = (activity, permissions) => {
+  if (!activity.isGateway) return [];
+
+  const status = getApprovalStatus(activity);
+  return Object.keys(APPROVAL_ACTIONS).filter(key => {
+    const action = APPROVAL_ACTIONS[key];
+    return action.from.includes(status) && (action.approver ? permissions.canApprove : permissions.canSubmit);
+  });
+};
+
+/**
+ * Gateway after an approval step
+ * @param {Object} activity - The gateway
+ * @param {string} actionKey - Key of APPROVAL_ACTIONS
+ * @param {Object} options
+ * @param {{id: string, name: string, role: string|null}} options.actor - Who takes the step
+ * @param {string} options.note - Reason or message for the candidate
+ * @param {Array} options.files - Deliverable files attached to the step ({ name, downloadURL })
+ * @param {{canSubmit: boolean, canApprove: boolean}} options.permissions
+ * @returns {Object} The updated gateway
+ * @throws {Error} When the step is not allowed from the current state or for this user
+ */
+export const applyApprovalAction = (activity, actionKey, { actor, note = '', files = [], permissions }, now = new Date()) => {
+  const action = APPROVAL_ACTIONS[actionKey];
+  if (!action) throw new Error(`Unknown approval action: ${actionKey}`);
+  if (!activity.isGateway) throw new Error('Only gateways can be submitted for approval');
+
+  const status = getApprovalStatus(activity);
+  if (!action.from.includes(status)) {
+    throw new Error(`Cannot ${action.label.toLowerCase()} a gateway that is ${APPROVAL_STATUS_LABELS[status].toLowerCase()}`);
+  }
+  if (!getAvailableActions(activity, permissions).includes(actionKey)) {
+    throw new Error(action.approver ? 'Only supervisors can approve milestones' : 'Your role cannot submit milestones');
+  }
+
+  const trimmedNote = note.trim();
+  if (action.requiresNote && !trimmedNote) throw new Error('Please add a note explaining why');
+
+  const entry = {
+    action: actionKey,
+    from: status,
+    to: action.to,
+    byId: actor.id,
+    byName: actor.name,
+    byRole: actor.role || null,
+    at: now.toISOString(),
+    note: trimmedNote,
+    files: files.map(file => ({ name: file.name, downloadURL: file.downloadURL || null }))
+  };
+
+  return {
+    ...activity,
+    approval: {
+      status: action.to,
+      history: [...getApprovalHistory(activity), entry]
+    }
+  };
+};
+
+/**
+ * Approved gateways can only be changed by someone who can approve milestones
+ */
+export const isApprovalLocked = (activity, canApprove) => (
+  Boolean(activity) && !canApprove && getApprovalStatus(activity) === APPROVAL_STATUS.APPROVED
+);
+
+/**
+ * Gateways whose approval record would change if the plan went back (or forward) to
+ * `restoredTasks`, e.g. through undo; approval steps are only taken through the workflow
+ * @returns {Array<{activityId: *, name: string, from: string, to: string}>}
+ */
+export const getApprovalRecordChanges = (currentTasks, restoredTasks) => {
+  const byId = (tasks) => new Map(tasks.flatMap(task => (task.activities || []).map(activity => [String(activity.id), activity])));
+  const current = byId(currentTasks);
+  const restored = byId(restoredTasks);
+
+  return [...new Set([...current.keys(), ...restored.keys()])]
+    .filter(id => !isSameState(current.get(id)?.approval || null, restored.get(id)?.approval || null))
+    .filter(id => (current.get(id)?.approval || restored.get(id)?.approval))
+    .map(id => {
+      const activity = current.get(id) || restored.get(id);
+      return {
+        activityId: activity.id,
+        name: activity.gatewayInfo?.name || activity.name,
+        from: current.has(id) ? getApprovalStatus(current.get(id)) : null,
+        to: restored.has(id) ? getApprovalStatus(restored.get(id)) : null
+      };
+    });
+};
+
+/**
+ * Locked gateways (see isApprovalLocked) that `restoredTasks` would change or remove
+ * @returns {string[]} Their names
+ */
+export const getLockedActivityChanges = (currentTasks, restoredTasks, canApprove) => {
+  const restored = new Map(restoredTasks.flatMap(task => (task.activities || []).map(activity => [String(activity.id), activity])));
+  return currentTasks
+    .flatMap(task => task.activities || [])
+    .filter(activity => isApprovalLocked(activity, canApprove))
+    .filter(activity => {
+      const next = restored.get(String(activity.id));
+      return !next || !isSameState(next, activity);
+    })
+    .map(activity => activity.name);
+};
+
+/**
+ * Audit log entry details for an approval step (flat, as the audit log lists them)
+ */
+export const getApprovalAuditDetails = (activity, entry) => ({
+  activityId: activity.id,
+  gateway: activity.gatewayInfo?.name || activity.name,
+  by: entry.byName,
+  status: entry.to,
+  ...(entry.note ? { note: entry.note } : {}),
+  ...(entry.files.length > 0 ? { files: entry.files.map(file => file.name).join('; ') } : {})
+});
+
+// Export default object with all functions
+export default {
+  getApprovalStatus,
+  getApprovalHistory,
+  getAvailableActions,
+  applyApprovalAction,
+  isApprovalLocked,
+  getApprovalRecordChanges,
+  getLockedActivityChanges,
+  getApprovalAuditDetails
+};
@@ -0,0 +1,99 @@
+/**
+ * Grid Navigation Utility
+ * Keyboard model for the Gantt chart's ARIA grid. Positions are
+ * `{ row, column }` indexes into the visible activity rows and the timeline
+ * columns; only columns inside the project period can take focus. Arrow keys
+ * move one cell, Home/End jump to the first or last column of the row and
+ * Ctrl+Home/End to the first or last row.
+ */
+
+/**
+ * Position a navigation key moves focus to
+ * @param {{row: number, column: number}} position - Focused cell
+ * @param {{key: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean}} event - Keyboard event
+ * @param {{rowCount: number, firstColumn: number, lastColumn: number}} bounds - Focusable rows and columns
+ * @returns {{row: number, column: number}|null} null when the key does not navigate
+ */
+export const getNextGridPosition = (position, event, bounds) => {
+  const { rowCount, firstColumn, lastColumn } = bounds;
+  if (rowCount === 0 || lastColumn < firstColumn || event.altKey) return null;
+
+  const clamp = (row, column) => ({
+    row: Math.min(Math.max(row, 0), rowCount - 1),
+    column: Math.min(Math.max(column, firstColumn), lastColumn)
+  });
+  const { row, column } = position;
+  const jumpRows = event.ctrlKey || event.metaKey;
+
+  switch (event.key) {
+    case 'ArrowLeft':
+      return clamp(row, column - 1);
+    case 'ArrowRight':
+      return clamp(row, column + 1);
+    case 'ArrowUp':
+      return clamp(row - 1, column);
+    case 'ArrowDown':
+      return clamp(row + 1, column);
+    case 'Home':
+      return clamp(jumpRows ? 0 : row, firstColumn);
+    case 'End':
+      return clamp(jumpRows ? rowCount - 1 : row, lastColumn);
+    default:
+      return null;
+  }
+};
+
+/**
+ * First and last column inside the project period
+ * @param {Array<{inRange: boolean}>} columns - From buildTimelineColumns
+ * @returns {{firstColumn: number, lastColumn: number}} lastColumn is -1 when no column is in range
+ */
+export const getFocusableColumns = (columns) => {
+  const firstColumn = columns.findIndex(column => column.inRange);
+  let lastColumn = -1;
+  columns.forEach((column, index) => {
+    if (column.inRange) lastColumn = index;
+  });
+  return { firstColumn: Math.max(firstColumn, 0), lastColumn };
+};
+
+/**
+ * List with one item moved `offset` places
+ * @returns {Array} The same list when the move would leave it
+ */
+export const moveListItem = (list, index, offset) => {
+  const target = index + offset;
+  if (index < 0 || index >= list.length || target < 0 || target >= list.length || offset === 0) return list;
+
+  const result = [...list];
+  const [item] = result.splice(index, 1);
+  result.splice(target, 0, item);
+  return result;
+};
+
+/**
+ * Screen reader description of where an activity meets a timeline column
+ * @param {Object} activity
+ * @param {Object} column - From buildTimelineColumns
+ * @param {{dates: string[], completedCount: number}|null} segment - From getColumnSegment
+ */
+export const describeGridCell = (activity, column, segment) => {
+  const place = `${activity.name}, ${column.title}`;
+  if (!column.inRange) return `${place}: outside the project period`;
+  if (!segment) return `${place}: not scheduled`;
+  if (segment.dates.length === 0) {
+    return `${place}: non-working day${column.nonWorking ? ` (${column.nonWorking.name})` : ''}`;
+  }
+  if (segment.dates.length === 1) {
+    return `${place}: ${segment.completedCount === 1 ? 'complete' : 'not complete'}`;
+  }
+  return `${place}: ${segment.completedCount} of ${segment.dates.length} days complete`;
+};
+
+// Export default object with all functions
+export default {
+  getNextGridPosition,
+  getFocusableColumns,
+  moveListItem,
+  describeGridCell
+};
@@ -0,0 +1,173 @@
+/**
+ * Owners Utility
+ * The people and roles activities are assigned to, stored per project.
+ * Each owner has a short code (the `owner` value on activities), a name, a
+ * colour and a weekly capacity in activity-days: two parallel activities on
+ * the same day count as two activity-days. The workload of an owner is the
+ * activity-days assigned to them in each week of the project; weeks above
+ * capacity are over-allocated.
+ */
+
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+import { getActivityDates } from './activityDates';
+
+// Storage keys
+const STORAGE_KEYS = {
+  OWNERS: 'gantt-owners'
+};
+
+export const OWNER_COLORS = ['#ef4444', '#2563eb', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+export const DEFAULT_CAPACITY = 5;
+export const MAX_CAPACITY = 50;
+
+// The owners every plan started with before owners could be edited
+export const DEFAULT_OWNERS = [
+  { id: 'ME', name: 'Daniil Vladimirov (Thesis Author)', color: '#ef4444', capacity: 5 },
+  { id: 'SV', name: 'Supervisor', color: '#2563eb', capacity: 2 },
+  { id: 'SME', name: 'Subject Matter Expert', color: '#16a34a', capacity: 2 }
+];
+
+const OWNER_ID_PATTERN = /^[A-Z0-9]{1,6}$/;
+
+export const loadOwners = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.OWNERS, projectId));
+    if (!stored) return DEFAULT_OWNERS.map(owner => ({ ...owner }));
+
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed.owners) ? parsed.owners : DEFAULT_OWNERS.map(owner => ({ ...owner }));
+  } catch (error) {
+    console.error('Error loading owners:', error);
+    return DEFAULT_OWNERS.map(owner => ({ ...owner }));
+  }
+};
+
+export const saveOwners = (owners, projectId = getActiveProjectId()) => {
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.OWNERS, projectId), JSON.stringify({ v: 1, owners }));
+};
+
+/**
+ * Check an owner before adding it, or before saving changes to the owner with `originalId`
+ * @returns {string|null} Error message
+ */
+export const validateOwner = (owner, owners, originalId = null) => {
+  const id = (owner.id || '').trim();
+  if (!OWNER_ID_PATTERN.test(id)) return 'Code must be 1-6 capital letters or digits, e.g. ME or SV';
+  if (id !== originalId && owners.some(existing => existing.id === id)) return 'An owner with this code already exists';
+
+  const name = (owner.name || '').trim();
+  if (!name) return 'Owner name cannot be empty';
+  if (name.length > 60) return 'Owner name cannot exceed 60 characters';
+
+  const capacity = Number(owner.capacity);
+  if (!Number.isFinite(capacity) || capacity < 0 || capacity > MAX_CAPACITY) {
+    return `Capacity must be between 0 and ${MAX_CAPACITY} activity-days per week`;
+  }
+  return null;
+};
+
+/**
+ * An owner by code; codes with no owner (e.g. from a shared plan) get a grey placeholder
+ */
+export const getOwner = (owners, ownerId) => (
+  owners.find(owner => owner.id === ownerId) || {
+    id: ownerId,
+    name: ownerId || 'Unassigned',
+    color: '#9ca3af',
+    capacity: DEFAULT_CAPACITY,
+    unknown: true
+  }
+);
+
+export const getNextOwnerColor = (owners) => (
+  OWNER_COLORS.find(color => !owners.some(owner => owner.color === color)) || OWNER_COLORS[owners.length % OWNER_COLORS.length]
+);
+
+// Codes of the owners that have activities
+export const getUsedOwnerIds = (tasks) => new Set(
+  tasks.flatMap(task => (task.activities || []).map(activity => activity.owner)).filter(Boolean)
+);
+
+/**
+ * Move every activity of one owner to another (when an owner is renamed or removed)
+ */
+export const reassignOwner = (tasks, fromId, toId) => tasks.map(task => ({
+  ...task,
+  activities: task.activities.map(activity => (activity.owner === fromId ? { ...activity, owner: toId } : activity))
+}));
+
+/**
+ * Only the activities of the given owners; tasks left without activities are hidden
+ * @param {string[]} ownerIds - Empty shows everything
+ */
+export const filterTasksByOwners = (tasks, ownerIds) => {
+  if (!ownerIds || ownerIds.length === 0) return tasks;
+  return tasks
+    .map(task => ({ ...task, activities: task.activities.filter(activity => ownerIds.includes(activity.owner)) }))
+    .filter(task => task.activities.length > 0);
+};
+
+/**
+ * Activity-days per owner per week
+ * @param {Array} tasks
+ * @param {Array} owners
+ * @param {Array} weeks - From buildTimelineWeeks
+ * @param {Object} [calendar] - Project working calendar; non-working days carry no load
+ * @returns {Array<{owner: Object, weeks: Array<{days: number, activities: Array<{id, name, days}>, overAllocated: boolean}>,
+ *   totalDays: number, peakDays: number, overAllocatedWeeks: number}>} One row per owner, plus unknown owners in use
+ */
+export const calculateWorkload = (tasks, owners, weeks, calendar = null) => {
+  const weekIndexByDate = new Map();
+  weeks.forEach((week, weekIndex) => {
+    week.days.forEach(day => {
+      if (day.inRange) weekIndexByDate.set(day.date, weekIndex);
+    });
+  });
+
+  const ownerIds = [...owners.map(owner => owner.id)];
+  getUsedOwnerIds(tasks).forEach(ownerId => {
+    if (!ownerIds.includes(ownerId)) ownerIds.push(ownerId);
+  });
+
+  return ownerIds.map(ownerId => {
+    const owner = getOwner(owners, ownerId);
+    const rowWeeks = weeks.map(() => ({ days: 0, activities: [] }));
+
+    tasks.forEach(task => {
+      task.activities.filter(activity => activity.owner === ownerId).forEach(activity => {
+        const perWeek = new Map();
+        getActivityDates(activity, null, calendar).forEach(date => {
+          const weekIndex = weekIndexByDate.get(date);
+          if (weekIndex !== undefined) perWeek.set(weekIndex, (perWeek.get(weekIndex) || 0) + 1);
+        });
+        perWeek.forEach((days, weekIndex) => {
+          rowWeeks[weekIndex].days += days;
+          rowWeeks[weekIndex].activities.push({ id: activity.id, name: activity.name, days });
+        });
+      });
+    });
+
+    const withFlags = rowWeeks.map(week => ({ ...week, overAllocated: week.days > owner.capacity }));
+    return {
+      owner,
+      weeks: withFlags,
+      totalDays: withFlags.reduce((sum, week) => sum + week.days, 0),
+      peakDays: withFlags.reduce((max, week) => Math.max(max, week.days), 0),
+      overAllocatedWeeks: withFlags.filter(week => week.overAllocated).length
+    };
+  });
+};
+
+// Export default object with all functions
+export default {
+  loadOwners,
+  saveOwners,
+  validateOwner,
+  getOwner,
+  getNextOwnerColor,
+  getUsedOwnerIds,
+  reassignOwner,
+  filterTasksByOwners,
+  calculateWorkload
+};
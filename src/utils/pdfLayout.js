@@ -0,0 +1,110 @@
+/**
+ * PDF Layout Utility
+ * Page geometry for the PDF export of the Gantt chart. Sheets are landscape
+ * A4 or A3 in millimetres. The chart is cut into a grid of sheets: rows that
+ * do not fit go onto further sheets, and so do timeline columns, with the
+ * activity names and the timeline header repeated on every sheet. Sheets are
+ * numbered row band by row band, left to right.
+ */
+
+export const PDF_PAGE_SIZES = {
+  a4: { label: 'A4 landscape', width: 297, height: 210 },
+  a3: { label: 'A3 landscape', width: 420, height: 297 }
+};
+
+export const DEFAULT_PDF_PAGE_SIZE = 'a4';
+
+// Width in millimetres of one timeline column at each zoom level
+export const PDF_COLUMN_WIDTHS = {
+  day: 5,
+  week: 10,
+  month: 18,
+  quarter: 26
+};
+
+export const DEFAULT_PDF_ZOOM_LEVEL = 'week';
+
+export const PDF_LAYOUT = {
+  margin: 10,
+  titleHeight: 18,
+  headerRowHeight: 5, // each of the two timeline header rows
+  rowHeight: 6,
+  labelWidth: 64,
+  footerHeight: 14 // legend and page number
+};
+
+/**
+ * One row per task followed by a row per activity
+ * @returns {Array<{type: 'task'|'activity', task: Object, activity?: Object}>}
+ */
+export const buildPdfRows = (tasks) => {
+  return tasks.flatMap(task => [
+    { type: 'task', task },
+    ...(task.activities || []).map(activity => ({ type: 'activity', task, activity }))
+  ]);
+};
+
+/**
+ * How many rows and timeline columns fit on one sheet
+ * @returns {{rowsPerPage: number, columnsPerPage: number}} Always at least one of each
+ */
+export const getPageCapacity = (pageSize = DEFAULT_PDF_PAGE_SIZE, zoomLevel = DEFAULT_PDF_ZOOM_LEVEL) => {
+  const { width, height } = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES[DEFAULT_PDF_PAGE_SIZE];
+  const columnWidth = PDF_COLUMN_WIDTHS[zoomLevel] || PDF_COLUMN_WIDTHS[DEFAULT_PDF_ZOOM_LEVEL];
+  const { margin, titleHeight, headerRowHeight, rowHeight, labelWidth, footerHeight } = PDF_LAYOUT;
+
+  const chartWidth = width - 2 * margin - labelWidth;
+  const chartHeight = height - 2 * margin - titleHeight - 2 * headerRowHeight - footerHeight;
+  return {
+    rowsPerPage: Math.max(1, Math.floor(chartHeight / rowHeight)),
+    columnsPerPage: Math.max(1, Math.floor(chartWidth / columnWidth))
+  };
+};
+
+/**
+ * Cut the chart into sheets
+ * @param {{rowCount: number, columnCount: number, pageSize?: string, zoomLevel?: string}} chart
+ * @returns {Array<{rowStart: number, rowEnd: number, columnStart: number, columnEnd: number}>}
+ *   End indexes are exclusive; an empty chart still gets one sheet
+ */
+export const paginateGantt = ({ rowCount, columnCount, pageSize, zoomLevel }) => {
+  const { rowsPerPage, columnsPerPage } = getPageCapacity(pageSize, zoomLevel);
+  const pages = [];
+
+  for (let rowStart = 0; rowStart < Math.max(rowCount, 1); rowStart += rowsPerPage) {
+    for (let columnStart = 0; columnStart < Math.max(columnCount, 1); columnStart += columnsPerPage) {
+      pages.push({
+        rowStart,
+        rowEnd: Math.min(rowStart + rowsPerPage, rowCount),
+        columnStart,
+        columnEnd: Math.min(columnStart + columnsPerPage, columnCount)
+      });
+    }
+  }
+  return pages;
+};
+
+/**
+ * Header groups (months, weeks or years) cut down to the columns on one sheet
+ * @param {Array<{key: string, label: string, span: number}>} groups - From buildTimelineColumns
+ * @returns {Array<{key: string, label: string, span: number}>}
+ */
+export const sliceGroups = (groups, columnStart, columnEnd) => {
+  const result = [];
+  let position = 0;
+  groups.forEach(group => {
+    const from = Math.max(position, columnStart);
+    const to = Math.min(position + group.span, columnEnd);
+    if (to > from) result.push({ ...group, span: to - from });
+    position += group.span;
+  });
+  return result;
+};
+
+// Export default object with all functions
+export default {
+  buildPdfRows,
+  getPageCapacity,
+  paginateGantt,
+  sliceGroups
+};
@@ -0,0 +1,250 @@
+/**
+ * Plan Comments Utility
+ * Comment threads on Gantt activities and gateways. A thread is a root
+ * comment plus its replies; threads can be resolved and reopened. Comments
+ * are never removed outright - deleting one blanks it, so replies keep their
+ * place and the deletion reaches every device through sync. Each browser
+ * remembers when it last read each activity's comments, which drives the
+ * unread indicator on the bars.
+ */
+
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+
+// Storage keys
+const STORAGE_KEYS = {
+  COMMENTS: 'gantt-comments',
+  READ: 'gantt-comments-read'
+};
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+// `@Name` - letters, digits, dots, dashes and underscores
+const MENTION_PATTERN = /(^|\s)@([\p{L}\d._-]+)/gu;
+
+export const loadComments = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.COMMENTS, projectId));
+    if (!stored) return [];
+
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed.comments) ? parsed.comments : [];
+  } catch (error) {
+    console.error('Error loading comments:', error);
+    return [];
+  }
+};
+
+export const saveComments = (comments, projectId = getActiveProjectId()) => {
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.COMMENTS, projectId), JSON.stringify({ v: 1, comments }));
+};
+
+/**
+ * When each activity's comments were last read in this browser
+ * @returns {Object} ISO timestamp per activity id
+ */
+export const loadReadState = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.READ, projectId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading comment read state:', error);
+    return {};
+  }
+};
+
+export const saveReadState = (readState, projectId = getActiveProjectId()) => {
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.READ, projectId), JSON.stringify(readState));
+};
+
+export const markActivityRead = (readState, activityId, now = new Date()) => ({
+  ...readState,
+  [activityId]: now.toISOString()
+});
+
+/**
+ * Names mentioned as `@Name`, without duplicates
+ */
+export const parseMentions = (text) => {
+  const mentions = [];
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    if (!mentions.includes(match[2])) mentions.push(match[2]);
+  }
+  return mentions;
+};
+
+/**
+ * Text split into plain and mention parts, for highlighting
+ * @returns {Array<{text: string, mention: boolean}>}
+ */
+export const splitMentions = (text) => {
+  const parts = [];
+  let last = 0;
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    if (start > last) parts.push({ text: text.slice(last, start), mention: false });
+    parts.push({ text: `@${match[2]}`, mention: true });
+    last = start + match[2].length + 1;
+  }
+  if (last < (text || '').length) parts.push({ text: text.slice(last), mention: false });
+  return parts;
+};
+
+// Names are written without spaces in mentions, e.g. "Prof Smith" as @Prof_Smith
+export const toMentionName = (name) => (name || '').trim().replace(/\s+/g, '_');
+
+export const isMentioned = (comment, name) => Boolean(name) && (comment.mentions || []).some(
+  mention => mention.toLowerCase() === toMentionName(name).toLowerCase()
+);
+
+const validateText = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw new Error('Comment cannot be empty');
+  if (trimmed.length > MAX_COMMENT_LENGTH) throw new Error(`Comment must be ${MAX_COMMENT_LENGTH} characters or less`);
+  return trimmed;
+};
+
+/**
+ * New comment, or a reply when `parentId` is given
+ * @param {Object} options
+ * @param {*} options.activityId - Activity or gateway the thread belongs to
+ * @param {string|null} options.parentId - Root comment of the thread
+ * @param {string} options.text
+ * @param {{id: string, name: string, role: string|null}} options.author
+ */
+export const createComment = ({ activityId, parentId = null, text, author }, now = new Date()) => {
+  const trimmed = validateText(text);
+  const timestamp = now.toISOString();
+  return {
+    id: `comment_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+    activityId,
+    parentId,
+    text: trimmed,
+    mentions: parseMentions(trimmed),
+    authorId: author.id,
+    authorName: author.name,
+    authorRole: author.role || null,
+    resolved: false,
+    resolvedBy: null,
+    deleted: false,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    editedAt: null
+  };
+};
+
+export const editComment = (comment, text, now = new Date()) => {
+  const trimmed = validateText(text);
+  return {
+    ...comment,
+    text: trimmed,
+    mentions: parseMentions(trimmed),
+    editedAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+};
+
+export const setThreadResolved = (comment, resolved, byName, now = new Date()) => ({
+  ...comment,
+  resolved,
+  resolvedBy: resolved ? byName : null,
+  updatedAt: now.toISOString()
+});
+
+export const deleteComment = (comment, now = new Date()) => ({
+  ...comment,
+  text: '',
+  mentions: [],
+  deleted: true,
+  updatedAt: now.toISOString()
+});
+
+/**
+ * Threads of one activity, oldest first, each with its replies
+ * Threads whose comments were all deleted are left out.
+ */
+export const getThreads = (comments, activityId) => {
+  const byDate = (a, b) => a.createdAt.localeCompare(b.createdAt);
+  const activityComments = comments.filter(comment => comment.activityId === activityId);
+
+  return activityComments
+    .filter(comment => !comment.parentId)
+    .sort(byDate)
+    .map(root => ({
+      ...root,
+      replies: activityComments.filter(comment => comment.parentId === root.id).sort(byDate)
+    }))
+    .filter(thread => !thread.deleted || thread.replies.some(reply => !reply.deleted));
+};
+
+/**
+ * Comment counts per activity for the chart
+ * @returns {Object} { total, open, unread, mentioned } per activity id; `open` counts unresolved threads
+ */
+export const getCommentSummary = (comments, readState, userId, userName) => {
+  const summary = {};
+  comments.forEach(comment => {
+    if (comment.deleted) return;
+
+    const entry = summary[comment.activityId] || (summary[comment.activityId] = { total: 0, open: 0, unread: 0, mentioned: false });
+    entry.total += 1;
+    if (!comment.parentId && !comment.resolved) entry.open += 1;
+
+    const lastRead = readState[comment.activityId];
+    if (comment.authorId !== userId && (!lastRead || comment.updatedAt > lastRead)) {
+      entry.unread += 1;
+      if (isMentioned(comment, userName)) entry.mentioned = true;
+    }
+  });
+  return summary;
+};
+
+/**
+ * Combine this browser's comments with the synced ones; the newer version of each comment wins
+ * @returns {{comments: Array, toUpload: Array}} toUpload holds the comments the other side lacks or has older
+ */
+export const mergeComments = (local, remote) => {
+  const merged = new Map(remote.map(comment => [comment.id, comment]));
+  const toUpload = [];
+
+  local.forEach(comment => {
+    const other = merged.get(comment.id);
+    if (!other || comment.updatedAt > other.updatedAt) {
+      merged.set(comment.id, comment);
+      toUpload.push(comment);
+    }
+  });
+
+  return { comments: Array.from(merged.values()), toUpload };
+};
+
+/**
+ * What the current user may do with a comment
+ * @param {{canAdd: boolean, canEdit: boolean, canDelete: boolean}} permissions - From useCommentPermissions
+ */
+export const getCommentActions = (comment, userId, permissions) => ({
+  canReply: permissions.canAdd && !comment.parentId,
+  canEdit: permissions.canEdit && comment.authorId === userId && !comment.deleted,
+  canDelete: permissions.canDelete && !comment.deleted,
+  canResolve: permissions.canAdd && !comment.parentId
+});
+
+// Export default object with all functions
+export default {
+  loadComments,
+  saveComments,
+  loadReadState,
+  saveReadState,
+  markActivityRead,
+  parseMentions,
+  splitMentions,
+  toMentionName,
+  isMentioned,
+  createComment,
+  editComment,
+  setThreadResolved,
+  deleteComment,
+  getThreads,
+  getCommentSummary,
+  mergeComments,
+  getCommentActions
+};
@@ -0,0 +1,321 @@
+/**
+ * Plan Import Utility
+ * Reads a plan exported to JSON back into the chart. Files are checked
+ * against the export schema, older schema versions are migrated forward one
+ * step at a time, and the result is compared with the current plan so the
+ * added, changed and removed tasks can be previewed. The imported tasks can
+ * be merged into the plan (tasks with the same ID are replaced, others are
+ * added, tasks missing from the file are kept) or replace it, and the
+ * completed days of the imported activities come with them. Approval
+ * records only come in for users who can approve milestones, so a file
+ * cannot carry approval steps the workflow never took.
+ */
+
+import { parseISODate, LEGACY_TIMELINE_ANCHOR } from './projectTimeline';
+import { fromLegacyActivity, migrateLegacyCompletedDays } from './activityDates';
+import { ARCHIVE_FORMAT } from './exportArchive';
+import { APPROVAL_STATUS_LABELS, getApprovalRecordChanges } from './gatewayApproval';
+
+export const PLAN_EXPORT_FORMAT = 'thesis-gantt-plan';
+export const PLAN_EXPORT_VERSION = '2.0';
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+/**
+ * Steps that bring an export up to the next schema version, keyed by the version they read
+ */
+export const PLAN_MIGRATIONS = {
+  // 1.0 files may still hold activities as week/day indexes and completed days keyed
+  // `${activityId}-${weekIndex}-${dayIndex}`, both on the default timeline
+  '1.0': {
+    to: '2.0',
+    migrate: (data) => ({
+      ...data,
+      meta: { ...data.meta, format: PLAN_EXPORT_FORMAT, version: '2.0' },
+      tasks: data.tasks.map(task => (task && Array.isArray(task.activities)
+        ? { ...task, activities: task.activities.map(activity => (activity && typeof activity === 'object' ? fromLegacyActivity(activity, LEGACY_TIMELINE_ANCHOR) : activity)) }
+        : task)),
+      completedDays: migrateLegacyCompletedDays(data.completedDays, LEGACY_TIMELINE_ANCHOR)
+    })
+  }
+};
+
+const FOREIGN_FILE = 'This file is not a plan exported from the Gantt chart';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isValidId = (id) => (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && id.trim() !== '');
+
+// Equal as JSON data, whatever the key order; undefined fields count as missing
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isSameValue(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isSameValue(a[key], b[key]));
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+const getActivityIdFromDayKey = (key) => key.slice(0, key.lastIndexOf(':'));
+
+/**
+ * The export version of a parsed file, or why it cannot be imported
+ * @returns {{version: string|null, error: string|null}}
+ */
+export const checkPlanFormat = (data) => {
+  if (isPlainObject(data) && data.format === ARCHIVE_FORMAT) {
+    return { version: null, error: 'This is the manifest of a ZIP archive; import plan/plan.json from the archive instead' };
+  }
+  if (!isPlainObject(data) || !isPlainObject(data.meta) || !Array.isArray(data.tasks)) {
+    return { version: null, error: FOREIGN_FILE };
+  }
+  if (data.meta.format !== undefined && data.meta.format !== PLAN_EXPORT_FORMAT) {
+    return { version: null, error: FOREIGN_FILE };
+  }
+
+  const version = typeof data.meta.version === 'string' ? data.meta.version : null;
+  if (version === PLAN_EXPORT_VERSION || PLAN_MIGRATIONS[version]) return { version, error: null };
+  if (version && parseFloat(version) > parseFloat(PLAN_EXPORT_VERSION)) {
+    return { version, error: `This file was exported by a newer version of the app (schema ${version}); this one reads up to ${PLAN_EXPORT_VERSION}` };
+  }
+  return { version, error: version ? `Unknown export schema version ${version}` : 'The file has no export schema version' };
+};
+
+/**
+ * Run the migrations from the file's version up to the current one
+ * @returns {{data: Object, migratedFrom: string[]}} The versions that were migrated, oldest first
+ */
+export const migratePlanExport = (data) => {
+  let migrated = data;
+  const migratedFrom = [];
+  while (migrated.meta.version !== PLAN_EXPORT_VERSION) {
+    const migration = PLAN_MIGRATIONS[migrated.meta.version];
+    migratedFrom.push(migrated.meta.version);
+    migrated = migration.migrate(migrated);
+  }
+  return { data: migrated, migratedFrom };
+};
+
+/**
+ * Check the tasks and completed days of a current-version export
+ * @returns {{tasks: Array, completedDays: Object, errors: Array<{row: null, message: string}>, warnings: Array<{row: null, message: string}>}}
+ */
+export const validatePlanExport = (data) => {
+  const errors = [];
+  const warnings = [];
+  const error = (message) => errors.push({ row: null, message });
+  const warning = (message) => warnings.push({ row: null, message });
+  const taskIds = new Set();
+  const activityIds = new Set();
+
+  data.tasks.forEach((task, index) => {
+    if (!isPlainObject(task)) {
+      error(`Task ${index + 1} is not a task`);
+      return;
+    }
+    const label = `Task ${isValidId(task.id) ? task.id : index + 1}`;
+    if (!isValidId(task.id)) error(`${label} has no ID`);
+    else if (taskIds.has(String(task.id))) error(`${label} appears more than once`);
+    else taskIds.add(String(task.id));
+    if (typeof task.name !== 'string' || !task.name.trim()) error(`${label} has no name`);
+    if (!Array.isArray(task.activities)) {
+      error(`${label} has no activity list`);
+      return;
+    }
+
+    task.activities.forEach((activity, activityIndex) => {
+      if (!isPlainObject(activity) || !isValidId(activity.id)) {
+        error(`${label}: activity ${activityIndex + 1} has no ID`);
+        return;
+      }
+      const activityLabel = `Activity ${activity.id}`;
+      if (activityIds.has(String(activity.id))) error(`${activityLabel} appears more than once`);
+      activityIds.add(String(activity.id));
+      if (typeof activity.name !== 'string' || !activity.name.trim()) error(`${activityLabel} has no name`);
+
+      const hasDates = activity.startDate != null || activity.endDate != null;
+      const start = parseISODate(activity.startDate);
+      const end = parseISODate(activity.endDate);
+      if (hasDates && (!start || !end)) error(`${activityLabel} needs a start and end date as YYYY-MM-DD`);
+      else if (hasDates && end < start) error(`${activityLabel} ends before it starts`);
+      if (activity.dependencies !== undefined && !Array.isArray(activity.dependencies)) {
+        error(`${activityLabel} has dependencies that are not a list`);
+      }
+    });
+  });
+
+  if (data.completedDays !== undefined && !isPlainObject(data.completedDays)) {
+    error('Completed days are not a set of activity days');
+  }
+  if (errors.length > 0) return { tasks: null, completedDays: null, errors, warnings };
+
+  const tasks = data.tasks.map(task => ({
+    ...task,
+    activities: task.activities.map(activity => {
+      if (!activity.dependencies) return activity;
+      const dependencies = activity.dependencies.filter(dependency => dependency && activityIds.has(String(dependency.predecessorId)));
+      if (dependencies.length < activity.dependencies.length) {
+        warning(`Activity ${activity.id} depends on activities that are not in the file; those dependencies are dropped`);
+      }
+      return { ...activity, dependencies };
+    })
+  }));
+
+  const completedDays = {};
+  let skippedDays = 0;
+  Object.entries(data.completedDays || {}).forEach(([key, completed]) => {
+    if (!completed) return;
+    const date = key.slice(key.lastIndexOf(':') + 1);
+    if (key.includes(':') && parseISODate(date) && activityIds.has(getActivityIdFromDayKey(key))) {
+      completedDays[key] = true;
+    } else {
+      skippedDays++;
+    }
+  });
+  if (skippedDays > 0) {
+    warning(`${skippedDays} completed day${skippedDays === 1 ? '' : 's'} belong to no activity in the file and are skipped`);
+  }
+
+  const options = data.options || {};
+  if ((options.specificTasks && options.specificTasks.length > 0)
+    || options.includeCompleted === false || options.includeInProgress === false || options.includePending === false) {
+    warning('This export was filtered by task or status; what was left out is not in the file');
+  }
+
+  return { tasks, completedDays, errors, warnings };
+};
+
+/**
+ * Tasks the file would add, change or (when replacing) remove, matched by task ID
+ * @returns {{added: Array, changed: Array, removed: Array, unchanged: number}}
+ */
+export const diffPlanTasks = (currentTasks, importedTasks) => {
+  const currentById = new Map(currentTasks.map(task => [String(task.id), task]));
+  const importedIds = new Set(importedTasks.map(task => String(task.id)));
+  const preview = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  importedTasks.forEach(task => {
+    const current = currentById.get(String(task.id));
+    if (!current) preview.added.push(task);
+    else if (!isSameValue(current, task)) preview.changed.push(task);
+    else preview.unchanged++;
+  });
+  preview.removed = currentTasks.filter(task => !importedIds.has(String(task.id)));
+  return preview;
+};
+
+/**
+ * The plan after importing the file in the given mode
+ * @param {Object} current - { tasks, completedDays } of the chart
+ * @param {Object} imported - { tasks, completedDays } from validatePlanExport
+ * @param {Object} options
+ * @param {Function} options.isLocked - Activity => true when it may not be changed or removed (approved gateways)
+ * @param {boolean} options.canApprove - Whether the user may bring in approval records that differ from the plan's
+ * @returns {{tasks: Array|null, completedDays: Object|null, errors: Array<{row: null, message: string}>}}
+ */
+export const buildImportedPlan = (current, imported, mode, { isLocked = () => false, canApprove = false } = {}) => {
+  const errors = [];
+  const importedById = new Map(imported.tasks.map(task => [String(task.id), task]));
+  let tasks = imported.tasks;
+  let completedDays = imported.completedDays;
+
+  if (mode === IMPORT_MODES.MERGE) {
+    const currentIds = new Set(current.tasks.map(task => String(task.id)));
+    const keptTasks = current.tasks.filter(task => !importedById.has(String(task.id)));
+    const importedActivities = new Map(imported.tasks.flatMap(task => task.activities.map(activity => [String(activity.id), task])));
+    keptTasks.forEach(task => task.activities.forEach(activity => {
+      const importedTask = importedActivities.get(String(activity.id));
+      if (importedTask) {
+        errors.push({ row: null, message: `Activity ${activity.id} is in "${importedTask.name}" in the file but in "${task.name}" in this plan` });
+      }
+    }));
+
+    tasks = [
+      ...current.tasks.map(task => importedById.get(String(task.id)) || task),
+      ...imported.tasks.filter(task => !currentIds.has(String(task.id)))
+    ];
+    // Days of the tasks that stay come from the plan, those of the imported tasks from the file
+    const keptActivityIds = new Set(keptTasks.flatMap(task => task.activities.map(activity => String(activity.id))));
+    completedDays = Object.keys(current.completedDays || {}).reduce((result, key) => {
+      const activityId = getActivityIdFromDayKey(key);
+      if (keptActivityIds.has(activityId) && !importedActivities.has(activityId)) result[key] = current.completedDays[key];
+      return result;
+    }, { ...imported.completedDays });
+  }
+
+  const resulting = new Map(tasks.flatMap(task => task.activities.map(activity => [String(activity.id), activity])));
+  current.tasks.forEach(task => task.activities.forEach(activity => {
+    if (!isLocked(activity)) return;
+    const next = resulting.get(String(activity.id));
+    if (!next) errors.push({ row: null, message: `"${activity.name}" is an approved gateway and cannot be removed` });
+    else if (!isSameValue(activity, next)) errors.push({ row: null, message: `"${activity.name}" is an approved gateway; only a supervisor can change it` });
+  }));
+
+  if (!canApprove) {
+    getApprovalRecordChanges(current.tasks, tasks)
+      .filter(change => change.to !== null)
+      .forEach(change => errors.push({
+        row: null,
+        message: `"${change.name}" has a different approval record in the file (${APPROVAL_STATUS_LABELS[change.to]}); only a supervisor can import approval steps`
+      }));
+  }
+
+  return errors.length > 0 ? { tasks: null, completedDays: null, errors } : { tasks, completedDays, errors };
+};
+
+/**
+ * Import report for the text of a JSON export; nothing changes until the caller applies one of `plans`
+ * @param {string} text - File contents
+ * @param {Object} current - { tasks, completedDays } of the chart
+ * @param {Object} options - { isLocked: activity => boolean, canApprove: boolean }
+ * @returns {{version: string|null, migratedFrom: string[], errors: Array, warnings: Array, preview: Object|null,
+ *   plans: {merge: Object, replace: Object}|null}}
+ */
+export const readPlanExport = (text, current, options = {}) => {
+  const reject = (message, version = null) => ({
+    version, migratedFrom: [], errors: [{ row: null, message }], warnings: [], preview: null, plans: null
+  });
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return reject('The file is not valid JSON');
+  }
+
+  const { version, error } = checkPlanFormat(data);
+  if (error) return reject(error, version);
+
+  const { data: migrated, migratedFrom } = migratePlanExport(data);
+  const imported = validatePlanExport(migrated);
+  if (!imported.tasks) {
+    return { version, migratedFrom, errors: imported.errors, warnings: imported.warnings, preview: null, plans: null };
+  }
+
+  return {
+    version,
+    migratedFrom,
+    errors: [],
+    warnings: imported.warnings,
+    preview: diffPlanTasks(current.tasks, imported.tasks),
+    plans: {
+      [IMPORT_MODES.MERGE]: buildImportedPlan(current, imported, IMPORT_MODES.MERGE, options),
+      [IMPORT_MODES.REPLACE]: buildImportedPlan(current, imported, IMPORT_MODES.REPLACE, options)
+    }
+  };
+};
+
+// Export default object with all functions
+export default {
+  checkPlanFormat,
+  migratePlanExport,
+  validatePlanExport,
+  diffPlanTasks,
+  buildImportedPlan,
+  readPlanExport
+};
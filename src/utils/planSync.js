@@ -0,0 +1,243 @@
+/**
+ * Plan Sync Utility
+ * Helpers for keeping a project's plan in Firestore: the JSON-safe shape
+ * that is uploaded (tasks, progress, project settings with the working
+ * calendar, and owners with their capacities), the per-project sync state (last revision seen and the
+ * plan as it was at that revision) and a three-way merge used when two
+ * devices changed the plan since they last synced. The merge works per
+ * field of each task and activity, so two people editing different fields
+ * of one activity both keep their change; when both changed the same field
+ * differently the local value is kept and the clash is reported. Settings
+ * and owners merge the same way, but a clash there keeps the local value
+ * without asking.
+ */
+
+import { isSameState } from './editHistory';
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+
+// Storage keys
+const STORAGE_KEYS = {
+  SYNC_STATE: 'gantt-sync'
+};
+
+// Error code used when the stored revision moved on since the last sync
+export const PLAN_CONFLICT = 'plan-conflict';
+
+const EMPTY_SYNC_STATE = { planId: null, revision: 0, base: null };
+
+/**
+ * Plain copy of the plan that Firestore accepts (no undefined values)
+ * @param {{tasks: Array, completedDays: Object, settings: Object, owners: Array}} plan - Settings and
+ *   owners are null in plans stored before they were synced
+ */
+export const toSyncedPlan = ({ tasks, completedDays, settings, owners }) => JSON.parse(JSON.stringify({
+  tasks: tasks || [],
+  completedDays: completedDays || {},
+  settings: settings || null,
+  owners: owners || null
+}));
+
+export const loadSyncState = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.SYNC_STATE, projectId));
+    if (!stored) return { ...EMPTY_SYNC_STATE };
+
+    const parsed = JSON.parse(stored);
+    return {
+      planId: parsed.planId || null,
+      revision: Number.isInteger(parsed.revision) ? parsed.revision : 0,
+      base: parsed.base || null
+    };
+  } catch (error) {
+    console.error('Error loading sync state:', error);
+    return { ...EMPTY_SYNC_STATE };
+  }
+};
+
+export const saveSyncState = (state, projectId = getActiveProjectId()) => {
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.SYNC_STATE, projectId), JSON.stringify({ v: 1, ...state }));
+};
+
+// Three-way merge of one value; `onConflict` is called when both sides changed it differently
+const mergeValue = (base, local, remote, onConflict) => {
+  if (isSameState(local, remote)) return local;
+  if (isSameState(base, local)) return remote;
+  if (isSameState(base, remote)) return local;
+
+  onConflict();
+  // An edit wins over a deletion
+  return local === undefined ? remote : local;
+};
+
+const pick = (item, fields) => fields.reduce((picked, field) => {
+  if (item[field] !== undefined) picked[field] = item[field];
+  return picked;
+}, {});
+
+// Field-by-field merge of an item that exists on both sides; returns the merged item and the clashing fields
+const mergeFields = (base = {}, local, remote, skip = []) => {
+  const merged = {};
+  const clashes = [];
+  new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(field => {
+    if (skip.includes(field)) return;
+    const value = mergeValue(base[field], local[field], remote[field], () => clashes.push(field));
+    if (value !== undefined) merged[field] = value;
+  });
+  return { merged, clashes };
+};
+
+const sameSequence = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+// Keep the local order if the local side reordered, otherwise follow the remote order
+const mergeOrder = (baseIds, localIds, remoteIds) => {
+  const localReordered = !sameSequence(
+    localIds.filter(id => baseIds.includes(id)),
+    baseIds.filter(id => localIds.includes(id))
+  );
+  const ordered = localReordered ? [...localIds] : [...remoteIds];
+  (localReordered ? remoteIds : localIds).forEach(id => {
+    if (!ordered.includes(id)) ordered.push(id);
+  });
+  return ordered;
+};
+
+const mergeById = (base = [], local = [], remote = [], mergeItem) => {
+  const index = (list) => new Map(list.map(item => [item.id, item]));
+  const baseItems = index(base);
+  const localItems = index(local);
+  const remoteItems = index(remote);
+
+  return mergeOrder(base.map(item => item.id), local.map(item => item.id), remote.map(item => item.id))
+    .map(id => mergeItem(baseItems.get(id), localItems.get(id), remoteItems.get(id)))
+    .filter(Boolean);
+};
+
+// Field-by-field merge that keeps the local value of clashing fields; added or removed on one side as a single value
+const mergeQuietly = (base, local, remote) => {
+  if (!local || !remote) return mergeValue(base, local, remote, () => {}) || null;
+  return mergeFields(base || {}, local, remote).merged;
+};
+
+// Settings are one object; owners a list merged per owner code. Either is null on a side that never synced them
+const mergeSettings = (base, local, remote) => mergeQuietly(base ?? null, local, remote);
+
+const mergeOwners = (base, local, remote) => {
+  if (!local || !remote) return mergeValue(base ?? null, local, remote, () => {}) || null;
+  return mergeById(base || [], local, remote, mergeQuietly);
+};
+
+/**
+ * Merge two plans that both changed since `base`
+ * @param {Object|null} base - Plan as last synced (null when the two were never in sync)
+ * @param {Object} local - Plan on this device
+ * @param {Object} remote - Plan in Firestore
+ * @returns {{plan: Object, conflicts: Array}} Each conflict is { key, type: 'task'|'activity', id, taskId, name,
+ *   fields, local, remote }: for an item edited on both sides `fields` lists the clashing fields and local/remote
+ *   hold their values; for an item edited on one side and deleted on the other `fields` is null and
+ *   local/remote hold the whole item or null.
+ */
+export const mergePlans = (base, local, remote) => {
+  const conflicts = [];
+
+  const report = (type, taskId, localItem, remoteItem, fields) => {
+    const item = localItem || remoteItem;
+    conflicts.push({
+      key: `${type}:${item.id}`,
+      type,
+      id: item.id,
+      taskId,
+      name: item.name,
+      fields,
+      local: localItem ? (fields ? pick(localItem, fields) : localItem) : null,
+      remote: remoteItem ? (fields ? pick(remoteItem, fields) : remoteItem) : null
+    });
+  };
+
+  const mergeActivity = (taskId) => (baseActivity, localActivity, remoteActivity) => {
+    if (!localActivity || !remoteActivity) {
+      return mergeValue(baseActivity, localActivity, remoteActivity, () => {
+        report('activity', taskId, localActivity, remoteActivity, null);
+      });
+    }
+
+    const { merged, clashes } = mergeFields(baseActivity, localActivity, remoteActivity);
+    if (clashes.length > 0) report('activity', taskId, localActivity, remoteActivity, clashes);
+    return merged;
+  };
+
+  const mergeTask = (baseTask, localTask, remoteTask) => {
+    // Added or deleted on one side: same rules as a single value, without a reported clash
+    if (!localTask || !remoteTask) {
+      return mergeValue(baseTask, localTask, remoteTask, () => {});
+    }
+
+    const { merged, clashes } = mergeFields(baseTask, localTask, remoteTask, ['activities']);
+    if (clashes.length > 0) report('task', localTask.id, localTask, remoteTask, clashes);
+    return {
+      ...merged,
+      activities: mergeById(baseTask?.activities, localTask.activities, remoteTask.activities, mergeActivity(localTask.id))
+    };
+  };
+
+  const tasks = mergeById(base?.tasks, local.tasks, remote.tasks, mergeTask);
+
+  const baseDays = base?.completedDays || {};
+  const completedDays = {};
+  new Set([...Object.keys(local.completedDays || {}), ...Object.keys(remote.completedDays || {})]).forEach(key => {
+    const value = mergeValue(baseDays[key], local.completedDays[key], remote.completedDays[key], () => {});
+    if (value) completedDays[key] = value;
+  });
+
+  const settings = mergeSettings(base?.settings, local.settings, remote.settings);
+  const owners = mergeOwners(base?.owners, local.owners, remote.owners);
+
+  return { plan: { tasks, completedDays, settings, owners }, conflicts };
+};
+
+/**
+ * Settle reported conflicts
+ * @param {Object} plan - Merged plan (holds the local side of every conflict)
+ * @param {Array} conflicts - From mergePlans
+ * @param {Object} choices - 'local' or 'remote' per conflict key; missing keys keep the local side
+ */
+export const resolveConflicts = (plan, conflicts, choices = {}) => {
+  // Put the chosen side back in place: whole items for edit/delete clashes, single fields otherwise
+  const settle = (item, conflict) => {
+    const value = choices[conflict.key] === 'remote' ? conflict.remote : conflict.local;
+    if (!conflict.fields) return value;
+
+    const settled = { ...item };
+    conflict.fields.forEach(field => {
+      if (value[field] === undefined) {
+        delete settled[field];
+      } else {
+        settled[field] = value[field];
+      }
+    });
+    return settled;
+  };
+
+  let tasks = plan.tasks;
+  conflicts.forEach(conflict => {
+    tasks = tasks.map(task => {
+      if (task.id !== conflict.taskId) return task;
+      if (conflict.type === 'task') return { ...settle(task, conflict), activities: task.activities };
+
+      const activities = task.activities
+        .map(activity => (activity.id === conflict.id ? settle(activity, conflict) : activity))
+        .filter(Boolean);
+      return { ...task, activities };
+    });
+  });
+
+  return { ...plan, tasks };
+};
+
+// Export default object with all functions
+export default {
+  toSyncedPlan,
+  loadSyncState,
+  saveSyncState,
+  mergePlans,
+  resolveConflicts
+};
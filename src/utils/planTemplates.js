@@ -0,0 +1,476 @@
+/**
+ * Plan Templates Utility
+ * Reusable plans for new projects: the built-in MSc thesis, PhD by
+ * publication and systematic review plans, plus templates the user saved
+ * from their own plans. Templates store each activity as an offset and a
+ * duration in calendar days, so they can be laid out from any start date.
+ */
+
+import { parseISODate, toISODate, addDays, daysBetween } from './projectTimeline';
+import { getDeliverables } from './deliverables';
+
+// Storage keys
+const STORAGE_KEYS = {
+  TEMPLATES: 'gantt-templates'
+};
+
+const fs = (predecessorId) => ({ predecessorId, type: 'FS', lag: 0 });
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'msc-thesis',
+    name: 'MSc thesis',
+    description: 'Three-month taught master\'s thesis with a software prototype, surveys, interviews and five chapters.',
+    builtIn: true,
+    tasks: [
+      {
+        id: 1,
+        name: 'PLANNING',
+        activities: [
+          { id: 1.1, name: 'Confirm topic & objectives', startOffset: 1, durationDays: 3, owner: 'ME', color: 'bg-blue-400' },
+          {
+            id: 1.2, name: 'Write research proposal', startOffset: 4, durationDays: 5, owner: 'ME', color: 'bg-blue-400',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Research Proposal Approved',
+              deliverables: ['Approved research topic', 'Research objectives defined', 'Initial literature survey', 'Methodology outline'],
+              nextSteps: 'Proceed to detailed research and prototype development'
+            }
+          }
+        ]
+      },
+      {
+        id: 2,
+        name: 'PROTOTYPE DEVELOPMENT',
+        activities: [
+          { id: 2.1, name: 'Requirements gathering', startOffset: 1, durationDays: 7, owner: 'ME', color: 'bg-purple-400' },
+          { id: 2.2, name: 'Design phase', startOffset: 8, durationDays: 10, owner: 'ME', color: 'bg-purple-400' },
+          { id: 2.3, name: 'Test development (TDD)', startOffset: 18, durationDays: 7, owner: 'ME', color: 'bg-purple-400' },
+          { id: 2.4, name: 'Implementation (Agile sprints)', startOffset: 25, durationDays: 21, owner: 'ME', color: 'bg-purple-400' },
+          { id: 2.5, name: 'DevOps implementation', startOffset: 46, durationDays: 11, owner: 'ME', color: 'bg-indigo-400' },
+          {
+            id: 2.6, name: 'Test and debug prototype', startOffset: 57, durationDays: 14, owner: 'ME', color: 'bg-indigo-400',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Functional Prototype Complete',
+              deliverables: ['Working prototype', 'Test documentation', 'Performance metrics', 'Comparison with traditional methods'],
+              nextSteps: 'Begin evaluation and data analysis phase'
+            }
+          }
+        ]
+      },
+      {
+        id: 3,
+        name: 'RESEARCH & WRITING',
+        activities: [
+          { id: 3.1, name: 'Background reading/literature review', startOffset: 1, durationDays: 91, owner: 'ME', color: 'bg-green-300' },
+          { id: 3.2, name: 'Write Chapter 1: Introduction', startOffset: 7, durationDays: 8, owner: 'ME', color: 'bg-pink-400' },
+          { id: 3.3, name: 'Write Chapter 2: Literature Review', startOffset: 15, durationDays: 14, owner: 'ME', color: 'bg-pink-400' },
+          { id: 3.4, name: 'Write Chapter 3: Methodology', startOffset: 29, durationDays: 10, owner: 'ME', color: 'bg-pink-400' },
+          {
+            id: 3.5, name: 'Conduct surveys (LinkedIn/email)', startOffset: 39, durationDays: 21, owner: 'ME', color: 'bg-green-400',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Survey Data Collection Complete',
+              deliverables: ['Expert feedback on the research problem', 'Industry professional perspectives', 'Validation of the proposed approach', 'Data for quantitative analysis'],
+              nextSteps: 'Analyze data and incorporate findings into thesis'
+            }
+          },
+          { id: 3.6, name: 'Write Chapter 4: Findings & Analysis', startOffset: 60, durationDays: 15, owner: 'ME', color: 'bg-pink-400' }
+        ]
+      },
+      {
+        id: 4,
+        name: 'EVALUATION & FINALIZATION',
+        activities: [
+          {
+            id: 4.1, name: 'Mid-project supervisor review', startOffset: 45, durationDays: 3, owner: 'SV', color: 'bg-red-400',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Mid-Project Supervisor Review',
+              deliverables: ['Progress report', 'Initial findings', 'Prototype development status', 'Timeline adherence assessment'],
+              nextSteps: 'Address feedback and continue with implementation'
+            }
+          },
+          {
+            id: 4.2, name: 'SME evaluation of reports', startOffset: 71, durationDays: 7, owner: 'SME', color: 'bg-purple-300',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Subject Matter Expert Evaluation',
+              deliverables: ['Expert validation of the approach', 'Industry relevance assessment', 'Technical accuracy confirmation', 'Implementation recommendations'],
+              nextSteps: 'Incorporate expert feedback into final chapters'
+            }
+          },
+          { id: 4.3, name: 'Write Chapter 5: Conclusions', startOffset: 78, durationDays: 7, owner: 'ME', color: 'bg-pink-400' },
+          { id: 4.4, name: 'Compile references & appendices', startOffset: 85, durationDays: 3, owner: 'ME', color: 'bg-blue-300' },
+          { id: 4.5, name: 'Write abstract', startOffset: 88, durationDays: 2, owner: 'ME', color: 'bg-blue-300' },
+          {
+            id: 4.6, name: 'Final review and submission', startOffset: 90, durationDays: 3, owner: 'ME', color: 'bg-blue-300',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Thesis Submission Complete',
+              deliverables: ['Complete thesis document', 'Functional prototype', 'All appendices and references', 'Executive summary'],
+              nextSteps: 'Prepare for viva and demonstration'
+            }
+          },
+          { id: 4.7, name: 'Viva preparation', startOffset: 91, durationDays: 2, owner: 'ME', color: 'bg-blue-300' }
+        ]
+      },
+      {
+        id: 5,
+        name: 'PRIMARY DATA COLLECTION',
+        activities: [
+          { id: 5.1, name: 'Create data collection plan for the prototype', startOffset: 64, durationDays: 3, owner: 'ME', color: 'bg-orange-400' },
+          { id: 5.2, name: 'Create data collection plan for interviews', startOffset: 67, durationDays: 3, owner: 'ME', color: 'bg-orange-400' },
+          { id: 5.3, name: 'Create questions for interviews', startOffset: 63, durationDays: 10, owner: 'ME', color: 'bg-orange-400' },
+          { id: 5.4, name: 'Collect data from the prototype', startOffset: 73, durationDays: 7, owner: 'ME', color: 'bg-orange-500' },
+          { id: 5.5, name: 'Collect data from the interviews', startOffset: 80, durationDays: 4, owner: 'ME', color: 'bg-orange-500' },
+          {
+            id: 5.6, name: 'Analyze primary data', startOffset: 77, durationDays: 12, owner: 'ME', color: 'bg-orange-600',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Primary Data Analysis Complete',
+              deliverables: ['Prototype performance data', 'Interview findings', 'Data analysis results', 'Key insights for thesis'],
+              nextSteps: 'Incorporate findings into thesis conclusions'
+            }
+          }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'phd-by-publication',
+    name: 'PhD by publication',
+    description: 'Three-year doctorate built from three papers, with confirmation of candidature and a linking thesis.',
+    builtIn: true,
+    tasks: [
+      {
+        id: 1,
+        name: 'FIRST YEAR: FOUNDATIONS',
+        activities: [
+          { id: 1.1, name: 'Literature review & research questions', startOffset: 0, durationDays: 120, owner: 'ME', color: 'bg-green-300' },
+          { id: 1.2, name: 'Write research proposal', startOffset: 90, durationDays: 60, owner: 'ME', color: 'bg-blue-400' },
+          {
+            id: 1.3, name: 'Confirmation of candidature', startOffset: 150, durationDays: 14, owner: 'SV', color: 'bg-red-400',
+            dependencies: [fs(1.2)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Confirmation of Candidature',
+              deliverables: ['Research proposal', 'Literature review chapter draft', 'Publication plan', 'Ethics approval plan'],
+              nextSteps: 'Start the first study'
+            }
+          },
+          { id: 1.4, name: 'Ethics application', startOffset: 150, durationDays: 45, owner: 'ME', color: 'bg-blue-300' }
+        ]
+      },
+      {
+        id: 2,
+        name: 'PAPER 1',
+        activities: [
+          { id: 2.1, name: 'Study 1 data collection', startOffset: 200, durationDays: 120, owner: 'ME', color: 'bg-orange-400', dependencies: [fs(1.4)] },
+          { id: 2.2, name: 'Study 1 analysis', startOffset: 320, durationDays: 60, owner: 'ME', color: 'bg-orange-500', dependencies: [fs(2.1)] },
+          { id: 2.3, name: 'Write Paper 1 manuscript', startOffset: 380, durationDays: 60, owner: 'ME', color: 'bg-pink-400', dependencies: [fs(2.2)] },
+          { id: 2.4, name: 'Co-author review of Paper 1', startOffset: 440, durationDays: 21, owner: 'SV', color: 'bg-purple-300', dependencies: [fs(2.3)] },
+          {
+            id: 2.5, name: 'Submit Paper 1', startOffset: 461, durationDays: 1, owner: 'ME', color: 'bg-pink-400',
+            dependencies: [fs(2.4)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Paper 1 Submitted',
+              deliverables: ['Final manuscript', 'Co-author approvals', 'Cover letter', 'Journal submission confirmation'],
+              nextSteps: 'Start Study 2 while Paper 1 is under review'
+            }
+          }
+        ]
+      },
+      {
+        id: 3,
+        name: 'PAPER 2',
+        activities: [
+          { id: 3.1, name: 'Study 2 data collection', startOffset: 470, durationDays: 120, owner: 'ME', color: 'bg-orange-400' },
+          { id: 3.2, name: 'Study 2 analysis', startOffset: 590, durationDays: 60, owner: 'ME', color: 'bg-orange-500', dependencies: [fs(3.1)] },
+          { id: 3.3, name: 'Write Paper 2 manuscript', startOffset: 650, durationDays: 60, owner: 'ME', color: 'bg-pink-400', dependencies: [fs(3.2)] },
+          { id: 3.4, name: 'Co-author review of Paper 2', startOffset: 710, durationDays: 21, owner: 'SV', color: 'bg-purple-300', dependencies: [fs(3.3)] },
+          {
+            id: 3.5, name: 'Submit Paper 2', startOffset: 731, durationDays: 1, owner: 'ME', color: 'bg-pink-400',
+            dependencies: [fs(3.4)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Paper 2 Submitted',
+              deliverables: ['Final manuscript', 'Co-author approvals', 'Cover letter', 'Journal submission confirmation'],
+              nextSteps: 'Start Study 3 and respond to Paper 1 reviews'
+            }
+          }
+        ]
+      },
+      {
+        id: 4,
+        name: 'PAPER 3',
+        activities: [
+          { id: 4.1, name: 'Study 3 data collection', startOffset: 740, durationDays: 120, owner: 'ME', color: 'bg-orange-400' },
+          { id: 4.2, name: 'Study 3 analysis', startOffset: 860, durationDays: 60, owner: 'ME', color: 'bg-orange-500', dependencies: [fs(4.1)] },
+          { id: 4.3, name: 'Write Paper 3 manuscript', startOffset: 920, durationDays: 45, owner: 'ME', color: 'bg-pink-400', dependencies: [fs(4.2)] },
+          { id: 4.4, name: 'Co-author review of Paper 3', startOffset: 965, durationDays: 21, owner: 'SV', color: 'bg-purple-300', dependencies: [fs(4.3)] },
+          {
+            id: 4.5, name: 'Submit Paper 3', startOffset: 986, durationDays: 1, owner: 'ME', color: 'bg-pink-400',
+            dependencies: [fs(4.4)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Paper 3 Submitted',
+              deliverables: ['Final manuscript', 'Co-author approvals', 'Cover letter', 'Journal submission confirmation'],
+              nextSteps: 'Compile the thesis around the three papers'
+            }
+          }
+        ]
+      },
+      {
+        id: 5,
+        name: 'THESIS COMPILATION',
+        activities: [
+          { id: 5.1, name: 'Write introduction & linking chapters', startOffset: 960, durationDays: 75, owner: 'ME', color: 'bg-pink-400' },
+          { id: 5.2, name: 'Write general discussion', startOffset: 1000, durationDays: 45, owner: 'ME', color: 'bg-pink-400' },
+          {
+            id: 5.3, name: 'Supervisor review of full draft', startOffset: 1045, durationDays: 21, owner: 'SV', color: 'bg-red-400',
+            dependencies: [fs(5.2)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Full Draft Approved',
+              deliverables: ['Complete thesis draft', 'Publication status of each paper', 'Co-author contribution statements'],
+              nextSteps: 'Address feedback and submit the thesis'
+            }
+          },
+          {
+            id: 5.4, name: 'Thesis submission', startOffset: 1070, durationDays: 5, owner: 'ME', color: 'bg-blue-300',
+            dependencies: [fs(5.3)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Thesis Submitted',
+              deliverables: ['Final thesis document', 'Published or submitted papers', 'Examiner nomination forms'],
+              nextSteps: 'Prepare for the viva'
+            }
+          },
+          { id: 5.5, name: 'Viva preparation', startOffset: 1075, durationDays: 20, owner: 'ME', color: 'bg-blue-300', dependencies: [fs(5.4)] }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'systematic-review',
+    name: 'Systematic review',
+    description: 'Six-month systematic review following PRISMA: protocol, search, screening, extraction, synthesis and write-up.',
+    builtIn: true,
+    tasks: [
+      {
+        id: 1,
+        name: 'PROTOCOL',
+        activities: [
+          { id: 1.1, name: 'Define review question (PICO)', startOffset: 0, durationDays: 7, owner: 'ME', color: 'bg-blue-400' },
+          { id: 1.2, name: 'Scoping search', startOffset: 5, durationDays: 10, owner: 'ME', color: 'bg-green-300' },
+          { id: 1.3, name: 'Write protocol', startOffset: 14, durationDays: 14, owner: 'ME', color: 'bg-blue-400', dependencies: [fs(1.1)] },
+          {
+            id: 1.4, name: 'Register protocol (PROSPERO)', startOffset: 28, durationDays: 7, owner: 'SV', color: 'bg-red-400',
+            dependencies: [fs(1.3)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Protocol Registered',
+              deliverables: ['Review question (PICO)', 'Eligibility criteria', 'Search strategy', 'Registered protocol'],
+              nextSteps: 'Run the database searches'
+            }
+          }
+        ]
+      },
+      {
+        id: 2,
+        name: 'SEARCH & SCREENING',
+        activities: [
+          { id: 2.1, name: 'Run database searches', startOffset: 35, durationDays: 10, owner: 'ME', color: 'bg-green-400', dependencies: [fs(1.4)] },
+          { id: 2.2, name: 'Deduplicate records', startOffset: 45, durationDays: 3, owner: 'ME', color: 'bg-green-400', dependencies: [fs(2.1)] },
+          { id: 2.3, name: 'Title & abstract screening', startOffset: 48, durationDays: 21, owner: 'ME', color: 'bg-purple-400', dependencies: [fs(2.2)] },
+          { id: 2.4, name: 'Full-text screening', startOffset: 69, durationDays: 21, owner: 'ME', color: 'bg-purple-400', dependencies: [fs(2.3)] },
+          {
+            id: 2.5, name: 'Resolve screening conflicts', startOffset: 88, durationDays: 5, owner: 'SME', color: 'bg-purple-300',
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Screening Complete',
+              deliverables: ['PRISMA flow diagram counts', 'List of included studies', 'Reasons for exclusion'],
+              nextSteps: 'Extract data from the included studies'
+            }
+          }
+        ]
+      },
+      {
+        id: 3,
+        name: 'EXTRACTION & APPRAISAL',
+        activities: [
+          { id: 3.1, name: 'Pilot extraction form', startOffset: 90, durationDays: 5, owner: 'ME', color: 'bg-orange-400' },
+          { id: 3.2, name: 'Data extraction', startOffset: 95, durationDays: 25, owner: 'ME', color: 'bg-orange-500', dependencies: [fs(3.1)] },
+          { id: 3.3, name: 'Risk of bias assessment', startOffset: 100, durationDays: 25, owner: 'SME', color: 'bg-orange-600' }
+        ]
+      },
+      {
+        id: 4,
+        name: 'SYNTHESIS & WRITE-UP',
+        activities: [
+          { id: 4.1, name: 'Synthesis / meta-analysis', startOffset: 125, durationDays: 21, owner: 'ME', color: 'bg-indigo-400', dependencies: [fs(3.2)] },
+          { id: 4.2, name: 'GRADE certainty assessment', startOffset: 140, durationDays: 7, owner: 'ME', color: 'bg-indigo-400' },
+          { id: 4.3, name: 'Write manuscript', startOffset: 146, durationDays: 21, owner: 'ME', color: 'bg-pink-400', dependencies: [fs(4.1)] },
+          { id: 4.4, name: 'Supervisor review', startOffset: 167, durationDays: 7, owner: 'SV', color: 'bg-red-400', dependencies: [fs(4.3)] },
+          {
+            id: 4.5, name: 'Submit for publication', startOffset: 174, durationDays: 6, owner: 'ME', color: 'bg-blue-300',
+            dependencies: [fs(4.4)],
+            isGateway: true,
+            gatewayInfo: {
+              name: 'Review Submitted',
+              deliverables: ['Final manuscript', 'PRISMA checklist', 'Completed flow diagram', 'Supplementary search strategies'],
+              nextSteps: 'Respond to peer review'
+            }
+          }
+        ]
+      }
+    ]
+  }
+];
+
+export const DEFAULT_TEMPLATE_ID = 'msc-thesis';
+
+// Templates the user saved from their own plans (shared by all projects)
+export const loadTemplates = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.TEMPLATES);
+    if (!stored) return [];
+
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed.templates) ? parsed.templates : [];
+  } catch (error) {
+    console.error('Error loading templates:', error);
+    return [];
+  }
+};
+
+export const saveTemplates = (templates) => {
+  localStorage.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify({ v: 1, templates }));
+};
+
+export const getAllTemplates = (savedTemplates = loadTemplates()) => [...BUILT_IN_TEMPLATES, ...savedTemplates];
+
+export const getTemplate = (templates, templateId) => {
+  return templates.find(template => template.id === templateId) || null;
+};
+
+// Calendar days from the template start to the end of its last activity
+export const getTemplateDuration = (template) => {
+  return template.tasks.reduce((longest, task) => (
+    task.activities.reduce((max, activity) => Math.max(max, activity.startOffset + activity.durationDays), longest)
+  ), 0);
+};
+
+export const validateTemplateName = (name, templates) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Template name cannot be empty';
+  if (trimmed.length > 60) return 'Template name cannot exceed 60 characters';
+  if (templates.some(template => template.name.toLowerCase() === trimmed.toLowerCase())) {
+    return 'A template with this name already exists';
+  }
+  return null;
+};
+
+/**
+ * Turn a plan into a template. Dates become offsets from `startDate` (or
+ * from the first activity if that is earlier); attached files are left out.
+ * @param {Array} tasks - Current task list
+ * @param {string} name - Display name
+ * @param {Object} options - { description, startDate }
+ * @returns {Object} Template
+ */
+export const createTemplateFromPlan = (tasks, name, { description = '', startDate = null } = {}) => {
+  const dated = tasks.map(task => ({
+    ...task,
+    activities: (task.activities || []).filter(activity => parseISODate(activity.startDate) && parseISODate(activity.endDate))
+  }));
+  const earliest = dated
+    .flatMap(task => task.activities.map(activity => activity.startDate))
+    .reduce((min, date) => (!min || date < min ? date : min), null);
+  const origin = parseISODate(startDate && (!earliest || startDate < earliest) ? startDate : earliest);
+
+  return {
+    id: `template_${Date.now()}`,
+    name: name.trim(),
+    description: description.trim(),
+    builtIn: false,
+    createdAt: new Date().toISOString(),
+    tasks: dated.map(task => ({
+      id: task.id,
+      name: task.name,
+      activities: task.activities.map(activity => {
+        const start = parseISODate(activity.startDate);
+        return {
+          id: activity.id,
+          name: activity.name,
+          startOffset: daysBetween(origin, start),
+          durationDays: daysBetween(start, parseISODate(activity.endDate)) + 1,
+          owner: activity.owner,
+          color: activity.color,
+          ...(activity.workingDays ? { workingDays: activity.workingDays } : {}),
+          ...(activity.dependencies && activity.dependencies.length > 0 ? { dependencies: activity.dependencies } : {}),
+          isGateway: Boolean(activity.isGateway),
+          ...(typeof activity.estimatedHours === 'number' ? { estimatedHours: activity.estimatedHours } : {}),
+          // Deliverables are saved unticked and without due dates or links
+          ...(activity.gatewayInfo ? {
+            gatewayInfo: { ...activity.gatewayInfo, deliverables: getDeliverables(activity).map(item => item.text) }
+          } : {})
+        };
+      })
+    }))
+  };
+};
+
+/**
+ * Lay a template out from a start date
+ * @param {Object} template - Built-in or saved template
+ * @param {string} startDate - ISO date the plan starts on
+ * @returns {{tasks: Array, startDate: string, endDate: string}} Tasks plus the period they cover
+ */
+export const instantiateTemplate = (template, startDate) => {
+  const origin = parseISODate(startDate);
+  if (!origin) throw new Error('Start date must be a valid date');
+
+  const tasks = template.tasks.map(task => ({
+    id: task.id,
+    name: task.name,
+    activities: task.activities.map(activity => {
+      const start = addDays(origin, activity.startOffset);
+      return {
+        id: activity.id,
+        name: activity.name,
+        startDate: toISODate(start),
+        endDate: toISODate(addDays(start, Math.max(activity.durationDays, 1) - 1)),
+        ...(activity.workingDays ? { workingDays: [...activity.workingDays] } : {}),
+        dependencies: (activity.dependencies || []).map(dependency => ({ ...dependency })),
+        owner: activity.owner,
+        files: [],
+        color: activity.color,
+        isGateway: Boolean(activity.isGateway),
+        ...(typeof activity.estimatedHours === 'number' ? { estimatedHours: activity.estimatedHours } : {}),
+        ...(activity.gatewayInfo ? { gatewayInfo: { ...activity.gatewayInfo, deliverables: [...(activity.gatewayInfo.deliverables || [])] } } : {})
+      };
+    })
+  }));
+
+  return {
+    tasks,
+    startDate: toISODate(origin),
+    endDate: toISODate(addDays(origin, Math.max(getTemplateDuration(template), 1) - 1))
+  };
+};
+
+// Export default object with all functions
+export default {
+  loadTemplates,
+  saveTemplates,
+  getAllTemplates,
+  getTemplate,
+  getTemplateDuration,
+  validateTemplateName,
+  createTemplateFromPlan,
+  instantiateTemplate
+};
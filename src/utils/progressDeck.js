@@ -0,0 +1,111 @@
+/**
+ * Progress Deck Utility
+ * Content and geometry for the PowerPoint deck taken to supervisor meetings:
+ * a title slide, a timeline overview, a slide per task (continued on further
+ * slides when a task has many activities), the gateways and "this fortnight"
+ * from the DailyProgress checklists. Slide measures are in inches on the 16:9
+ * layout.
+ */
+
+import { parseISODate, toISODate, addDays, daysBetween } from './projectTimeline';
+import { getActiveProjectId } from './projects';
+import { getDateBounds, getActivityDates } from './activityDates';
+import { loadDailyTasks } from './dailyTasks';
+
+export const DECK_LAYOUT = {
+  width: 10,
+  height: 5.625,
+  margin: 0.4,
+  titleHeight: 0.7,
+  activitiesPerSlide: 8,
+  fortnightLines: 12
+};
+
+export const FORTNIGHT_DAYS = 14;
+
+/**
+ * The fortnight up to and including `today`, oldest first
+ * @returns {string[]} ISO dates
+ */
+export const getFortnightDates = (today = new Date()) => {
+  const end = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return Array.from({ length: FORTNIGHT_DAYS }, (_, i) => toISODate(addDays(end, i - FORTNIGHT_DAYS + 1)));
+};
+
+/**
+ * DailyProgress checklists for the given days; days without items are left out
+ * @returns {Array<{date: string, items: Array<{text: string, completed: boolean}>}>}
+ */
+export const loadDailyProgress = (dates, projectId = getActiveProjectId()) => dates
+  .map(date => ({
+    date,
+    items: loadDailyTasks(date, projectId)
+      .filter(item => item && item.text)
+      .map(item => ({ text: item.text, completed: Boolean(item.completed) }))
+  }))
+  .filter(day => day.items.length > 0);
+
+/**
+ * @returns {{activeDays: number, items: number, completed: number}}
+ */
+export const summarizeDailyProgress = (days) => ({
+  activeDays: days.length,
+  items: days.reduce((sum, day) => sum + day.items.length, 0),
+  completed: days.reduce((sum, day) => sum + day.items.filter(item => item.completed).length, 0)
+});
+
+/**
+ * Split a list over slides
+ * @returns {Array<Array>} Always at least one (possibly empty) chunk
+ */
+export const chunkList = (list, size) => {
+  const chunks = [];
+  for (let start = 0; start < list.length; start += Math.max(size, 1)) {
+    chunks.push(list.slice(start, start + Math.max(size, 1)));
+  }
+  return chunks.length > 0 ? chunks : [[]];
+};
+
+/**
+ * Dates and progress of a task: the span of its activities, and the share of their days completed
+ * @param {Function} getProgress - Activity => progress percentage
+ * @param {Object} [range] - Project settings, for the working calendar
+ * @returns {{startDate: string|null, endDate: string|null, progress: number}}
+ */
+export const getTaskSummary = (task, getProgress, range = null) => {
+  const bounds = getDateBounds(task.activities || []);
+  let days = 0;
+  let completed = 0;
+  (task.activities || []).forEach(activity => {
+    const activityDays = getActivityDates(activity, range).length;
+    days += activityDays;
+    completed += (getProgress(activity) / 100) * activityDays;
+  });
+
+  return {
+    startDate: bounds ? bounds.startDate : null,
+    endDate: bounds ? bounds.endDate : null,
+    progress: days > 0 ? Math.round((completed / days) * 100) : 0
+  };
+};
+
+/**
+ * Where a date falls across the project period
+ * @returns {number} Fraction from 0 (start) to 1 (day after the end), clamped
+ */
+export const getPeriodFraction = (settings, isoDate) => {
+  const start = parseISODate(settings.startDate);
+  const total = daysBetween(start, parseISODate(settings.endDate)) + 1;
+  const offset = daysBetween(start, parseISODate(isoDate));
+  return Math.min(Math.max(offset / total, 0), 1);
+};
+
+// Export default object with all functions
+export default {
+  getFortnightDates,
+  loadDailyProgress,
+  summarizeDailyProgress,
+  chunkList,
+  getTaskSummary,
+  getPeriodFraction
+};
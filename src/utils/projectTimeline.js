@@ -0,0 +1,216 @@
+/**
+ * Project Timeline Utility
+ * Project settings model (start date, end date, week start, locale) and the
+ * week/day grid derived from it. The Gantt chart, DailyProgress and Calendar
+ * all compute their ranges from these settings instead of fixed dates.
+ * Each project has its own settings.
+ */
+
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+
+// Storage keys
+const STORAGE_KEYS = {
+  SETTINGS: 'gantt-project-settings'
+};
+
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Default settings reproduce the original June 1 - September 1, 2024 thesis period
+export const DEFAULT_PROJECT_SETTINGS = {
+  startDate: '2024-06-01',
+  endDate: '2024-09-01',
+  weekStartsOn: 6, // 0 = Sunday ... 6 = Saturday
+  locale: 'en-US'
+};
+
+// Anchor that every save made before project settings existed was laid out against
+export const LEGACY_TIMELINE_ANCHOR = {
+  startDate: DEFAULT_PROJECT_SETTINGS.startDate,
+  weekStartsOn: DEFAULT_PROJECT_SETTINGS.weekStartsOn
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a YYYY-MM-DD string as a local calendar date (midnight)
+export const parseISODate = (isoString) => {
+  if (!isoString || !ISO_DATE_PATTERN.test(isoString)) return null;
+  const [year, month, day] = isoString.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Format a Date as YYYY-MM-DD using local calendar fields
+export const toISODate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Whole calendar days between two dates (DST safe)
+export const daysBetween = (from, to) => {
+  const utcFrom = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+  const utcTo = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((utcTo - utcFrom) / MS_PER_DAY);
+};
+
+export const validateProjectSettings = (settings) => {
+  const errors = [];
+  const start = parseISODate(settings?.startDate);
+  const end = parseISODate(settings?.endDate);
+
+  if (!start) errors.push('Start date must be a valid date');
+  if (!end) errors.push('End date must be a valid date');
+  if (start && end && end < start) {
+    errors.push('End date must be on or after the start date');
+  }
+  if (!Number.isInteger(settings?.weekStartsOn) || settings.weekStartsOn < 0 || settings.weekStartsOn > 6) {
+    errors.push('Week start day must be between Sunday and Saturday');
+  }
+  try {
+    new Intl.DateTimeFormat(settings?.locale);
+  } catch (error) {
+    errors.push(`Unsupported locale: ${settings?.locale}`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+// Load project settings from localStorage, falling back to the defaults
+export const loadProjectSettings = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.SETTINGS, projectId));
+    if (!stored) return { ...DEFAULT_PROJECT_SETTINGS };
+
+    const settings = { ...DEFAULT_PROJECT_SETTINGS, ...JSON.parse(stored) };
+    return validateProjectSettings(settings).isValid
+      ? settings
+      : { ...DEFAULT_PROJECT_SETTINGS };
+  } catch (error) {
+    console.error('Error loading project settings:', error);
+    return { ...DEFAULT_PROJECT_SETTINGS };
+  }
+};
+
+export const saveProjectSettings = (settings, projectId = getActiveProjectId()) => {
+  const validation = validateProjectSettings(settings);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join('. '));
+  }
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.SETTINGS, projectId), JSON.stringify(settings));
+  return settings;
+};
+
+// First cell of the grid: the week-start day on or before the project start
+export const getGridStartDate = (anchor) => {
+  const start = parseISODate(anchor.startDate);
+  const offset = (start.getDay() - anchor.weekStartsOn + 7) % 7;
+  return addDays(start, -offset);
+};
+
+// Anchor identifying how week/day indexes map onto calendar dates
+export const getTimelineAnchor = (settings) => ({
+  startDate: settings.startDate,
+  weekStartsOn: settings.weekStartsOn
+});
+
+export const getDateForCell = (anchor, weekIndex, dayIndex) => {
+  return toISODate(addDays(getGridStartDate(anchor), weekIndex * 7 + dayIndex));
+};
+
+export const getCellForDate = (anchor, isoDate) => {
+  const offset = daysBetween(getGridStartDate(anchor), parseISODate(isoDate));
+  return {
+    weekIndex: Math.floor(offset / 7),
+    dayIndex: ((offset % 7) + 7) % 7
+  };
+};
+
+export const isDateInProject = (settings, isoDate) => {
+  return isoDate >= settings.startDate && isoDate <= settings.endDate;
+};
+
+const formatMonth = (date, locale) => {
+  return date.toLocaleDateString(locale, { month: 'short' }).replace('.', '').toUpperCase();
+};
+
+const formatWeekName = (firstDate, lastDate, locale) => {
+  const firstMonth = formatMonth(firstDate, locale);
+  const lastMonth = formatMonth(lastDate, locale);
+  if (firstDate.getTime() === lastDate.getTime()) {
+    return `${firstMonth} ${firstDate.getDate()}`;
+  }
+  if (firstMonth === lastMonth) {
+    return `${firstMonth} ${firstDate.getDate()}-${lastDate.getDate()}`;
+  }
+  return `${firstMonth} ${firstDate.getDate()}-${lastMonth} ${lastDate.getDate()}`;
+};
+
+// Narrow weekday labels in grid order, e.g. ["S", "S", "M", ...] for a Saturday start
+export const getWeekdayLabels = (settings) => {
+  const gridStart = getGridStartDate(settings);
+  const formatter = new Intl.DateTimeFormat(settings.locale, { weekday: 'narrow' });
+  return Array.from({ length: 7 }, (_, i) => formatter.format(addDays(gridStart, i)));
+};
+
+/**
+ * Build the week/day grid for the project
+ * @param {Object} settings - Project settings
+ * @returns {Array<{name: string, startDate: string, days: Array<{label: string, date: string, inRange: boolean}>}>}
+ */
+export const buildTimelineWeeks = (settings) => {
+  const gridStart = getGridStartDate(settings);
+  const end = parseISODate(settings.endDate);
+  const labels = getWeekdayLabels(settings);
+  const weekCount = Math.floor(daysBetween(gridStart, end) / 7) + 1;
+
+  return Array.from({ length: weekCount }, (_, weekIndex) => {
+    const days = labels.map((label, dayIndex) => {
+      const date = toISODate(addDays(gridStart, weekIndex * 7 + dayIndex));
+      return { label, date, inRange: isDateInProject(settings, date) };
+    });
+    const inRangeDays = days.filter(day => day.inRange);
+
+    return {
+      name: formatWeekName(
+        parseISODate(inRangeDays[0].date),
+        parseISODate(inRangeDays[inRangeDays.length - 1].date),
+        settings.locale
+      ),
+      startDate: days[0].date,
+      days
+    };
+  });
+};
+
+// Every date of the project, inclusive of start and end
+export const getProjectDates = (settings) => {
+  const start = parseISODate(settings.startDate);
+  const total = daysBetween(start, parseISODate(settings.endDate));
+  return Array.from({ length: total + 1 }, (_, i) => toISODate(addDays(start, i)));
+};
+
+// Human readable project period, e.g. "June 1, 2024 - September 1, 2024"
+export const formatProjectPeriod = (settings, options = { year: 'numeric', month: 'long', day: 'numeric' }) => {
+  const start = parseISODate(settings.startDate).toLocaleDateString(settings.locale, options);
+  const end = parseISODate(settings.endDate).toLocaleDateString(settings.locale, options);
+  return `${start} - ${end}`;
+};
+
+// Export default object with all functions
+export default {
+  DEFAULT_PROJECT_SETTINGS,
+  LEGACY_TIMELINE_ANCHOR,
+  loadProjectSettings,
+  saveProjectSettings,
+  validateProjectSettings,
+  buildTimelineWeeks,
+  getProjectDates,
+  STORAGE_KEYS
+};
@@ -0,0 +1,207 @@
+/**
+ * Projects Utility
+ * Registry of the user's projects (the thesis, a paper, a second study) and
+ * the localStorage keys each project's data lives under. The first project
+ * keeps the original unsuffixed keys, so plans saved before projects existed
+ * open unchanged; every other project stores its data as `<key>::<projectId>`.
+ */
+
+// Storage keys
+const STORAGE_KEYS = {
+  PROJECTS: 'gantt-projects'
+};
+
+export const DEFAULT_PROJECT_ID = 'default';
+export const DEFAULT_PROJECT_NAME = 'My Thesis';
+
+// Keys holding one project's data; copied when a project is duplicated and removed when it is deleted
+export const PROJECT_STORAGE_KEYS = [
+  'gantt-tasks',
+  'gantt-tasks-backup',
+  'gantt-save-timestamp',
+  'thesisGanttCompletedDays',
+  'gantt-project-settings',
+  'gantt-baselines',
+  'gantt-history',
+  'gantt-sync',
+  'gantt-collab-session',
+  'gantt-comments',
+  'gantt-comments-read',
+  'gantt-owners',
+  'gantt-time-entries',
+  'gantt-time-timer',
+  'gantt-auto-schedule'
+];
+
+// Per-day keys such as the DailyProgress task list `daily-tasks-2024-06-03`
+export const PROJECT_STORAGE_PREFIXES = ['daily-tasks-'];
+
+const KEY_SEPARATOR = '::';
+
+const createDefaultRegistry = () => ({
+  projects: [{ id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME, createdAt: null }],
+  activeProjectId: DEFAULT_PROJECT_ID
+});
+
+export const loadProjects = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.PROJECTS);
+    if (!stored) return createDefaultRegistry();
+
+    const parsed = JSON.parse(stored);
+    const projects = Array.isArray(parsed.projects) ? parsed.projects.filter(project => project && project.id) : [];
+    if (projects.length === 0) return createDefaultRegistry();
+
+    const isKnown = projects.some(project => project.id === parsed.activeProjectId);
+    return {
+      projects,
+      activeProjectId: isKnown ? parsed.activeProjectId : projects[0].id
+    };
+  } catch (error) {
+    console.error('Error loading projects:', error);
+    return createDefaultRegistry();
+  }
+};
+
+export const saveProjects = (registry) => {
+  localStorage.setItem(STORAGE_KEYS.PROJECTS, JSON.stringify({ v: 1, ...registry }));
+};
+
+export const getActiveProjectId = () => loadProjects().activeProjectId;
+
+export const getProject = (registry, projectId) => {
+  return registry.projects.find(project => project.id === projectId) || null;
+};
+
+/**
+ * localStorage key for a piece of project data
+ * @param {string} baseKey - Key used by the first project, e.g. 'gantt-tasks'
+ * @param {string} projectId - Defaults to the active project
+ */
+export const getProjectStorageKey = (baseKey, projectId = getActiveProjectId()) => {
+  return projectId === DEFAULT_PROJECT_ID ? baseKey : `${baseKey}${KEY_SEPARATOR}${projectId}`;
+};
+
+// Notes and other records created before projects existed belong to the first project
+export const belongsToProject = (item, projectId) => {
+  return (item?.projectId || DEFAULT_PROJECT_ID) === projectId;
+};
+
+// The base key of a stored key if it is project data owned by `projectId`
+const getOwnedBaseKey = (storedKey, projectId) => {
+  const separatorIndex = storedKey.indexOf(KEY_SEPARATOR);
+  const baseKey = separatorIndex === -1 ? storedKey : storedKey.slice(0, separatorIndex);
+  const ownerId = separatorIndex === -1 ? DEFAULT_PROJECT_ID : storedKey.slice(separatorIndex + KEY_SEPARATOR.length);
+  if (ownerId !== projectId) return null;
+
+  const isProjectData = PROJECT_STORAGE_KEYS.includes(baseKey) ||
+    PROJECT_STORAGE_PREFIXES.some(prefix => baseKey.startsWith(prefix));
+  return isProjectData ? baseKey : null;
+};
+
+/**
+ * Every stored key that belongs to a project
+ * @returns {Array<{baseKey: string, key: string}>}
+ */
+export const getProjectStorageEntries = (projectId) => {
+  const entries = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const baseKey = key ? getOwnedBaseKey(key, projectId) : null;
+    if (baseKey) entries.push({ baseKey, key });
+  }
+  return entries;
+};
+
+export const copyProjectData = (fromProjectId, toProjectId) => {
+  getProjectStorageEntries(fromProjectId).forEach(({ baseKey, key }) => {
+    localStorage.setItem(getProjectStorageKey(baseKey, toProjectId), localStorage.getItem(key));
+  });
+};
+
+export const deleteProjectData = (projectId) => {
+  getProjectStorageEntries(projectId).forEach(({ key }) => localStorage.removeItem(key));
+};
+
+export const validateProjectName = (name, projects, projectId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Project name cannot be empty';
+  if (trimmed.length > 60) return 'Project name cannot exceed 60 characters';
+  if (projects.some(project => project.id !== projectId && project.name.toLowerCase() === trimmed.toLowerCase())) {
+    return 'A project with this name already exists';
+  }
+  return null;
+};
+
+let projectCounter = 0;
+
+/**
+ * Add a project to the registry (it does not become active)
+ * @returns {{registry: Object, project: Object}}
+ */
+export const addProject = (registry, name) => {
+  const project = {
+    id: `project_${Date.now()}_${projectCounter++}`,
+    name: name.trim(),
+    createdAt: new Date().toISOString()
+  };
+  return {
+    registry: { ...registry, projects: [...registry.projects, project] },
+    project
+  };
+};
+
+export const renameProject = (registry, projectId, name) => ({
+  ...registry,
+  projects: registry.projects.map(project =>
+    project.id === projectId ? { ...project, name: name.trim() } : project
+  )
+});
+
+export const setActiveProject = (registry, projectId) => {
+  if (!getProject(registry, projectId)) return registry;
+  return { ...registry, activeProjectId: projectId };
+};
+
+/**
+ * Remove a project from the registry. The last project cannot be removed;
+ * removing the active one activates the first remaining project.
+ */
+export const removeProject = (registry, projectId) => {
+  const projects = registry.projects.filter(project => project.id !== projectId);
+  if (projects.length === 0 || projects.length === registry.projects.length) return registry;
+
+  return {
+    projects,
+    activeProjectId: registry.activeProjectId === projectId ? projects[0].id : registry.activeProjectId
+  };
+};
+
+// Name for a duplicate that does not clash with existing projects, e.g. "Paper (copy 2)"
+export const getCopyName = (name, projects) => {
+  const taken = new Set(projects.map(project => project.name.toLowerCase()));
+  let candidate = `${name} (copy)`;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${name} (copy ${n})`;
+  }
+  return candidate;
+};
+
+// Export default object with all functions
+export default {
+  loadProjects,
+  saveProjects,
+  getActiveProjectId,
+  getProject,
+  getProjectStorageKey,
+  belongsToProject,
+  getProjectStorageEntries,
+  copyProjectData,
+  deleteProjectData,
+  validateProjectName,
+  addProject,
+  renameProject,
+  setActiveProject,
+  removeProject,
+  getCopyName
+};
@@ -0,0 +1,96 @@
+/**
+ * Task Storage Utility
+ * The compact format the Gantt plan is saved in under `gantt-tasks`, read
+ * back by the chart and by exports. Version 3 stores ISO start/end dates per
+ * activity under short keys; versions 1 and 2 stored week/day indexes and are
+ * converted to dates on load (version 1 saves predate project settings and
+ * used the legacy June 2024 grid). Anything else is taken as a plain task list.
+ */
+
+import { LEGACY_TIMELINE_ANCHOR } from './projectTimeline';
+import { normalizeTasks } from './activityDates';
+
+export const TASK_STORAGE_VERSION = 3;
+
+// Task list in the stored shape, ready for JSON.stringify
+export const compressTasks = (tasks) => ({
+  v: TASK_STORAGE_VERSION,
+  d: Date.now(), // timestamp
+  t: tasks.map(task => ({
+    i: task.id,
+    n: task.name,
+    a: task.activities.map(activity => ({
+      i: activity.id,
+      n: activity.name,
+      sd: activity.startDate,
+      ed: activity.endDate,
+      wd: activity.workingDays,
+      dp: activity.dependencies,
+      p: activity.pinned,
+      f: activity.files,
+      o: activity.owner,
+      c: activity.color,
+      g: activity.isGateway,
+      gi: activity.gatewayInfo,
+      ap: activity.approval,
+      eh: activity.estimatedHours
+    }))
+  }))
+});
+
+/**
+ * Task list from parsed stored data of any version
+ * @param {Object|Array} data - JSON.parse of the stored value
+ * @returns {Array}
+ */
+export const decompressTasks = (data) => {
+  if (data.v === 3 && data.t) {
+    return data.t.map(task => ({
+      id: task.i,
+      name: task.n,
+      activities: task.a.map(activity => ({
+        id: activity.i,
+        name: activity.n,
+        startDate: activity.sd,
+        endDate: activity.ed,
+        workingDays: activity.wd,
+        dependencies: activity.dp,
+        pinned: activity.p,
+        files: activity.f,
+        owner: activity.o,
+        color: activity.c,
+        isGateway: activity.g,
+        gatewayInfo: activity.gi,
+        approval: activity.ap,
+        estimatedHours: activity.eh
+      }))
+    }));
+  }
+
+  if ((data.v === 1 || data.v === 2) && data.t) {
+    const legacyTasks = data.t.map(task => ({
+      id: task.i,
+      name: task.n,
+      activities: task.a.map(activity => ({
+        id: activity.i,
+        name: activity.n,
+        weeks: activity.w,
+        days: activity.d,
+        owner: activity.o,
+        color: activity.c,
+        isGateway: activity.g,
+        gatewayInfo: activity.gi,
+        files: activity.files
+      }))
+    }));
+    return normalizeTasks(legacyTasks, data.s || LEGACY_TIMELINE_ANCHOR);
+  }
+
+  return normalizeTasks(data, LEGACY_TIMELINE_ANCHOR);
+};
+
+// Export default object with all functions
+export default {
+  compressTasks,
+  decompressTasks
+};
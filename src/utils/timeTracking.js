@@ -0,0 +1,224 @@
+/**
+ * Time Tracking Utility
+ * Effort per activity: the estimate in hours is stored on the activity, the
+ * time actually spent is a list of time entries stored per project, logged
+ * by hand or from a running timer. Estimate-to-complete (ETC) is what is
+ * left of the estimate after the time logged so far, and nothing once every
+ * day of the activity is ticked off; an activity that has used more than its
+ * estimate is overrun.
+ */
+
+import { getActiveProjectId, getProjectStorageKey } from './projects';
+import { parseISODate, toISODate } from './projectTimeline';
+
+// Storage keys
+const STORAGE_KEYS = {
+  TIME_ENTRIES: 'gantt-time-entries',
+  TIMER: 'gantt-time-timer'
+};
+
+export const ENTRY_SOURCES = {
+  TIMER: 'timer',
+  MANUAL: 'manual'
+};
+
+export const MAX_ENTRY_MINUTES = 24 * 60;
+export const MAX_ESTIMATE_HOURS = 10000;
+export const MAX_ENTRY_NOTE_LENGTH = 200;
+
+export const loadTimeEntries = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.TIME_ENTRIES, projectId));
+    if (!stored) return [];
+
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed.entries) ? parsed.entries : [];
+  } catch (error) {
+    console.error('Error loading time entries:', error);
+    return [];
+  }
+};
+
+export const saveTimeEntries = (entries, projectId = getActiveProjectId()) => {
+  localStorage.setItem(getProjectStorageKey(STORAGE_KEYS.TIME_ENTRIES, projectId), JSON.stringify({ v: 1, entries }));
+};
+
+/**
+ * The running timer, kept in storage so it survives moving between pages
+ * @returns {{activityId: number, activityName: string, startedAt: string}|null}
+ */
+export const loadTimer = (projectId = getActiveProjectId()) => {
+  try {
+    const stored = localStorage.getItem(getProjectStorageKey(STORAGE_KEYS.TIMER, projectId));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading timer:', error);
+    return null;
+  }
+};
+
+export const saveTimer = (timer, projectId = getActiveProjectId()) => {
+  const key = getProjectStorageKey(STORAGE_KEYS.TIMER, projectId);
+  if (timer) {
+    localStorage.setItem(key, JSON.stringify(timer));
+  } else {
+    localStorage.removeItem(key);
+  }
+};
+
+/**
+ * @returns {string|null} Error message
+ */
+export const validateEstimate = (hours) => {
+  if (hours === null || hours === '' || hours === undefined) return null;
+  const value = Number(hours);
+  if (!Number.isFinite(value) || value < 0) return 'Estimate must be a positive number of hours';
+  if (value > MAX_ESTIMATE_HOURS) return `Estimate cannot exceed ${MAX_ESTIMATE_HOURS} hours`;
+  return null;
+};
+
+/**
+ * @returns {string|null} Error message
+ */
+export const validateTimeEntry = ({ activityId, date, minutes, note }) => {
+  if (activityId === null || activityId === undefined || activityId === '') return 'Choose an activity';
+  const parsed = parseISODate(date);
+  if (!parsed || toISODate(parsed) !== date) return 'Date must be a valid date';
+  if (!Number.isFinite(minutes) || minutes <= 0) return 'Time spent must be more than zero';
+  if (minutes > MAX_ENTRY_MINUTES) return 'Time spent cannot exceed 24 hours in one entry';
+  if (note && note.length > MAX_ENTRY_NOTE_LENGTH) return `Note cannot exceed ${MAX_ENTRY_NOTE_LENGTH} characters`;
+  return null;
+};
+
+/**
+ * New time entry; throws when it is invalid
+ * @param {Object} entry
+ * @param {number} entry.activityId
+ * @param {string} entry.date - ISO date the time was spent on
+ * @param {number} entry.minutes
+ * @param {string} entry.source - One of ENTRY_SOURCES
+ */
+export const createTimeEntry = ({ activityId, date, minutes, note = '', source = ENTRY_SOURCES.MANUAL }, now = new Date()) => {
+  const rounded = Math.round(minutes);
+  const error = validateTimeEntry({ activityId, date, minutes: rounded, note });
+  if (error) throw new Error(error);
+
+  return {
+    id: `time_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+    activityId,
+    date,
+    minutes: rounded,
+    note: note.trim(),
+    source,
+    createdAt: now.toISOString()
+  };
+};
+
+export const startTimer = (activity, now = new Date()) => ({
+  activityId: activity.id,
+  activityName: activity.name,
+  startedAt: now.toISOString()
+});
+
+export const getTimerMinutes = (timer, now = new Date()) => (
+  timer ? Math.max(0, (now.getTime() - new Date(timer.startedAt).getTime()) / 60000) : 0
+);
+
+/**
+ * Time entry for a stopped timer, on the day it was started; at least a
+ * minute, at most a day
+ */
+export const stopTimer = (timer, now = new Date()) => createTimeEntry({
+  activityId: timer.activityId,
+  date: toISODate(new Date(timer.startedAt)),
+  minutes: Math.min(Math.max(getTimerMinutes(timer, now), 1), MAX_ENTRY_MINUTES),
+  source: ENTRY_SOURCES.TIMER
+}, now);
+
+export const getActivityMinutes = (entries, activityId) => entries
+  .filter(entry => entry.activityId === activityId)
+  .reduce((sum, entry) => sum + entry.minutes, 0);
+
+export const getEntriesForDate = (entries, date) => entries.filter(entry => entry.date === date);
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Estimated against actual effort for one activity
+ * @param {number} progress - Percentage of the activity's days ticked off
+ * @returns {{estimatedHours: number|null, actualHours: number, etcHours: number|null, overrunHours: number}}
+ */
+export const getEffortSummary = (activity, entries, progress = 0) => {
+  const hasEstimate = typeof activity.estimatedHours === 'number';
+  const actualHours = roundHours(getActivityMinutes(entries, activity.id) / 60);
+  const remaining = hasEstimate ? activity.estimatedHours - actualHours : 0;
+
+  return {
+    estimatedHours: hasEstimate ? activity.estimatedHours : null,
+    actualHours,
+    etcHours: hasEstimate ? (progress >= 100 ? 0 : roundHours(Math.max(remaining, 0))) : null,
+    overrunHours: hasEstimate && remaining < 0 ? roundHours(-remaining) : 0
+  };
+};
+
+/**
+ * Effort totals over the plan; activities without an estimate only add to the actual hours
+ * @param {Function} getProgress - Progress percentage of an activity
+ */
+export const getPlanEffort = (tasks, entries, getProgress = () => 0) => {
+  const totals = { estimatedHours: 0, actualHours: 0, etcHours: 0, estimatedActivities: 0, overrunActivities: 0 };
+  tasks.forEach(task => {
+    task.activities.forEach(activity => {
+      const effort = getEffortSummary(activity, entries, getProgress(activity));
+      totals.actualHours += effort.actualHours;
+      if (effort.estimatedHours !== null) {
+        totals.estimatedHours += effort.estimatedHours;
+        totals.etcHours += effort.etcHours;
+        totals.estimatedActivities += 1;
+        if (effort.overrunHours > 0) totals.overrunActivities += 1;
+      }
+    });
+  });
+  return {
+    ...totals,
+    estimatedHours: roundHours(totals.estimatedHours),
+    actualHours: roundHours(totals.actualHours),
+    etcHours: roundHours(totals.etcHours)
+  };
+};
+
+/**
+ * Hours for display, e.g. "1.5h" or "45m"
+ */
+export const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '';
+  if (hours > 0 && hours < 1) return `${Math.round(hours * 60)}m`;
+  return `${roundHours(hours)}h`;
+};
+
+// Elapsed time of a running timer, e.g. "1:05:09"
+export const formatElapsed = (minutes) => {
+  const totalSeconds = Math.floor(minutes * 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(totalSeconds / 3600)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+};
+
+// Export default object with all functions
+export default {
+  loadTimeEntries,
+  saveTimeEntries,
+  loadTimer,
+  saveTimer,
+  validateEstimate,
+  validateTimeEntry,
+  createTimeEntry,
+  startTimer,
+  getTimerMinutes,
+  stopTimer,
+  getActivityMinutes,
+  getEntriesForDate,
+  getEffortSummary,
+  getPlanEffort,
+  formatHours,
+  formatElapsed
+};
@@ -0,0 +1,219 @@
+/**
+ * Timeline Zoom Utility
+ * Buckets the project period into chart columns for the day, week, month
+ * and quarter views, and works out how an activity falls into a column:
+ * which part of the column the bar covers, whether it starts or ends there
+ * and how many of its working days in that column are complete.
+ */
+
+import {
+  parseISODate,
+  toISODate,
+  daysBetween,
+  buildTimelineWeeks,
+  isDateInProject
+} from './projectTimeline';
+import { getActivityDates, getCompletedDayKey } from './activityDates';
+import { getNonWorkingReason, isNonWorkingDate } from './workingCalendar';
+
+// Storage keys
+const STORAGE_KEYS = {
+  ZOOM_LEVEL: 'gantt-zoom-level'
+};
+
+// Column width in pixels for each level
+export const ZOOM_LEVELS = {
+  day: { label: 'Day', columnWidth: 24 },
+  week: { label: 'Week', columnWidth: 44 },
+  month: { label: 'Month', columnWidth: 72 },
+  quarter: { label: 'Quarter', columnWidth: 96 }
+};
+
+export const DEFAULT_ZOOM_LEVEL = 'day';
+
+export const loadZoomLevel = () => {
+  const stored = localStorage.getItem(STORAGE_KEYS.ZOOM_LEVEL);
+  return ZOOM_LEVELS[stored] ? stored : DEFAULT_ZOOM_LEVEL;
+};
+
+export const saveZoomLevel = (zoomLevel) => {
+  localStorage.setItem(STORAGE_KEYS.ZOOM_LEVEL, zoomLevel);
+};
+
+const lastDayOfMonth = (year, month) => toISODate(new Date(year, month + 1, 0));
+
+// Merge consecutive columns that share a group key into one header cell
+const groupColumns = (columns, getGroup) => {
+  return columns.reduce((groups, column) => {
+    const { key, label } = getGroup(column);
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) {
+      last.span += 1;
+    } else {
+      groups.push({ key, label, span: 1 });
+    }
+    return groups;
+  }, []);
+};
+
+// Calendar months (or quarters of `monthsPerBucket` months) covering the project
+const buildMonthBuckets = (settings, monthsPerBucket) => {
+  const start = parseISODate(settings.startDate);
+  const end = parseISODate(settings.endDate);
+  const columns = [];
+
+  let year = start.getFullYear();
+  let month = Math.floor(start.getMonth() / monthsPerBucket) * monthsPerBucket;
+  while (new Date(year, month, 1) <= end) {
+    const first = new Date(year, month, 1);
+    const lastMonth = month + monthsPerBucket - 1;
+    columns.push({
+      first,
+      startDate: toISODate(first),
+      endDate: lastDayOfMonth(year, lastMonth)
+    });
+    month += monthsPerBucket;
+    if (month > 11) {
+      month -= 12;
+      year += 1;
+    }
+  }
+  return columns;
+};
+
+/**
+ * Build the chart header and columns for a zoom level
+ * @param {Object} settings - Project settings
+ * @param {string} zoomLevel - One of the ZOOM_LEVELS keys
+ * @returns {{
+ *   groups: Array<{key: string, label: string, span: number}>,
+ *   columns: Array<{key: string, label: string, title: string, startDate: string, endDate: string, inRange: boolean,
+ *     nonWorking?: {type: string, name: string}|null}>
+ * }} Day columns carry the reason a day is not a working day
+ */
+export const buildTimelineColumns = (settings, zoomLevel = DEFAULT_ZOOM_LEVEL) => {
+  const { locale } = settings;
+  const yearGroup = (column) => {
+    const year = column.startDate.slice(0, 4);
+    return { key: year, label: year };
+  };
+
+  if (zoomLevel === 'week') {
+    const columns = buildTimelineWeeks(settings).map((week, index) => ({
+      key: week.startDate,
+      label: `W${index + 1}`,
+      title: week.name,
+      startDate: week.startDate,
+      endDate: week.days[week.days.length - 1].date,
+      inRange: true
+    }));
+    // Weeks are grouped under the month they start in; the first week under the project's first month
+    const groups = groupColumns(columns, (column) => {
+      const startDate = column.startDate < settings.startDate ? settings.startDate : column.startDate;
+      return {
+        key: startDate.slice(0, 7),
+        label: parseISODate(startDate).toLocaleDateString(locale, { month: 'short', year: 'numeric' })
+      };
+    });
+    return { groups, columns };
+  }
+
+  if (zoomLevel === 'month') {
+    const columns = buildMonthBuckets(settings, 1).map(bucket => ({
+      key: bucket.startDate,
+      label: bucket.first.toLocaleDateString(locale, { month: 'short' }),
+      title: bucket.first.toLocaleDateString(locale, { month: 'long', year: 'numeric' }),
+      startDate: bucket.startDate,
+      endDate: bucket.endDate,
+      inRange: true
+    }));
+    return { groups: groupColumns(columns, yearGroup), columns };
+  }
+
+  if (zoomLevel === 'quarter') {
+    const columns = buildMonthBuckets(settings, 3).map(bucket => {
+      const quarter = `Q${Math.floor(bucket.first.getMonth() / 3) + 1}`;
+      return {
+        key: bucket.startDate,
+        label: quarter,
+        title: `${quarter} ${bucket.first.getFullYear()}`,
+        startDate: bucket.startDate,
+        endDate: bucket.endDate,
+        inRange: true
+      };
+    });
+    return { groups: groupColumns(columns, yearGroup), columns };
+  }
+
+  const weeks = buildTimelineWeeks(settings);
+  return {
+    groups: weeks.map(week => ({ key: week.startDate, label: week.name, span: week.days.length })),
+    columns: weeks.flatMap(week => week.days.map(day => ({
+      key: day.date,
+      label: day.label,
+      title: day.date,
+      startDate: day.date,
+      endDate: day.date,
+      inRange: day.inRange,
+      nonWorking: day.inRange ? getNonWorkingReason(settings, day.date) : null
+    })))
+  };
+};
+
+const columnLength = (column) => daysBetween(parseISODate(column.startDate), parseISODate(column.endDate)) + 1;
+
+/**
+ * The part of an activity that falls into a column
+ * @param {Object} activity - Activity with startDate/endDate
+ * @param {Object} column - Column from buildTimelineColumns
+ * @param {Object} completedDays - Completion map keyed by getCompletedDayKey
+ * @param {Object} range - Optional period (e.g. project settings) that working days are limited to;
+ *   its non-working days are left out
+ * @returns {{from: number, to: number, isStart: boolean, isEnd: boolean, dates: string[], completedCount: number}|null}
+ *   `from`/`to` are fractions of the column width; null when the bar does not reach the column
+ */
+export const getColumnSegment = (activity, column, completedDays = {}, range = null) => {
+  if (!activity || !activity.startDate || !activity.endDate) return null;
+  if (activity.endDate < column.startDate || activity.startDate > column.endDate) return null;
+
+  const segmentStart = activity.startDate > column.startDate ? activity.startDate : column.startDate;
+  const segmentEnd = activity.endDate < column.endDate ? activity.endDate : column.endDate;
+  const columnStart = parseISODate(column.startDate);
+  const length = columnLength(column);
+
+  let dates = getActivityDates(activity, { startDate: segmentStart, endDate: segmentEnd });
+  if (range) {
+    dates = dates.filter(date => isDateInProject(range, date) && !isNonWorkingDate(range, date));
+  }
+
+  return {
+    from: daysBetween(columnStart, parseISODate(segmentStart)) / length,
+    to: (daysBetween(columnStart, parseISODate(segmentEnd)) + 1) / length,
+    isStart: activity.startDate >= column.startDate,
+    isEnd: activity.endDate <= column.endDate,
+    dates,
+    completedCount: dates.filter(date => completedDays[getCompletedDayKey(activity.id, date)]).length
+  };
+};
+
+/**
+ * Where to draw the "today" line
+ * @returns {{columnIndex: number, offset: number}|null} offset is a fraction of the column width
+ */
+export const getTodayMarker = (columns, today = toISODate(new Date())) => {
+  const columnIndex = columns.findIndex(column => column.inRange && today >= column.startDate && today <= column.endDate);
+  if (columnIndex === -1) return null;
+
+  const column = columns[columnIndex];
+  const dayOffset = daysBetween(parseISODate(column.startDate), parseISODate(today));
+  return { columnIndex, offset: (dayOffset + 0.5) / columnLength(column) };
+};
+
+// Export default object with all functions
+export default {
+  loadZoomLevel,
+  saveZoomLevel,
+  buildTimelineColumns,
+  getColumnSegment,
+  getTodayMarker
+};
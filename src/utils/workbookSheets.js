@@ -0,0 +1,314 @@
+/**
+ * Workbook Sheets Utility
+ * Sheet layouts for the Excel export and the import of an edited workbook.
+ * The Activities sheet is the one that round-trips: task and activity names,
+ * owners, dates, the gateway flag and estimates can be edited, rows can be
+ * added (leave Activity ID empty) or deleted, and importing it rebuilds the
+ * plan. Progress and file columns are for reading only; completed days,
+ * files, dependencies and the other fields of an activity that stays in the
+ * sheet are kept, as are tasks without activities. Rows are checked before
+ * anything changes and problems are reported by sheet row number.
+ */
+
+import { parseISODate, toISODate, addDays, isDateInProject } from './projectTimeline';
+import { getCompletedDayKey } from './activityDates';
+import { validateEstimate } from './timeTracking';
+
+export const WORKBOOK_SHEETS = {
+  ACTIVITIES: 'Activities',
+  GATEWAYS: 'Gateways',
+  COMPLETED_DAYS: 'Completed Days'
+};
+
+export const ACTIVITY_COLUMNS = [
+  'Task ID',
+  'Task',
+  'Activity ID',
+  'Activity',
+  'Owner',
+  'Start Date',
+  'End Date',
+  'Gateway',
+  'Progress',
+  'Estimated Hours',
+  'Files'
+];
+
+const REQUIRED_COLUMNS = ['Task', 'Activity', 'Start Date', 'End Date'];
+
+const MAX_NAME_LENGTH = 100;
+
+// Day 0 of Excel's 1900 date system, for date cells read as serial numbers
+const EXCEL_EPOCH = new Date(1899, 11, 30);
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Activities sheet as rows of cells, header first
+ * @param {Function} getProgress - Activity => progress percentage
+ */
+export const buildActivityRows = (tasks, getProgress = () => 0) => [
+  ACTIVITY_COLUMNS,
+  ...tasks.flatMap(task => (task.activities || []).map(activity => [
+    task.id,
+    task.name,
+    activity.id,
+    activity.name,
+    activity.owner || '',
+    activity.startDate || '',
+    activity.endDate || '',
+    activity.isGateway ? 'Yes' : 'No',
+    `${getProgress(activity)}%`,
+    typeof activity.estimatedHours === 'number' ? activity.estimatedHours : '',
+    (activity.files || []).map(file => file.name).join('; ')
+  ]))
+];
+
+/**
+ * Gateways sheet: a row per deliverable, or one row for a gateway without a checklist
+ * @param {Array} gateways - From exportService.getGatewayChecklists
+ */
+export const buildGatewayRows = (gateways) => [
+  ['Gateway', 'Activity ID', 'Completion', 'Deliverable', 'Done', 'Due Date'],
+  ...gateways.flatMap(gateway => {
+    const completion = `${gateway.done} of ${gateway.total}`;
+    if (gateway.deliverables.length === 0) return [[gateway.name, gateway.activityId, completion, '', '', '']];
+    return gateway.deliverables.map(item => [
+      gateway.name,
+      gateway.activityId,
+      completion,
+      item.text,
+      item.done ? 'Yes' : 'No',
+      item.dueDate || ''
+    ]);
+  })
+];
+
+/**
+ * Completed Days sheet: every day ticked off on the activities in `tasks`, by date
+ */
+export const buildCompletedDayRows = (tasks, completedDays = {}) => {
+  const entries = tasks.flatMap(task => (task.activities || []).flatMap(activity => {
+    const prefix = getCompletedDayKey(activity.id, '');
+    return Object.keys(completedDays)
+      .filter(key => completedDays[key] && key.startsWith(prefix))
+      .map(key => ({ date: key.slice(prefix.length), task, activity }));
+  }));
+  entries.sort((a, b) => a.date.localeCompare(b.date));
+
+  return [
+    ['Date', 'Task', 'Activity ID', 'Activity'],
+    ...entries.map(({ date, task, activity }) => [date, task.name, activity.id, activity.name])
+  ];
+};
+
+/**
+ * ISO date from a cell: YYYY-MM-DD text, a Date, or an Excel serial number
+ * @returns {string|null} null when the cell is not a valid date
+ */
+export const parseCellDate = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : toISODate(value);
+  if (typeof value === 'number' && Number.isFinite(value)) return toISODate(addDays(EXCEL_EPOCH, Math.floor(value)));
+
+  const text = String(value ?? '').trim();
+  const parsed = parseISODate(text);
+  return parsed && toISODate(parsed) === text ? text : null;
+};
+
+const parseGatewayCell = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['yes', 'y', 'true', '1'].includes(text)) return true;
+  if (['', 'no', 'n', 'false', '0'].includes(text)) return false;
+  return null;
+};
+
+// The next free `${taskId}.n` activity ID
+const nextActivityId = (taskId, activities, usedIds) => {
+  const suffixes = activities.map(activity => parseFloat(activity.id.toString().split('.')[1] || '0'));
+  let suffix = Math.max(...suffixes, 0) + 1;
+  while (usedIds.has(String(parseFloat(`${taskId}.${suffix}`)))) suffix++;
+  return parseFloat(`${taskId}.${suffix}`);
+};
+
+/**
+ * Rebuild the plan from the rows of an edited Activities sheet
+ * @param {Array<Array>} rows - Sheet rows, header first
+ * @param {Array} tasks - The current plan
+ * @param {Object} options
+ * @param {Array} options.owners - Project owners; unknown owner codes are reported
+ * @param {Object} options.settings - Project settings; dates outside the period are reported
+ * @param {Function} options.isLocked - Activity => true when it may not be changed (approved gateways)
+ * @returns {{tasks: Array|null, errors: Array<{row: number|null, message: string}>, warnings: Array<{row: number|null, message: string}>,
+ *   summary: {tasks: number, activities: number, added: number, updated: number, removed: number}}}
+ *   `tasks` is null when there are errors
+ */
+export const parseActivityRows = (rows, tasks, { owners = [], settings = null, isLocked = () => false } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const summary = { tasks: 0, activities: 0, added: 0, updated: 0, removed: 0 };
+  const fail = (message, row = null) => ({ tasks: null, errors: [...errors, { row, message }], warnings, summary });
+
+  const header = (rows[0] || []).map(cell => String(cell ?? '').trim());
+  const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return fail(`The ${WORKBOOK_SHEETS.ACTIVITIES} sheet is missing the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`, 1);
+  }
+  const cell = (row, column) => {
+    const index = header.indexOf(column);
+    return index === -1 ? undefined : row[index];
+  };
+
+  const existingTasks = new Map(tasks.map(task => [String(task.id), task]));
+  const existingActivities = new Map(tasks.flatMap(task => task.activities.map(activity => [String(activity.id), { task, activity }])));
+  const usedIds = new Set(existingActivities.keys());
+  const seenIds = new Set();
+  const taskGroups = [];
+  const taskIds = tasks.map(task => task.id).filter(Number.isFinite);
+  let nextTaskId = Math.max(...taskIds, 0) + 1;
+
+  rows.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2;
+    if (!row || row.every(isBlank)) return;
+    const rowError = (message) => errors.push({ row: rowNumber, message });
+    const rowWarning = (message) => warnings.push({ row: rowNumber, message });
+
+    const taskName = String(cell(row, 'Task') ?? '').trim();
+    const name = String(cell(row, 'Activity') ?? '').trim();
+    const startDate = parseCellDate(cell(row, 'Start Date'));
+    const endDate = parseCellDate(cell(row, 'End Date'));
+    const isGateway = parseGatewayCell(cell(row, 'Gateway'));
+    const estimateCell = cell(row, 'Estimated Hours');
+    const estimateError = validateEstimate(isBlank(estimateCell) ? null : estimateCell);
+    const owner = String(cell(row, 'Owner') ?? '').trim().toUpperCase();
+
+    if (!taskName) rowError('Task name cannot be empty');
+    if (!name) rowError('Activity name cannot be empty');
+    if (taskName.length > MAX_NAME_LENGTH || name.length > MAX_NAME_LENGTH) rowError(`Names must be ${MAX_NAME_LENGTH} characters or less`);
+    if (!startDate) rowError('Start date must be a date (YYYY-MM-DD)');
+    if (!endDate) rowError('End date must be a date (YYYY-MM-DD)');
+    if (startDate && endDate && endDate < startDate) rowError('End date must be on or after the start date');
+    if (isGateway === null) rowError('Gateway must be Yes or No');
+    if (estimateError) rowError(estimateError);
+
+    // Match the row to an activity in the plan by its ID
+    const idCell = cell(row, 'Activity ID');
+    let existing = null;
+    if (!isBlank(idCell)) {
+      const id = String(idCell).trim();
+      if (seenIds.has(id)) {
+        rowError(`Activity ID ${id} appears more than once`);
+      } else {
+        seenIds.add(id);
+        existing = existingActivities.get(id) || null;
+        if (!existing) rowWarning(`Activity ID ${id} is not in the plan; it will be added as a new activity`);
+      }
+    }
+    if (errors.some(error => error.row === rowNumber)) return;
+
+    if (!owner) {
+      rowWarning(`"${name}" has no owner; it will be assigned to ME`);
+    } else if (owners.length > 0 && !owners.some(known => known.id === owner)) {
+      rowWarning(`Owner ${owner} is not one of the project's owners`);
+    }
+    if (settings && (!isDateInProject(settings, startDate) || !isDateInProject(settings, endDate))) {
+      rowWarning(`"${name}" runs outside the project period`);
+    }
+
+    // Rows are grouped into tasks by Task ID, or by name for new tasks
+    const taskIdCell = cell(row, 'Task ID');
+    const knownTask = isBlank(taskIdCell) ? null : existingTasks.get(String(taskIdCell).trim());
+    if (!isBlank(taskIdCell) && !knownTask) rowWarning(`Task ID ${String(taskIdCell).trim()} is not in the plan; it will be added as a new task`);
+    let group = knownTask
+      ? taskGroups.find(candidate => candidate.id === knownTask.id)
+      : taskGroups.find(candidate => candidate.isNew && candidate.name === taskName);
+    if (!group) {
+      group = knownTask
+        ? { ...knownTask, name: taskName, activities: [], isNew: false }
+        : { id: nextTaskId++, name: taskName, activities: [], isNew: true };
+      taskGroups.push(group);
+    } else if (group.name !== taskName) {
+      rowWarning(`Task ${group.id} is named "${group.name}" on an earlier row; that name is kept`);
+    }
+
+    const fields = {
+      name,
+      owner: owner || 'ME',
+      startDate,
+      endDate,
+      isGateway,
+      estimatedHours: isBlank(estimateCell) ? undefined : Number(estimateCell)
+    };
+
+    if (existing) {
+      const { activity } = existing;
+      const updated = { ...activity, ...fields };
+      if (fields.estimatedHours === undefined) delete updated.estimatedHours;
+      const changed = ['name', 'owner', 'startDate', 'endDate', 'isGateway', 'estimatedHours']
+        .some(key => (updated[key] ?? null) !== (key === 'isGateway' ? Boolean(activity[key]) : activity[key] ?? null))
+        || existing.task.id !== group.id;
+
+      if (changed && isLocked(activity)) {
+        rowError(`"${activity.name}" is an approved gateway; only a supervisor can change it`);
+        group.activities.push(activity);
+        return;
+      }
+      if (changed) summary.updated++;
+      group.activities.push(updated);
+    } else {
+      const id = nextActivityId(group.id, group.activities, usedIds);
+      usedIds.add(String(id));
+      const activity = { id, ...fields, dependencies: [], files: [], color: 'bg-blue-400' };
+      if (activity.estimatedHours === undefined) delete activity.estimatedHours;
+      summary.added++;
+      group.activities.push(activity);
+    }
+  });
+
+  // Activities left out of the sheet are removed, together with dependencies on them
+  const keptIds = new Set(taskGroups.flatMap(group => group.activities.map(activity => String(activity.id))));
+  existingActivities.forEach(({ activity }, id) => {
+    if (keptIds.has(id)) return;
+    if (isLocked(activity)) {
+      errors.push({ row: null, message: `"${activity.name}" is an approved gateway and cannot be removed` });
+      return;
+    }
+    summary.removed++;
+    warnings.push({ row: null, message: `"${activity.name}" is not in the sheet and will be removed` });
+  });
+
+  if (errors.length > 0) return { tasks: null, errors, warnings, summary };
+  if (keptIds.size === 0) return fail(`The ${WORKBOOK_SHEETS.ACTIVITIES} sheet has no activities`);
+
+  // Tasks without activities have no rows in the sheet and are kept as they are
+  const emptyTasks = tasks.filter(task => task.activities.length === 0 && !taskGroups.some(group => group.id === task.id));
+  const importedTasks = [...taskGroups, ...emptyTasks].map(({ isNew, ...task }) => ({
+    ...task,
+    activities: task.activities.map(activity => {
+      const dependencies = (activity.dependencies || []).filter(dependency => keptIds.has(String(dependency.predecessorId)));
+      return dependencies.length === (activity.dependencies || []).length ? activity : { ...activity, dependencies };
+    })
+  }));
+
+  return {
+    tasks: importedTasks,
+    errors,
+    warnings,
+    summary: {
+      ...summary,
+      tasks: importedTasks.length,
+      activities: keptIds.size
+    }
+  };
+};
+
+// Export default object with all functions
+export default {
+  buildActivityRows,
+  buildGatewayRows,
+  buildCompletedDayRows,
+  parseCellDate,
+  parseActivityRows
+};
@@ -0,0 +1,171 @@
+/**
+ * Working Calendar Utility
+ * The project's working calendar, stored with the project settings as the
+ * optional `weekendDays` (weekday numbers, 0 = Sunday) and
+ * `nonWorkingPeriods` (public holidays, personal leave or conferences) fields.
+ * Non-working days are shaded on the chart, never count toward progress and
+ * are skipped when durations are counted and activities are rescheduled. A
+ * calendar with no weekends and no periods treats every day as a working day.
+ */
+
+import { parseISODate, toISODate, addDays, daysBetween } from './projectTimeline';
+
+export const NON_WORKING_TYPES = {
+  HOLIDAY: 'holiday',
+  LEAVE: 'leave',
+  CONFERENCE: 'conference'
+};
+
+export const NON_WORKING_TYPE_LABELS = {
+  [NON_WORKING_TYPES.HOLIDAY]: 'Public holiday',
+  [NON_WORKING_TYPES.LEAVE]: 'Leave',
+  [NON_WORKING_TYPES.CONFERENCE]: 'Conference'
+};
+
+export const SATURDAY_SUNDAY = [6, 0];
+
+export const MAX_PERIOD_NAME_LENGTH = 60;
+
+// Longest stretch searched for the next working day before giving up on a calendar with none
+const MAX_SEARCH_DAYS = 366;
+
+/**
+ * @returns {string|null} Error message
+ */
+export const validateNonWorkingPeriod = ({ name, type, startDate, endDate }) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Name is required';
+  if (trimmed.length > MAX_PERIOD_NAME_LENGTH) return `Name cannot exceed ${MAX_PERIOD_NAME_LENGTH} characters`;
+  if (!NON_WORKING_TYPE_LABELS[type]) return `Unknown type: ${type}`;
+
+  const start = parseISODate(startDate);
+  if (!start || toISODate(start) !== startDate) return 'Start date must be a valid date';
+  const end = parseISODate(endDate);
+  if (!end || toISODate(end) !== endDate) return 'End date must be a valid date';
+  if (endDate < startDate) return 'End date must be on or after the start date';
+  return null;
+};
+
+/**
+ * @returns {string|null} Error message
+ */
+export const validateWorkingCalendar = (calendar) => {
+  const weekendDays = calendar?.weekendDays || [];
+  if (!Array.isArray(weekendDays) || weekendDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'Weekend days must be between Sunday and Saturday';
+  }
+  if (weekendDays.length >= 7) return 'At least one day of the week must be a working day';
+
+  const periods = calendar?.nonWorkingPeriods || [];
+  if (!Array.isArray(periods)) return 'Non-working periods must be a list';
+  for (const period of periods) {
+    const error = validateNonWorkingPeriod(period);
+    if (error) return `${period.name || 'Non-working period'}: ${error}`;
+  }
+  return null;
+};
+
+/**
+ * Calendar with a new non-working period, kept in date order; throws when the period is invalid
+ */
+export const addNonWorkingPeriod = (calendar, period, now = new Date()) => {
+  const error = validateNonWorkingPeriod(period);
+  if (error) throw new Error(error);
+
+  const entry = {
+    id: `period_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: period.name.trim(),
+    type: period.type,
+    startDate: period.startDate,
+    endDate: period.endDate
+  };
+  return {
+    ...calendar,
+    nonWorkingPeriods: [...(calendar.nonWorkingPeriods || []), entry].sort((a, b) => a.startDate.localeCompare(b.startDate))
+  };
+};
+
+export const removeNonWorkingPeriod = (calendar, periodId) => ({
+  ...calendar,
+  nonWorkingPeriods: (calendar.nonWorkingPeriods || []).filter(period => period.id !== periodId)
+});
+
+/**
+ * Why a date is not a working day
+ * @param {Object} calendar - Project settings or any object with weekendDays/nonWorkingPeriods
+ * @returns {{type: string, name: string}|null} null on working days
+ */
+export const getNonWorkingReason = (calendar, isoDate) => {
+  if (!calendar) return null;
+  const period = (calendar.nonWorkingPeriods || []).find(p => isoDate >= p.startDate && isoDate <= p.endDate);
+  if (period) return { type: period.type, name: period.name };
+
+  const weekendDays = calendar.weekendDays || [];
+  if (weekendDays.length > 0 && weekendDays.includes(parseISODate(isoDate).getDay())) {
+    return { type: 'weekend', name: 'Weekend' };
+  }
+  return null;
+};
+
+export const isNonWorkingDate = (calendar, isoDate) => getNonWorkingReason(calendar, isoDate) !== null;
+
+const hasNonWorkingDays = (calendar) => Boolean(calendar) && (
+  (calendar.weekendDays || []).length > 0 || (calendar.nonWorkingPeriods || []).length > 0
+);
+
+/**
+ * The date itself when it is a working day, otherwise the next (or, with
+ * direction -1, previous) working day
+ */
+export const nextWorkingDate = (calendar, isoDate, direction = 1) => {
+  if (!hasNonWorkingDays(calendar)) return isoDate;
+  let date = parseISODate(isoDate);
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    const iso = toISODate(date);
+    if (!isNonWorkingDate(calendar, iso)) return iso;
+    date = addDays(date, direction);
+  }
+  return isoDate;
+};
+
+// Working days from `startDate` to `endDate`, both included
+export const countWorkingDays = (calendar, startDate, endDate) => {
+  const start = parseISODate(startDate);
+  const total = daysBetween(start, parseISODate(endDate));
+  if (total < 0) return 0;
+  if (!hasNonWorkingDays(calendar)) return total + 1;
+
+  let count = 0;
+  for (let i = 0; i <= total; i++) {
+    if (!isNonWorkingDate(calendar, toISODate(addDays(start, i)))) count += 1;
+  }
+  return count;
+};
+
+/**
+ * The working day `days` working days after (or before, when negative) a
+ * date; a non-working start date first moves to the next working day
+ */
+export const addWorkingDays = (calendar, isoDate, days) => {
+  if (!hasNonWorkingDays(calendar)) return toISODate(addDays(parseISODate(isoDate), days));
+
+  const direction = days < 0 ? -1 : 1;
+  let current = nextWorkingDate(calendar, isoDate, direction);
+  for (let remaining = Math.abs(days); remaining > 0; remaining--) {
+    current = nextWorkingDate(calendar, toISODate(addDays(parseISODate(current), direction)), direction);
+  }
+  return current;
+};
+
+// Export default object with all functions
+export default {
+  validateNonWorkingPeriod,
+  validateWorkingCalendar,
+  addNonWorkingPeriod,
+  removeNonWorkingPeriod,
+  getNonWorkingReason,
+  isNonWorkingDate,
+  nextWorkingDate,
+  countWorkingDays,
+  addWorkingDays
+};